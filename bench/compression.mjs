@@ -0,0 +1,96 @@
+/**
+ * Benchmark of the LZ cache compression on typical model responses.
+ * Run with `npm run bench`.
+ */
+
+import { CacheCompression } from '../src/caching/compression.mjs';
+import { compressLZ } from '../src/caching/lz.mjs';
+
+const prose = `Caching avoids sending the same prompt to the model twice. When a prompt arrives, the
+session computes its cache key from the input, the template and the model options. If an entry
+exists and has not expired, the response is returned straight away; otherwise the prompt goes to
+the model and the response is stored for next time. Entries expire after their TTL, and the cache
+evicts the least recently used entries once it reaches its size limits. `;
+
+const markdown = `## Setting up the cache
+
+Enable the cache when you create the session:
+
+\`\`\`javascript
+const session = await Session.create({
+  cache: { enabled: true, ttl: 3600000, store: 'indexedDB' }
+});
+const answer = await session.prompt('Summarize the release notes');
+\`\`\`
+
+- **ttl**: how long responses are kept, in milliseconds.
+- **store**: where they are kept: memory, localStorage, sessionStorage or IndexedDB.
+- **compression**: how responses larger than the threshold are compressed.
+
+| Option | Default | Notes |
+| ------ | ------- | ----- |
+| ttl | 3600000 | one hour |
+| store | 'memory' | cleared by destroy() |
+`;
+
+const structured = JSON.stringify(Array.from({ length: 40 }, (_, i) => ({
+  id: i + 1,
+  title: `Issue ${i + 1}: ${['Cache misses after reload', 'Slow first token', 'Template not found'][i % 3]}`,
+  status: ['open', 'closed', 'in progress'][i % 3],
+  labels: ['bug', i % 2 ? 'cache' : 'session'],
+  assignee: null
+})), null, 2);
+
+const japanese = `キャッシュを有効にすると、同じプロンプトを二度モデルに送らずに済みます。セッションは入力、
+テンプレート、モデルのオプションからキャッシュキーを計算し、有効期限内のエントリがあればその応答をすぐに返します。
+エントリがない場合はプロンプトをモデルに送り、応答を次回のために保存します。保存先はメモリ、localStorage、
+IndexedDB から選べます。上限に達すると、最も長く使われていないエントリから削除されます。`;
+
+const multilingual = `Bonjour ! Voici un résumé des notes de version. 日本語の要約：キャッシュが速くなりました。
+Привет! Кэш теперь работает быстрее. 🚀 Les réponses mises en cache sont compressées. ✅`;
+
+// Single responses, as they are cached
+const samples = {
+  'prose': prose,
+  'markdown with code': markdown,
+  'structured JSON': structured,
+  'Japanese prose': japanese,
+  'multilingual and emoji': multilingual
+};
+
+/**
+ * Average milliseconds per call, over at least 100 ms
+ */
+async function time(fn) {
+  let runs = 0;
+  const start = performance.now();
+  do {
+    await fn();
+    runs++;
+  } while (performance.now() - start < 100);
+  return (performance.now() - start) / runs;
+}
+
+const rows = [];
+for (const [name, text] of Object.entries(samples)) {
+  const size = JSON.stringify(text).length;
+  for (const level of ['fast', 'default', 'max']) {
+    const compression = new CacheCompression({ algorithm: 'lz', level, threshold: 0 });
+    const compressed = await compression.compress(text);
+    if (await compression.decompress(compressed) !== text) {
+      throw new Error(`${name} did not round-trip at level ${level}`);
+    }
+    rows.push({
+      sample: name,
+      level,
+      'original (chars)': size,
+      'LZ (bytes)': compressLZ(JSON.stringify(text), level).length,
+      'stored (chars)': compressed.data.length,
+      compressed: compressed.compressed,
+      ratio: +(size / compressed.data.length).toFixed(2),
+      'compress (ms)': +(await time(() => compression.compress(text))).toFixed(3),
+      'decompress (ms)': +(await time(() => compression.decompress(compressed))).toFixed(3)
+    });
+  }
+}
+console.table(rows);
@@ -0,0 +1,255 @@
+/**
+ * Cross-tab coordination for DistributedCache over a BroadcastChannel
+ * @module broadcast
+ */
+
+import { createAbortError } from '../utils/abort.mjs';
+
+/**
+ * @typedef {Object} CacheCoordinatorOptions
+ * @property {string} [channel='ai.captain:cache'] - Channel name; caches on the same channel
+ *   share entries
+ * @property {number} [electionTimeout=50] - Milliseconds to wait for other tabs' claims on a key
+ *   before deciding which tab computes it
+ * @property {number} [followTimeout=30000] - Milliseconds to wait for another tab's result before
+ *   computing it here
+ * @property {typeof BroadcastChannel} [BroadcastChannel] - BroadcastChannel implementation,
+ *   the global one by default
+ */
+
+/**
+ * Wait for a number of milliseconds
+ * @private
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create an id for this tab's coordinator
+ * @private
+ * @returns {string} Id
+ */
+function createId() {
+  return globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Shares a DistributedCache's sets and invalidations with caches in other
+ * tabs, and elects one tab per key to compute values the others wait for.
+ *
+ * When a tab misses a key, it broadcasts a claim and waits briefly for other
+ * claims. The earliest claim wins: that tab computes the value and broadcasts
+ * it, and the others use it. A tab that claims a key another tab is already
+ * computing follows that tab straight away. If the leader fails, closes or
+ * takes too long, followers compute the value themselves.
+ */
+class CacheCoordinator {
+  /**
+   * Create a new CacheCoordinator instance
+   * @param {import('./distributed.mjs').DistributedCache} cache - Cache to keep in sync
+   * @param {CacheCoordinatorOptions} [options] - Coordinator options
+   * @throws {Error} If BroadcastChannel is not available
+   */
+  constructor(cache, options = {}) {
+    const Channel = 'BroadcastChannel' in options ? options.BroadcastChannel : globalThis.BroadcastChannel;
+    if (!Channel) {
+      throw new Error('BroadcastChannel is not available');
+    }
+    this.cache = cache;
+    this.id = createId();
+    this.electionTimeout = options.electionTimeout ?? 50;
+    this.followTimeout = options.followTimeout ?? 30000;
+
+    // Keys this tab is computing, claims seen during elections, and keys other tabs are computing
+    this.leading = new Set();
+    this.elections = new Map();
+    this.owners = new Map();
+    // Followers waiting for a result, by key
+    this.waiting = new Map();
+
+    this.closed = false;
+    this.channel = new Channel(options.channel ?? 'ai.captain:cache');
+    this.channel.onmessage = ({ data }) => {
+      this._receive(data).catch(error => console.error('Failed to apply cache message:', error));
+    };
+    // Don't keep Node.js alive just to listen
+    this.channel.unref?.();
+  }
+
+  /**
+   * Broadcast a message to the other tabs, unless closed
+   * @param {Object} message - Message
+   */
+  post(message) {
+    if (!this.closed) {
+      this.channel.postMessage({ ...message, tab: this.id });
+    }
+  }
+
+  /**
+   * Handle a message from another tab
+   * @private
+   * @param {Object} message - Message
+   * @returns {Promise<void>}
+   */
+  async _receive(message) {
+    switch (message.type) {
+    case 'set':
+    case 'delete':
+    case 'invalidate':
+    case 'clear':
+      await this.cache._receive(message);
+      break;
+    case 'claim':
+      if (this.leading.has(message.key)) {
+        this.post({ type: 'owner', key: message.key });
+      } else {
+        this.elections.get(message.key)?.claims.push(message);
+      }
+      break;
+    case 'owner':
+      this.owners.set(message.key, message.tab);
+      break;
+    case 'result':
+    case 'failed':
+      if (this.owners.get(message.key) === message.tab) {
+        this.owners.delete(message.key);
+      }
+      // A leader can finish before a slower tab's election ends
+      if (this.elections.has(message.key)) {
+        this.elections.get(message.key).result = message;
+      }
+      for (const onMessage of [...(this.waiting.get(message.key) ?? [])]) {
+        onMessage(message);
+      }
+      break;
+    }
+  }
+
+  /**
+   * Decide which tab computes a key
+   * @private
+   * @param {string} key - Cache key
+   * @returns {Promise<{leader: string, result?: Object}>} Id of the tab that computes it, and
+   *   its result message if it already finished
+   */
+  async _elect(key) {
+    if (this.owners.has(key)) {
+      return { leader: this.owners.get(key) };
+    }
+    const claim = { type: 'claim', key, at: Date.now(), tab: this.id };
+    const election = { claims: [claim], result: undefined };
+    this.elections.set(key, election);
+    this.post(claim);
+    try {
+      await sleep(this.electionTimeout);
+    } finally {
+      this.elections.delete(key);
+    }
+    if (election.result) {
+      // Use the result, or compute it here if the leader failed
+      return election.result.type === 'result'
+        ? { leader: election.result.tab, result: election.result }
+        : { leader: this.id };
+    }
+    if (this.owners.has(key)) {
+      return { leader: this.owners.get(key) };
+    }
+    // Every tab in the election sees the same claims, so they all pick the same winner
+    const [first] = election.claims.sort((a, b) => a.at - b.at || (a.tab < b.tab ? -1 : a.tab > b.tab ? 1 : 0));
+    return { leader: first.tab };
+  }
+
+  /**
+   * Wait for another tab's result for a key
+   * @private
+   * @param {string} key - Cache key
+   * @param {AbortSignal} [signal] - Signal that stops waiting
+   * @returns {Promise<{type: string, value?: any}|undefined>} Result or failure message,
+   *   undefined on timeout
+   */
+  _follow(key, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(createAbortError(signal));
+        return;
+      }
+      const waiters = this.waiting.get(key) ?? new Set();
+      this.waiting.set(key, waiters);
+
+      const done = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        waiters.delete(onMessage);
+        if (waiters.size === 0) {
+          this.waiting.delete(key);
+        }
+      };
+      const onMessage = message => {
+        done();
+        resolve(message);
+      };
+      const onAbort = () => {
+        done();
+        reject(createAbortError(signal));
+      };
+      const timer = setTimeout(() => {
+        done();
+        resolve(undefined);
+      }, this.followTimeout);
+
+      waiters.add(onMessage);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Get a value computed once across tabs. Either this tab computes it and
+   * shares it, or it waits for the tab that does.
+   * @param {string} key - Cache key
+   * @param {function(): Promise<any>} produce - Computes the value; it must be structured-cloneable
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Signal that stops waiting for another tab
+   * @returns {Promise<{value: any, shared: boolean}>} Value, and whether another tab computed it
+   */
+  async run(key, produce, options = {}) {
+    const { leader, result } = await this._elect(key);
+    if (leader !== this.id) {
+      const message = result ?? await this._follow(key, options.signal);
+      if (message?.type === 'result') {
+        return { value: message.value, shared: true };
+      }
+      // The leader failed, closed or is taking too long; compute it here
+    }
+
+    this.leading.add(key);
+    this.post({ type: 'owner', key });
+    try {
+      const value = await produce();
+      this.post({ type: 'result', key, value });
+      return { value, shared: false };
+    } catch (error) {
+      this.post({ type: 'failed', key });
+      throw error;
+    } finally {
+      this.leading.delete(key);
+    }
+  }
+
+  /**
+   * Stop coordinating. Tabs waiting on keys this tab is computing compute them themselves.
+   */
+  close() {
+    for (const key of this.leading) {
+      this.post({ type: 'failed', key });
+    }
+    this.leading.clear();
+    this.closed = true;
+    this.channel.close();
+  }
+}
+
+export { CacheCoordinator };
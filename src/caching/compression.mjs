@@ -1,18 +1,45 @@
 /**
  * Cache compression utilities
  */
+
+import { compressLZ, decompressLZ } from './lz.mjs';
+
+/**
+ * Encode bytes as base64
+ * @private
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Base64
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (let start = 0; start < bytes.length; start += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(start, start + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @private
+ * @param {string} data - Base64
+ * @returns {Uint8Array} Bytes
+ */
+function fromBase64(data) {
+  return Uint8Array.from(atob(data), c => c.charCodeAt(0));
+}
+
 class CacheCompression {
   constructor(options = {}) {
     this.options = {
       algorithm: options.algorithm || 'lz',  // 'lz' or 'deflate'
-      level: options.level || 'default',     // 'fast', 'default', or 'max'
+      level: options.level || 'default',     // 'fast', 'default', or 'max'; lz only
       threshold: options.threshold || 1024,   // Minimum size for compression
       ...options
     };
   }
 
   /**
-   * Compress data if it meets the threshold
+   * Compress data if it meets the threshold and compressing makes it smaller
    * @param {any} data Data to compress
    * @returns {Object} Compressed data with metadata
    */
@@ -42,6 +69,14 @@ class CacheCompression {
         throw new Error(`Unsupported compression algorithm: ${this.options.algorithm}`);
     }
 
+    // Text with few repeats can come out larger, particularly once encoded
+    if (compressed.length >= serialized.length) {
+      return {
+        compressed: false,
+        data: serialized
+      };
+    }
+
     return {
       compressed: true,
       algorithm: this.options.algorithm,
@@ -83,30 +118,11 @@ class CacheCompression {
   }
 
   /**
-   * Compress using LZ-based algorithm
+   * Compress using LZ77 at the configured level
    * @private
    */
   _compressLZ(data) {
-    // For testing purposes, use simple run-length encoding
-    let compressed = '';
-    let count = 1;
-    let current = data[0];
-
-    for (let i = 1; i < data.length; i++) {
-      if (data[i] === current && count < 9) {
-        count++;
-      } else {
-        compressed += count + current;
-        current = data[i];
-        count = 1;
-      }
-    }
-    
-    if (current) {
-      compressed += count + current;
-    }
-
-    return btoa(compressed);
+    return toBase64(compressLZ(data, this.options.level));
   }
 
   /**
@@ -114,17 +130,7 @@ class CacheCompression {
    * @private
    */
   _decompressLZ(data) {
-    // Decode run-length encoding
-    const compressed = atob(data);
-    let decompressed = '';
-    
-    for (let i = 0; i < compressed.length; i += 2) {
-      const count = parseInt(compressed[i]);
-      const char = compressed[i + 1];
-      decompressed += char.repeat(count);
-    }
-
-    return decompressed;
+    return decompressLZ(fromBase64(data));
   }
 
   /**
@@ -1,24 +1,440 @@
+import { createStore } from './stores.mjs';
+import { CacheCoordinator } from './broadcast.mjs';
+import { CacheWarmer } from './warmer.mjs';
+
+/**
+ * Eviction policies, each comparing two index records; the smaller one is evicted first
+ * @private
+ * @type {Object<string, function(Object, Object): number>}
+ */
+const POLICIES = {
+  // Least recently used
+  lru: (a, b) => a.lastAccess - b.lastAccess,
+  // Least frequently used, then least recently used
+  lfu: (a, b) => a.hits - b.hits || a.lastAccess - b.lastAccess,
+  // First in, first out
+  fifo: (a, b) => a.created - b.created
+};
+
+/**
+ * Prefixes of the keys that hold metadata rather than entries: the versions
+ * `checkVersion` records and the progress of cache warming. They stay out of
+ * the index, so eviction, invalidation and `clear` leave them alone.
+ * @private
+ * @type {string[]}
+ */
+const METADATA_PREFIXES = ['version:', 'warm:'];
+
+/**
+ * Check whether a key holds metadata
+ * @private
+ * @param {string} key - Key
+ * @returns {boolean} True for metadata keys
+ */
+function isMetadata(key) {
+  return METADATA_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+/**
+ * Estimate the size of a value in bytes, as UTF-8 JSON
+ * @private
+ * @param {any} value - Value
+ * @returns {number} Size in bytes
+ */
+function sizeOf(value) {
+  const json = JSON.stringify(value) ?? '';
+  let bytes = 0;
+  for (const char of json) {
+    const code = char.codePointAt(0);
+    bytes += code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+  }
+  return bytes;
+}
+
+/**
+ * Check whether a store failed because it is full
+ * @private
+ * @param {any} error - Error thrown by the store
+ * @returns {boolean} True for quota errors, including the older names and codes browsers used
+ */
+function isQuotaError(error) {
+  return error?.name === 'QuotaExceededError' || error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error?.code === 22 || error?.code === 1014;
+}
+
+/**
+ * Turn a glob into a regular expression matching whole keys: `*` matches any
+ * run of characters and `?` any one character
+ * @private
+ * @param {string|RegExp} pattern - Glob or regular expression
+ * @returns {RegExp} Regular expression, without global or sticky flags so tests don't depend on lastIndex
+ */
+function toRegExp(pattern) {
+  if (pattern instanceof RegExp) {
+    return new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, ''));
+  }
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * @typedef {Object} DistributedCacheOptions
+ * @property {number} [defaultTTL=3600000] - Time to live in milliseconds
+ * @property {import('./stores.mjs').CacheStore|string} [store='memory'] - Store, or
+ *   'memory', 'localStorage', 'sessionStorage' or 'indexedDB'
+ * @property {number} [maxEntries=Infinity] - Most entries kept
+ * @property {number} [maxBytes=Infinity] - Most bytes kept, measured as UTF-8 JSON
+ * @property {('lru'|'lfu'|'fifo')} [eviction='lru'] - Which entry goes first when a limit is reached
+ * @property {number} [sweepInterval] - Milliseconds between sweeps for expired entries; none if unset
+ * @property {number} [staleWhileRevalidate=0] - Milliseconds an expired entry is kept for `lookup`
+ *   to return as stale while it is refreshed
+ * @property {function(string, any, ('capacity'|'expired')): void} [onEvict] - Called with the key,
+ *   value and reason of each evicted entry
+ * @property {boolean|string|import('./broadcast.mjs').CacheCoordinatorOptions} [broadcast] - Share
+ *   sets and invalidations with caches in other tabs over a BroadcastChannel; a string names the channel
+ * @property {import('../core/session.mjs').Session} [session] - Session that `warm` prompts through
+ */
+
+/**
+ * @typedef {Object} CacheSetOptions
+ * @property {number} [ttl] - Time to live in milliseconds; Infinity never expires
+ * @property {string[]} [tags] - Tags to invalidate the entry by, such as the template
+ *   or model it depends on
+ */
+
 /**
- * Simple distributed caching system with TTL support
+ * Simple distributed caching system with TTL support. Entries live in a
+ * pluggable store: memory (the default), localStorage, sessionStorage,
+ * IndexedDB or the file system. Limits on entries and bytes are enforced
+ * by evicting entries according to a policy. Entries can be tagged, and
+ * invalidated by tag, key prefix or pattern. With `broadcast`, caches in
+ * other tabs see each other's sets and invalidations.
  */
 class DistributedCache {
+  /**
+   * Create a new DistributedCache instance
+   * @param {DistributedCacheOptions} [options] - Cache options
+   * @throws {Error} If the eviction policy is unknown, or broadcast is set without BroadcastChannel
+   */
   constructor(options = {}) {
     this.defaultTTL = options.defaultTTL || 3600000; // 1 hour default
-    this.store = new Map();
+    this.store = createStore(options.store);
+    this.maxEntries = options.maxEntries ?? Infinity;
+    this.maxBytes = options.maxBytes ?? Infinity;
+    this.eviction = options.eviction ?? 'lru';
+    if (!POLICIES[this.eviction]) {
+      throw new Error(`Unknown eviction policy: ${this.eviction}`);
+    }
+    this.onEvict = options.onEvict;
+    this.session = options.session;
+    this.staleWhileRevalidate = options.staleWhileRevalidate ?? 0;
+
+    // Size, expiry and usage of every entry, kept in memory whatever the store
+    this.index = new Map();
+    // Keys of the entries with each tag
+    this.tags = new Map();
+    this.bytes = 0;
+    this.clock = 0;
+    this.evictions = { capacity: 0, expired: 0 };
+    this.loading = null;
+    // Whether the index holds every entry in the store
+    this.loaded = false;
+
+    this.sweepTimer = null;
+    if (options.sweepInterval) {
+      this.sweepTimer = setInterval(() => {
+        this.prune().catch(() => {});
+      }, options.sweepInterval);
+      // Don't keep Node.js alive just to sweep
+      this.sweepTimer.unref?.();
+    }
+
+    this.coordinator = null;
+    if (options.broadcast) {
+      const broadcast = options.broadcast === true ? {} : options.broadcast;
+      this.coordinator = new CacheCoordinator(
+        this,
+        typeof broadcast === 'string' ? { channel: broadcast } : broadcast
+      );
+    }
+  }
+
+  /**
+   * Build the index from the entries already in the store, once
+   * @private
+   * @returns {Promise<void>}
+   */
+  _ready() {
+    this.loading ??= this._load().then(() => {
+      this.loaded = true;
+    }, error => {
+      // Let the next call try again
+      this.loading = null;
+      throw error;
+    });
+    return this.loading;
+  }
+
+  /**
+   * Add the entries in the store that aren't in the index yet
+   * @private
+   * @param {string[]} [keys] - Keys in the store, listed if not given
+   * @returns {Promise<void>}
+   */
+  async _load(keys) {
+    for (const key of keys ?? await this.store.keys()) {
+      if (!this.index.has(key) && !isMetadata(key)) {
+        const entry = await this.store.get(key);
+        if (entry && !this.index.has(key)) {
+          this._track(key, entry);
+        }
+      }
+    }
+  }
+
+  /**
+   * Add or replace an entry in the index
+   * @private
+   * @param {string} key - Cache key
+   * @param {import('./stores.mjs').CacheEntry} entry - Entry
+   * @returns {Object} Index record
+   */
+  _track(key, entry) {
+    this._untrack(key);
+    const tick = ++this.clock;
+    const record = {
+      size: sizeOf(entry.value),
+      expires: entry.expires,
+      tags: entry.tags ?? [],
+      hits: 0,
+      created: tick,
+      lastAccess: tick
+    };
+    this.index.set(key, record);
+    this.bytes += record.size;
+    for (const tag of record.tags) {
+      if (!this.tags.has(tag)) {
+        this.tags.set(tag, new Set());
+      }
+      this.tags.get(tag).add(key);
+    }
+    return record;
+  }
+
+  /**
+   * Remove an entry from the index
+   * @private
+   * @param {string} key - Cache key
+   */
+  _untrack(key) {
+    const record = this.index.get(key);
+    if (record) {
+      this.bytes -= record.size;
+      this.index.delete(key);
+      for (const tag of record.tags) {
+        const keys = this.tags.get(tag);
+        keys?.delete(key);
+        if (keys?.size === 0) {
+          this.tags.delete(tag);
+        }
+      }
+    }
+  }
+
+  /**
+   * Bring the index up to date with the store, which other caches may write to
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _sync() {
+    const keys = await this.store.keys();
+    const present = new Set(keys);
+    for (const key of [...this.index.keys()]) {
+      if (!present.has(key)) {
+        this._untrack(key);
+      }
+    }
+    await this._load(keys);
+  }
+
+  /**
+   * Forget every entry in the index
+   * @private
+   */
+  _untrackAll() {
+    this.index.clear();
+    this.tags.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * Remove every entry from the store, keeping its metadata
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _clearStore() {
+    const metadata = [];
+    for (const key of await this.store.keys()) {
+      if (isMetadata(key)) {
+        metadata.push([key, await this.store.get(key)]);
+      }
+    }
+    await this.store.clear();
+    for (const [key, entry] of metadata) {
+      await this.store.set(key, entry);
+    }
+  }
+
+  /**
+   * Remove an entry from the store and count it as evicted
+   * @private
+   * @param {string} key - Cache key
+   * @param {('capacity'|'expired')} reason - Why it goes
+   * @param {any} [value] - Value, read from the store if not given
+   */
+  async _evict(key, reason, value) {
+    const tracked = this.index.has(key);
+    this._untrack(key);
+    if (!tracked && value === undefined) {
+      // Already evicted by a concurrent call
+      return;
+    }
+    if (value === undefined && this.onEvict) {
+      value = (await this.store.get(key))?.value;
+    }
+    await this.store.delete(key);
+    this.evictions[reason]++;
+    this.onEvict?.(key, value, reason);
+  }
+
+  /**
+   * Check whether an entry has expired, and is past the time it may be used as stale
+   * @private
+   * @param {{expires: (number|null)}} entry - Entry or index record
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {boolean} True if expired
+   */
+  _expired(entry, now = Date.now()) {
+    return entry.expires !== null && now > entry.expires + this.staleWhileRevalidate;
+  }
+
+  /**
+   * Evict entries until the limits are met, expired ones first
+   * @private
+   * @param {string} added - Key just written; it is kept, or LFU would always evict it
+   * @returns {Promise<void>}
+   */
+  async _enforceLimits(added) {
+    if (this.index.size <= this.maxEntries && this.bytes <= this.maxBytes) {
+      return;
+    }
+    await this.prune();
+
+    while (this.index.size > this.maxEntries || this.bytes > this.maxBytes) {
+      const victim = this._victim(added);
+      if (victim === undefined) {
+        break;
+      }
+      await this._evict(victim, 'capacity');
+    }
+  }
+
+  /**
+   * Pick the entry the eviction policy removes next
+   * @private
+   * @param {string} kept - Key that is never picked
+   * @returns {string|undefined} Key, undefined if there is no other entry
+   */
+  _victim(kept) {
+    const compare = POLICIES[this.eviction];
+    let victim;
+    for (const [key, record] of this.index) {
+      if (key !== kept && (!victim || compare(record, victim[1]) < 0)) {
+        victim = [key, record];
+      }
+    }
+    return victim?.[0];
+  }
+
+  /**
+   * Write an entry to the store. When the store is full, expired entries and
+   * then entries picked by the eviction policy are removed until it fits.
+   * @private
+   * @param {string} key - Cache key
+   * @param {import('./stores.mjs').CacheEntry} entry - Entry
+   * @returns {Promise<boolean>} True if written, false if the store is full even without the other entries
+   */
+  async _write(key, entry) {
+    let pruned = false;
+    for (;;) {
+      try {
+        await this.store.set(key, entry);
+        return true;
+      } catch (error) {
+        if (!isQuotaError(error)) {
+          throw error;
+        }
+      }
+      if (!pruned) {
+        pruned = true;
+        if (await this.prune() > 0) {
+          continue;
+        }
+      }
+      const victim = this._victim(key);
+      if (victim === undefined) {
+        return false;
+      }
+      await this._evict(victim, 'capacity');
+    }
+  }
+
+  /**
+   * Give up on caching a value that doesn't fit, counting it as evicted. An
+   * older value under the same key is removed, since it is out of date.
+   * @private
+   * @param {string} key - Cache key
+   * @param {any} value - Value
+   * @returns {Promise<void>}
+   */
+  async _drop(key, value) {
+    if (this.index.has(key)) {
+      await this.delete(key);
+    }
+    this.evictions.capacity++;
+    this.onEvict?.(key, value, 'capacity');
   }
 
   /**
    * Set a value in the cache
    * @param {string} key Cache key
    * @param {any} value Cache value
-   * @param {number} ttl Time to live in milliseconds (optional)
+   * @param {number|CacheSetOptions} [options] Time to live in milliseconds, or options
    */
-  async set(key, value, ttl = this.defaultTTL) {
-    const expires = Date.now() + ttl;
-    this.store.set(key, {
-      value,
-      expires
-    });
+  async set(key, value, options = {}) {
+    await this._ready();
+    const { ttl = this.defaultTTL, tags } = typeof options === 'number' ? { ttl: options } : options;
+    // Infinity doesn't survive JSON, so stores see null for entries that never expire
+    const expires = ttl === Infinity ? null : Date.now() + ttl;
+    const entry = tags?.length ? { value, expires, tags: [...new Set(tags)] } : { value, expires };
+
+    // An entry bigger than the whole budget would only push everything else out
+    if (sizeOf(value) > this.maxBytes) {
+      await this._drop(key, value);
+      return;
+    }
+
+    // Only track what the store holds, or a failed write would count toward the limits
+    if (!await this._write(key, entry)) {
+      await this._drop(key, value);
+      return;
+    }
+    this._track(key, entry);
+    this.coordinator?.post({ type: 'set', key, entry });
+    await this._enforceLimits(key);
   }
 
   /**
@@ -27,18 +443,34 @@ class DistributedCache {
    * @returns {Promise<any>} Cache value
    */
   async get(key) {
-    const entry = this.store.get(key);
-    
+    const entry = await this.lookup(key);
+    return entry && !entry.stale ? entry.value : undefined;
+  }
+
+  /**
+   * Get a value from the cache, including one that expired less than
+   * `staleWhileRevalidate` milliseconds ago
+   * @param {string} key Cache key
+   * @returns {Promise<{value: any, stale: boolean}|undefined>} Value, and whether it has expired
+   */
+  async lookup(key) {
+    await this._ready();
+    const entry = await this.store.get(key);
+
     if (!entry) {
+      this._untrack(key);
       return undefined;
     }
 
-    if (Date.now() > entry.expires) {
-      this.store.delete(key);
+    if (this._expired(entry)) {
+      await this._evict(key, 'expired', entry.value);
       return undefined;
     }
 
-    return entry.value;
+    const record = this.index.get(key) ?? this._track(key, entry);
+    record.hits++;
+    record.lastAccess = ++this.clock;
+    return { value: entry.value, stale: entry.expires !== null && Date.now() > entry.expires };
   }
 
   /**
@@ -46,14 +478,240 @@ class DistributedCache {
    * @param {string} key Cache key
    */
   async delete(key) {
-    this.store.delete(key);
+    await this._ready();
+    this._untrack(key);
+    await this.store.delete(key);
+    this.coordinator?.post({ type: 'delete', key });
   }
 
   /**
    * Clear the cache
    */
   async clear() {
-    this.store.clear();
+    await this._ready();
+    this._untrackAll();
+    await this._clearStore();
+    this.coordinator?.post({ type: 'clear' });
+  }
+
+  /**
+   * Delete every entry whose key and index record pass a test
+   * @private
+   * @param {function(string, Object): boolean} test - Test
+   * @returns {Promise<number>} Number of entries deleted
+   */
+  async _deleteWhere(test) {
+    await this._ready();
+    // Another tab or process may have written or deleted entries since the index was built
+    await this._sync();
+    const keys = [...this.index].filter(([key, record]) => test(key, record)).map(([key]) => key);
+    for (const key of keys) {
+      this._untrack(key);
+      await this.store.delete(key);
+    }
+    if (keys.length > 0) {
+      this.coordinator?.post({ type: 'invalidate', keys });
+    }
+    return keys.length;
+  }
+
+  /**
+   * Delete every entry with a tag
+   * @param {string} tag Tag given to `set`
+   * @returns {Promise<number>} Number of entries deleted
+   */
+  async invalidateTag(tag) {
+    return this._deleteWhere(key => this.tags.get(tag)?.has(key));
+  }
+
+  /**
+   * Delete every entry whose key starts with a prefix
+   * @param {string} prefix Key prefix, such as `'default:prompt_'` for a namespace's prompts
+   * @returns {Promise<number>} Number of entries deleted
+   */
+  async invalidatePrefix(prefix) {
+    return this._deleteWhere(key => key.startsWith(prefix));
+  }
+
+  /**
+   * Delete every entry whose key matches a pattern
+   * @param {string|RegExp} pattern Glob matching whole keys, where `*` matches any run of
+   *   characters and `?` any one character, or a regular expression
+   * @returns {Promise<number>} Number of entries deleted
+   */
+  async deletePattern(pattern) {
+    const regExp = toRegExp(pattern);
+    return this._deleteWhere(key => regExp.test(key));
+  }
+
+  /**
+   * Record the version of something entries depend on, such as a model, and
+   * invalidate the entries tagged with it when the version changes. The version
+   * is kept in the store under `version:<tag>`, so a persistent store notices
+   * changes between page loads. It is not an entry, so it is never evicted,
+   * invalidated or cleared.
+   * @param {string} tag Tag of the entries that depend on it
+   * @param {string} version Current version
+   * @returns {Promise<number>} Number of entries deleted
+   */
+  async checkVersion(tag, version) {
+    const key = `version:${tag}`;
+    const previous = await this.getMetadata(key);
+    if (previous === version) {
+      return 0;
+    }
+    const removed = previous === undefined ? 0 : await this.invalidateTag(tag);
+    await this.setMetadata(key, version);
+    return removed;
+  }
+
+  /**
+   * Read metadata kept in the store next to the entries
+   * @param {string} key Key, starting with `version:` or `warm:`
+   * @returns {Promise<any>} Value, undefined if there is none
+   * @throws {Error} If the key is not a metadata key
+   */
+  async getMetadata(key) {
+    await this._ready();
+    this._checkMetadataKey(key);
+    return (await this.store.get(key))?.value;
+  }
+
+  /**
+   * Keep metadata in the store next to the entries. It never expires and
+   * doesn't count toward the limits.
+   * @param {string} key Key, starting with `version:` or `warm:`
+   * @param {any} value Value
+   * @returns {Promise<void>}
+   * @throws {Error} If the key is not a metadata key
+   */
+  async setMetadata(key, value) {
+    await this._ready();
+    this._checkMetadataKey(key);
+    await this.store.set(key, { value, expires: null });
+  }
+
+  /**
+   * Remove metadata from the store
+   * @param {string} key Key, starting with `version:` or `warm:`
+   * @returns {Promise<void>}
+   * @throws {Error} If the key is not a metadata key
+   */
+  async deleteMetadata(key) {
+    await this._ready();
+    this._checkMetadataKey(key);
+    await this.store.delete(key);
+  }
+
+  /**
+   * Make sure a key is kept apart from the entries
+   * @private
+   * @param {string} key - Key
+   * @throws {Error} If the key is not a metadata key
+   */
+  _checkMetadataKey(key) {
+    if (!isMetadata(key)) {
+      throw new Error(`Metadata keys start with ${METADATA_PREFIXES.join(' or ')}: ${key}`);
+    }
+  }
+
+  /**
+   * Pre-compute the responses to the prompts in a manifest, through a session at
+   * background priority and in idle time. An interrupted run resumes where it stopped.
+   * @param {import('./warmer.mjs').WarmManifest} manifest Templates with sets of variables, and prompts
+   * @param {import('./warmer.mjs').WarmOptions} [options] Session, signal, progress callback and pacing
+   * @returns {Promise<import('./warmer.mjs').WarmReport>} What was warmed, skipped or failed
+   * @throws {Error} If there is no session, or an AbortError if the signal aborts
+   */
+  async warm(manifest, options = {}) {
+    const session = options.session ?? this.session;
+    if (!session) {
+      throw new Error('Warming the cache needs a session to prompt through');
+    }
+    return new CacheWarmer(this, session).run(manifest, options);
+  }
+
+  /**
+   * Apply a set or invalidation broadcast by a cache in another tab. Persistent
+   * stores are shared between tabs already, so only the index is updated for them.
+   * @private
+   * @param {{type: ('set'|'delete'|'invalidate'|'clear'), key?: string, keys?: string[],
+   *   entry?: import('./stores.mjs').CacheEntry}} message - Message
+   * @returns {Promise<void>}
+   */
+  async _receive(message) {
+    await this._ready();
+    const shared = this.store.persistent;
+    switch (message.type) {
+    case 'set':
+      if (!shared && !await this._write(message.key, message.entry)) {
+        // Full here, though not in the tab that set it
+        await this._evict(message.key, 'capacity', message.entry.value);
+        break;
+      }
+      this._track(message.key, message.entry);
+      await this._enforceLimits(message.key);
+      break;
+    case 'delete':
+      this._untrack(message.key);
+      if (!shared) {
+        await this.store.delete(message.key);
+      }
+      break;
+    case 'invalidate':
+      for (const key of message.keys) {
+        this._untrack(key);
+        if (!shared) {
+          await this.store.delete(key);
+        }
+      }
+      break;
+    case 'clear':
+      this._untrackAll();
+      if (!shared) {
+        await this._clearStore();
+      }
+      break;
+    }
+  }
+
+  /**
+   * Compute a value once across tabs. Without broadcast this just calls produce.
+   * @param {string} key - Cache key
+   * @param {function(): Promise<any>} produce - Computes the value
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Signal that stops waiting for another tab
+   * @returns {Promise<{value: any, shared: boolean}>} Value, and whether another tab computed it
+   */
+  async coordinate(key, produce, options) {
+    if (!this.coordinator) {
+      return { value: await produce(), shared: false };
+    }
+    return this.coordinator.run(key, produce, options);
+  }
+
+  /**
+   * Remove every expired entry
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async prune() {
+    await this._ready();
+    const now = Date.now();
+    const expired = [...this.index].filter(([, record]) => this._expired(record, now));
+    for (const [key] of expired) {
+      await this._evict(key, 'expired');
+    }
+    return expired.length;
+  }
+
+  /**
+   * Stop the periodic sweep and cross-tab sharing
+   */
+  destroy() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+    this.coordinator?.close();
+    this.coordinator = null;
   }
 
   /**
@@ -61,9 +719,26 @@ class DistributedCache {
    * @returns {Object} Cache statistics
    */
   getStats() {
+    if (!this.loaded) {
+      // Start loading, so later stats count every entry
+      this._ready().catch(() => {});
+    }
     return {
-      size: this.store.size,
-      defaultTTL: this.defaultTTL
+      // Until the index has loaded, only stores like memory can count their entries
+      size: this.loaded ? this.index.size : this.store.size ?? this.index.size,
+      bytes: this.bytes,
+      tags: this.tags.size,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      eviction: this.eviction,
+      evictions: {
+        ...this.evictions,
+        total: this.evictions.capacity + this.evictions.expired
+      },
+      defaultTTL: this.defaultTTL,
+      staleWhileRevalidate: this.staleWhileRevalidate,
+      persistent: this.store.persistent,
+      broadcast: this.coordinator !== null
     };
   }
 }
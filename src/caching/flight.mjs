@@ -0,0 +1,108 @@
+/**
+ * Single-flight coalescing: concurrent callers with the same key share one computation
+ * @module flight
+ */
+
+import { abortable, throwIfAborted } from '../utils/abort.mjs';
+
+/**
+ * Shares one in-flight computation between every caller asking for the same key.
+ *
+ * The computation gets its own signal, aborted only once every caller waiting
+ * for it has aborted, so one caller giving up does not fail the others.
+ */
+class SingleFlight {
+  constructor() {
+    /** @type {Map<string, {controller: AbortController, promise: Promise<any>, waiting: number, settled: boolean}>} */
+    this.flights = new Map();
+  }
+
+  /**
+   * Number of computations in flight
+   * @type {number}
+   */
+  get size() {
+    return this.flights.size;
+  }
+
+  /**
+   * Check whether a computation is in flight
+   * @param {string} key - Key identifying the computation
+   * @returns {boolean} True if in flight
+   */
+  has(key) {
+    return this.flights.has(key);
+  }
+
+  /**
+   * Get the result of a computation, starting it unless one is in flight for the key
+   * @param {string} key - Key identifying the computation
+   * @param {function(AbortSignal): Promise<any>} produce - Computation, given the flight's signal
+   * @param {Object} [options] - Options
+   * @param {AbortSignal} [options.signal] - Stops this caller waiting
+   * @param {function(any): Promise<any>} [options.until] - Keeps the flight open to later callers
+   *   until the returned promise settles, for results that are still being produced such as streams
+   * @returns {Promise<{value: any, shared: boolean}>} Result, and whether another caller started it
+   * @throws {Error} What the computation throws, or an AbortError if the signal aborts
+   */
+  async run(key, produce, options = {}) {
+    const { signal } = options;
+    throwIfAborted(signal);
+
+    let flight = this.flights.get(key);
+    const shared = flight !== undefined;
+    if (!shared) {
+      flight = this._start(key, produce, options.until);
+    }
+
+    flight.waiting++;
+    try {
+      return { value: await abortable(flight.promise, signal), shared };
+    } finally {
+      flight.waiting--;
+      if (signal?.aborted && flight.waiting === 0 && !flight.settled) {
+        flight.controller.abort(signal.reason);
+      }
+    }
+  }
+
+  /**
+   * Abort every computation in flight
+   * @param {any} [reason] - Abort reason
+   */
+  abort(reason) {
+    this.flights.forEach(flight => flight.controller.abort(reason));
+    this.flights.clear();
+  }
+
+  /**
+   * Start a computation and remove it once done
+   * @private
+   */
+  _start(key, produce, until) {
+    const controller = new AbortController();
+    const flight = { controller, waiting: 0, settled: false };
+    flight.promise = Promise.resolve().then(() => produce(controller.signal));
+    this.flights.set(key, flight);
+
+    flight.promise
+      .then(
+        (value) => {
+          flight.settled = true;
+          return until?.(value);
+        },
+        () => {
+          flight.settled = true;
+        }
+      )
+      .catch(() => {})
+      .finally(() => {
+        if (this.flights.get(key) === flight) {
+          this.flights.delete(key);
+        }
+      });
+    return flight;
+  }
+}
+
+export { SingleFlight };
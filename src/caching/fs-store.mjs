@@ -0,0 +1,102 @@
+/**
+ * File system storage backend for DistributedCache, for Node.js
+ * @module fs-store
+ */
+
+import { mkdir, readFile, readdir, rename, rm, writeFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { join } from 'node:path';
+
+// Numbers temporary files, so concurrent writes of one key don't collide
+let writes = 0;
+
+/**
+ * Keeps each entry in a JSON file of its own in a directory. File names are
+ * hashes of the keys, so any key can be stored; the key is kept in the file.
+ * @implements {import('./stores.mjs').CacheStore}
+ */
+class FileSystemStore {
+  /**
+   * Create a new FileSystemStore instance
+   * @param {string} directory - Directory for the cache files, created if missing
+   */
+  constructor(directory) {
+    if (!directory) {
+      throw new Error('FileSystemStore requires a directory');
+    }
+    this.directory = directory;
+    this.persistent = true;
+  }
+
+  /**
+   * Get the path of a key's file
+   * @private
+   * @param {string} key - Cache key
+   * @returns {string} File path
+   */
+  _path(key) {
+    return join(this.directory, `${createHash('sha256').update(key).digest('hex')}.json`);
+  }
+
+  /**
+   * List the cache files in the directory
+   * @private
+   * @returns {Promise<string[]>} File names
+   */
+  async _files() {
+    try {
+      return (await readdir(this.directory)).filter(name => name.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read a cache file
+   * @private
+   * @param {string} path - File path
+   * @returns {Promise<{key: string, entry: import('./stores.mjs').CacheEntry}|undefined>} Contents,
+   *   undefined if the file is missing or unreadable
+   */
+  async _read(path) {
+    try {
+      return JSON.parse(await readFile(path, 'utf8'));
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  async get(key) {
+    const data = await this._read(this._path(key));
+    return data?.key === key ? data.entry : undefined;
+  }
+
+  async set(key, entry) {
+    await mkdir(this.directory, { recursive: true });
+    const path = this._path(key);
+    // Write then rename, so readers never see half a file
+    const temporary = `${path}.${process.pid}.${++writes}.tmp`;
+    await writeFile(temporary, JSON.stringify({ key, entry }));
+    await rename(temporary, path);
+  }
+
+  async delete(key) {
+    await rm(this._path(key), { force: true });
+  }
+
+  async clear() {
+    const files = await this._files();
+    await Promise.all(files.map(name => rm(join(this.directory, name), { force: true })));
+  }
+
+  async keys() {
+    const files = await this._files();
+    const contents = await Promise.all(files.map(name => this._read(join(this.directory, name))));
+    return contents.filter(Boolean).map(({ key }) => key);
+  }
+}
+
+export { FileSystemStore };
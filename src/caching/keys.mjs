@@ -0,0 +1,100 @@
+/**
+ * Cache keys: SHA-256 hashes of a canonical serialization, in namespaces
+ * @module keys
+ */
+
+/**
+ * Namespace of keys when none is configured
+ * @type {string}
+ */
+const DEFAULT_NAMESPACE = 'default';
+
+/**
+ * WebCrypto, once found
+ * @private
+ * @type {Promise<SubtleCrypto|undefined>|undefined}
+ */
+let subtle;
+
+/**
+ * Find WebCrypto: the global one in browsers and recent Node.js, or the one from
+ * node:crypto in Node.js 18, whose ES modules have no global crypto
+ * @private
+ * @returns {Promise<SubtleCrypto|undefined>} SubtleCrypto, undefined where there is none
+ */
+function subtleCrypto() {
+  if (globalThis.crypto?.subtle) {
+    return Promise.resolve(globalThis.crypto.subtle);
+  }
+  subtle ??= import('node:crypto').then(({ webcrypto }) => webcrypto?.subtle, () => undefined);
+  return subtle;
+}
+
+/**
+ * Hash text or bytes with SHA-256 using WebCrypto
+ * @param {string|Uint8Array} data - Text, hashed as UTF-8, or bytes
+ * @returns {Promise<string>} Hex digest
+ * @throws {Error} If WebCrypto is missing, as on pages served over plain HTTP
+ */
+async function sha256(data) {
+  const crypto = await subtleCrypto();
+  if (!crypto) {
+    throw new Error('SHA-256 needs crypto.subtle, which browsers only provide in secure contexts');
+  }
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  const digest = new Uint8Array(await crypto.digest('SHA-256', bytes));
+  return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Serialize a value to JSON that is the same whatever order its object keys
+ * were added in. Undefined values and functions in objects are left out, as
+ * in JSON; numbers JSON can't hold are kept as strings so they stay distinct.
+ * @param {any} value - Value
+ * @returns {string} Canonical JSON
+ */
+function canonicalize(value) {
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    return JSON.stringify(String(value));
+  }
+  if (typeof value === 'bigint') {
+    return JSON.stringify(`${value}n`);
+  }
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+  if (typeof value.toJSON === 'function') {
+    return canonicalize(value.toJSON());
+  }
+  if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+    return `[${Array.from(value, canonicalize).join(',')}]`;
+  }
+  const keys = Object.keys(value)
+    .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+    .sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+}
+
+/**
+ * Create a cache key from everything that affects a cached value
+ * @param {Object} parts - Values the cached value depends on
+ * @param {Object} [options] - Key options
+ * @param {string} [options.prefix='key'] - Kind of value, such as 'prompt' or 'summarizer'
+ * @param {string} [options.namespace='default'] - Namespace of the key
+ * @returns {Promise<string>} Key in the form `namespace:prefix_hash`
+ */
+async function createCacheKey(parts, options = {}) {
+  const { prefix = 'key', namespace = DEFAULT_NAMESPACE } = options;
+  return `${namespace}:${prefix}_${await sha256(canonicalize(parts))}`;
+}
+
+/**
+ * Guess the version of the browser's built-in models. Browsers don't report
+ * it, but the models update with the browser, so the browser version stands in.
+ * @returns {string|undefined} Version such as 'Chrome/131.0.0.0', undefined outside Chrome
+ */
+function builtInModelVersion() {
+  return globalThis.navigator?.userAgent?.match(/Chrome\/[\d.]+/)?.[0];
+}
+
+export { DEFAULT_NAMESPACE, sha256, canonicalize, createCacheKey, builtInModelVersion };
@@ -0,0 +1,327 @@
+/**
+ * LZ77 compression of strings in pure JavaScript
+ * @module lz
+ */
+
+/**
+ * Version of the format, written as the first byte
+ * @private
+ * @type {number}
+ */
+const FORMAT = 1;
+
+/**
+ * Shortest match in bytes worth a reference; shorter repeats stay literals
+ * @private
+ * @type {number}
+ */
+const MIN_MATCH = 4;
+
+/**
+ * Longest match a single reference covers
+ * @private
+ * @type {number}
+ */
+const MAX_MATCH = 4096;
+
+/**
+ * Bits of the hash of the next MIN_MATCH bytes
+ * @private
+ * @type {number}
+ */
+const HASH_BITS = 15;
+
+/**
+ * How hard each level searches for matches: how far back, how many candidates
+ * per position, and whether to check if the next position has a longer match
+ * @type {Object<string, {window: number, chain: number, lazy: boolean}>}
+ */
+const LEVELS = {
+  fast: { window: 1 << 12, chain: 4, lazy: false },
+  default: { window: 1 << 15, chain: 32, lazy: true },
+  max: { window: 1 << 16, chain: 1024, lazy: true }
+};
+
+/**
+ * A byte buffer that grows as it is written
+ * @private
+ */
+class ByteWriter {
+  constructor(capacity = 1024) {
+    this.bytes = new Uint8Array(capacity);
+    this.length = 0;
+  }
+
+  byte(value) {
+    if (this.length === this.bytes.length) {
+      const bytes = new Uint8Array(this.bytes.length * 2);
+      bytes.set(this.bytes);
+      this.bytes = bytes;
+    }
+    this.bytes[this.length++] = value;
+  }
+
+  // Seven bits per byte, low bits first; the high bit marks that more follow
+  varint(value) {
+    while (value >= 0x80) {
+      this.byte((value % 0x80) | 0x80);
+      value = Math.floor(value / 0x80);
+    }
+    this.byte(value);
+  }
+
+  result() {
+    return this.bytes.subarray(0, this.length);
+  }
+}
+
+/**
+ * Encode a string as UTF-8. Unpaired surrogates are encoded like any other
+ * code point rather than replaced, so every string round-trips exactly.
+ * TextEncoder would replace them.
+ * @private
+ * @param {string} text - Text
+ * @returns {Uint8Array} Bytes
+ */
+function encodeUTF8(text) {
+  const out = new ByteWriter(text.length + 16);
+  for (let i = 0; i < text.length; i++) {
+    let code = text.charCodeAt(i);
+    if (code < 0x80) {
+      out.byte(code);
+      continue;
+    }
+    if (code < 0x800) {
+      out.byte(0xc0 | (code >> 6));
+    } else {
+      const low = text.charCodeAt(i + 1);
+      if (code >= 0xd800 && code < 0xdc00 && low >= 0xdc00 && low < 0xe000) {
+        code = 0x10000 + ((code - 0xd800) << 10) + (low - 0xdc00);
+        i++;
+        out.byte(0xf0 | (code >> 18));
+        out.byte(0x80 | ((code >> 12) & 0x3f));
+      } else {
+        out.byte(0xe0 | (code >> 12));
+      }
+      out.byte(0x80 | ((code >> 6) & 0x3f));
+    }
+    out.byte(0x80 | (code & 0x3f));
+  }
+  return out.result();
+}
+
+/**
+ * Decode bytes made by encodeUTF8
+ * @private
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Text
+ */
+function decodeUTF8(bytes) {
+  const codes = new Uint16Array(bytes.length);
+  let length = 0;
+  for (let i = 0; i < bytes.length;) {
+    const byte = bytes[i++];
+    if (byte < 0x80) {
+      codes[length++] = byte;
+    } else if (byte < 0xe0) {
+      codes[length++] = ((byte & 0x1f) << 6) | (bytes[i++] & 0x3f);
+    } else if (byte < 0xf0) {
+      codes[length++] = ((byte & 0x0f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+    } else {
+      const code = ((byte & 0x07) << 18) | ((bytes[i++] & 0x3f) << 12) |
+        ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+      codes[length++] = 0xd800 + ((code - 0x10000) >> 10);
+      codes[length++] = 0xdc00 + ((code - 0x10000) & 0x3ff);
+    }
+  }
+
+  let text = '';
+  for (let start = 0; start < length; start += 0x8000) {
+    text += String.fromCharCode.apply(null, codes.subarray(start, Math.min(start + 0x8000, length)));
+  }
+  return text;
+}
+
+/**
+ * Hash the MIN_MATCH bytes at a position
+ * @private
+ * @param {Uint8Array} bytes - UTF-8 bytes
+ * @param {number} i - Position
+ * @returns {number} Hash of HASH_BITS bits
+ */
+function hashAt(bytes, i) {
+  const mixed = bytes[i] | (bytes[i + 1] << 8) | (bytes[i + 2] << 16) | (bytes[i + 3] << 24);
+  return Math.imul(mixed, 0x9e3779b1) >>> (32 - HASH_BITS);
+}
+
+/**
+ * Compress a string. Works on its UTF-8 bytes, so any string round-trips
+ * exactly, including emoji and unpaired surrogates.
+ *
+ * The output is a format byte followed by tokens. A literal run is a varint of
+ * its length times two, then its bytes as they are. A match is a varint of its
+ * length less MIN_MATCH, times two plus one, then a varint of how far back it
+ * starts.
+ * @param {string} text - Text to compress
+ * @param {('fast'|'default'|'max')} [level='default'] - Effort spent finding matches
+ * @returns {Uint8Array} Compressed bytes
+ * @throws {Error} If the level is unknown
+ */
+function compressLZ(text, level = 'default') {
+  const settings = LEVELS[level];
+  if (!settings) {
+    throw new Error(`Unsupported compression level: ${level}`);
+  }
+  const { window, chain, lazy } = settings;
+  const mask = window - 1;
+
+  const codes = encodeUTF8(text);
+  const n = codes.length;
+  const head = new Int32Array(1 << HASH_BITS).fill(-1);
+  const previous = new Int32Array(window);
+  const out = new ByteWriter(Math.max(64, n >> 1));
+  out.byte(FORMAT);
+
+  const insert = (i) => {
+    if (i + MIN_MATCH <= n) {
+      const hash = hashAt(codes, i);
+      previous[i & mask] = head[hash];
+      head[hash] = i;
+    }
+  };
+
+  // Longest earlier match for the text at i, following the hash chain
+  const findMatch = (i) => {
+    if (i + MIN_MATCH > n) {
+      return undefined;
+    }
+    const limit = Math.min(MAX_MATCH, n - i);
+    let length = 0;
+    let distance = 0;
+    let candidate = head[hashAt(codes, i)];
+    for (let tries = chain; tries > 0 && candidate >= 0 && i - candidate < window; tries--) {
+      if (codes[candidate + length] === codes[i + length]) {
+        let matched = 0;
+        while (matched < limit && codes[candidate + matched] === codes[i + matched]) {
+          matched++;
+        }
+        if (matched > length) {
+          length = matched;
+          distance = i - candidate;
+          if (matched === limit) {
+            break;
+          }
+        }
+      }
+      candidate = previous[candidate & mask];
+    }
+    return length >= MIN_MATCH ? { length, distance } : undefined;
+  };
+
+  let literalStart = 0;
+  const flushLiterals = (end) => {
+    if (end > literalStart) {
+      out.varint((end - literalStart) * 2);
+      for (let j = literalStart; j < end; j++) {
+        out.byte(codes[j]);
+      }
+    }
+  };
+
+  let i = 0;
+  while (i < n) {
+    const match = findMatch(i);
+    insert(i);
+    if (!match) {
+      i++;
+      continue;
+    }
+    // A longer match one position on is worth a literal
+    if (lazy && match.length < MAX_MATCH) {
+      const next = findMatch(i + 1);
+      if (next && next.length > match.length) {
+        i++;
+        continue;
+      }
+    }
+
+    flushLiterals(i);
+    out.varint((match.length - MIN_MATCH) * 2 + 1);
+    out.varint(match.distance);
+    for (let j = i + 1; j < i + match.length; j++) {
+      insert(j);
+    }
+    i += match.length;
+    literalStart = i;
+  }
+  flushLiterals(n);
+
+  return out.result();
+}
+
+/**
+ * Decompress bytes made by compressLZ
+ * @param {Uint8Array} bytes - Compressed bytes
+ * @returns {string} Original text
+ * @throws {Error} If the data is not in this format or is corrupt
+ */
+function decompressLZ(bytes) {
+  if (bytes[0] !== FORMAT) {
+    throw new Error('Unsupported LZ data format');
+  }
+
+  let pos = 1;
+  const varint = () => {
+    let value = 0;
+    let scale = 1;
+    let byte;
+    do {
+      if (pos >= bytes.length) {
+        throw new Error('Corrupt LZ data: unexpected end');
+      }
+      byte = bytes[pos++];
+      value += (byte & 0x7f) * scale;
+      scale *= 0x80;
+    } while (byte & 0x80);
+    return value;
+  };
+
+  let codes = new Uint8Array(Math.max(64, bytes.length * 2));
+  let length = 0;
+  const reserve = (count) => {
+    if (length + count > codes.length) {
+      const grown = new Uint8Array(Math.max(codes.length * 2, length + count));
+      grown.set(codes.subarray(0, length));
+      codes = grown;
+    }
+  };
+
+  while (pos < bytes.length) {
+    const token = varint();
+    if (token % 2 === 0) {
+      const count = token / 2;
+      if (pos + count > bytes.length) {
+        throw new Error('Corrupt LZ data: unexpected end');
+      }
+      reserve(count);
+      codes.set(bytes.subarray(pos, pos + count), length);
+      pos += count;
+      length += count;
+    } else {
+      const count = (token - 1) / 2 + MIN_MATCH;
+      const distance = varint();
+      if (distance === 0 || distance > length) {
+        throw new Error('Corrupt LZ data: reference before the start');
+      }
+      reserve(count);
+      // Copy one at a time, since a match may overlap the text it produces
+      for (let j = 0; j < count; j++, length++) {
+        codes[length] = codes[length - distance];
+      }
+    }
+  }
+
+  return decodeUTF8(codes.subarray(0, length));
+}
+
+export { LEVELS, compressLZ, decompressLZ };
@@ -0,0 +1,301 @@
+/**
+ * Semantic caching: answer paraphrased prompts from responses to similar ones
+ * @module semantic
+ */
+
+/**
+ * Words too common to say anything about a prompt
+ * @private
+ * @type {Set<string>}
+ */
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'could', 'did', 'do', 'does',
+  'for', 'from', 'had', 'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my',
+  'of', 'on', 'or', 'please', 'so', 'tell', 'that', 'the', 'their', 'there', 'these', 'this',
+  'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with',
+  'would', 'you', 'your'
+]);
+
+/**
+ * Hash a string to 32 bits with FNV-1a
+ * @private
+ * @param {string} text - Text
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Split text into lowercase words without accents or stop words, with plural 's' removed
+ * @param {string} text - Text
+ * @returns {string[]} Words
+ */
+function tokenize(text) {
+  const words = String(text).toLowerCase().normalize('NFKD').replace(/\p{M}/gu, '').match(/[\p{L}\p{N}]+/gu) ?? [];
+  return words
+    .filter(word => (word.length > 1 || /\d/.test(word)) && !STOP_WORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {ArrayLike<number>} a - First vector
+ * @param {ArrayLike<number>} b - Second vector
+ * @returns {number} Similarity from -1 to 1, 0 if either vector is all zeros
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * An offline embedder using feature hashing and TF-IDF. Words, their
+ * character trigrams and pairs of adjacent words are hashed into a fixed
+ * number of dimensions, weighted by log term frequency and by inverse document
+ * frequency learned from the texts passed to learn(). The word pairs keep
+ * prompts such as "USD to EUR" and "EUR to USD" apart.
+ */
+class HashingEmbedder {
+  /**
+   * Create a new HashingEmbedder instance
+   * @param {Object} [options] - Embedder options
+   * @param {number} [options.dimensions=1024] - Vector length
+   * @param {number} [options.trigramWeight=0.5] - Weight of character trigrams relative to
+   *   whole words; trigrams make the embedding tolerant of typos and word forms
+   * @param {number} [options.bigramWeight=1] - Weight of pairs of adjacent words relative to
+   *   whole words; pairs make the embedding sensitive to word order
+   */
+  constructor(options = {}) {
+    this.dimensions = options.dimensions ?? 1024;
+    this.trigramWeight = options.trigramWeight ?? 0.5;
+    this.bigramWeight = options.bigramWeight ?? 1;
+    this.documents = 0;
+    this.documentFrequency = new Map();
+    this.embed = this.embed.bind(this);
+  }
+
+  /**
+   * Count the hashed features of a text
+   * @private
+   * @param {string} text - Text
+   * @returns {Map<number, number>} Weighted feature count per signed bucket (bucket + 1, negated
+   *   for features hashed to the negative sign)
+   */
+  _features(text) {
+    const features = new Map();
+    const add = (feature, weight) => {
+      const hash = fnv1a(feature);
+      // The top bit picks a sign, so colliding features tend to cancel out rather than add up
+      const bucket = ((hash % this.dimensions) + 1) * (hash & 0x80000000 ? -1 : 1);
+      features.set(bucket, (features.get(bucket) ?? 0) + weight);
+    };
+    const words = tokenize(text);
+    words.forEach((word, i) => {
+      add(`w:${word}`, 1);
+      const padded = `^${word}$`;
+      for (let j = 0; j + 3 <= padded.length; j++) {
+        add(`t:${padded.slice(j, j + 3)}`, this.trigramWeight);
+      }
+      if (i > 0) {
+        add(`b:${words[i - 1]} ${word}`, this.bigramWeight);
+      }
+    });
+    return features;
+  }
+
+  /**
+   * Update the document frequencies with a text
+   * @param {string} text - Text
+   */
+  learn(text) {
+    this.documents++;
+    for (const bucket of this._features(text).keys()) {
+      this.documentFrequency.set(bucket, (this.documentFrequency.get(bucket) ?? 0) + 1);
+    }
+  }
+
+  /**
+   * Embed a text
+   * @param {string} text - Text
+   * @returns {Promise<Float32Array>} Unit-length vector, all zeros for text without words
+   */
+  async embed(text) {
+    const vector = new Float32Array(this.dimensions);
+    for (const [bucket, count] of this._features(text)) {
+      const idf = Math.log((1 + this.documents) / (1 + (this.documentFrequency.get(bucket) ?? 0))) + 1;
+      const index = Math.abs(bucket) - 1;
+      vector[index] += Math.sign(bucket) * (1 + Math.log(count)) * idf;
+    }
+    // A loop rather than Math.hypot(...vector), which spreads every dimension into arguments
+    let sum = 0;
+    for (let i = 0; i < vector.length; i++) {
+      sum += vector[i] * vector[i];
+    }
+    const norm = Math.sqrt(sum);
+    if (norm > 0) {
+      for (let i = 0; i < vector.length; i++) {
+        vector[i] /= norm;
+      }
+    }
+    return vector;
+  }
+}
+
+/**
+ * @typedef {Object} SemanticMatch
+ * @property {any} value - Cached value
+ * @property {number} score - Similarity between the query and the cached text
+ * @property {string} text - Text the value was cached for
+ */
+
+/**
+ * A cache looked up by meaning rather than exact text. Texts are embedded and
+ * the most similar entry in the same scope is returned if its similarity
+ * reaches the threshold.
+ */
+class SemanticCache {
+  /**
+   * Create a new SemanticCache instance
+   * @param {Object} [options] - Cache options
+   * @param {function(string): Promise<ArrayLike<number>>|{embed: Function, learn?: Function}} [options.embedder] -
+   *   Embedding function, or an object with an `embed` method. Defaults to a HashingEmbedder.
+   * @param {number} [options.threshold=0.85] - Lowest similarity that counts as a hit
+   * @param {number} [options.maxEntries=500] - Most entries kept; the least recently used go first
+   * @param {number} [options.ttl=3600000] - Time to live in milliseconds
+   */
+  constructor(options = {}) {
+    this.embedder = options.embedder ?? new HashingEmbedder();
+    this.threshold = options.threshold ?? 0.85;
+    this.maxEntries = options.maxEntries ?? 500;
+    this.ttl = options.ttl ?? 3600000;
+    this.entries = new Map();
+    this.nextId = 0;
+    // Texts the embedder has learned from; vectors embedded at another count are out of date
+    this.learned = 0;
+  }
+
+  /**
+   * Embed a text with the configured embedder
+   * @private
+   * @param {string} text - Text
+   * @returns {Promise<ArrayLike<number>>} Vector
+   */
+  async _embed(text) {
+    return typeof this.embedder === 'function' ? this.embedder(text) : this.embedder.embed(text);
+  }
+
+  /**
+   * Find the most similar cached text
+   * @param {string} text - Query text
+   * @param {Object} [options] - Lookup options
+   * @param {string} [options.scope=''] - Only entries stored with the same scope match
+   * @param {number} [options.threshold] - Overrides the cache's threshold
+   * @returns {Promise<SemanticMatch|undefined>} Best match at or above the threshold
+   */
+  async get(text, options = {}) {
+    const { scope = '', threshold = this.threshold } = options;
+    const vector = await this._embed(text);
+    const now = Date.now();
+
+    let best;
+    for (const [id, entry] of this.entries) {
+      if (now > entry.expires) {
+        this.entries.delete(id);
+        continue;
+      }
+      if (entry.scope !== scope) {
+        continue;
+      }
+      if (entry.learned !== this.learned) {
+        // Learning has changed the weights since, so embed the text again to compare like with like
+        entry.vector = await this._embed(entry.text);
+        entry.learned = this.learned;
+      }
+      const score = cosineSimilarity(vector, entry.vector);
+      if (!best || score > best.score) {
+        best = { id, entry, score };
+      }
+    }
+    if (!best || best.score < threshold) {
+      return undefined;
+    }
+
+    // Move to the end, so the least recently used entry comes first
+    this.entries.delete(best.id);
+    this.entries.set(best.id, best.entry);
+    return { value: best.entry.value, score: best.score, text: best.entry.text };
+  }
+
+  /**
+   * Cache a value for a text
+   * @param {string} text - Text
+   * @param {any} value - Value
+   * @param {Object} [options] - Store options
+   * @param {string} [options.scope=''] - Scope the entry can be found in
+   * @param {number} [options.ttl] - Time to live in milliseconds
+   * @param {string[]} [options.tags] - Tags to invalidate the entry by
+   * @returns {Promise<void>}
+   */
+  async set(text, value, options = {}) {
+    const { scope = '', ttl = this.ttl, tags = [] } = options;
+    if (this.embedder.learn) {
+      this.embedder.learn(text);
+      this.learned++;
+    }
+    const vector = await this._embed(text);
+    this.entries.set(this.nextId++, { text, value, scope, tags, vector, learned: this.learned, expires: Date.now() + ttl });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remove every entry with a tag
+   * @param {string} tag - Tag given to `set`
+   * @returns {number} Number of entries removed
+   */
+  invalidateTag(tag) {
+    let removed = 0;
+    for (const [id, entry] of this.entries) {
+      if (entry.tags.includes(tag)) {
+        this.entries.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Remove every entry
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {{size: number, threshold: number, maxEntries: number}} Statistics
+   */
+  getStats() {
+    return {
+      size: this.entries.size,
+      threshold: this.threshold,
+      maxEntries: this.maxEntries
+    };
+  }
+}
+
+export { SemanticCache, HashingEmbedder, cosineSimilarity, tokenize };
@@ -0,0 +1,272 @@
+/**
+ * Storage backends for DistributedCache
+ * @module stores
+ */
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {any} value - Cached value; persistent stores need it to survive JSON or structured cloning
+ * @property {number|null} expires - Expiry time in milliseconds since epoch, null for never
+ * @property {string[]} [tags] - Tags the entry can be invalidated by
+ */
+
+/**
+ * Interface every cache store implements. Stores only keep entries; expiry is
+ * decided by DistributedCache, so TTLs behave the same whatever the backend.
+ * @typedef {Object} CacheStore
+ * @property {function(string): Promise<CacheEntry|undefined>} get - Read an entry
+ * @property {function(string, CacheEntry): Promise<void>} set - Write an entry
+ * @property {function(string): Promise<void>} delete - Remove an entry
+ * @property {function(): Promise<void>} clear - Remove every entry of this store
+ * @property {function(): Promise<string[]>} keys - List the keys of this store
+ * @property {boolean} persistent - Whether entries outlive the page or process
+ * @property {number} [size] - Number of entries, when it can be known synchronously
+ */
+
+/**
+ * Keeps entries in a Map for the lifetime of the page
+ * @implements {CacheStore}
+ */
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+    this.persistent = false;
+  }
+
+  /** @returns {number} Number of entries */
+  get size() {
+    return this.entries.size;
+  }
+
+  async get(key) {
+    return this.entries.get(key);
+  }
+
+  async set(key, entry) {
+    this.entries.set(key, entry);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async keys() {
+    return [...this.entries.keys()];
+  }
+}
+
+/**
+ * Keeps entries in localStorage or sessionStorage as JSON, under a key prefix
+ * so other data in the same storage is left alone
+ * @implements {CacheStore}
+ */
+class WebStorageStore {
+  /**
+   * Create a new WebStorageStore instance
+   * @param {Storage} [storage=localStorage] - localStorage, sessionStorage or another Storage
+   * @param {Object} [options] - Store options
+   * @param {string} [options.prefix='ai.captain:'] - Prefix of the storage keys
+   */
+  constructor(storage = globalThis.localStorage, options = {}) {
+    if (!storage) {
+      throw new Error('Web Storage is not available');
+    }
+    this.storage = storage;
+    this.prefix = options.prefix ?? 'ai.captain:';
+    this.persistent = true;
+  }
+
+  /** @returns {number} Number of entries */
+  get size() {
+    return this._storageKeys().length;
+  }
+
+  /**
+   * List the storage keys that belong to this store
+   * @private
+   * @returns {string[]} Storage keys, prefix included
+   */
+  _storageKeys() {
+    const keys = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (key?.startsWith(this.prefix)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+
+  async get(key) {
+    const item = this.storage.getItem(this.prefix + key);
+    if (item === null) {
+      return undefined;
+    }
+    try {
+      return JSON.parse(item);
+    } catch (error) {
+      // Written by something else; treat it as missing
+      return undefined;
+    }
+  }
+
+  async set(key, entry) {
+    const item = JSON.stringify(entry);
+    try {
+      this.storage.setItem(this.prefix + key, item);
+    } catch (error) {
+      // The previous value is left behind, and it is out of date now
+      this.storage.removeItem(this.prefix + key);
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    this.storage.removeItem(this.prefix + key);
+  }
+
+  async clear() {
+    for (const key of this._storageKeys()) {
+      this.storage.removeItem(key);
+    }
+  }
+
+  async keys() {
+    return this._storageKeys().map(key => key.slice(this.prefix.length));
+  }
+}
+
+/**
+ * Keeps entries in an IndexedDB object store. Values are stored by structured
+ * clone, so they may hold Blobs and typed arrays.
+ * @implements {CacheStore}
+ */
+class IndexedDBStore {
+  /**
+   * Create a new IndexedDBStore instance
+   * @param {Object} [options] - Store options
+   * @param {string} [options.name='ai.captain'] - Database name
+   * @param {string} [options.storeName='cache'] - Object store name
+   * @param {IDBFactory} [options.indexedDB=indexedDB] - IndexedDB implementation
+   */
+  constructor(options = {}) {
+    this.name = options.name ?? 'ai.captain';
+    this.storeName = options.storeName ?? 'cache';
+    this.indexedDB = options.indexedDB ?? globalThis.indexedDB;
+    if (!this.indexedDB) {
+      throw new Error('IndexedDB is not available');
+    }
+    this.db = null;
+    this.persistent = true;
+  }
+
+  /**
+   * Open the database, creating the object store on first use
+   * @private
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  _open() {
+    this.db ??= new Promise((resolve, reject) => {
+      const request = this.indexedDB.open(this.name, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      // Let the next call try again
+      this.db = null;
+      throw error;
+    });
+    return this.db;
+  }
+
+  /**
+   * Run a request in its own transaction
+   * @private
+   * @param {('readonly'|'readwrite')} mode - Transaction mode
+   * @param {function(IDBObjectStore): IDBRequest} run - Makes the request
+   * @returns {Promise<any>} Request result, once the transaction completes
+   */
+  async _request(mode, run) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = run(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error ?? request.error);
+      transaction.onabort = () => reject(transaction.error ?? new Error('IndexedDB transaction aborted'));
+    });
+  }
+
+  async get(key) {
+    return this._request('readonly', store => store.get(key));
+  }
+
+  async set(key, entry) {
+    await this._request('readwrite', store => store.put(entry, key));
+  }
+
+  async delete(key) {
+    await this._request('readwrite', store => store.delete(key));
+  }
+
+  async clear() {
+    await this._request('readwrite', store => store.clear());
+  }
+
+  async keys() {
+    return this._request('readonly', store => store.getAllKeys());
+  }
+
+  /**
+   * Close the database connection
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const db = await this.db;
+    db?.close();
+    this.db = null;
+  }
+}
+
+/**
+ * Check whether a value implements the CacheStore interface
+ * @private
+ * @param {*} value - Value
+ * @returns {boolean} True for cache stores
+ */
+function isCacheStore(value) {
+  return ['get', 'set', 'delete', 'clear', 'keys'].every(method => typeof value?.[method] === 'function');
+}
+
+/**
+ * Resolve the `store` option of DistributedCache
+ * @param {CacheStore|('memory'|'localStorage'|'sessionStorage'|'indexedDB')} [store='memory'] - A store,
+ *   or the name of a built-in one
+ * @returns {CacheStore} Store
+ * @throws {Error} If the store is unknown or its storage is not available
+ */
+function createStore(store = 'memory') {
+  if (isCacheStore(store)) {
+    return store;
+  }
+  switch (store) {
+  case 'memory':
+    return new MemoryStore();
+  case 'localStorage':
+  case 'sessionStorage':
+    if (!globalThis[store]) {
+      throw new Error(`${store} is not available`);
+    }
+    return new WebStorageStore(globalThis[store]);
+  case 'indexedDB':
+    return new IndexedDBStore();
+  default:
+    throw new Error(`Unknown cache store: ${store}`);
+  }
+}
+
+export { MemoryStore, WebStorageStore, IndexedDBStore, createStore };
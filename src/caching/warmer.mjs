@@ -0,0 +1,187 @@
+/**
+ * Cache warming: pre-compute the responses to a manifest of prompts during idle time
+ * @module warmer
+ */
+
+import { createAbortError, isAbortError, sleep, throwIfAborted } from '../utils/abort.mjs';
+import { canonicalize, sha256 } from './keys.mjs';
+
+/**
+ * Prompts to warm the cache with
+ * @typedef {Object} WarmManifest
+ * @property {string} [id] - Names the progress kept for resuming; defaults to a hash of the manifest
+ * @property {Array<{name: string, variables: Object[], options: Object}>} [templates] - Templates,
+ *   each prompted once per set of variables
+ * @property {Array<string|{prompt: string, options: Object}>} [prompts] - Prompts as they would be sent
+ * @property {Object} [options] - Prompt options for every entry, such as `temperature`
+ */
+
+/**
+ * @typedef {Object} WarmOptions
+ * @property {Object} [session] - Session to prompt through; defaults to the cache's session
+ * @property {AbortSignal} [signal] - Stops warming; progress is kept for the next run
+ * @property {function(WarmProgress): void} [onProgress] - Called after each prompt
+ * @property {number} [concurrency=1] - Prompts warmed at once
+ * @property {number} [interval=50] - Milliseconds to wait before each prompt where
+ *   `requestIdleCallback` is not available
+ * @property {number} [idleTimeout=5000] - Longest wait for idle time in milliseconds
+ * @property {boolean} [resume=true] - Continue from the progress of an interrupted run
+ */
+
+/**
+ * @typedef {Object} WarmProgress
+ * @property {number} completed - Prompts done
+ * @property {number} total - Prompts in the manifest
+ * @property {number} percent - Percentage done
+ * @property {number} warmed - Responses generated
+ * @property {number} skipped - Prompts skipped
+ * @property {number} failed - Prompts that failed
+ */
+
+/**
+ * @typedef {Object} WarmReport
+ * @property {number} total - Prompts in the manifest
+ * @property {Array<{input: any, key: string}>} warmed - Prompts whose responses were generated
+ * @property {Array<{input: any, key: (string|undefined), reason: ('cached'|'uncacheable')}>} skipped - Prompts
+ *   that were cached already or can't be cached
+ * @property {Array<{input: any, error: Error}>} failed - Prompts that failed
+ * @property {number} resumed - Prompts done by an earlier, interrupted run
+ * @property {number} duration - Milliseconds taken
+ */
+
+/**
+ * Wait until the browser is idle, or for a delay where it can't tell
+ * @private
+ * @param {WarmOptions} options - Warming options
+ * @param {AbortSignal} [signal] - Signal that stops waiting
+ * @returns {Promise<void>}
+ */
+function whenIdle(options, signal) {
+  throwIfAborted(signal);
+  if (typeof globalThis.requestIdleCallback !== 'function') {
+    return sleep(options.interval ?? 50, signal);
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      globalThis.cancelIdleCallback(handle);
+      reject(createAbortError(signal));
+    };
+    const handle = globalThis.requestIdleCallback(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, { timeout: options.idleTimeout ?? 5000 });
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * List the prompts in a manifest
+ * @private
+ * @param {WarmManifest} manifest - Manifest
+ * @returns {Array<{input: (string|Array), options: Object}>} Prompts with their options
+ */
+function expandManifest(manifest) {
+  const defaults = manifest.options ?? {};
+  const jobs = [];
+  for (const { name, variables = [{}], options } of manifest.templates ?? []) {
+    variables.forEach(values => jobs.push({ input: [name, values], options: { ...defaults, ...options } }));
+  }
+  for (const entry of manifest.prompts ?? []) {
+    const { prompt, options } = typeof entry === 'string' ? { prompt: entry } : entry;
+    jobs.push({ input: prompt, options: { ...defaults, ...options } });
+  }
+  return jobs;
+}
+
+/**
+ * Warms a cache by sending the prompts of a manifest through a session.
+ *
+ * Each prompt waits for idle time and runs at background priority, so warming
+ * yields to the prompts the user is waiting for. What has been done is kept as
+ * cache metadata under `warm:<id>`, out of reach of eviction, so a run that is
+ * interrupted continues where it stopped the next time; the record is removed
+ * once a run completes.
+ */
+class CacheWarmer {
+  /**
+   * @param {import('./distributed.mjs').DistributedCache} cache - Cache that keeps the progress
+   * @param {Object} session - Session to prompt through, with `keyFor` and `warm`
+   */
+  constructor(cache, session) {
+    this.cache = cache;
+    this.session = session;
+  }
+
+  /**
+   * Warm the cache with a manifest
+   * @param {WarmManifest} manifest - Prompts to warm
+   * @param {WarmOptions} [options] - Warming options
+   * @returns {Promise<WarmReport>} What was warmed, skipped or failed
+   * @throws {Error} AbortError if the signal aborts
+   */
+  async run(manifest, options = {}) {
+    const { signal, onProgress, concurrency = 1, resume = true } = options;
+    throwIfAborted(signal);
+    const startTime = Date.now();
+    const jobs = expandManifest(manifest);
+    const progressKey = `warm:${manifest.id ?? await sha256(canonicalize(manifest))}`;
+    const done = (resume && await this.cache.getMetadata(progressKey)) || {};
+
+    const report = { total: jobs.length, warmed: [], skipped: [], failed: [], resumed: 0, duration: 0 };
+    const record = (outcome) => {
+      if (outcome.status === 'warmed') {
+        report.warmed.push({ input: outcome.input, key: outcome.key });
+      } else if (outcome.status === 'failed') {
+        report.failed.push({ input: outcome.input, error: outcome.error });
+      } else {
+        report.skipped.push({ input: outcome.input, key: outcome.key, reason: outcome.status });
+      }
+      const completed = report.warmed.length + report.skipped.length + report.failed.length;
+      onProgress?.({
+        completed,
+        total: report.total,
+        percent: report.total > 0 ? (completed / report.total) * 100 : 100,
+        warmed: report.warmed.length,
+        skipped: report.skipped.length,
+        failed: report.failed.length
+      });
+    };
+
+    let next = 0;
+    const work = async () => {
+      while (next < jobs.length) {
+        const { input, options: promptOptions } = jobs[next++];
+        try {
+          // Inside the try, since a missing template or bad options fail here already
+          const key = await this.session.keyFor(input, promptOptions);
+          if (key !== undefined && done[key]) {
+            report.resumed++;
+            record({ input, key, status: done[key] });
+            continue;
+          }
+
+          await whenIdle(options, signal);
+          const outcome = await this.session.warm(input, { ...promptOptions, signal });
+          if (outcome.key !== undefined) {
+            done[outcome.key] = outcome.status;
+            await this.cache.setMetadata(progressKey, done);
+          }
+          record({ input, ...outcome });
+        } catch (error) {
+          if (isAbortError(error) && signal?.aborted) {
+            throw error;
+          }
+          record({ input, status: 'failed', error });
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, work));
+
+    await this.cache.deleteMetadata(progressKey);
+    report.duration = Date.now() - startTime;
+    return report;
+  }
+}
+
+export { CacheWarmer };
@@ -1,3 +1,6 @@
+import { abortable, isAbortError, sleep, throwIfAborted } from '../utils/abort.mjs';
+import { DEFAULT_NAMESPACE, createCacheKey } from '../caching/keys.mjs';
+
 /**
  * Advanced composition pattern builder
  */
@@ -12,7 +15,8 @@ export class CompositionBuilder {
     this.cacheConfig = {
       enabled: false,
       ttl: 3600000, // 1 hour default
-      keyPrefix: 'builder'
+      keyPrefix: 'builder',
+      namespace: DEFAULT_NAMESPACE
     };
 
     // Fallback configuration
@@ -74,35 +78,28 @@ export class CompositionBuilder {
    * Generate cache key for a step
    * @private
    */
-  _generateCacheKey(step, args) {
+  async _generateCacheKey(step, args) {
     if (step.cache?.key) {
       return typeof step.cache.key === 'function'
         ? step.cache.key(...args)
         : step.cache.key;
     }
 
-    // Create a string that includes step type and arguments
-    const keyString = JSON.stringify({
-      type: step.type,
-      args
+    // Include the step's functions, so steps given the same arguments don't share results
+    const code = [step.fn, step.condition, step.ifTrue, step.ifFalse, ...(step.fns ?? [])]
+      .filter(Boolean)
+      .map(String);
+    return createCacheKey({ type: step.type, code, args }, {
+      prefix: step.cache?.keyPrefix || this.cacheConfig.keyPrefix,
+      namespace: step.cache?.namespace || this.cacheConfig.namespace
     });
-
-    // Simple hash function
-    let hash = 0;
-    for (let i = 0; i < keyString.length; i++) {
-      const char = keyString.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-
-    return `${step.cache?.keyPrefix || this.cacheConfig.keyPrefix}_${hash}`;
   }
 
   /**
    * Process step input with template if enabled
    * @private
    */
-  async _processStepInput(step, args) {
+  async _processStepInput(step, args, signal) {
     if (step.template?.enabled && step.template?.name) {
       const variables = {
         ...this.templateConfig.defaults,
@@ -112,7 +109,8 @@ export class CompositionBuilder {
       };
 
       return await this.session.prompt([step.template.name, variables], {
-        cache: false // Use step-level caching instead
+        cache: false, // Use step-level caching instead
+        signal
       });
     }
     return args;
@@ -132,7 +130,8 @@ export class CompositionBuilder {
         enabled: options.cache?.enabled ?? this.cacheConfig.enabled,
         ttl: options.cache?.ttl ?? this.cacheConfig.ttl,
         key: options.cache?.key,
-        keyPrefix: options.cache?.keyPrefix
+        keyPrefix: options.cache?.keyPrefix,
+        namespace: options.cache?.namespace
       },
       fallback: {
         enabled: options.fallback?.enabled ?? this.fallbackConfig.enabled,
@@ -183,7 +182,8 @@ export class CompositionBuilder {
         enabled: options.cache?.enabled ?? this.cacheConfig.enabled,
         ttl: options.cache?.ttl ?? this.cacheConfig.ttl,
         key: options.cache?.key,
-        keyPrefix: options.cache?.keyPrefix
+        keyPrefix: options.cache?.keyPrefix,
+        namespace: options.cache?.namespace
       },
       fallback: {
         enabled: options.fallback?.enabled ?? this.fallbackConfig.enabled,
@@ -230,7 +230,8 @@ export class CompositionBuilder {
         enabled: options.cache?.enabled ?? this.cacheConfig.enabled,
         ttl: options.cache?.ttl ?? this.cacheConfig.ttl,
         key: options.cache?.key,
-        keyPrefix: options.cache?.keyPrefix
+        keyPrefix: options.cache?.keyPrefix,
+        namespace: options.cache?.namespace
       },
       fallback: {
         enabled: options.fallback?.enabled ?? this.fallbackConfig.enabled,
@@ -319,57 +320,74 @@ export class CompositionBuilder {
 
   /**
    * Build the composition
-   * @returns {Function} Composed function
+   * @returns {Function} Composed function. Call `composed.withSignal(signal)` to get
+   * a version of it that stops between steps and aborts retries and timeouts when
+   * the signal aborts.
+   * @example
+   * const composed = builder.build();
+   * const controller = new AbortController();
+   * const result = await composed.withSignal(controller.signal)('input');
    */
   build() {
-    return async (...args) => {
-      let result = args;
+    const composed = async (...args) => this._run(args);
+    composed.withSignal = (signal) => async (...args) => this._run(args, signal);
+    return composed;
+  }
 
-      // Apply middleware
-      for (const middleware of this.middleware) {
-        result = await middleware(result);
-      }
+  /**
+   * Run the composition
+   * @private
+   */
+  async _run(args, signal) {
+    let result = args;
 
-      // Execute steps
-      for (let i = 0; i < this.steps.length; i++) {
-        const step = this.steps[i];
-        try {
-          result = await this._executeStep(step, result);
-        } catch (error) {
-          const handler = this.errorHandlers.get(i);
-          if (handler) {
-            result = await handler(error, result);
-          } else {
-            throw error;
-          }
+    // Apply middleware
+    for (const middleware of this.middleware) {
+      throwIfAborted(signal);
+      result = await middleware(result);
+    }
+
+    // Execute steps
+    for (let i = 0; i < this.steps.length; i++) {
+      throwIfAborted(signal);
+      const step = this.steps[i];
+      try {
+        result = await this._executeStep(step, result, signal);
+      } catch (error) {
+        const handler = this.errorHandlers.get(i);
+        if (handler && !isAbortError(error)) {
+          result = await handler(error, result);
+        } else {
+          throw error;
         }
       }
+    }
 
-      return result;
-    };
+    return result;
   }
 
   /**
    * Execute a single step
    * @private
    */
-  async _executeStep(step, args) {
+  async _executeStep(step, args, signal) {
     // Create execution function
     const execute = async () => {
+      throwIfAborted(signal);
+
       // Process input with template if enabled
-      const processedArgs = await this._processStepInput(step, args);
+      const processedArgs = await this._processStepInput(step, args, signal);
 
-      // Check if step has caching enabled
-      if (step.cache?.enabled) {
-        const cacheKey = this._generateCacheKey(step, processedArgs);
+      // Check if step has caching enabled; results live in the session's cache
+      const cache = step.cache?.enabled ? this.session.cache : undefined;
+      if (cache) {
+        const cacheKey = await this._generateCacheKey(step, processedArgs);
         
         // Try to get from cache
         try {
-          const cachedResult = await this.session.prompt(['get_cache', cacheKey], {
-            cache: false // Disable caching for cache operations
-          });
+          const cachedResult = await cache.get(cacheKey);
 
-          if (cachedResult !== null) {
+          if (cachedResult !== undefined) {
             return cachedResult;
           }
         } catch (error) {
@@ -397,14 +415,11 @@ export class CompositionBuilder {
           throw new Error(`Unknown step type: ${step.type}`);
       }
 
-      // Cache result if enabled
-      if (step.cache?.enabled) {
-        const cacheKey = this._generateCacheKey(step, processedArgs);
+      // Cache result if enabled and the caller is still waiting for it
+      if (cache && !signal?.aborted) {
+        const cacheKey = await this._generateCacheKey(step, processedArgs);
         try {
-          await this.session.prompt(
-            ['set_cache', cacheKey, result, step.cache.ttl],
-            { cache: false } // Disable caching for cache operations
-          );
+          await cache.set(cacheKey, result, step.cache.ttl);
         } catch (error) {
           // Continue if cache storage fails
         }
@@ -427,16 +442,22 @@ export class CompositionBuilder {
         timeout: step.fallback.timeout,
         fallbackStrategies: step.fallback.strategies
       }], {
-        cache: false // Disable caching for fallback operations
+        cache: false, // Disable caching for fallback operations
+        signal
       });
     }
 
     // Apply timeout if specified
     if (step.timeout) {
+      let timer;
       const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Step timeout')), step.timeout);
+        timer = setTimeout(() => reject(new Error('Step timeout')), step.timeout);
       });
-      return await Promise.race([execute(), timeoutPromise]);
+      try {
+        return await abortable(Promise.race([execute(), timeoutPromise]), signal);
+      } finally {
+        clearTimeout(timer);
+      }
     }
 
     // Apply retry if specified
@@ -447,13 +468,13 @@ export class CompositionBuilder {
           return await execute();
         } catch (error) {
           lastError = error;
-          if (!step.retry.condition(error) || attempt === step.retry.maxAttempts) {
+          if (isAbortError(error) || !step.retry.condition(error) || attempt === step.retry.maxAttempts) {
             throw error;
           }
           const delay = step.retry.backoff === 'exponential'
             ? step.retry.delay * Math.pow(2, attempt - 1)
             : step.retry.delay;
-          await new Promise(resolve => setTimeout(resolve, delay));
+          await sleep(delay, signal);
         }
       }
       throw lastError;
@@ -483,13 +504,12 @@ export class CompositionBuilder {
   }
 
   /**
-   * Clear cache for the entire builder
-   * @returns {Promise<void>}
+   * Clear cache for the entire builder: the step results under its namespace and key prefix
+   * @returns {Promise<number>} Number of results removed
    */
   async clearCache() {
-    await this.session.prompt(
-      ['clear_cache', this.cacheConfig.keyPrefix],
-      { cache: false }
-    );
+    return await this.session.cache?.invalidatePrefix(
+      `${this.cacheConfig.namespace}:${this.cacheConfig.keyPrefix}_`
+    ) ?? 0;
   }
 }
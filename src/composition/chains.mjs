@@ -1,3 +1,8 @@
+import { isAbortError, throwIfAborted } from '../utils/abort.mjs';
+import { DEFAULT_NAMESPACE, createCacheKey } from '../caching/keys.mjs';
+import { Translator } from '../tasks/translator.mjs';
+import AIDefault from '../ai.default.mjs';
+
 /**
  * Simple composition chains for window.ai
  */
@@ -23,8 +28,16 @@ class CompositionChains {
  * Chain class for composing operations
  */
 class Chain {
+  /**
+   * Create a new Chain instance
+   * @param {Object} session Session used by the steps
+   * @param {Object} [options] Chain options
+   * @param {Object} [options.ai] Provider or window.ai API whose built-in task APIs the steps use
+   */
   constructor(session, options = {}) {
     this.session = session;
+    this.ai = options.ai ?? AIDefault;
+    this.translators = new Map();
     this.steps = [];
     this.errorHandlers = [];
     this.validators = [];
@@ -33,7 +46,8 @@ class Chain {
     this.cacheConfig = {
       enabled: options.cache?.enabled ?? false,
       ttl: options.cache?.ttl,
-      keyPrefix: options.cache?.keyPrefix || 'chain'
+      keyPrefix: options.cache?.keyPrefix || 'chain',
+      namespace: options.cache?.namespace || DEFAULT_NAMESPACE
     };
 
     // Fallback configuration
@@ -68,7 +82,8 @@ class Chain {
         enabled: options.cache?.enabled ?? this.cacheConfig.enabled,
         ttl: options.cache?.ttl ?? this.cacheConfig.ttl,
         key: options.cache?.key,
-        keyPrefix: options.cache?.keyPrefix || `${this.cacheConfig.keyPrefix}_${type}`
+        keyPrefix: options.cache?.keyPrefix || `${this.cacheConfig.keyPrefix}_${type}`,
+        namespace: options.cache?.namespace || this.cacheConfig.namespace
       },
       // Fallback configuration
       fallback: {
@@ -127,36 +142,24 @@ class Chain {
    * Generate cache key for a step
    * @private
    */
-  _generateCacheKey(step, input) {
+  async _generateCacheKey(step, input) {
     if (step.cache.key) {
       return typeof step.cache.key === 'function'
         ? step.cache.key(input)
         : step.cache.key;
     }
 
-    // Create a string that includes step type, params, and input
-    const keyString = JSON.stringify({
-      type: step.type,
-      params: step.params,
-      input
+    return createCacheKey({ type: step.type, params: step.params, input }, {
+      prefix: step.cache.keyPrefix,
+      namespace: step.cache.namespace
     });
-
-    // Simple hash function
-    let hash = 0;
-    for (let i = 0; i < keyString.length; i++) {
-      const char = keyString.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-
-    return `${step.cache.keyPrefix}_${hash}`;
   }
 
   /**
    * Process step input with template if enabled
    * @private
    */
-  async _processStepInput(step, input) {
+  async _processStepInput(step, input, signal) {
     if (step.template.enabled && step.template.name) {
       const variables = {
         ...this.templateConfig.defaults,
@@ -166,7 +169,8 @@ class Chain {
       };
 
       return await this.session.prompt([step.template.name, variables], {
-        cache: false // Use step-level caching instead
+        cache: false, // Use step-level caching instead
+        signal
       });
     }
     return input;
@@ -175,15 +179,20 @@ class Chain {
   /**
    * Execute the chain
    * @param {string} input Input text
+   * @param {Object} [options] Execution options
+   * @param {AbortSignal} [options.signal] Signal that cancels the chain
    * @returns {Promise<string>} Chain result
+   * @throws {Error} AbortError if the signal aborts
    */
-  async execute(input) {
+  async execute(input, options = {}) {
+    const { signal } = options;
     let result = input;
 
     try {
       // Execute steps
       for (const step of this.steps) {
-        result = await this._executeStep(step, result);
+        throwIfAborted(signal);
+        result = await this._executeStep(step, result, signal);
       }
 
       // Run validators
@@ -195,10 +204,15 @@ class Chain {
 
       return result;
     } catch (error) {
+      // A cancelled chain is not retried or recovered
+      if (isAbortError(error)) {
+        throw error;
+      }
+
       // Run error handlers
       for (const handler of this.errorHandlers) {
         try {
-          result = await handler(error, () => this.execute(input));
+          result = await handler(error, () => this.execute(input, options));
           return result;
         } catch (e) {
           // Continue to next handler
@@ -209,26 +223,45 @@ class Chain {
     }
   }
 
+  /**
+   * Get the translator for a language pair, creating it on first use. It uses
+   * the built-in Translator API when available and prompts the session otherwise.
+   * @private
+   */
+  _getTranslator(from, to) {
+    const key = `${from}:${to}`;
+    if (!this.translators.has(key)) {
+      const translator = Translator.create({
+        sourceLanguage: from,
+        targetLanguage: to,
+        session: this.session
+      }, this.ai);
+      // Forget failed attempts so the next execution tries again
+      translator.catch(() => this.translators.delete(key));
+      this.translators.set(key, translator);
+    }
+    return this.translators.get(key);
+  }
+
   /**
    * Execute a single step
    * @private
    */
-  async _executeStep(step, input) {
+  async _executeStep(step, input, signal) {
     // Create execution function
     const execute = async () => {
       // Process input with template if enabled
-      const processedInput = await this._processStepInput(step, input);
+      const processedInput = await this._processStepInput(step, input, signal);
 
-      // Check if step has caching enabled
-      if (step.cache.enabled) {
-        const cacheKey = this._generateCacheKey(step, processedInput);
+      // Check if step has caching enabled; results live in the session's cache
+      const cache = step.cache.enabled ? this.session.cache : undefined;
+      if (cache) {
+        const cacheKey = await this._generateCacheKey(step, processedInput);
         
         // Try to get from cache
-        const cachedResult = await this.session.prompt(['get_cache', cacheKey], {
-          cache: false // Disable caching for cache operations
-        });
+        const cachedResult = await cache.get(cacheKey);
 
-        if (cachedResult !== null) {
+        if (cachedResult !== undefined) {
           return cachedResult;
         }
       }
@@ -236,23 +269,19 @@ class Chain {
       // Execute step
       let result;
       switch (step.type) {
-        case 'translate':
-          result = await this.session.prompt(
-            `Translate "${processedInput}" from ${step.params.from} to ${step.params.to}`,
-            { cache: false } // Use step-level caching instead
-          );
+        case 'translate': {
+          const translator = await this._getTranslator(step.params.from, step.params.to);
+          result = await translator.translate(processedInput, { cache: false, signal }); // Use step-level caching instead
           break;
+        }
         default:
           throw new Error(`Unknown step type: ${step.type}`);
       }
 
-      // Cache result if enabled
-      if (step.cache.enabled) {
-        const cacheKey = this._generateCacheKey(step, processedInput);
-        await this.session.prompt(
-          ['set_cache', cacheKey, result, step.cache.ttl],
-          { cache: false } // Disable caching for cache operations
-        );
+      // Cache result if enabled and the caller is still waiting for it
+      if (cache && !signal?.aborted) {
+        const cacheKey = await this._generateCacheKey(step, processedInput);
+        await cache.set(cacheKey, result, step.cache.ttl);
       }
 
       return result;
@@ -274,7 +303,8 @@ class Chain {
       }
 
       return await this.session.prompt(['execute_with_fallback', execute, fallbackOptions], {
-        cache: false // Disable caching for fallback operations
+        cache: false, // Disable caching for fallback operations
+        signal
       });
     }
 
@@ -322,14 +352,27 @@ class Chain {
   }
 
   /**
-   * Clear cache for the entire chain
+   * Destroy the translators created by translate steps
    * @returns {Promise<void>}
    */
+  async destroy() {
+    const translators = await Promise.allSettled(this.translators.values());
+    this.translators.clear();
+    for (const { status, value } of translators) {
+      if (status === 'fulfilled') {
+        await value.destroy();
+      }
+    }
+  }
+
+  /**
+   * Clear cache for the entire chain: the step results under its namespace and key prefix
+   * @returns {Promise<number>} Number of results removed
+   */
   async clearCache() {
-    await this.session.prompt(
-      ['clear_cache', this.cacheConfig.keyPrefix],
-      { cache: false }
-    );
+    return await this.session.cache?.invalidatePrefix(
+      `${this.cacheConfig.namespace}:${this.cacheConfig.keyPrefix}_`
+    ) ?? 0;
   }
 }
 
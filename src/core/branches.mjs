@@ -0,0 +1,250 @@
+/**
+ * Conversation branching: a tree of sessions forked from one another
+ * @module branches
+ */
+
+/**
+ * @typedef {Object} Branch
+ * @property {string} name - Branch name
+ * @property {import('./session.mjs').Session} session - Session holding the branch's conversation
+ * @property {string|null} parent - Name of the branch this one was forked from, null for the root
+ * @property {number} turn - Turn of the parent the branch was forked at; the branch shares
+ *   the parent's turns before it
+ * @property {number} createdAt - Creation time in milliseconds since epoch
+ */
+
+/**
+ * @typedef {Object} BranchInfo
+ * @property {string} name - Branch name
+ * @property {string|null} parent - Parent branch name
+ * @property {number} turn - Turn the branch was forked at
+ * @property {number} turns - Number of turns in the branch
+ * @property {boolean} active - Whether this is the active branch
+ * @property {number} createdAt - Creation time in milliseconds since epoch
+ */
+
+/**
+ * @typedef {Object} BranchTurn
+ * @property {string} branch - Branch name
+ * @property {string} input - User message of the turn
+ * @property {string|undefined} response - Assistant reply, undefined while pending
+ */
+
+/**
+ * Find the user message and reply of a turn
+ * @private
+ * @param {import('./history.mjs').Message[]} messages - Conversation messages
+ * @param {number} turn - Turn index
+ * @returns {{input: string, response: (string|undefined)}|undefined} Turn, undefined if there is none
+ */
+function findTurn(messages, turn) {
+  const start = messages.filter(m => m.role === 'user')[turn];
+  if (!start) {
+    return undefined;
+  }
+  const rest = messages.slice(messages.indexOf(start) + 1);
+  const end = rest.findIndex(m => m.role === 'user');
+  const replies = (end === -1 ? rest : rest.slice(0, end)).filter(m => m.role === 'assistant');
+  return { input: start.content, response: replies.at(-1)?.content };
+}
+
+/**
+ * Manages a tree of conversation branches grown from one session. One branch is
+ * active at a time; prompts go to it, and forks start from it unless told otherwise.
+ */
+class ConversationTree {
+  /**
+   * Create a new ConversationTree instance
+   * @param {import('./session.mjs').Session} session - Session at the root of the tree
+   * @param {Object} [options] - Tree options
+   * @param {string} [options.name='main'] - Name of the root branch
+   */
+  constructor(session, options = {}) {
+    const name = options.name ?? 'main';
+    this.branches = new Map([[name, { name, session, parent: null, turn: 0, createdAt: Date.now() }]]);
+    this.activeBranch = name;
+  }
+
+  /**
+   * Get the active branch's session
+   * @returns {import('./session.mjs').Session} Session
+   */
+  get session() {
+    return this.branches.get(this.activeBranch).session;
+  }
+
+  /**
+   * Get a branch
+   * @param {string} name - Branch name
+   * @returns {Branch} Branch
+   * @throws {Error} If there is no such branch
+   */
+  get(name) {
+    const branch = this.branches.get(name);
+    if (!branch) {
+      throw new Error(`Unknown branch: ${name}`);
+    }
+    return branch;
+  }
+
+  /**
+   * Fork a branch at one of its turns
+   * @param {Object} [options] - Fork options
+   * @param {string} [options.from] - Branch to fork, defaults to the active branch
+   * @param {number} [options.at] - Index of the first turn the fork leaves out,
+   *   defaults to the end of the conversation
+   * @param {string} [options.name] - Name of the new branch, generated if missing
+   * @param {boolean} [options.activate=true] - Make the new branch active
+   * @param {import('./session.mjs').SessionOptions} [options.session] - Options for the forked session
+   * @returns {Promise<Branch>} New branch
+   * @throws {Error} If the name is taken or the source branch is unknown
+   */
+  async fork(options = {}) {
+    const from = this.get(options.from ?? this.activeBranch);
+    const name = options.name ?? this._nextName();
+    if (this.branches.has(name)) {
+      throw new Error(`Branch already exists: ${name}`);
+    }
+
+    const turn = options.at ?? from.session.turns;
+    const session = await from.session.fork(turn, options.session);
+    const branch = { name, session, parent: from.name, turn, createdAt: Date.now() };
+    this.branches.set(name, branch);
+    if (options.activate ?? true) {
+      this.activeBranch = name;
+    }
+    return branch;
+  }
+
+  /**
+   * Generate an unused branch name
+   * @private
+   * @returns {string} Branch name
+   */
+  _nextName() {
+    let index = this.branches.size;
+    while (this.branches.has(`branch-${index}`)) {
+      index++;
+    }
+    return `branch-${index}`;
+  }
+
+  /**
+   * Make a branch active
+   * @param {string} name - Branch name
+   * @returns {import('./session.mjs').Session} The branch's session
+   * @throws {Error} If there is no such branch
+   */
+  switch(name) {
+    const branch = this.get(name);
+    this.activeBranch = name;
+    return branch.session;
+  }
+
+  /**
+   * List the branches in creation order
+   * @returns {BranchInfo[]} Branches
+   */
+  list() {
+    return [...this.branches.values()].map(({ name, session, parent, turn, createdAt }) => ({
+      name,
+      parent,
+      turn,
+      turns: session.turns,
+      active: name === this.activeBranch,
+      createdAt
+    }));
+  }
+
+  /**
+   * Prompt the active branch
+   * @param {string|Array} input - Input text, template array or content array
+   * @param {import('./session.mjs').PromptOptions} [options] - Prompt options
+   * @returns {Promise<string>} Response
+   */
+  async prompt(input, options) {
+    return this.session.prompt(input, options);
+  }
+
+  /**
+   * Stream a prompt on the active branch
+   * @param {string|Array} input - Input text, template array or content array
+   * @param {import('./session.mjs').PromptOptions} [options] - Prompt options
+   * @returns {Promise<import('./stream.mjs').ResponseStream>} Response stream
+   */
+  async promptStreaming(input, options) {
+    return this.session.promptStreaming(input, options);
+  }
+
+  /**
+   * Ask for another reply to the active branch's last turn, in a new branch forked
+   * before it. The original reply stays on its branch for comparison. Images and
+   * audio in the last input are resent as their text placeholders; use edit() to
+   * send them again.
+   * @param {Object} [options] - Fork options as for fork(), plus prompt options
+   * @returns {Promise<string>} New reply
+   * @throws {Error} If the active branch has no turns yet
+   */
+  async regenerate(options = {}) {
+    const turn = this.session.turns - 1;
+    if (turn < 0) {
+      throw new Error('Nothing to regenerate');
+    }
+    const { input } = findTurn(this.session.history, turn);
+    return this.edit(turn, input, options);
+  }
+
+  /**
+   * Replace an earlier user message of the active branch, in a new branch forked
+   * before it, and get the reply to the new message
+   * @param {number} turn - Turn whose user message is replaced
+   * @param {string|Array} input - New input text, template array or content array
+   * @param {Object} [options] - Fork options as for fork(), plus prompt options
+   * @returns {Promise<string>} Reply to the new message
+   */
+  async edit(turn, input, options = {}) {
+    const { name, activate, session, ...promptOptions } = options;
+    const branch = await this.fork({ at: turn, name, activate, session });
+    return branch.session.prompt(input, promptOptions);
+  }
+
+  /**
+   * Compare one turn across branches
+   * @param {number} [turn] - Turn index, defaults to the active branch's last turn
+   * @param {string[]} [names] - Branches to compare, defaults to every branch that has the turn
+   * @returns {BranchTurn[]} The turn's input and reply on each branch
+   */
+  compare(turn = this.session.turns - 1, names = [...this.branches.keys()]) {
+    return names.flatMap(name => {
+      const found = findTurn(this.get(name).session.history, turn);
+      return found ? [{ branch: name, ...found }] : [];
+    });
+  }
+
+  /**
+   * Delete a branch and destroy its session. Branches forked from it keep
+   * their own sessions and are left in place.
+   * @param {string} name - Branch name
+   * @returns {Promise<void>}
+   * @throws {Error} If the branch is active or unknown
+   */
+  async delete(name) {
+    const branch = this.get(name);
+    if (name === this.activeBranch) {
+      throw new Error('Cannot delete the active branch');
+    }
+    this.branches.delete(name);
+    await branch.session.destroy();
+  }
+
+  /**
+   * Destroy the sessions of every branch
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    await Promise.all([...this.branches.values()].map(branch => branch.session.destroy()));
+    this.branches.clear();
+  }
+}
+
+export { ConversationTree };
@@ -4,12 +4,66 @@
 
 // Determine if running in a browser environment
 import AIDefault from '../ai.default.mjs';
+import { isProvider, resolveProvider } from '../providers/provider.mjs';
+import { WindowAIProvider } from '../providers/window-ai.mjs';
+import { CapabilityMatrix } from './matrix.mjs';
+import { DownloadMonitor, stateFromAvailability } from './download.mjs';
+import { abortable, linkSignal } from '../utils/abort.mjs';
+
+/**
+ * @typedef {Object} WaitUntilReadyOptions
+ * @property {function(import('./download.mjs').DownloadProgress): void} [onProgress] - Called with normalized download progress
+ * @property {function(string, string): void} [onStateChange] - Called with the new and previous state
+ *   ('downloadable', 'downloading', 'ready')
+ * @property {AbortSignal} [signal] - Signal that stops waiting
+ * @property {number} [timeout] - Milliseconds to wait before giving up
+ */
+
+/**
+ * How model parameters are checked: 'strict' throws on invalid values, 'clamp'
+ * adjusts them into range and reports each adjustment, 'pass' sends them unchecked
+ * @typedef {('strict'|'clamp'|'pass')} ParamMode
+ */
+
+/**
+ * @typedef {Object} ParamAdjustment
+ * @property {('temperature'|'topK')} param - Parameter name
+ * @property {*} value - Value given
+ * @property {number|undefined} adjusted - Value used instead, undefined when the
+ *   parameter was dropped because the model has no default for it
+ * @property {string} reason - Why the value was invalid
+ */
+
+/**
+ * Error thrown in strict mode when model parameters are invalid
+ */
+export class InvalidParamsError extends Error {
+  /**
+   * Create a new InvalidParamsError instance
+   * @param {ParamAdjustment[]} issues - Invalid parameters, with the value clamp mode would use
+   */
+  constructor(issues) {
+    super(`Invalid model parameters:\n${issues.map(issue => `- ${issue.reason}`).join('\n')}`);
+    this.name = 'InvalidParamsError';
+    this.issues = issues;
+  }
+}
 
 export class Capabilities {
-  constructor(rawCapabilities) {
+  /**
+   * Create a new Capabilities instance
+   * @param {Object} rawCapabilities - Capabilities reported by the provider
+   * @param {import('../providers/provider.mjs').Provider} [provider] - Provider used by waitUntilReady()
+   */
+  constructor(rawCapabilities, provider) {
     // Store raw capabilities but don't expose them in object spread
     Object.defineProperty(this, 'raw', {
       value: rawCapabilities,
+      enumerable: false,
+      writable: true
+    });
+    Object.defineProperty(this, 'provider', {
+      value: provider,
       enumerable: false
     });
     
@@ -21,17 +75,114 @@ export class Capabilities {
   }
 
   /**
-   * Get current window.ai capabilities
+   * Get current model capabilities
+   * @param {import('../providers/provider.mjs').Provider|Object} [ai] - Provider or window.ai API
    * @returns {Promise<Capabilities>} Capabilities instance
    */
   static async get(ai = AIDefault) {
-    // Use window.ai if available, otherwise use the mock implementation
-    if (!ai) {
-      throw new Error('window.ai API not available');
+    const provider = resolveProvider(ai);
+    const capabilities = await provider.capabilities();
+    return new Capabilities(capabilities, provider);
+  }
+
+  /**
+   * Get the capabilities of the language model and every other built-in AI API
+   * (summarizer, writer, rewriter, translator, languageDetector)
+   * @param {import('../providers/provider.mjs').Provider|Object} [ai] - Provider or window.ai API
+   * @param {Object} [options] - Configuration options
+   * @param {string[]} [options.languages] - Languages to probe for language support
+   * @returns {Promise<CapabilityMatrix>} Capability matrix
+   */
+  static async getAll(ai = AIDefault, options = {}) {
+    const provider = resolveProvider(ai);
+    // Only window.ai has the other built-in APIs
+    const native = !isProvider(ai) ? ai : provider instanceof WindowAIProvider ? provider.ai : undefined;
+
+    const [languageModel, matrix] = await Promise.all([
+      provider.capabilities().catch(error => ({ available: 'no', error: error.message })),
+      CapabilityMatrix.probe(native, options)
+    ]);
+
+    const { available, defaultTopK, maxTopK, defaultTemperature, error } = languageModel;
+    matrix.entries = {
+      languageModel: Object.fromEntries(
+        Object.entries({ available: available ?? 'no', defaultTopK, maxTopK, defaultTemperature, error })
+          .filter(([, value]) => value !== undefined)
+      ),
+      ...matrix.entries
+    };
+    matrix.raw.languageModel = languageModel;
+    return matrix;
+  }
+
+  /**
+   * Wait until the model can be used, downloading it if needed. The download
+   * starts by creating a throwaway session, which is destroyed once it is ready.
+   * @param {WaitUntilReadyOptions} [options] - Progress callbacks, signal and timeout
+   * @returns {Promise<Capabilities>} This instance, refreshed
+   * @throws {Error} If the model is unavailable or the timeout passes, or an AbortError if the signal aborts
+   */
+  async waitUntilReady(options = {}) {
+    const { onProgress, onStateChange, signal, timeout } = options;
+    if (this.isReady()) {
+      return this;
+    }
+    if (this.isUnavailable()) {
+      throw new Error('Model is not available on this device');
+    }
+    if (!this.provider) {
+      throw new Error('waitUntilReady() requires capabilities created with Capabilities.get()');
     }
 
-    const capabilities = await ai.languageModel.capabilities();
-    return new Capabilities(capabilities);
+    const monitor = new DownloadMonitor(stateFromAvailability(this.available));
+    monitor.addEventListener('downloadprogress', ({ loaded, total, percent }) => {
+      onProgress?.({ loaded, total, percent });
+    });
+    monitor.addEventListener('statechange', ({ state, previous }) => {
+      onStateChange?.(state, previous);
+    });
+
+    const { controller, dispose } = linkSignal(signal);
+    let timedOut = false;
+    const timer = timeout === undefined ? undefined : setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+
+    const creating = this.provider.create({
+      monitor: target => monitor.attach(target),
+      signal: controller.signal
+    });
+    try {
+      const session = await abortable(creating, controller.signal);
+      await session.destroy();
+    } catch (error) {
+      // Don't leak a session that finishes after we stopped waiting
+      creating.then(session => session.destroy(), () => {});
+      if (timedOut) {
+        throw new Error(`Model was not ready within ${timeout}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      dispose();
+    }
+
+    this._update(await this.provider.capabilities());
+    monitor.setState('ready');
+    return this;
+  }
+
+  /**
+   * Copy refreshed capabilities
+   * @private
+   */
+  _update(rawCapabilities) {
+    this.raw = rawCapabilities;
+    this.available = rawCapabilities.available;
+    this.defaultTopK = rawCapabilities.defaultTopK;
+    this.maxTopK = rawCapabilities.maxTopK;
+    this.defaultTemperature = rawCapabilities.defaultTemperature;
   }
 
   /**
@@ -71,24 +222,98 @@ export class Capabilities {
   }
 
   /**
-   * Validate user configuration against capabilities
+   * Validate user configuration against capabilities. topK must be an integer
+   * from 1 to maxTopK, temperature a number from 0 to maxTemperature (2 when
+   * the model doesn't report one).
    * @param {Object} config User configuration
-   * @returns {Object} Validation result
+   * @returns {{valid: boolean, issues: string[], params: Array<{param: string, value: *, reason: string}>}}
+   *   Validation result, with the parameter each issue is about
    */
   validateConfig(config = {}) {
-    const issues = [];
+    const params = [];
+    const check = (param, reason) => params.push({ param, value: config[param], reason });
+    const { temperature, topK } = config;
+    const { maxTemperature, maxTopK } = this._limits();
 
-    if (config.topK && config.topK > this.maxTopK) {
-      issues.push(`topK value ${config.topK} exceeds maximum ${this.maxTopK}`);
+    if (temperature !== undefined) {
+      if (typeof temperature !== 'number' || Number.isNaN(temperature)) {
+        check('temperature', `temperature ${temperature} is not a number`);
+      } else if (temperature < 0 || temperature > maxTemperature) {
+        check('temperature', `temperature must be between 0 and ${maxTemperature}`);
+      }
     }
 
-    if (config.temperature && (config.temperature < 0 || config.temperature > 2)) {
-      issues.push('temperature must be between 0 and 2');
+    if (topK !== undefined) {
+      if (typeof topK !== 'number' || Number.isNaN(topK)) {
+        check('topK', `topK ${topK} is not a number`);
+      } else if (topK > maxTopK) {
+        check('topK', `topK value ${topK} exceeds maximum ${maxTopK}`);
+      } else if (topK < 1) {
+        check('topK', `topK ${topK} is below 1`);
+      } else if (!Number.isInteger(topK)) {
+        check('topK', `topK ${topK} is not an integer`);
+      }
     }
 
     return {
-      valid: issues.length === 0,
-      issues
+      valid: params.length === 0,
+      issues: params.map(({ reason }) => reason),
+      params
+    };
+  }
+
+  /**
+   * Highest temperature and topK the model accepts
+   * @private
+   * @returns {{maxTemperature: number, maxTopK: number}} Limits
+   */
+  _limits() {
+    return {
+      maxTemperature: this.raw.maxTemperature ?? 2,
+      maxTopK: this.maxTopK ?? Infinity
+    };
+  }
+
+  /**
+   * Check the temperature and topK of a configuration with validateConfig, and
+   * fix the invalid ones: numbers are clamped into range, and anything else is
+   * replaced by the recommended value.
+   * @param {Object} config - Session or prompt options
+   * @param {ParamMode} [mode='clamp'] - What to do with invalid values
+   * @returns {{config: Object, adjustments: ParamAdjustment[]}} Options to use, and the
+   *   changes made to them; in pass mode the options are returned unchecked
+   * @throws {InvalidParamsError} In strict mode, if any value is invalid
+   */
+  adjustParams(config = {}, mode = 'clamp') {
+    if (mode === 'pass') {
+      return { config, adjustments: [] };
+    }
+
+    const { maxTemperature, maxTopK } = this._limits();
+    const recommended = this.getRecommendedParams();
+    const clamp = {
+      temperature: value => Math.min(Math.max(value, 0), maxTemperature),
+      topK: value => Math.min(Math.max(Math.round(value), 1), maxTopK)
     };
+    const adjustments = this.validateConfig(config).params.map(({ param, value, reason }) => ({
+      param,
+      value,
+      adjusted: typeof value === 'number' && !Number.isNaN(value) ? clamp[param](value) : recommended[param],
+      reason
+    }));
+
+    if (adjustments.length > 0 && mode === 'strict') {
+      throw new InvalidParamsError(adjustments);
+    }
+
+    const adjusted = { ...config };
+    for (const { param, adjusted: value } of adjustments) {
+      if (value === undefined) {
+        delete adjusted[param];
+      } else {
+        adjusted[param] = value;
+      }
+    }
+    return { config: adjusted, adjustments };
   }
 }
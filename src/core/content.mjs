@@ -0,0 +1,256 @@
+/**
+ * Multimodal prompt content: text, image and audio parts
+ * @module content
+ */
+
+import { sha256 } from '../caching/keys.mjs';
+
+/**
+ * Content part types the Prompt API accepts
+ * @type {string[]}
+ */
+const CONTENT_TYPES = ['text', 'image', 'audio'];
+
+/**
+ * @typedef {Object} ContentPart
+ * @property {('text'|'image'|'audio')} type - Part type
+ * @property {string|Blob|ImageBitmap|HTMLCanvasElement|OffscreenCanvas|ImageData|AudioBuffer|ArrayBuffer|ArrayBufferView} value -
+ *   Text, or the image or audio data
+ */
+
+/**
+ * @typedef {Object} Attachment
+ * @property {('image'|'audio')} type - Media type
+ * @property {string} [mimeType] - MIME type, for Blobs
+ * @property {number} [size] - Size in bytes, when known
+ */
+
+/**
+ * Check whether a global constructor exists and a value is an instance of it
+ * @private
+ * @param {*} value - Value
+ * @param {string} name - Global constructor name
+ * @returns {boolean} True if the value is an instance
+ */
+function isInstance(value, name) {
+  return typeof globalThis[name] === 'function' && value instanceof globalThis[name];
+}
+
+/**
+ * Check whether a value is a Blob or File. Checked by shape so Blobs from
+ * other realms and from node:buffer are recognized too.
+ * @private
+ * @param {*} value - Value
+ * @returns {boolean} True for Blobs
+ */
+function isBlob(value) {
+  return typeof value?.arrayBuffer === 'function' && typeof value.size === 'number' && typeof value.type === 'string';
+}
+
+/**
+ * Get the media type of a value that can be used without saying what it is
+ * @param {*} value - Value
+ * @returns {('image'|'audio'|undefined)} Media type, undefined for anything else
+ */
+function mediaType(value) {
+  if (value === null || typeof value !== 'object') {
+    return undefined;
+  }
+  if (isBlob(value)) {
+    if (value.type.startsWith('image/')) return 'image';
+    if (value.type.startsWith('audio/')) return 'audio';
+    return undefined;
+  }
+  const images = ['ImageBitmap', 'ImageData', 'HTMLCanvasElement', 'OffscreenCanvas', 'HTMLImageElement', 'HTMLVideoElement', 'VideoFrame'];
+  if (images.some(name => isInstance(value, name))) {
+    return 'image';
+  }
+  if (isInstance(value, 'AudioBuffer')) {
+    return 'audio';
+  }
+  return undefined;
+}
+
+/**
+ * Check whether a value is a content part
+ * @param {*} value - Value
+ * @returns {boolean} True for `{ type, value }` objects with a known type
+ */
+function isContentPart(value) {
+  return value !== null && typeof value === 'object' && CONTENT_TYPES.includes(value.type) && 'value' in value;
+}
+
+/**
+ * Check whether a value is media or a media content part, as accepted in template variables
+ * @param {*} value - Value
+ * @returns {boolean} True for media
+ */
+function isMedia(value) {
+  return isContentPart(value) ? value.type !== 'text' : mediaType(value) !== undefined;
+}
+
+/**
+ * Check whether a prompt input is a content array rather than a template
+ * array: every item is a string, a content part or media, and at least one is not a string
+ * @param {*} input - Prompt input
+ * @returns {boolean} True for content arrays
+ */
+function isContentArray(input) {
+  return Array.isArray(input) &&
+    input.length > 0 &&
+    input.every(item => typeof item === 'string' || isContentPart(item) || isMedia(item)) &&
+    input.some(item => typeof item !== 'string');
+}
+
+/**
+ * Turn prompt content into content parts
+ * @param {string|Array<string|ContentPart|Blob|ImageBitmap>} content - Text, or a content array
+ * @returns {ContentPart[]} Content parts
+ * @throws {Error} If an item is neither text, a content part nor recognizable media
+ */
+function toContentParts(content) {
+  const items = Array.isArray(content) ? content : [content];
+  return items.map(item => {
+    if (typeof item === 'string') {
+      return { type: 'text', value: item };
+    }
+    if (isContentPart(item)) {
+      return item;
+    }
+    const type = mediaType(item);
+    if (!type) {
+      throw new Error('Unsupported prompt content; wrap raw data as { type: \'image\' | \'audio\', value }');
+    }
+    return { type, value: item };
+  });
+}
+
+/**
+ * Describe the media in some content parts
+ * @param {ContentPart[]} parts - Content parts
+ * @returns {Attachment[]} One attachment per image or audio part
+ */
+function describeAttachments(parts) {
+  return parts
+    .filter(part => part.type !== 'text')
+    .map(({ type, value }) => {
+      const attachment = { type };
+      if (isBlob(value)) {
+        attachment.mimeType = value.type;
+        attachment.size = value.size;
+      } else if (value?.byteLength !== undefined) {
+        attachment.size = value.byteLength;
+      }
+      return attachment;
+    });
+}
+
+/**
+ * Render content as text, with a placeholder such as `[image]` for each media part
+ * @param {string|Array<string|ContentPart>} content - Text or content array
+ * @returns {string} Text
+ */
+function contentToText(content) {
+  if (!Array.isArray(content)) {
+    return String(content);
+  }
+  return toContentParts(content)
+    .map(part => (part.type === 'text' ? part.value : `[${part.type}]`))
+    .join('');
+}
+
+/**
+ * Read the bytes of some media
+ * @private
+ * @param {*} value - Media
+ * @returns {Promise<Uint8Array|undefined>} Bytes, undefined if they cannot be read here
+ */
+async function readBytes(value) {
+  if (isBlob(value)) {
+    return new Uint8Array(await value.arrayBuffer());
+  }
+  if (value instanceof ArrayBuffer) {
+    return new Uint8Array(value);
+  }
+  if (ArrayBuffer.isView(value)) {
+    return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  }
+  if (isInstance(value, 'ImageData')) {
+    return new Uint8Array(value.data.buffer);
+  }
+  if (isInstance(value, 'AudioBuffer')) {
+    const channels = [];
+    for (let i = 0; i < value.numberOfChannels; i++) {
+      channels.push(new Uint8Array(value.getChannelData(i).buffer));
+    }
+    return concatBytes(channels);
+  }
+  if (typeof value?.convertToBlob === 'function') {
+    return readBytes(await value.convertToBlob());
+  }
+  if (typeof value?.toBlob === 'function') {
+    return readBytes(await new Promise(resolve => value.toBlob(resolve)));
+  }
+  if (typeof OffscreenCanvas === 'function' && value?.width && value?.height) {
+    // Bitmaps, images and video frames: read the pixels back from a canvas
+    const canvas = new OffscreenCanvas(value.width, value.height);
+    const context = canvas.getContext('2d');
+    context.drawImage(value, 0, 0);
+    return new Uint8Array(context.getImageData(0, 0, value.width, value.height).data.buffer);
+  }
+  return undefined;
+}
+
+/**
+ * Join byte arrays
+ * @private
+ * @param {Uint8Array[]} arrays - Byte arrays
+ * @returns {Uint8Array} Joined bytes
+ */
+function concatBytes(arrays) {
+  const bytes = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+  let offset = 0;
+  for (const array of arrays) {
+    bytes.set(array, offset);
+    offset += array.length;
+  }
+  return bytes;
+}
+
+/**
+ * Serialize content for a cache key, replacing media with the SHA-256 hash of its bytes
+ * @param {string|ContentPart[]} content - Text or content parts
+ * @returns {Promise<string|undefined>} Serialized content, undefined if some media cannot be read
+ */
+async function serializeContent(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+
+  const parts = [];
+  for (const part of toContentParts(content)) {
+    if (part.type === 'text') {
+      parts.push(part.value);
+      continue;
+    }
+    const bytes = await readBytes(part.value);
+    if (!bytes) {
+      return undefined;
+    }
+    const [attachment] = describeAttachments([part]);
+    parts.push({ ...attachment, size: bytes.length, hash: await sha256(bytes) });
+  }
+  return JSON.stringify(parts);
+}
+
+export {
+  CONTENT_TYPES,
+  mediaType,
+  isContentPart,
+  isMedia,
+  isContentArray,
+  toContentParts,
+  describeAttachments,
+  contentToText,
+  serializeContent
+};
@@ -0,0 +1,146 @@
+/**
+ * Context window management for long-running conversations
+ * @module context
+ */
+
+/**
+ * @typedef {Object} ContextOptions
+ * @property {('drop-oldest'|'keep-last'|'summarize')} [strategy] - Overflow strategy, disabled when omitted
+ * @property {number} [threshold=0.9] - Fraction of maxTokens in use that triggers compaction
+ * @property {number} [target=0.5] - Fraction of maxTokens the 'drop-oldest' strategy trims down to
+ * @property {number} [keepLast=4] - Number of recent user/assistant turns kept by 'keep-last' and 'summarize'
+ */
+
+/**
+ * Estimate the token count of a message
+ * @private
+ * @param {import('./history.mjs').Message} message - Message
+ * @returns {number} Token count
+ */
+function messageTokens(message) {
+  return message.tokens ?? Math.ceil(message.content.length / 4);
+}
+
+/**
+ * Decides when a conversation is running out of context and compacts its messages
+ */
+class ContextManager {
+  /**
+   * Create a new ContextManager instance
+   * @param {ContextOptions} [options] - Configuration options
+   */
+  constructor(options = {}) {
+    this.options = {
+      strategy: options.strategy,
+      threshold: options.threshold ?? 0.9,
+      target: options.target ?? 0.5,
+      keepLast: options.keepLast ?? 4,
+      ...options
+    };
+
+    this.strategyHandlers = new Map();
+    this._initializeStrategies();
+  }
+
+  /**
+   * Initialize overflow strategies
+   * @private
+   */
+  _initializeStrategies() {
+    // Drop the oldest turns until the conversation fits the target budget
+    this.strategyHandlers.set('drop-oldest', async (system, turns, { maxTokens }) => {
+      const budget = maxTokens * this.options.target - (system ? messageTokens(system) : 0);
+      let total = turns.reduce((sum, m) => sum + messageTokens(m), 0);
+      let start = 0;
+
+      while (start < turns.length && total > budget) {
+        total -= messageTokens(turns[start]);
+        start++;
+      }
+      // Never leave an assistant reply without the question that produced it
+      while (start < turns.length && turns[start].role !== 'user') {
+        start++;
+      }
+
+      return [system, ...turns.slice(start)].filter(Boolean);
+    });
+
+    // Keep the system prompt and the last N turns
+    this.strategyHandlers.set('keep-last', async (system, turns) => {
+      return [system, ...this._recentTurns(turns)].filter(Boolean);
+    });
+
+    // Summarize everything but the last N turns into the system prompt
+    this.strategyHandlers.set('summarize', async (system, turns, { summarize }) => {
+      const recent = this._recentTurns(turns);
+      const earlier = turns.slice(0, turns.length - recent.length);
+      if (earlier.length === 0) {
+        return [system, ...recent].filter(Boolean);
+      }
+
+      const summary = await summarize(earlier);
+      const content = [system?.content, `Summary of the earlier conversation:\n${summary}`]
+        .filter(Boolean)
+        .join('\n\n');
+
+      return [{ role: 'system', content, timestamp: Date.now() }, ...recent];
+    });
+  }
+
+  /**
+   * Get the most recent user/assistant turns
+   * @private
+   */
+  _recentTurns(turns) {
+    const recent = turns.slice(-this.options.keepLast * 2);
+    while (recent.length > 0 && recent[0].role !== 'user') {
+      recent.shift();
+    }
+    return recent;
+  }
+
+  /**
+   * Whether a strategy is configured
+   * @returns {boolean} True if context management is enabled
+   */
+  get enabled() {
+    return Boolean(this.options.strategy);
+  }
+
+  /**
+   * Check whether a session has crossed the compaction threshold
+   * @param {Object} usage - Token usage
+   * @param {number} usage.tokensSoFar - Tokens used so far
+   * @param {number} usage.maxTokens - Maximum tokens for the session
+   * @param {number} [inputTokens=0] - Tokens about to be sent
+   * @returns {boolean} True if the conversation should be compacted
+   */
+  needsCompaction({ tokensSoFar, maxTokens }, inputTokens = 0) {
+    if (!this.enabled || !maxTokens) {
+      return false;
+    }
+    return tokensSoFar + inputTokens >= maxTokens * this.options.threshold;
+  }
+
+  /**
+   * Compact a conversation using the configured strategy
+   * @param {import('./history.mjs').Message[]} messages - Conversation messages
+   * @param {Object} context - Compaction context
+   * @param {number} context.maxTokens - Maximum tokens for the session
+   * @param {Function} [context.summarize] - Summarizes a list of messages into a string
+   * @returns {Promise<import('./history.mjs').Message[]>} Compacted messages
+   * @throws {Error} If the strategy is unknown
+   */
+  async compact(messages, context) {
+    const handler = this.strategyHandlers.get(this.options.strategy);
+    if (!handler) {
+      throw new Error(`Unknown context strategy: ${this.options.strategy}`);
+    }
+
+    const system = messages.find(m => m.role === 'system');
+    const turns = messages.filter(m => m.role !== 'system');
+    return handler(system, turns, context);
+  }
+}
+
+export { ContextManager };
@@ -0,0 +1,93 @@
+/**
+ * Model download progress monitoring
+ * @module download
+ */
+
+import { SessionEvent } from './events.mjs';
+
+/**
+ * @typedef {Object} DownloadProgress
+ * @property {number} loaded - Amount downloaded (bytes, or a fraction when the browser reports one)
+ * @property {number} [total] - Total amount, when known
+ * @property {number} [percent] - Percentage downloaded (0-100), when the total is known
+ */
+
+/**
+ * Map a capabilities availability value to a download state
+ * @param {string} available - 'readily', 'after-download' or 'no'
+ * @returns {('ready'|'downloadable'|'unavailable')} Download state
+ */
+function stateFromAvailability(available) {
+  switch (available) {
+  case 'readily':
+    return 'ready';
+  case 'after-download':
+    return 'downloadable';
+  default:
+    return 'unavailable';
+  }
+}
+
+/**
+ * Normalize a native downloadprogress event. Recent Chrome versions report
+ * `loaded` as a fraction with `total` 1, older ones report bytes.
+ * @param {{loaded?: number, total?: number}} event - Native event
+ * @returns {DownloadProgress} Normalized progress
+ */
+function normalizeProgress(event) {
+  const loaded = event.loaded ?? 0;
+  const total = event.total || (loaded <= 1 ? 1 : undefined);
+  const percent = total ? Math.min(100, (loaded / total) * 100) : undefined;
+  return { loaded, total, percent };
+}
+
+/**
+ * Relays the native `downloadprogress` events of a model download with
+ * normalized `loaded`, `total` and `percent` fields, and dispatches
+ * `statechange` (`state`, `previous`) as the model moves from
+ * 'downloadable' through 'downloading' to 'ready'.
+ */
+class DownloadMonitor extends EventTarget {
+  /**
+   * Create a new DownloadMonitor instance
+   * @param {('ready'|'downloadable'|'downloading'|'unavailable')} [state='downloadable'] - Initial state
+   */
+  constructor(state = 'downloadable') {
+    super();
+    this.state = state;
+    this.progress = { loaded: 0, total: undefined, percent: undefined };
+  }
+
+  /**
+   * Listen to a native monitor, as passed to the `monitor` option of window.ai `create()`
+   * @param {EventTarget} target - Native monitor
+   */
+  attach(target) {
+    target.addEventListener('downloadprogress', event => this.report(event));
+  }
+
+  /**
+   * Record download progress
+   * @param {{loaded?: number, total?: number}} event - Native event or progress values
+   */
+  report(event) {
+    this.progress = normalizeProgress(event);
+    this.setState('downloading');
+    this.dispatchEvent(new SessionEvent('downloadprogress', { ...this.progress }));
+  }
+
+  /**
+   * Move to a new state, dispatching statechange if it changed
+   * @param {('ready'|'downloadable'|'downloading'|'unavailable')} state - New state
+   */
+  setState(state) {
+    if (state === this.state) {
+      return;
+    }
+    const previous = this.state;
+    this.state = state;
+    this.dispatchEvent(new SessionEvent('statechange', { state, previous }));
+  }
+}
+
+export { DownloadMonitor, normalizeProgress, stateFromAvailability };
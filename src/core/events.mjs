@@ -0,0 +1,43 @@
+/**
+ * Lifecycle events dispatched by Session
+ * @module events
+ */
+
+/**
+ * An event describing one step of a prompt's lifecycle.
+ *
+ * - `beforePrompt`: `input`, `options`. Listeners may assign `input` (a string or a
+ *   promise of one) to rewrite the prompt, or call `respondWith()` to answer without
+ *   calling the model.
+ * - `afterPrompt`: `input`, `options`, `response`, `latency`, `cached`,
+ *   `source` ('model', 'cache' or 'interceptor') and `strategy` (fallback strategy used, if any).
+ * - `chunk`: `input`, `options`, `chunk` for each streamed chunk.
+ * - `cacheHit`: `input`, `options`, `response`, `latency`; `score` and `match` for semantic hits.
+ * - `fallback`: `input`, `options`, `strategy`, `error`.
+ * - `error`: `input`, `options`, `error`, `latency`.
+ */
+class SessionEvent extends Event {
+  /**
+   * Create a new SessionEvent instance
+   * @param {string} type - Event type
+   * @param {Object} [init={}] - Event properties
+   */
+  constructor(type, init = {}) {
+    super(type);
+    Object.assign(this, init);
+  }
+
+  /**
+   * Answer a beforePrompt event instead of calling the model
+   * @param {string|ReadableStream|Promise<string|ReadableStream>} response - Response to use
+   * @throws {Error} If called on any other event type
+   */
+  respondWith(response) {
+    if (this.type !== 'beforePrompt') {
+      throw new Error(`respondWith() is only available on beforePrompt events, not ${this.type}`);
+    }
+    this.response = response;
+  }
+}
+
+export { SessionEvent };
@@ -0,0 +1,208 @@
+/**
+ * Conversation history tracking for window.ai sessions
+ * @module history
+ */
+
+/**
+ * Current transcript format version
+ * @type {number}
+ */
+const TRANSCRIPT_VERSION = 1;
+
+/**
+ * Roles accepted in a conversation history
+ * @type {string[]}
+ */
+const ROLES = ['system', 'user', 'assistant'];
+
+/**
+ * @typedef {Object} Message
+ * @property {('system'|'user'|'assistant')} role - Message role
+ * @property {string} content - Message content
+ * @property {number} timestamp - Creation time in milliseconds since epoch
+ * @property {number} [tokens] - Token count for the message content
+ * @property {Array<{name: string, arguments: Object}>} [toolCalls] - Tools the assistant called in this message
+ * @property {Array<{name: string, result?: any, error?: string}>} [toolResults] - Tool results carried by this message
+ * @property {import('./content.mjs').Attachment[]} [attachments] - Images and audio sent with this message,
+ *   which appear as placeholders such as `[image]` in the content
+ */
+
+/**
+ * @typedef {Object} Transcript
+ * @property {number} version - Transcript format version
+ * @property {number} exportedAt - Export time in milliseconds since epoch
+ * @property {Object} [options] - Session options needed to rebuild the conversation
+ * @property {Message[]} messages - Conversation messages in order
+ */
+
+/**
+ * An ordered, role-based record of a conversation
+ */
+class ConversationHistory {
+  /** @type {Message[]} */ #messages = [];
+
+  /**
+   * Create a new ConversationHistory instance
+   * @param {Array<Object>} [messages=[]] - Initial messages
+   */
+  constructor(messages = []) {
+    for (const message of messages) {
+      this.add(message.role, message.content, message);
+    }
+  }
+
+  /**
+   * Add a message to the history
+   * @param {('system'|'user'|'assistant')} role - Message role
+   * @param {string} content - Message content
+   * @param {Object} [meta={}] - Additional message metadata
+   * @param {number} [meta.timestamp] - Creation time, defaults to now
+   * @param {number} [meta.tokens] - Token count for the content
+   * @param {Array} [meta.toolCalls] - Tool calls made in the message
+   * @param {Array} [meta.toolResults] - Tool results carried by the message
+   * @param {Array} [meta.attachments] - Images and audio sent with the message
+   * @returns {Message} The stored message
+   * @throws {Error} If the role is not supported
+   */
+  add(role, content, meta = {}) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unsupported message role: ${role}`);
+    }
+
+    const message = {
+      role,
+      content: String(content),
+      timestamp: meta.timestamp ?? Date.now()
+    };
+    if (meta.tokens !== undefined) {
+      message.tokens = meta.tokens;
+    }
+    if (meta.toolCalls) {
+      message.toolCalls = meta.toolCalls;
+    }
+    if (meta.toolResults) {
+      message.toolResults = meta.toolResults;
+    }
+    if (meta.attachments) {
+      message.attachments = meta.attachments;
+    }
+
+    this.#messages.push(message);
+    return message;
+  }
+
+  /**
+   * Attach metadata to the most recent message with a given role
+   * @param {('system'|'user'|'assistant')} role - Message role
+   * @param {Object} meta - Metadata to merge into the message
+   */
+  annotateLast(role, meta) {
+    const message = this.#messages.findLast(m => m.role === role);
+    if (message) {
+      Object.assign(message, meta);
+    }
+  }
+
+  /**
+   * Get a copy of all messages
+   * @returns {Message[]} Messages in order
+   */
+  get messages() {
+    return this.#messages.map(message => ({ ...message }));
+  }
+
+  /**
+   * Get the number of messages
+   * @returns {number} Message count
+   */
+  get length() {
+    return this.#messages.length;
+  }
+
+  /**
+   * Get the number of turns, counted by user messages
+   * @returns {number} Turn count
+   */
+  get turns() {
+    return this.#messages.filter(m => m.role === 'user').length;
+  }
+
+  /**
+   * Copy the history as it was before a turn
+   * @param {number} turn - Index of the first turn to leave out; earlier turns and
+   *   the system message are kept
+   * @returns {ConversationHistory} New history
+   */
+  slice(turn) {
+    let turns = 0;
+    const end = this.#messages.findIndex(m => m.role === 'user' && turns++ === turn);
+    return new ConversationHistory(end === -1 ? this.#messages : this.#messages.slice(0, end));
+  }
+
+  /**
+   * Get the system message, if any
+   * @returns {Message|undefined} System message
+   */
+  get system() {
+    const message = this.#messages.find(m => m.role === 'system');
+    return message && { ...message };
+  }
+
+  /**
+   * Get the total of all known message token counts
+   * @returns {number} Token count
+   */
+  get tokens() {
+    return this.#messages.reduce((sum, m) => sum + (m.tokens || 0), 0);
+  }
+
+  /**
+   * Remove all messages
+   */
+  clear() {
+    this.#messages = [];
+  }
+
+  /**
+   * Convert the history into window.ai `initialPrompts`
+   * @returns {Array<{role: string, content: string}>} Initial prompts
+   */
+  toInitialPrompts() {
+    return this.#messages.map(({ role, content }) => ({ role, content }));
+  }
+
+  /**
+   * Serialize the history into a transcript
+   * @param {Object} [options={}] - Session options to store alongside the messages
+   * @returns {Transcript} Transcript object
+   */
+  toTranscript(options = {}) {
+    return {
+      version: TRANSCRIPT_VERSION,
+      exportedAt: Date.now(),
+      options,
+      messages: this.messages
+    };
+  }
+
+  /**
+   * Restore a history from a transcript
+   * @param {Transcript} transcript - Transcript object or its JSON string
+   * @returns {ConversationHistory} Restored history
+   * @throws {Error} If the transcript is malformed or from a newer version
+   */
+  static fromTranscript(transcript) {
+    const data = typeof transcript === 'string' ? JSON.parse(transcript) : transcript;
+
+    if (!data || !Array.isArray(data.messages)) {
+      throw new Error('Invalid transcript: messages array is required');
+    }
+    if (data.version > TRANSCRIPT_VERSION) {
+      throw new Error(`Unsupported transcript version: ${data.version}`);
+    }
+
+    return new ConversationHistory(data.messages);
+  }
+}
+
+export { ConversationHistory, TRANSCRIPT_VERSION };
@@ -0,0 +1,253 @@
+/**
+ * Capability matrix for the built-in AI APIs
+ * @module matrix
+ */
+
+/**
+ * Option values each built-in API can be asked about, keyed by the
+ * capabilities method that checks them
+ * @type {Object<string, Object<string, {method: string, values: string[]}>>}
+ */
+const BUILT_IN_APIS = {
+  summarizer: {
+    type: { method: 'supportsType', values: ['tl;dr', 'key-points', 'teaser', 'headline'] },
+    format: { method: 'supportsFormat', values: ['plain-text', 'markdown'] },
+    length: { method: 'supportsLength', values: ['short', 'medium', 'long'] }
+  },
+  writer: {
+    tone: { method: 'supportsTone', values: ['formal', 'neutral', 'casual'] },
+    format: { method: 'supportsFormat', values: ['plain-text', 'markdown'] },
+    length: { method: 'supportsLength', values: ['short', 'medium', 'long'] }
+  },
+  rewriter: {
+    tone: { method: 'supportsTone', values: ['as-is', 'more-formal', 'more-casual'] },
+    format: { method: 'supportsFormat', values: ['as-is', 'plain-text', 'markdown'] },
+    length: { method: 'supportsLength', values: ['as-is', 'shorter', 'longer'] }
+  },
+  translator: {},
+  languageDetector: {}
+};
+
+/** Languages probed when none are given */
+const DEFAULT_LANGUAGES = ['en', 'es', 'fr', 'de', 'ja', 'zh'];
+
+/**
+ * @typedef {Object} CapabilityEntry
+ * @property {('readily'|'after-download'|'no')} available - Availability of the API
+ * @property {Object<string, string[]>} [options] - Supported values per option (type, tone, format, length)
+ * @property {string[]} [languages] - Supported languages among those probed
+ * @property {Array<[string, string]>} [languagePairs] - Supported translation pairs among those probed
+ * @property {string} [error] - Why the capabilities could not be read
+ */
+
+/**
+ * Check whether a capability answer means "supported". Chrome answers
+ * 'readily', 'after-download' or 'no'; some builds answer booleans.
+ * @private
+ * @param {*} answer - Answer from a capabilities method
+ * @returns {boolean} True if supported
+ */
+function isSupported(answer) {
+  return answer === true || answer === 'readily' || answer === 'after-download';
+}
+
+/**
+ * Ask a capabilities method about a value, treating errors and async answers as unsupported
+ * @private
+ * @param {Object} raw - Native capabilities object
+ * @param {string} method - Method name
+ * @param {...string} args - Arguments
+ * @returns {boolean|undefined} Whether supported, undefined if the method is missing
+ */
+function ask(raw, method, ...args) {
+  if (typeof raw?.[method] !== 'function') {
+    return undefined;
+  }
+  try {
+    return isSupported(raw[method](...args));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read the capabilities of one built-in API
+ * @param {Object} [api] - Native API, e.g. `ai.summarizer`
+ * @param {string} name - API name
+ * @param {string[]} languages - Languages to probe
+ * @returns {Promise<{entry: CapabilityEntry, raw: Object}>} Entry and native capabilities
+ */
+async function probeAPI(api, name, languages) {
+  if (typeof api?.capabilities !== 'function') {
+    return { entry: { available: 'no' }, raw: undefined };
+  }
+
+  let raw;
+  try {
+    raw = await api.capabilities();
+  } catch (error) {
+    return { entry: { available: 'no', error: error.message }, raw: undefined };
+  }
+
+  const entry = { available: raw?.available ?? 'no' };
+  const optionSpecs = Object.entries(BUILT_IN_APIS[name] ?? {});
+  if (optionSpecs.length > 0) {
+    entry.options = {};
+    for (const [option, { method, values }] of optionSpecs) {
+      if (typeof raw[method] === 'function') {
+        entry.options[option] = values.filter(value => ask(raw, method, value));
+      }
+    }
+  }
+
+  if (typeof raw.languagePairAvailable === 'function') {
+    entry.languagePairs = [];
+    for (const source of languages) {
+      for (const target of languages) {
+        if (source !== target && ask(raw, 'languagePairAvailable', source, target)) {
+          entry.languagePairs.push([source, target]);
+        }
+      }
+    }
+  }
+  if (typeof raw.languageAvailable === 'function') {
+    entry.languages = languages.filter(language => ask(raw, 'languageAvailable', language));
+  }
+
+  return { entry, raw };
+}
+
+/**
+ * Availability, options and languages of every built-in AI API, with helpers
+ * for choosing between a native API and prompting the language model
+ */
+class CapabilityMatrix {
+  /**
+   * Create a new CapabilityMatrix instance
+   * @param {Object<string, CapabilityEntry>} entries - Entries keyed by API name
+   * @param {Object<string, Object>} [raw] - Native capabilities objects keyed by API name
+   */
+  constructor(entries, raw = {}) {
+    this.entries = entries;
+    Object.defineProperty(this, 'raw', {
+      value: raw,
+      enumerable: false
+    });
+  }
+
+  /**
+   * Read every built-in API
+   * @param {Object} ai - window.ai API
+   * @param {Object} [options] - Configuration options
+   * @param {string[]} [options.languages] - Languages to probe
+   * @returns {Promise<CapabilityMatrix>} Matrix
+   */
+  static async probe(ai, options = {}) {
+    const languages = options.languages ?? DEFAULT_LANGUAGES;
+    const names = Object.keys(BUILT_IN_APIS);
+    const results = await Promise.all(names.map(name => probeAPI(ai?.[name], name, languages)));
+
+    const entries = {};
+    const raw = {};
+    names.forEach((name, i) => {
+      entries[name] = results[i].entry;
+      raw[name] = results[i].raw;
+    });
+    return new CapabilityMatrix(entries, raw);
+  }
+
+  /**
+   * Get the entry for an API
+   * @param {string} api - API name
+   * @returns {CapabilityEntry} Entry, `{ available: 'no' }` for unknown APIs
+   */
+  get(api) {
+    return this.entries[api] ?? { available: 'no' };
+  }
+
+  /**
+   * Check whether an API can be used, possibly after a download
+   * @param {string} api - API name
+   * @returns {boolean} True if available
+   */
+  has(api) {
+    return this.get(api).available !== 'no';
+  }
+
+  /**
+   * Check whether an API can be used without a download
+   * @param {string} api - API name
+   * @returns {boolean} True if ready
+   */
+  isReady(api) {
+    return this.get(api).available === 'readily';
+  }
+
+  /**
+   * Check whether an API is available and supports the given requirements
+   * @param {string} api - API name
+   * @param {Object} [requirements] - Option values (type, tone, format, length) and
+   *   `language`, or `sourceLanguage` and `targetLanguage` for the translator
+   * @returns {boolean} True if supported
+   */
+  supports(api, requirements = {}) {
+    if (!this.has(api)) {
+      return false;
+    }
+    const entry = this.get(api);
+    const raw = this.raw[api];
+    const { language, sourceLanguage, targetLanguage, ...options } = requirements;
+
+    for (const [option, value] of Object.entries(options)) {
+      if (value === undefined) continue;
+      const spec = BUILT_IN_APIS[api]?.[option];
+      const supported = entry.options?.[option]?.includes(value) ?? ask(raw, spec?.method, value);
+      if (supported === false) {
+        return false;
+      }
+    }
+
+    if (language !== undefined && !entry.languages?.includes(language)) {
+      // Not among the probed languages; ask the API if we still can
+      const supported = ask(raw, 'languageAvailable', language) ?? (entry.languages ? false : undefined);
+      if (supported === false) {
+        return false;
+      }
+    }
+
+    if (sourceLanguage !== undefined && targetLanguage !== undefined) {
+      const probed = entry.languagePairs?.some(([s, t]) => s === sourceLanguage && t === targetLanguage);
+      const supported = probed ||
+        (ask(raw, 'languagePairAvailable', sourceLanguage, targetLanguage) ?? (entry.languagePairs ? false : undefined));
+      if (supported === false) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Choose how to perform a task
+   * @param {string} api - API that performs the task natively
+   * @param {Object} [requirements] - Requirements, as for supports()
+   * @returns {('native'|'prompt'|null)} 'native' to use the API, 'prompt' to prompt the
+   *   language model instead, or null if neither is available
+   */
+  pick(api, requirements = {}) {
+    if (this.supports(api, requirements)) {
+      return 'native';
+    }
+    return this.has('languageModel') ? 'prompt' : null;
+  }
+
+  /**
+   * Convert to a plain object
+   * @returns {Object<string, CapabilityEntry>} Entries keyed by API name
+   */
+  toJSON() {
+    return this.entries;
+  }
+}
+
+export { CapabilityMatrix, probeAPI, BUILT_IN_APIS, DEFAULT_LANGUAGES };
@@ -0,0 +1,177 @@
+/**
+ * Prompt scheduling with concurrency limits and priorities
+ * @module scheduler
+ */
+
+import { createAbortError } from '../utils/abort.mjs';
+
+/**
+ * @typedef {Object} SchedulerOptions
+ * @property {number} [maxConcurrency=1] - Maximum number of generations running at once
+ * @property {import('../monitoring/analytics.mjs').PerformanceAnalytics} [analytics] - Analytics receiving queue metrics
+ */
+
+/**
+ * @typedef {Object} ScheduleOptions
+ * @property {('interactive'|'background'|number)} [priority='interactive'] - Priority level, lower numbers run first
+ * @property {AbortSignal} [signal] - Signal that removes the request from the queue
+ */
+
+/**
+ * A priority queue that hands out a limited number of generation slots.
+ * Requests with the same priority are served first in, first out.
+ */
+class PromptScheduler {
+  /**
+   * Create a new PromptScheduler instance
+   * @param {SchedulerOptions} [options] - Configuration options
+   */
+  constructor(options = {}) {
+    const { analytics, ...rest } = options;
+    this.options = {
+      maxConcurrency: rest.maxConcurrency ?? 1,
+      ...rest
+    };
+    this.analytics = analytics;
+
+    this.priorities = new Map([
+      ['interactive', 0],
+      ['background', 10]
+    ]);
+    this.queue = [];
+    this.active = 0;
+    this.sequence = 0;
+  }
+
+  /**
+   * Number of requests waiting for a slot
+   * @returns {number} Queue length
+   */
+  get pending() {
+    return this.queue.length;
+  }
+
+  /**
+   * Number of requests holding a slot
+   * @returns {number} Running count
+   */
+  get running() {
+    return this.active;
+  }
+
+  /**
+   * Wait for a generation slot
+   * @param {ScheduleOptions} [options] - Scheduling options
+   * @returns {Promise<Function>} Function that releases the slot
+   * @throws {Error} AbortError if the signal aborts before the slot is granted
+   */
+  acquire(options = {}) {
+    const { priority = 'interactive', signal } = options;
+    const level = typeof priority === 'number' ? priority : this.priorities.get(priority);
+    if (level === undefined) {
+      return Promise.reject(new Error(`Unknown priority: ${priority}`));
+    }
+    if (signal?.aborted) {
+      return Promise.reject(createAbortError(signal));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        level,
+        sequence: this.sequence++,
+        enqueued: Date.now(),
+        signal,
+        resolve,
+        reject
+      };
+      entry.onAbort = () => {
+        this._remove(entry);
+        reject(createAbortError(signal));
+      };
+      signal?.addEventListener('abort', entry.onAbort, { once: true });
+
+      // Insert after every entry with the same or a more urgent priority
+      const index = this.queue.findIndex(e => e.level > level);
+      this.queue.splice(index === -1 ? this.queue.length : index, 0, entry);
+      this.analytics?.record('queue_length', this.queue.length);
+
+      this._drain();
+    });
+  }
+
+  /**
+   * Run a task once a slot is available
+   * @param {Function} task - Async task
+   * @param {ScheduleOptions} [options] - Scheduling options
+   * @returns {Promise<any>} Task result
+   */
+  async run(task, options = {}) {
+    const release = await this.acquire(options);
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Remove every queued request that has not started, rejecting it with an AbortError
+   * @returns {number} Number of requests removed
+   */
+  clear() {
+    const removed = this.queue.splice(0);
+    for (const entry of removed) {
+      entry.signal?.removeEventListener('abort', entry.onAbort);
+      entry.reject(createAbortError());
+      this.analytics?.record('queue_removed', 1);
+    }
+    return removed.length;
+  }
+
+  /**
+   * Get scheduler statistics
+   * @returns {Object} Scheduler statistics
+   */
+  getStats() {
+    return {
+      pending: this.pending,
+      running: this.running,
+      maxConcurrency: this.options.maxConcurrency
+    };
+  }
+
+  /**
+   * Remove a queued entry
+   * @private
+   */
+  _remove(entry) {
+    const index = this.queue.indexOf(entry);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+      this.analytics?.record('queue_removed', 1);
+    }
+  }
+
+  /**
+   * Start queued requests while slots are free
+   * @private
+   */
+  _drain() {
+    while (this.active < this.options.maxConcurrency && this.queue.length > 0) {
+      const entry = this.queue.shift();
+      entry.signal?.removeEventListener('abort', entry.onAbort);
+      this.active++;
+      this.analytics?.record('queue_wait', Date.now() - entry.enqueued);
+
+      let released = false;
+      entry.resolve(() => {
+        if (released) return;
+        released = true;
+        this.active--;
+        this._drain();
+      });
+    }
+  }
+}
+
+export { PromptScheduler };
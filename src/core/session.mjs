@@ -5,9 +5,25 @@
 
 import { DistributedCache } from '../caching/distributed.mjs';
 import { CacheCompression } from '../caching/compression.mjs';
+import { SemanticCache } from '../caching/semantic.mjs';
+import { builtInModelVersion, canonicalize, createCacheKey, sha256 } from '../caching/keys.mjs';
+import { SingleFlight } from '../caching/flight.mjs';
 import { TemplateSystem } from '../templates/system.mjs';
 import { FallbackSystem } from '../monitoring/fallback.mjs';
 import { PerformanceAnalytics } from '../monitoring/analytics.mjs';
+import { ConversationHistory } from './history.mjs';
+import { ContextManager } from './context.mjs';
+import { StructuredOutputError, describeSchema, parseStructured } from './structured.mjs';
+import { ToolRegistry } from './tools.mjs';
+import { PromptScheduler } from './scheduler.mjs';
+import { SessionEvent } from './events.mjs';
+import { ResponseStream, StreamTee, createDeltaNormalizer } from './stream.mjs';
+import { DownloadMonitor, stateFromAvailability } from './download.mjs';
+import { Capabilities } from './capabilities.mjs';
+import { contentToText, describeAttachments, isContentArray, serializeContent, toContentParts } from './content.mjs';
+import { throwIfAborted, createAbortError } from '../utils/abort.mjs';
+import { isProvider, resolveProvider } from '../providers/provider.mjs';
+import { TASK_TEMPLATES } from '../tasks/templates.mjs';
 import AIDefault from '../ai.default.mjs';
 
 // Determine if running in a browser environment
@@ -17,68 +33,138 @@ import AIDefault from '../ai.default.mjs';
  * @property {Object} [cache] - Cache configuration
  * @property {boolean} [cache.enabled] - Enable caching
  * @property {number} [cache.ttl] - Cache TTL in milliseconds
+ * @property {import('../caching/stores.mjs').CacheStore|string} [cache.store='memory'] - Where
+ *   responses are kept: a store, or 'memory', 'localStorage', 'sessionStorage' or 'indexedDB'
+ * @property {number} [cache.maxEntries] - Most responses kept
+ * @property {number} [cache.maxBytes] - Most bytes of responses kept
+ * @property {('lru'|'lfu'|'fifo')} [cache.eviction='lru'] - Which response goes first at a limit
+ * @property {number} [cache.sweepInterval] - Milliseconds between sweeps for expired responses
+ * @property {function(string, any, string): void} [cache.onEvict] - Called for each evicted response
+ * @property {number} [cache.staleWhileRevalidate=0] - Milliseconds after expiring that a response
+ *   is still returned, while it is refreshed in the background
+ * @property {string} [cache.namespace='default'] - Namespace of the cache keys; sessions in different
+ *   namespaces never share responses
+ * @property {string} [cache.modelVersion] - Version of the model; cached responses from other versions
+ *   are invalidated. Defaults to the browser version for window.ai.
+ * @property {boolean|string|Object} [cache.broadcast] - Share responses with sessions in other tabs
+ *   over a BroadcastChannel, and let one tab answer a prompt the others are waiting for
+ * @property {boolean|Object} [cache.semantic] - Also answer prompts similar to cached ones
+ * @property {number} [cache.semantic.threshold=0.85] - Lowest similarity that counts as a hit
+ * @property {function(string): Promise<ArrayLike<number>>|Object} [cache.semantic.embedder] - Embedding
+ *   function, or an object with an `embed` method; defaults to an offline HashingEmbedder
+ * @property {number} [cache.semantic.maxEntries=500] - Most prompts kept for similarity lookups
  * @property {Object} [cache.compression] - Compression options
  * @property {('lz'|'deflate')} [cache.compression.algorithm] - Compression algorithm
  * @property {('fast'|'default'|'max')} [cache.compression.level] - Compression level
  * @property {number} [cache.compression.threshold] - Compression threshold in bytes
  * @property {Object} [fallback] - Fallback configuration
  * @property {Function} [fallback.onFallback] - Fallback callback
+ * @property {string} [systemPrompt] - System prompt for the conversation
+ * @property {Array<{role: string, content: string}>} [initialPrompts] - Initial conversation turns
+ * @property {number} [temperature] - Model temperature
+ * @property {number} [topK] - Model topK
+ * @property {import('./context.mjs').ContextOptions} [context] - Context window management
+ * @property {Object} [queue] - Request queue configuration
+ * @property {number} [queue.maxConcurrency=1] - Maximum number of generations running at once
+ * @property {function(import('./download.mjs').DownloadMonitor): void} [monitor] - Called with a
+ *   DownloadMonitor relaying the model's downloadprogress events while the session is created
+ * @property {Array<{type: ('text'|'image'|'audio')}>} [expectedInputs] - Input types the prompts
+ *   will contain; window.ai needs this before it accepts images or audio
+ * @property {Array<{type: string}>} [expectedOutputs] - Output types the responses will contain
+ * @property {AbortSignal} [signal] - Signal that cancels session creation
+ * @property {Object} [params] - Checks on temperature and topK, at creation and in prompt options
+ * @property {import('./capabilities.mjs').ParamMode} [params.mode='pass'] - 'strict' throws an
+ *   InvalidParamsError, 'clamp' adjusts the values into range, 'pass' sends them to the model
+ *   unchecked, so the model rejects invalid ones
+ * @property {function(import('./capabilities.mjs').ParamAdjustment): void} [params.onAdjust] - Called
+ *   for each adjustment clamp mode makes, defaults to console.warn
  */
 
 /**
  * @typedef {Object} PromptOptions
  * @property {string} [model] - Model name
- * @property {number} [temperature] - Temperature (0-1)
+ * @property {number} [temperature] - Temperature, checked against the model's range
  * @property {number} [maxTokens] - Maximum tokens
  * @property {boolean} [cache] - Enable/disable caching for this request
+ * @property {AbortSignal} [signal] - Signal that cancels the request, or removes it from the queue
+ * @property {('interactive'|'background'|number)} [priority='interactive'] - Queue priority
+ * @property {boolean} [queue] - Set to false to bypass the request queue
  */
 
 /**
- * Generate a cache key from input text and options
+ * Get the name of the template a prompt uses
  * @private
- * @param {string} text - Input text
- * @param {PromptOptions} [options] - Prompt options
- * @returns {string} Cache key
+ * @param {string|Array} text - Prompt text, template array or content array
+ * @returns {string|undefined} Template name, if the prompt is a template array
  */
-function generateCacheKey(text, options = {}) {
-  // Create a string that includes both text and relevant options
-  const keyString = JSON.stringify({
-    text,
-    // Only include options that affect the response
-    model: options.model,
-    temperature: options.temperature,
-    maxTokens: options.maxTokens
+function templateName(text) {
+  return Array.isArray(text) && !isContentArray(text) ? text[0] : undefined;
+}
+
+/**
+ * Model parameters checked against the model's capabilities
+ * @private
+ * @type {string[]}
+ */
+const MODEL_PARAMS = ['temperature', 'topK'];
+
+/**
+ * Warn about an adjusted model parameter
+ * @private
+ * @param {import('./capabilities.mjs').ParamAdjustment} adjustment - Adjustment made
+ */
+function warnAdjusted({ reason, adjusted }) {
+  console.warn(`${reason}; using ${adjusted ?? 'the model default'} instead`);
+}
+
+/**
+ * Create a stream that yields a single piece of text
+ * @private
+ * @param {string} text - Text to stream
+ * @returns {ReadableStream} Stream
+ */
+function textStream(text) {
+  return new ReadableStream({
+    start(controller) {
+      controller.enqueue(text);
+      controller.close();
+    }
   });
+}
 
-  // Simple hash function
-  let hash = 0;
-  for (let i = 0; i < keyString.length; i++) {
-    const char = keyString.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32-bit integer
+/**
+ * Read a stream of text to the end
+ * @private
+ * @param {ReadableStream} stream - Stream of text
+ * @returns {Promise<string>} Text
+ */
+async function readText(stream) {
+  const reader = stream.getReader();
+  let text = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      return text;
+    }
+    text += value;
   }
-  return `prompt_${hash}`;
 }
 
 /**
- * Create a new window.ai session
+ * Create a new model session
  * @param {SessionOptions} [options] - Configuration options
- * @returns {Promise<Object>} window.ai session
+ * @param {import('../providers/provider.mjs').Provider|Object} [ai] - Provider or window.ai API
+ * @returns {Promise<import('../providers/provider.mjs').ProviderSession>} Provider session
  * @throws {Error} If window.ai API is not available
  */
-async function createSession(options = {}, ai=AIDefault) {
-
-  if (!ai) {
-    throw new Error('window.ai API not available');
-  }
-
-  const session = await ai.languageModel.create(options);
+async function createSession(options = {}, ai = AIDefault) {
+  const session = await resolveProvider(ai).create(options);
   return session;
 }
 
 /**
- * Destroy a window.ai session
- * @param {Object} session - window.ai session
+ * Destroy a model session
+ * @param {import('../providers/provider.mjs').ProviderSession} session - Provider session
  * @returns {Promise<void>}
  */
 async function destroySession(session) {
@@ -86,53 +172,114 @@ async function destroySession(session) {
 }
 
 /**
- * A class representing a window.ai session with caching and template support
+ * A class representing a window.ai session with caching and template support.
+ * Dispatches SessionEvent lifecycle events: beforePrompt, afterPrompt, chunk,
+ * cacheHit, fallback and error.
  */
-class Session {
+class Session extends EventTarget {
   /** @type {Object} */ #session;
   /** @type {DistributedCache} */ #cache;
+  /** @type {SemanticCache|undefined} */ #semanticCache;
+  /** @type {SingleFlight} */ #flights;
+  /** @type {WeakSet<Object>} */ #recordedFlights = new WeakSet();
   /** @type {CacheCompression} */ #compression;
   /** @type {boolean} */ #cacheEnabled;
   /** @type {number} */ #cacheTTL;
+  /** @type {import('../caching/distributed.mjs').DistributedCacheOptions} */ #cacheOptions;
+  /** @type {import('./history.mjs').Message[]} */ #initialPrompts;
   /** @type {TemplateSystem} */ #templates;
   /** @type {FallbackSystem} */ #fallback;
   /** @type {PerformanceAnalytics} */ #analytics;
+  /** @type {ConversationHistory} */ #history;
+  /** @type {Object} */ #modelOptions;
+  /** @type {ContextManager} */ #context;
+  /** @type {Object} */ #ai;
+  /** @type {ToolRegistry} */ #tools = new ToolRegistry();
+  /** @type {PromptScheduler} */ #scheduler;
+  /** @type {{session: Session, turn: number}|null} */ #parent = null;
+  /** @type {Object} */ #params;
+  /** @type {Promise<Capabilities>} */ #capabilities;
+  /** @type {string|undefined} */ #modelVersion;
+  /** @type {Promise<void>|undefined} */ #modelChecked;
 
   /** @returns {TemplateSystem} Template system instance */
   get templates() {
     return this.#templates;
   }
 
+  /** @returns {DistributedCache|undefined} Response cache, if caching is enabled */
+  get cache() {
+    return this.#cache;
+  }
+
   /**
    * Create a new Session instance
-   * @param {Object} session - window.ai session
+   * @param {import('../providers/provider.mjs').ProviderSession} session - Provider session
    * @param {SessionOptions} [options] - Configuration options
+   * @param {import('../providers/provider.mjs').Provider|Object} [ai] - Provider or window.ai API
+   *   used to recreate the session
    */
-  constructor(session, options = {}) {
+  constructor(session, options = {}, ai = AIDefault) {
+    super();
     this.#session = session;
+    this.#ai = ai;
     this.#cacheEnabled = options.cache?.enabled ?? false;
     this.#cacheTTL = options.cache?.ttl ?? 3600000; // 1 hour default
+    this.#cacheOptions = options.cache;
+    this.#modelVersion = options.cache?.modelVersion ?? (isProvider(ai) ? undefined : builtInModelVersion());
+
+    // Initialize conversation history from the prompts the session was created with
+    this.#initialPrompts = options.initialPrompts ??
+      (options.systemPrompt ? [{ role: 'system', content: options.systemPrompt }] : []);
+    this.#history = new ConversationHistory(this.#initialPrompts);
+    // Options every model session this one creates needs, such as for compaction or forks
+    this.#modelOptions = Object.fromEntries(
+      ['temperature', 'topK', 'expectedInputs', 'expectedOutputs']
+        .filter(key => options[key] !== undefined)
+        .map(key => [key, options[key]])
+    );
+    this.#context = new ContextManager(options.context);
+    this.#params = { mode: 'pass', onAdjust: warnAdjusted, ...options.params };
     
     // Initialize analytics
     this.#analytics = new PerformanceAnalytics();
 
+    // Initialize request queue
+    this.#scheduler = new PromptScheduler({
+      ...options.queue,
+      analytics: this.#analytics
+    });
+
     // Initialize caching system
     if (this.#cacheEnabled) {
       this.#cache = new DistributedCache({
-        defaultTTL: this.#cacheTTL
+        ...options.cache,
+        defaultTTL: this.#cacheTTL,
+        session: this
       });
+      this.#flights = new SingleFlight();
       this.#compression = new CacheCompression({
         algorithm: options.cache?.compression?.algorithm || 'lz',
         level: options.cache?.compression?.level || 'default',
         threshold: options.cache?.compression?.threshold || 1024
       });
+      if (options.cache?.semantic) {
+        this.#semanticCache = new SemanticCache({
+          ...(options.cache.semantic === true ? {} : options.cache.semantic),
+          ttl: this.#cacheTTL
+        });
+      }
     }
 
     // Initialize template system
     this.#templates = new TemplateSystem(this);
 
-    // Initialize fallback system with template support
-    this.#fallback = new FallbackSystem(this, {
+    // Initialize fallback system with template support. Its retries and health
+    // checks prompt the model directly, so they stay out of the history and
+    // don't dispatch prompt events of their own.
+    this.#fallback = new FallbackSystem({
+      prompt: (input, options) => this.#session.prompt(input, options)
+    }, {
       ...options.fallback,
       onFallback: (strategy, error) => {
         this.#analytics.record(`fallback_${strategy}`, 1);
@@ -152,16 +299,134 @@ class Session {
     this.registerTemplate('fallback_retry', 'Retrying due to error: {error}');
     this.registerTemplate('fallback_alternate', 'Using alternate model due to: {error}');
     this.registerTemplate('fallback_degrade', 'Using simplified mode due to: {error}');
+
+    // Register default context summary template
+    this.registerTemplate(
+      'context_summary',
+      'Summarize the following conversation in a few sentences, keeping names, facts and decisions:\n\n{conversation}'
+    );
+
+    // Register default structured output templates
+    this.registerTemplate(
+      'structured_output',
+      '{input}\n\nRespond only with JSON matching this schema. Each field lists the validation rules its value must pass:\n{schema}'
+    );
+    this.registerTemplate(
+      'structured_repair',
+      'Your previous response could not be used:\n{errors}\n\nRespond again with only the corrected JSON.'
+    );
+
+    // Register default tool calling templates
+    this.registerTemplate(
+      'tools_prompt',
+      'You can use the following tools:\n{tools}\n\n' +
+      'To call a tool, reply with only a block of this form:\n' +
+      '```tool\n' +
+      'a JSON object with "name" and "arguments" keys\n' +
+      '```\n' +
+      'You will then receive the tool results. Call more tools if needed, ' +
+      'otherwise reply with the final answer and no tool block.\n\n{input}'
+    );
+    this.registerTemplate('tools_result', 'Tool results:\n{results}');
+
+    // Register default templates for the task wrappers when their built-in API is unavailable
+    for (const [name, content] of Object.entries(TASK_TEMPLATES)) {
+      this.registerTemplate(name, content);
+    }
   }
 
   /**
    * Create a new Session instance
    * @param {SessionOptions} [options] - Configuration options
+   * @param {import('../providers/provider.mjs').Provider|Object} [ai] - Provider or window.ai API
    * @returns {Promise<Session>} New session instance
    */
   static async create(options = {}, ai = AIDefault) {
-    const session = await createSession(options, ai);
-    return new Session(session, options);
+    let capabilities;
+    let adjustments = [];
+    const mode = options.params?.mode ?? 'pass';
+    if (mode !== 'pass' && MODEL_PARAMS.some(key => options[key] !== undefined)) {
+      capabilities = await Capabilities.get(ai);
+      ({ config: options, adjustments } = capabilities.adjustParams(options, mode));
+    }
+
+    let createOptions = options;
+    let monitor;
+    if (typeof options.monitor === 'function') {
+      // Hand the caller a monitor up front, then feed it the native events
+      const { available } = await resolveProvider(ai).capabilities();
+      monitor = new DownloadMonitor(stateFromAvailability(available));
+      options.monitor(monitor);
+      createOptions = { ...options, monitor: target => monitor.attach(target) };
+    }
+
+    const session = await createSession(createOptions, ai);
+    monitor?.setState('ready');
+    const created = new Session(session, options, ai);
+    if (capabilities) {
+      created.#capabilities = Promise.resolve(capabilities);
+    }
+    created.#reportAdjustments(adjustments);
+    return created;
+  }
+
+  /**
+   * Rebuild a session from an exported transcript
+   * @param {import('./history.mjs').Transcript|string} transcript - Transcript object or JSON string
+   * @param {SessionOptions} [options] - Configuration options, overriding those in the transcript
+   * @returns {Promise<Session>} New session primed with the transcript's messages
+   * @throws {Error} If the transcript is malformed
+   */
+  static async fromTranscript(transcript, options = {}, ai = AIDefault) {
+    const data = typeof transcript === 'string' ? JSON.parse(transcript) : transcript;
+    const history = ConversationHistory.fromTranscript(data);
+
+    // The system prompt travels inside initialPrompts, window.ai rejects both
+    const createOptions = {
+      ...data.options,
+      ...options,
+      initialPrompts: history.toInitialPrompts()
+    };
+    delete createOptions.systemPrompt;
+
+    const session = await Session.create(createOptions, ai);
+    session.#history = history;
+    return session;
+  }
+
+  /**
+   * Check the model parameters of prompt options against the model's capabilities
+   * @private
+   * @param {PromptOptions} options - Prompt options
+   * @param {boolean} [report=true] - Report adjustments to analytics and onAdjust
+   * @returns {Promise<PromptOptions>} Options to use
+   * @throws {import('./capabilities.mjs').InvalidParamsError} In strict mode, if a value is invalid
+   */
+  async #checkParams(options, report = true) {
+    const { mode } = this.#params;
+    if (mode === 'pass' || !MODEL_PARAMS.some(key => options[key] !== undefined)) {
+      return options;
+    }
+    // Without capabilities, check against the limits every model shares
+    this.#capabilities ??= Capabilities.get(this.#ai).catch(() => new Capabilities({}));
+    const { config, adjustments } = (await this.#capabilities).adjustParams(options, mode);
+    if (report) {
+      this.#reportAdjustments(adjustments);
+    }
+    return config;
+  }
+
+  /**
+   * Record parameter adjustments in analytics and pass them to the onAdjust callback
+   * @private
+   * @param {import('./capabilities.mjs').ParamAdjustment[]} adjustments - Adjustments made
+   */
+  #reportAdjustments(adjustments) {
+    for (const adjustment of adjustments) {
+      this.#analytics.record('params_adjusted', 1);
+      this.#analytics.record(`params_adjusted_${adjustment.param}`, 1);
+      this.#params.onAdjust?.(adjustment);
+    }
   }
 
   /**
@@ -185,13 +450,17 @@ class Session {
   }
 
   /**
-   * Process input text, handling template arrays if provided
+   * Process input text, handling template and content arrays if provided
    * @private
-   * @param {string|Array} input - Input text or template array
-   * @returns {Promise<string>} Processed text
+   * @param {string|Array} input - Input text, template array or content array
+   * @returns {Promise<string|import('./content.mjs').ContentPart[]>} Processed text, or
+   *   content parts when the input holds images or audio
    * @throws {Error} If template array is empty
    */
   async #processInput(input) {
+    if (isContentArray(input)) {
+      return toContentParts(input);
+    }
     if (Array.isArray(input)) {
       if (input.length === 0) {
         throw new Error('Template array cannot be empty');
@@ -202,134 +471,932 @@ class Session {
     return input;
   }
 
+  /**
+   * Count tokens for a piece of text
+   * @private
+   * @param {string} text - Text to count
+   * @returns {Promise<number>} Token count, estimated if the session cannot count
+   */
+  async #countTokens(text) {
+    if (typeof this.#session.countTokens === 'function') {
+      try {
+        return await this.#session.countTokens(text);
+      } catch (error) {
+        // Fall back to estimation
+      }
+    }
+    return Math.ceil(text.length / 4);
+  }
+
+  /**
+   * Record a completed user/assistant exchange in the history. Images and
+   * audio are kept as placeholders in the text and described in `attachments`.
+   * @private
+   * @param {string|import('./content.mjs').ContentPart[]} input - Processed user input
+   * @param {string} response - Assistant response
+   */
+  async #recordTurn(input, response) {
+    const timestamp = Date.now();
+    const text = contentToText(input);
+    const [inputTokens, responseTokens] = await Promise.all([
+      this.#countTokens(text),
+      this.#countTokens(response)
+    ]);
+    const attachments = typeof input === 'string' ? [] : describeAttachments(input);
+    this.#history.add('user', text, {
+      timestamp,
+      tokens: inputTokens,
+      ...(attachments.length > 0 && { attachments })
+    });
+    this.#history.add('assistant', response, { timestamp, tokens: responseTokens });
+  }
+
+  /**
+   * Claim the turn of a generation for the history. Prompts coalesced into one
+   * generation are one exchange, so only the first of them to finish records it.
+   * @private
+   * @param {Object} [flight] - Result the coalesced prompts share, if the generation was coalescable
+   * @returns {boolean} True if the caller should record the turn
+   */
+  #claimTurn(flight) {
+    if (!flight) {
+      return true;
+    }
+    if (this.#recordedFlights.has(flight)) {
+      return false;
+    }
+    this.#recordedFlights.add(flight);
+    return true;
+  }
+
+  /**
+   * Record a streamed exchange in the history and emit its events as it is read
+   * @private
+   * @param {ReadableStream} stream - Response stream
+   * @param {string} input - Processed user input
+   * @param {PromptOptions} options - Prompt options
+   * @param {Object} result - How the response was produced
+   * @param {number} result.startTime - Time the prompt started
+   * @param {string} result.source - 'model', 'cache' or 'interceptor'
+   * @param {string} [result.strategy] - Fallback strategy used
+   * @param {Object} [result.flight] - Result shared with coalesced prompts
+   * @returns {ReadableStream} Stream yielding the same chunks
+   */
+  #recordStream(stream, input, options, { startTime, source, strategy, flight }) {
+    const { signal } = options;
+    let fullResponse = '';
+    let onAbort;
+    const emit = (type, init) => this.#emit(type, { input, options, ...init });
+    const recordTurn = (response) => this.#claimTurn(flight) && this.#recordTurn(input, response);
+
+    return stream.pipeThrough(new TransformStream({
+      start(controller) {
+        // Erroring the stream cancels the source, which stops the native generation
+        onAbort = () => controller.error(createAbortError(signal));
+        signal?.addEventListener('abort', onAbort, { once: true });
+      },
+      transform(chunk, controller) {
+        fullResponse += chunk;
+        emit('chunk', { chunk });
+        controller.enqueue(chunk);
+      },
+      async flush() {
+        signal?.removeEventListener('abort', onAbort);
+        // A cancelled exchange never happened as far as the history is concerned
+        if (!signal?.aborted) {
+          await recordTurn(fullResponse);
+          emit('afterPrompt', {
+            response: fullResponse,
+            latency: Date.now() - startTime,
+            cached: source === 'cache',
+            source,
+            strategy
+          });
+        }
+      }
+    }));
+  }
+
+  /**
+   * Dispatch a lifecycle event
+   * @private
+   * @param {string} type - Event type
+   * @param {Object} init - Event properties
+   * @returns {SessionEvent} The dispatched event
+   */
+  #emit(type, init) {
+    const event = new SessionEvent(type, init);
+    this.dispatchEvent(event);
+    return event;
+  }
+
+  /**
+   * Summarize messages with a temporary window.ai session
+   * @private
+   * @param {import('./history.mjs').Message[]} messages - Messages to summarize
+   * @returns {Promise<string>} Summary
+   */
+  async #summarize(messages) {
+    const conversation = messages.map(m => `${m.role}: ${m.content}`).join('\n');
+    const prompt = await this.#templates.apply('context_summary', { conversation });
+    const summarizer = await createSession({ ...this.#modelOptions }, this.#ai);
+    try {
+      return await summarizer.prompt(prompt);
+    } finally {
+      await destroySession(summarizer);
+    }
+  }
+
+  /**
+   * Compact the conversation and recreate the window.ai session when the
+   * context window is running out
+   * @private
+   * @param {string} input - Processed input about to be sent
+   */
+  async #manageContext(input) {
+    if (!this.#context.enabled) {
+      return;
+    }
+
+    const inputTokens = await this.#countTokens(contentToText(input));
+    if (!this.#context.needsCompaction(this.#session, inputTokens)) {
+      return;
+    }
+
+    const messages = this.#history.messages;
+    const compacted = await this.#context.compact(messages, {
+      maxTokens: this.#session.maxTokens,
+      summarize: (older) => this.#summarize(older)
+    });
+
+    const initialPrompts = compacted.map(({ role, content }) => ({ role, content }));
+    const session = await createSession({ ...this.#modelOptions, initialPrompts }, this.#ai);
+    await destroySession(this.#session);
+    this.#session = session;
+    this.#history = new ConversationHistory(compacted);
+    // The new model session starts from the compacted messages, so cache keys must too
+    this.#initialPrompts = initialPrompts;
+
+    this.#analytics.record('context_compaction', 1);
+    this.#analytics.record('context_messages_removed', messages.length - compacted.length);
+  }
+
+  /**
+   * Wait for a generation slot unless the request bypasses the queue
+   * @private
+   * @param {PromptOptions} options - Prompt options
+   * @returns {Promise<Function>} Function that releases the slot
+   */
+  async #acquire(options) {
+    if (options.queue === false) {
+      return () => {};
+    }
+    return this.#scheduler.acquire({ priority: options.priority, signal: options.signal });
+  }
+
+  /**
+   * Release a generation slot once a stream has been fully read, fails or is cancelled
+   * @private
+   * @param {ReadableStream} stream - Response stream
+   * @param {Function} release - Releases the slot
+   * @returns {ReadableStream} Stream yielding the same chunks
+   */
+  #releaseOnEnd(stream, release) {
+    const reader = stream.getReader();
+    return new ReadableStream({
+      async pull(controller) {
+        try {
+          const { done, value } = await reader.read();
+          if (done) {
+            release();
+            controller.close();
+          } else {
+            controller.enqueue(value);
+          }
+        } catch (error) {
+          release();
+          controller.error(error);
+        }
+      },
+      async cancel(reason) {
+        release();
+        await reader.cancel(reason);
+      }
+    });
+  }
+
+  /**
+   * Get the turns of the conversation a prompt continues, which shape its response
+   * as much as the prompt does. Earlier exchanges with the same input are left
+   * out, so asking the same thing again is answered from the cache.
+   * @private
+   * @param {string|import('./content.mjs').ContentPart[]} input - Processed input
+   * @returns {Array<{role: string, content: string}>} Messages after the initial prompts
+   */
+  #conversationFor(input) {
+    const text = contentToText(input);
+    const messages = this.#history.messages.slice(this.#initialPrompts.length);
+    const turns = [];
+    for (let i = 0; i < messages.length; i++) {
+      const { role, content } = messages[i];
+      if (role === 'user' && content === text) {
+        if (messages[i + 1]?.role === 'assistant') {
+          i++;
+        }
+        continue;
+      }
+      turns.push({ role, content });
+    }
+    return turns;
+  }
+
+  /**
+   * Get the cache key for a prompt. The key is a SHA-256 hash of everything that
+   * shapes the response: the input, its template and template version, the
+   * prompts the session started with, the conversation so far, the provider,
+   * the model version and the model options.
+   * @private
+   * @param {string|import('./content.mjs').ContentPart[]} input - Processed input
+   * @param {PromptOptions} options - Prompt options
+   * @param {string} [template] - Name of the template the input came from
+   * @returns {Promise<string|undefined>} Cache key, undefined if some media cannot be read
+   */
+  async #promptKey(input, options, template) {
+    // Images and audio are keyed by a hash of their bytes; media that can't be read is never cached
+    const text = await serializeContent(input);
+    if (text === undefined) {
+      return undefined;
+    }
+    const conversation = this.#conversationFor(input);
+    return createCacheKey({
+      input: text,
+      template: template && { name: template, version: this.#templates.templates.get(template)?.version },
+      initialPrompts: this.#initialPrompts,
+      conversation: conversation.length > 0 ? conversation : undefined,
+      provider: isProvider(this.#ai) ? { name: this.#ai.name, model: this.#ai.options?.model } : 'window.ai',
+      modelVersion: this.#modelVersion,
+      model: options.model,
+      temperature: options.temperature ?? this.#modelOptions.temperature,
+      topK: options.topK ?? this.#modelOptions.topK,
+      maxTokens: options.maxTokens
+    }, { prefix: 'prompt', namespace: this.#cacheOptions?.namespace });
+  }
+
+  /**
+   * Get the cache key for a prompt, if it should be cached
+   * @private
+   * @param {string|import('./content.mjs').ContentPart[]} input - Processed input
+   * @param {PromptOptions} options - Prompt options
+   * @param {string} [template] - Name of the template the input came from
+   * @returns {Promise<string|undefined>} Cache key, undefined if there is none or it can't be computed
+   */
+  async #cacheKey(input, options, template) {
+    // Check if caching is enabled and not explicitly disabled for this request
+    if (!this.#cacheEnabled || options.cache === false) {
+      return undefined;
+    }
+    try {
+      return await this.#promptKey(input, options, template);
+    } catch (error) {
+      // Without a key the prompt can still be answered, just not cached
+      console.warn('Not caching the response, its cache key could not be computed:', error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Look up a cached response
+   * @private
+   * @param {string} cacheKey - Cache key
+   * @param {string} input - Processed input
+   * @param {PromptOptions} options - Prompt options
+   * @param {number} startTime - Time the prompt started
+   * @returns {Promise<{response: string, stale: boolean}|undefined>} Cached response, if any,
+   *   and whether it has expired and should be revalidated
+   */
+  async #readCache(cacheKey, input, options, startTime) {
+    const cached = await this.#cache.lookup(cacheKey);
+    if (!cached?.value) {
+      this.#analytics.record('cache_miss', 1);
+      return undefined;
+    }
+
+    this.#analytics.record(cached.stale ? 'cache_stale' : 'cache_hit', 1);
+    this.#analytics.record('cache_latency', Date.now() - startTime);
+    // Decompress if necessary
+    const response = await this.#compression.decompress(cached.value);
+    this.#emit('cacheHit', { input, options, response, latency: Date.now() - startTime, stale: cached.stale });
+    return { response, stale: cached.stale };
+  }
+
+  /**
+   * Generate a response in a new model session, so it stays out of the conversation,
+   * and cache it. Prompts for the same key meanwhile share the generation.
+   * @private
+   * @param {string} cacheKey - Cache key
+   * @param {string|undefined} scope - Semantic cache scope
+   * @param {string|import('./content.mjs').ContentPart[]} input - Processed input
+   * @param {PromptOptions} options - Prompt options; `priority` defaults to 'background'
+   * @param {string} [template] - Name of the template the input came from
+   * @returns {Promise<{value: Object, shared: boolean}>} Response, and whether another prompt produced it
+   */
+  #generateDetached(cacheKey, scope, input, options, template) {
+    // Start from the conversation the key covers
+    const initialPrompts = [...this.#initialPrompts, ...this.#conversationFor(input)];
+    return this.#flights.run(cacheKey, async (signal) => {
+      const release = await this.#acquire({ queue: options.queue, priority: options.priority ?? 'background', signal });
+      let model;
+      try {
+        model = await createSession({
+          ...this.#modelOptions,
+          ...(options.temperature !== undefined && { temperature: options.temperature }),
+          ...(options.topK !== undefined && { topK: options.topK }),
+          ...(initialPrompts.length > 0 && { initialPrompts })
+        }, this.#ai);
+        const response = await model.prompt(input, { signal });
+        await this.#writeCache(cacheKey, scope, input, response, template);
+        return { response, source: 'model' };
+      } finally {
+        release();
+        if (model) {
+          await destroySession(model);
+        }
+      }
+    }, { signal: options.signal });
+  }
+
+  /**
+   * Refresh a stale cached response in the background, unless it is being refreshed already
+   * @private
+   * @param {string} cacheKey - Cache key
+   * @param {string|undefined} scope - Semantic cache scope
+   * @param {string|import('./content.mjs').ContentPart[]} input - Processed input
+   * @param {PromptOptions} options - Prompt options
+   * @param {string} [template] - Name of the template the input came from
+   */
+  #revalidate(cacheKey, scope, input, options, template) {
+    if (this.#flights.has(cacheKey)) {
+      return;
+    }
+
+    // The prompt that found it stale has its answer, so its signal and priority don't apply
+    const refreshOptions = { ...options, signal: undefined, priority: undefined };
+    this.#generateDetached(cacheKey, scope, input, refreshOptions, template).then(
+      () => this.#analytics.record('cache_revalidated', 1),
+      (error) => {
+        this.#analytics.record('cache_revalidate_error', 1);
+        console.error('Failed to revalidate a stale cached response:', error);
+      }
+    );
+  }
+
+  /**
+   * Get the semantic cache scope for a prompt, if similar prompts can answer it. Prompts
+   * only match others from the same template with the same options, continuing the
+   * same conversation.
+   * @private
+   * @param {string|import('./content.mjs').ContentPart[]} input - Processed input
+   * @param {PromptOptions} options - Prompt options
+   * @param {string} [template] - Name of the template the input came from
+   * @returns {Promise<string|undefined>} Scope, undefined if there is none or it can't be computed
+   */
+  async #semanticScope(input, options, template) {
+    if (!this.#semanticCache || options.cache === false || typeof input !== 'string') {
+      return undefined;
+    }
+    try {
+      // Hashed, since scopes are compared with every entry on each lookup
+      const context = await sha256(canonicalize({
+        initialPrompts: this.#initialPrompts,
+        conversation: this.#conversationFor(input)
+      }));
+      return canonicalize({
+        template: template && { name: template, version: this.#templates.templates.get(template)?.version },
+        context,
+        model: options.model,
+        temperature: options.temperature,
+        topK: options.topK,
+        maxTokens: options.maxTokens
+      });
+    } catch (error) {
+      console.warn('Not caching the response by meaning, its scope could not be computed:', error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Look up the response to the most similar cached prompt
+   * @private
+   * @param {string} scope - Semantic cache scope
+   * @param {string} input - Processed input
+   * @param {PromptOptions} options - Prompt options
+   * @param {number} startTime - Time the prompt started
+   * @returns {Promise<string|undefined>} Cached response, if a prompt was similar enough
+   */
+  async #readSemanticCache(scope, input, options, startTime) {
+    const match = await this.#semanticCache.get(input, { scope });
+    if (!match) {
+      this.#analytics.record('semantic_miss', 1);
+      return undefined;
+    }
+
+    this.#analytics.record('semantic_hit', 1);
+    this.#analytics.record('semantic_score', match.score);
+    this.#analytics.record('cache_latency', Date.now() - startTime);
+    this.#emit('cacheHit', {
+      input,
+      options,
+      response: match.value,
+      latency: Date.now() - startTime,
+      score: match.score,
+      match: match.text
+    });
+    return match.value;
+  }
+
+  /**
+   * Cache a response from the model
+   * @private
+   * @param {string|undefined} cacheKey - Cache key, if the response should be cached
+   * @param {string|undefined} scope - Semantic cache scope, if similar prompts may use the response
+   * @param {string} input - Processed input
+   * @param {string} response - Response
+   * @param {string} [template] - Name of the template the input came from
+   * @returns {Promise<void>}
+   */
+  async #writeCache(cacheKey, scope, input, response, template) {
+    // Tag responses with what they depend on, so edits and upgrades can invalidate them
+    const tags = [this.#modelTag(), ...(template ? [`template:${template}`] : [])];
+    // The response is answered either way, so a full or broken store only costs the cache
+    try {
+      if (cacheKey) {
+        const compressed = await this.#compression.compress(response);
+        await this.#cache.set(cacheKey, compressed, { ttl: this.#cacheTTL, tags });
+      }
+      if (scope !== undefined) {
+        await this.#semanticCache.set(input, response, { scope, tags });
+      }
+    } catch (error) {
+      console.warn('Failed to cache a response:', error);
+    }
+  }
+
+  /**
+   * Get the tag of the responses from this session's model
+   * @private
+   * @returns {string} Tag, such as 'model:window.ai' or 'model:ollama/llama3'
+   */
+  #modelTag() {
+    return isProvider(this.#ai) ? `model:${this.#ai.name}/${this.#ai.options?.model ?? 'default'}` : 'model:window.ai';
+  }
+
+  /**
+   * Invalidate the cached responses of other versions of the model, once per session
+   * @private
+   * @returns {Promise<void>}
+   */
+  #checkModelVersion() {
+    if (this.#modelVersion === undefined) {
+      return Promise.resolve();
+    }
+    this.#modelChecked ??= this.#cache.checkVersion(this.#modelTag(), this.#modelVersion)
+      .then(removed => {
+        if (removed > 0) {
+          this.#analytics.record('cache_invalidated', removed);
+        }
+      })
+      .catch(error => console.error('Failed to check the model version of cached responses:', error));
+    return this.#modelChecked;
+  }
+
+  /**
+   * Call the window.ai session through the queue and the fallback system.
+   * The conversation is compacted once the slot is held, so the session is
+   * never replaced while another prompt is generating with it.
+   * @private
+   * @param {('prompt'|'promptStreaming')} method - Session method to call
+   * @param {string} input - Processed input
+   * @param {PromptOptions} options - Prompt options
+   * @param {number} startTime - Time the prompt started
+   * @returns {Promise<{response: any, strategy: string, release: Function}>} Response,
+   * fallback strategy used and a function releasing the queue slot
+   */
+  async #callModel(method, input, options, startTime) {
+    let strategy;
+    const release = await this.#acquire(options);
+
+    try {
+      await this.#manageContext(input);
+      const response = await this.#fallback.execute(async ({ signal }) => {
+        const result = await this.#session[method](input, { ...options, signal });
+        this.#analytics.record('prompt_latency', Date.now() - startTime);
+        return result;
+      }, {
+        input,
+        signal: options.signal,
+        onFallback: (name, error) => {
+          strategy = name;
+          this.#emit('fallback', { input, options, strategy: name, error });
+        }
+      });
+      return { response, strategy, release };
+    } catch (error) {
+      release();
+      throw error;
+    }
+  }
+
+  /**
+   * Produce a response from the cache or the model
+   * @private
+   * @param {string|import('./content.mjs').ContentPart[]} input - Processed input
+   * @param {PromptOptions} options - Prompt options
+   * @param {number} startTime - Time the prompt started
+   * @param {string} [template] - Name of the template the input came from
+   * @param {function(string): boolean} [accept] - Decides whether the response may be cached
+   * @returns {Promise<Object>} Response and how it was produced
+   */
+  async #generate(input, options, startTime, template, accept = () => true) {
+    const cacheKey = await this.#cacheKey(input, options, template);
+    const scope = await this.#semanticScope(input, options, template);
+    if (cacheKey) {
+      await this.#checkModelVersion();
+      const cached = await this.#readCache(cacheKey, input, options, startTime);
+      if (cached) {
+        if (cached.stale) {
+          this.#revalidate(cacheKey, scope, input, options, template);
+        }
+        return { response: cached.response, source: 'cache' };
+      }
+    }
+    if (scope !== undefined) {
+      const similar = await this.#readSemanticCache(scope, input, options, startTime);
+      if (similar !== undefined) {
+        return { response: similar, source: 'cache' };
+      }
+    }
+
+    // If not in cache, get from API with fallback support
+    let strategy;
+    const produce = async (signal) => {
+      const result = await this.#callModel('prompt', input, { ...options, signal }, startTime);
+      result.release();
+      strategy = result.strategy;
+      return result.response;
+    };
+    if (!cacheKey) {
+      return { response: await produce(options.signal), source: 'model', strategy };
+    }
+
+    // Identical prompts in flight share one generation; with broadcast, only one tab asks the model
+    const { value: result, shared } = await this.#flights.run(cacheKey, async (signal) => {
+      const { value: response, shared } = await this.#cache.coordinate(cacheKey, () => produce(signal), { signal });
+      if (shared) {
+        // The other tab has cached it already
+        this.#analytics.record('cache_shared', 1);
+        if (accept(response)) {
+          await this.#writeCache(undefined, scope, input, response, template);
+        }
+        return { response, source: 'cache' };
+      }
+      if (accept(response)) {
+        await this.#writeCache(cacheKey, scope, input, response, template);
+      }
+      return { response, source: 'model', strategy };
+    }, { signal: options.signal });
+    if (!shared) {
+      return { ...result, flight: result };
+    }
+
+    this.#analytics.record('cache_coalesced', 1);
+    const response = result.tee ? await readText(result.tee.branch()) : result.response;
+    return { response, source: 'cache', flight: result };
+  }
+
+  /**
+   * Produce a response stream from the cache or the model
+   * @private
+   */
+  async #generateStreaming(input, options, startTime, template) {
+    const cacheKey = await this.#cacheKey(input, options, template);
+    const scope = await this.#semanticScope(input, options, template);
+    if (cacheKey) {
+      await this.#checkModelVersion();
+      const cached = await this.#readCache(cacheKey, input, options, startTime);
+      if (cached) {
+        if (cached.stale) {
+          this.#revalidate(cacheKey, scope, input, options, template);
+        }
+        return { stream: textStream(cached.response), source: 'cache' };
+      }
+    }
+    if (scope !== undefined) {
+      const similar = await this.#readSemanticCache(scope, input, options, startTime);
+      if (similar !== undefined) {
+        return { stream: textStream(similar), source: 'cache' };
+      }
+    }
+
+    // If not in cache, get from API with fallback support
+    const start = async (signal) => {
+      const { response, strategy, release } = await this.#callModel('promptStreaming', input, { ...options, signal }, startTime);
+      // Browsers differ in whether chunks are cumulative or deltas; always yield deltas
+      const stream = this.#releaseOnEnd(response, release).pipeThrough(createDeltaNormalizer());
+      return { stream: this.#cacheStream(stream, cacheKey, scope, input, template, signal), strategy };
+    };
+    if (!cacheKey) {
+      return { ...await start(options.signal), source: 'model' };
+    }
+
+    // Identical prompts in flight share one generation, each reading its own branch of the stream
+    const { value: result, shared } = await this.#flights.run(cacheKey, async (signal) => {
+      const { stream, strategy } = await start(signal);
+      return { tee: new StreamTee(stream), source: 'model', strategy };
+    }, { signal: options.signal, until: result => result.tee?.finished });
+    if (!shared) {
+      return { stream: result.tee.branch(), source: 'model', strategy: result.strategy, flight: result };
+    }
+
+    this.#analytics.record('cache_coalesced', 1);
+    return { stream: result.tee ? result.tee.branch() : textStream(result.response), source: 'cache', flight: result };
+  }
+
+  /**
+   * Cache a streamed response once it has been read to the end
+   * @private
+   * @param {ReadableStream} stream - Response deltas
+   * @param {string|undefined} cacheKey - Cache key, if the response should be cached
+   * @param {string|undefined} scope - Semantic cache scope, if similar prompts may use the response
+   * @param {string} input - Processed input
+   * @param {string} [template] - Name of the template the input came from
+   * @param {AbortSignal} [signal] - Signal of the generation
+   * @returns {ReadableStream} Stream yielding the same deltas
+   */
+  #cacheStream(stream, cacheKey, scope, input, template, signal) {
+    if (cacheKey || scope !== undefined) {
+      // Collect the chunks so the complete response can be cached
+      let fullResponse = '';
+      const writeCache = (response) => this.#writeCache(cacheKey, scope, input, response, template);
+
+      stream = stream.pipeThrough(new TransformStream({
+        transform(chunk, controller) {
+          fullResponse += chunk;
+          controller.enqueue(chunk);
+        },
+        async flush() {
+          // Never cache a response the caller cancelled
+          if (signal?.aborted) {
+            return;
+          }
+          await writeCache(fullResponse);
+        }
+      }));
+    }
+    return stream;
+  }
+
   /**
    * Send a prompt to the window.ai session
-   * @param {string|Array} text - Prompt text or template array
+   * @param {string|Array} text - Prompt text, template array, or content array mixing text with
+   *   images and audio (Blobs, ImageBitmaps, canvases or `{ type, value }` parts)
    * @param {PromptOptions} [options] - Configuration options
    * @returns {Promise<string>} Response from window.ai
    * @throws {Error} If prompt fails
+   * @throws {import('./capabilities.mjs').InvalidParamsError} In strict mode, if temperature or topK is invalid
    */
   async prompt(text, options = {}) {
+    return this.#prompt(text, options);
+  }
+
+  /**
+   * Send a prompt, caching the response only if it is acceptable
+   * @private
+   * @param {string|Array} text - Prompt text, template array or content array
+   * @param {PromptOptions} options - Configuration options
+   * @param {function(string): boolean} [accept] - Decides whether the response from the model
+   *   may be cached; by default every response is
+   * @returns {Promise<string>} Response
+   */
+  async #prompt(text, options, accept) {
     const startTime = Date.now();
-    const processedText = await this.#processInput(text);
+    throwIfAborted(options.signal);
+    let processedText = text;
 
     try {
-      // Check if caching is enabled and not explicitly disabled for this request
-      if (this.#cacheEnabled && options.cache !== false) {
-        const cacheKey = generateCacheKey(processedText, options);
-        
-        // Try to get from cache
-        const cachedResponse = await this.#cache.get(cacheKey);
-        if (cachedResponse) {
-          this.#analytics.record('cache_hit', 1);
-          this.#analytics.record('cache_latency', Date.now() - startTime);
-          // Decompress if necessary
-          return this.#compression.decompress(cachedResponse);
-        }
-        this.#analytics.record('cache_miss', 1);
-
-        // If not in cache, get from API with fallback support
-        const response = await this.#fallback.execute(async () => {
-          const result = await this.#session.prompt(processedText, options);
-          this.#analytics.record('prompt_latency', Date.now() - startTime);
-          return result;
-        }, { input: processedText });
-        
-        // Cache the response
-        const compressed = await this.#compression.compress(response);
-        await this.#cache.set(cacheKey, compressed, this.#cacheTTL);
-        
-        return response;
-      }
+      // Invalid parameters and missing templates are errors like any other, so listeners hear of them
+      options = await this.#checkParams(options);
+      processedText = await this.#processInput(text);
 
-      // If caching is disabled, just forward to the session with fallback support
-      return await this.#fallback.execute(async () => {
-        const result = await this.#session.prompt(processedText, options);
-        this.#analytics.record('prompt_latency', Date.now() - startTime);
-        return result;
-      }, { input: processedText });
+      // Let listeners rewrite the input or answer in place of the model
+      const before = this.#emit('beforePrompt', { input: processedText, options });
+      processedText = await before.input;
+
+      const result = before.response !== undefined
+        ? { response: await before.response, source: 'interceptor' }
+        : await this.#generate(processedText, options, startTime, templateName(text), accept);
+
+      if (this.#claimTurn(result.flight)) {
+        await this.#recordTurn(processedText, result.response);
+      }
+      this.#emit('afterPrompt', {
+        input: processedText,
+        options,
+        response: result.response,
+        latency: Date.now() - startTime,
+        cached: result.source === 'cache',
+        source: result.source,
+        strategy: result.strategy
+      });
+      return result.response;
 
     } catch (error) {
       this.#analytics.record('error', 1);
+      this.#emit('error', { input: processedText, options, error, latency: Date.now() - startTime });
       throw error;
     }
   }
 
   /**
    * Send a prompt to the window.ai session and receive a streaming response
-   * @param {string|Array} text - Prompt text or template array
+   * @param {string|Array} text - Prompt text, template array or content array
    * @param {PromptOptions} [options] - Configuration options
-   * @returns {Promise<ReadableStream>} ReadableStream of responses from window.ai
+   * @returns {Promise<ResponseStream>} Stream of response deltas, also usable with `for await`
    * @throws {Error} If prompt fails
+   * @throws {import('./capabilities.mjs').InvalidParamsError} In strict mode, if temperature or topK is invalid
    */
   async promptStreaming(text, options = {}) {
     const startTime = Date.now();
-    const processedText = await this.#processInput(text);
+    throwIfAborted(options.signal);
+    let processedText = text;
 
     try {
-      // Check if caching is enabled and not explicitly disabled for this request
-      if (this.#cacheEnabled && options.cache !== false) {
-        const cacheKey = generateCacheKey(processedText, options);
-        
-        // Try to get from cache
-        const cachedResponse = await this.#cache.get(cacheKey);
-        if (cachedResponse) {
-          this.#analytics.record('cache_hit', 1);
-          this.#analytics.record('cache_latency', Date.now() - startTime);
-          // Decompress if necessary
-          const decompressed = await this.#compression.decompress(cachedResponse);
-          
-          // Convert cached response to a stream
-          return new ReadableStream({
-            start(controller) {
-              controller.enqueue(decompressed);
-              controller.close();
-            }
-          });
-        }
-        this.#analytics.record('cache_miss', 1);
-
-        // If not in cache, get from API with fallback support
-        const response = await this.#fallback.execute(async () => {
-          return await this.#session.promptStreaming(processedText, options);
-        }, { input: processedText });
-        
-        // Create a new stream that will both yield chunks and collect them
-        let fullResponse = '';
-        const compression = this.#compression;
-        const cache = this.#cache;
-        const cacheTTL = this.#cacheTTL;
-        const analytics = this.#analytics;
-
-        const transformStream = new TransformStream({
-          transform(chunk, controller) {
-            fullResponse += chunk;
-            controller.enqueue(chunk);
-          },
-          async flush() {
-            // Cache the complete response
-            const compressed = await compression.compress(fullResponse);
-            await cache.set(cacheKey, compressed, cacheTTL);
-            analytics.record('prompt_latency', Date.now() - startTime);
-          }
-        });
+      // Invalid parameters and missing templates are errors like any other, so listeners hear of them
+      options = await this.#checkParams(options);
+      processedText = await this.#processInput(text);
+
+      // Let listeners rewrite the input or answer in place of the model
+      const before = this.#emit('beforePrompt', { input: processedText, options });
+      processedText = await before.input;
 
-        return response.pipeThrough(transformStream);
+      let result;
+      if (before.response !== undefined) {
+        const response = await before.response;
+        result = {
+          stream: typeof response === 'string' ? textStream(response) : response,
+          source: 'interceptor'
+        };
+      } else {
+        result = await this.#generateStreaming(processedText, options, startTime, templateName(text));
       }
 
-      // If caching is disabled, just forward to the session with fallback support
-      return await this.#fallback.execute(async () => {
-        const response = await this.#session.promptStreaming(processedText, options);
-        this.#analytics.record('prompt_latency', Date.now() - startTime);
-        return response;
-      }, { input: processedText });
+      const stream = new ResponseStream(
+        this.#recordStream(result.stream, processedText, options, { startTime, ...result }),
+        { startTime }
+      );
+      stream.addEventListener('firsttoken', ({ latency }) => {
+        this.#analytics.record('first_token_latency', latency);
+      });
+      stream.addEventListener('end', ({ tokensPerSecond }) => {
+        if (tokensPerSecond !== undefined) {
+          this.#analytics.record('tokens_per_second', tokensPerSecond);
+        }
+      });
+      return stream;
 
     } catch (error) {
       this.#analytics.record('error', 1);
+      this.#emit('error', { input: processedText, options, error, latency: Date.now() - startTime });
       throw error;
     }
   }
 
+  /**
+   * Send a prompt and parse the response into an object validated against a schema
+   * @param {string|Array} text - Prompt text or template array
+   * @param {import('./structured.mjs').StructuredSchema|Function} schema - Field schema using
+   * TemplateValidator rules, or a validation function
+   * @param {PromptOptions & {maxRetries: number}} [options] - Configuration options;
+   * `maxRetries` (default 2) limits how often the errors are fed back to the model
+   * @returns {Promise<Object>} Parsed and validated object
+   * @throws {StructuredOutputError} If no valid object was produced, listing every failure
+   */
+  async promptStructured(text, schema, options = {}) {
+    const { maxRetries = 2, ...promptOptions } = options;
+    const input = await this.#processInput(text);
+    const validator = this.#templates.validator;
+
+    let request = await this.#templates.apply('structured_output', {
+      input,
+      schema: describeSchema(schema)
+    });
+    let response;
+    let errors = [];
+
+    // Responses that fail validation would only be repaired again, so only valid ones are cached
+    const valid = response => parseStructured(response, schema, validator).valid;
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      // Repair prompts only make sense within this conversation, so never cache them
+      response = await this.#prompt(request, attempt === 0 ? promptOptions : { ...promptOptions, cache: false }, valid);
+      const result = parseStructured(response, schema, validator);
+      if (result.valid) {
+        this.#analytics.record('structured_attempts', attempt + 1);
+        return result.value;
+      }
+
+      errors = result.errors;
+      if (attempt < maxRetries) {
+        this.#analytics.record('structured_repair', 1);
+        request = await this.#templates.apply('structured_repair', {
+          errors: errors.map(error => `- ${error}`).join('\n')
+        });
+      }
+    }
+
+    throw new StructuredOutputError(errors, { response, attempts: maxRetries + 1 });
+  }
+
+  /**
+   * Register a tool the model can call from runWithTools
+   * @param {string} name - Tool name
+   * @param {string} description - What the tool does, shown to the model
+   * @param {import('./structured.mjs').StructuredSchema} paramSchema - Argument schema using TemplateValidator rules
+   * @param {Function} handler - Async handler called with `(args, { signal, session })`
+   */
+  registerTool(name, description, paramSchema, handler) {
+    this.#tools.register(name, description, paramSchema, handler);
+  }
+
+  /**
+   * Remove a registered tool
+   * @param {string} name - Tool name
+   */
+  unregisterTool(name) {
+    this.#tools.unregister(name);
+  }
+
+  /**
+   * Prompt the model with the registered tools, running the tools it calls and
+   * feeding their results back until it gives a final answer
+   * @param {string|Array} text - Prompt text or template array
+   * @param {PromptOptions & {maxSteps: number}} [options] - Configuration options;
+   * `maxSteps` (default 5) limits the number of model calls
+   * @returns {Promise<string>} Final answer
+   * @throws {Error} If no tools are registered or the loop exceeds maxSteps
+   */
+  async runWithTools(text, options = {}) {
+    const { maxSteps = 5, ...promptOptions } = options;
+    if (this.#tools.size === 0) {
+      throw new Error('No tools registered');
+    }
+
+    const input = await this.#processInput(text);
+    const validator = this.#templates.validator;
+    let request = await this.#templates.apply('tools_prompt', {
+      tools: this.#tools.describe(),
+      input
+    });
+    let results;
+
+    for (let step = 0; step < maxSteps; step++) {
+      // Tool conversations depend on earlier turns, so never cache them
+      const response = await this.prompt(request, { ...promptOptions, cache: false });
+      if (results) {
+        this.#history.annotateLast('user', { toolResults: results });
+      }
+
+      const calls = this.#tools.parseCalls(response);
+      if (calls.length === 0) {
+        return response;
+      }
+
+      results = [];
+      for (const call of calls) {
+        const start = Date.now();
+        const result = await this.#tools.run(call, validator, {
+          signal: promptOptions.signal,
+          session: this
+        });
+        this.#analytics.record('tool_call', 1);
+        this.#analytics.record('tool_latency', Date.now() - start);
+        if (result.error) {
+          this.#analytics.record('tool_error', 1);
+        }
+        results.push(result);
+      }
+      this.#history.annotateLast('assistant', {
+        toolCalls: calls.map(({ name, arguments: args }) => ({ name, arguments: args }))
+      });
+
+      request = await this.#templates.apply('tools_result', {
+        results: results
+          .map(r => `${r.name}: ${r.error ? `Error: ${r.error}` : JSON.stringify(r.result)}`)
+          .join('\n')
+      });
+    }
+
+    throw new Error(`Tool loop did not finish within ${maxSteps} steps`);
+  }
+
   /**
    * Add a fallback session
    * @param {string} name - Session name
@@ -348,20 +1415,106 @@ class Session {
   }
 
   /**
-   * Clone the current session
-   * @param {SessionOptions} [options] - Configuration options
-   * @returns {Promise<Session>} Cloned session
+   * Build the options of a session derived from this one
+   * @private
+   * @param {SessionOptions} options - Options overriding this session's
+   * @returns {SessionOptions} Options
    */
-  async clone(options = {}) {
-    const clonedSession = await this.#session.clone(options);
-    return new Session(clonedSession, {
+  #derivedOptions(options) {
+    return {
       cache: {
+        ...this.#cacheOptions,
         enabled: this.#cacheEnabled,
         ttl: this.#cacheTTL,
         compression: this.#compression?.options
       },
+      context: this.#context.options,
+      queue: this.#scheduler.options,
+      params: this.#params,
+      ...this.#modelOptions,
       ...options
-    });
+    };
+  }
+
+  /**
+   * Clone the current session
+   * @param {SessionOptions} [options] - Configuration options
+   * @returns {Promise<Session>} Cloned session
+   */
+  async clone(options = {}) {
+    const clonedSession = await this.#session.clone(options);
+    const cloned = new Session(clonedSession, this.#derivedOptions(options), this.#ai);
+    cloned.#history = new ConversationHistory(this.#history.messages);
+    cloned.#initialPrompts = this.#initialPrompts;
+    cloned.#parent = { session: this, turn: this.#history.turns };
+    return cloned;
+  }
+
+  /**
+   * Fork the conversation at a past turn. Forking at the latest turn clones the
+   * model session; earlier turns are replayed into a new one as initialPrompts,
+   * with images and audio reduced to their text placeholders.
+   * @param {number} [turn] - Index of the first turn the fork leaves out, defaults to
+   *   the number of turns so far
+   * @param {SessionOptions} [options] - Configuration options
+   * @returns {Promise<Session>} New session holding the turns before `turn`
+   * @throws {RangeError} If the turn is out of range
+   */
+  async fork(turn = this.#history.turns, options = {}) {
+    const turns = this.#history.turns;
+    if (!Number.isInteger(turn) || turn < 0 || turn > turns) {
+      throw new RangeError(`Cannot fork at turn ${turn}, the conversation has ${turns} turns`);
+    }
+    if (turn === turns && typeof this.#session.clone === 'function') {
+      return this.clone(options);
+    }
+
+    const history = this.#history.slice(turn);
+    const session = await createSession({
+      ...this.#modelOptions,
+      ...options,
+      initialPrompts: history.toInitialPrompts()
+    }, this.#ai);
+    const forked = new Session(session, this.#derivedOptions(options), this.#ai);
+    forked.#history = history;
+    // Turns replayed into the fork are history, not part of what the session started with.
+    // After a compaction those can run past the turn the fork stops at.
+    forked.#initialPrompts = this.#initialPrompts.slice(0, history.messages.length);
+    forked.#parent = { session: this, turn };
+    return forked;
+  }
+
+  /**
+   * Get the session this one was cloned or forked from
+   * @returns {{session: Session, turn: number}|null} Parent session and the turn the
+   *   copy was made at, null for sessions created from scratch
+   */
+  get parent() {
+    return this.#parent;
+  }
+
+  /**
+   * Get the number of turns in the conversation, counted by user messages
+   * @returns {number} Turn count
+   */
+  get turns() {
+    return this.#history.turns;
+  }
+
+  /**
+   * Get the conversation history
+   * @returns {import('./history.mjs').Message[]} Messages in order
+   */
+  get history() {
+    return this.#history.messages;
+  }
+
+  /**
+   * Export the conversation as a transcript that can be saved and restored
+   * @returns {import('./history.mjs').Transcript} Transcript object
+   */
+  exportTranscript() {
+    return this.#history.toTranscript({ ...this.#modelOptions });
   }
 
   /**
@@ -369,8 +1522,14 @@ class Session {
    * @returns {Promise<void>}
    */
   async destroy() {
+    // Persistent stores keep their responses for the next session
     if (this.#cacheEnabled) {
-      await this.#cache.clear();
+      this.#flights.abort();
+      this.#semanticCache?.clear();
+      this.#cache.destroy();
+      if (!this.#cache.store.persistent) {
+        await this.#cache.clear();
+      }
     }
     if (this.#fallback) {
       this.#fallback.destroy();
@@ -378,6 +1537,69 @@ class Session {
     await destroySession(this.#session);
   }
 
+  /**
+   * Get the key a prompt is cached under, to look up, pre-compute or invalidate its entry
+   * @param {string|Array} input - Prompt text, template array or content array
+   * @param {PromptOptions} [options] - Options the prompt would be sent with
+   * @returns {Promise<string|undefined>} Cache key, undefined if some media cannot be read
+   * @throws {import('./capabilities.mjs').InvalidParamsError} In strict mode, if temperature or topK is invalid
+   */
+  async keyFor(input, options = {}) {
+    options = await this.#checkParams(options, false);
+    return this.#promptKey(await this.#processInput(input), options, templateName(input));
+  }
+
+  /**
+   * Generate and cache the response to a prompt, unless it is cached already. The
+   * response is generated in a new model session at background priority, so it is
+   * not added to the conversation.
+   * @param {string|Array} text - Prompt text, template array or content array
+   * @param {PromptOptions} [options] - Options the prompt will be sent with
+   * @returns {Promise<{key: (string|undefined), status: ('warmed'|'cached'|'uncacheable')}>} Cache key,
+   *   and whether the response was generated, was cached already or can't be cached
+   * @throws {Error} If generation fails, or an AbortError if the signal aborts
+   */
+  async warm(text, options = {}) {
+    throwIfAborted(options.signal);
+    options = await this.#checkParams(options);
+    const input = await this.#processInput(text);
+    const template = templateName(text);
+
+    const key = await this.#cacheKey(input, options, template);
+    if (!key) {
+      return { key, status: 'uncacheable' };
+    }
+    await this.#checkModelVersion();
+    if (await this.#cache.get(key) !== undefined) {
+      return { key, status: 'cached' };
+    }
+
+    const scope = await this.#semanticScope(input, options, template);
+    const { shared } = await this.#generateDetached(key, scope, input, options, template);
+    if (!shared) {
+      this.#analytics.record('cache_warmed', 1);
+    }
+    return { key, status: 'warmed' };
+  }
+
+  /**
+   * Remove the cached responses with a tag, from the exact and semantic caches.
+   * Responses are tagged with their model, as `model:window.ai` or
+   * `model:<provider>/<model>`, and their template, as `template:<name>`.
+   * @param {string} tag - Tag
+   * @returns {Promise<number>} Number of responses removed
+   */
+  async invalidateTag(tag) {
+    if (!this.#cacheEnabled) {
+      return 0;
+    }
+    const removed = await this.#cache.invalidateTag(tag) + (this.#semanticCache?.invalidateTag(tag) ?? 0);
+    if (removed > 0) {
+      this.#analytics.record('cache_invalidated', removed);
+    }
+    return removed;
+  }
+
   /**
    * Get cache statistics
    * @returns {Object} Cache statistics
@@ -393,11 +1615,50 @@ class Session {
       analytics: {
         hits: this.#analytics.getStats('cache_hit'),
         misses: this.#analytics.getStats('cache_miss'),
-        latency: this.#analytics.getStats('cache_latency')
+        latency: this.#analytics.getStats('cache_latency'),
+        shared: this.#analytics.getStats('cache_shared'),
+        coalesced: this.#analytics.getStats('cache_coalesced'),
+        stale: this.#analytics.getStats('cache_stale'),
+        revalidated: this.#analytics.getStats('cache_revalidated'),
+        revalidateErrors: this.#analytics.getStats('cache_revalidate_error'),
+        warmed: this.#analytics.getStats('cache_warmed'),
+        invalidated: this.#analytics.getStats('cache_invalidated')
+      },
+      inFlight: this.#flights.size,
+      ...(this.#semanticCache && {
+        semantic: {
+          ...this.#semanticCache.getStats(),
+          hits: this.#analytics.getStats('semantic_hit'),
+          misses: this.#analytics.getStats('semantic_miss'),
+          scores: this.#analytics.getStats('semantic_score')
+        }
+      })
+    };
+  }
+
+  /**
+   * Get request queue statistics
+   * @returns {Object} Queue statistics
+   */
+  getQueueStats() {
+    return {
+      ...this.#scheduler.getStats(),
+      analytics: {
+        length: this.#analytics.getStats('queue_length'),
+        wait: this.#analytics.getStats('queue_wait'),
+        removed: this.#analytics.getStats('queue_removed')
       }
     };
   }
 
+  /**
+   * Remove every queued prompt that has not started yet; each rejects with an AbortError
+   * @returns {number} Number of prompts removed
+   */
+  clearQueue() {
+    return this.#scheduler.clear();
+  }
+
   /**
    * Get fallback statistics
    * @returns {Object} Fallback statistics
@@ -446,6 +1707,11 @@ class Session {
   }
   set overrideTemplates (templates){
     this.#templates = templates;
+    // Responses made with the old version of a template are no use any more
+    templates.addEventListener('change', ({ detail }) => {
+      this.invalidateTag(`template:${detail.name}`)
+        .catch(error => console.error('Failed to invalidate cached responses:', error));
+    });
   }
 }
 
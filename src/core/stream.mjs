@@ -0,0 +1,336 @@
+/**
+ * Streaming response utilities
+ * @module stream
+ */
+
+import { SessionEvent } from './events.mjs';
+import { createAbortError } from '../utils/abort.mjs';
+
+/**
+ * Estimate the number of tokens in a piece of text
+ * @private
+ * @param {string} text - Text
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Create a transform that turns model output chunks into deltas.
+ *
+ * Depending on the browser version, window.ai streams either the full response
+ * so far (cumulative) or only the new text (deltas). A second non-empty chunk
+ * that is longer than the first and starts with it suggests a cumulative stream,
+ * so it is held back until the third confirms it by extending the second in
+ * the same way. Anything else, such as a repeated delta ("Ha", "Ha"), means
+ * deltas. A stream that ends before the third chunk is taken as cumulative.
+ * @returns {TransformStream} Transform yielding only new text
+ */
+function createDeltaNormalizer() {
+  let mode;
+  let previous = '';
+  let pending;
+
+  // Whether a chunk is an earlier one with more text after it
+  const extendsChunk = (text, earlier) => text.length > earlier.length && text.startsWith(earlier);
+
+  return new TransformStream({
+    transform(chunk, controller) {
+      const text = String(chunk);
+      if (text === '') {
+        return;
+      }
+
+      if (mode === undefined && previous !== '') {
+        if (pending === undefined && extendsChunk(text, previous)) {
+          pending = text;
+          return;
+        }
+        mode = pending !== undefined && extendsChunk(text, pending) ? 'cumulative' : 'delta';
+        if (pending !== undefined) {
+          if (mode === 'cumulative') {
+            controller.enqueue(pending.slice(previous.length));
+            previous = pending;
+          } else {
+            controller.enqueue(pending);
+          }
+          pending = undefined;
+        }
+      }
+
+      if (mode === 'cumulative') {
+        if (text.startsWith(previous)) {
+          const delta = text.slice(previous.length);
+          previous = text;
+          if (delta) {
+            controller.enqueue(delta);
+          }
+        } else {
+          // The model revised its output; treat the chunk as new text
+          previous += text;
+          controller.enqueue(text);
+        }
+        return;
+      }
+
+      if (mode === undefined) {
+        previous = text;
+      }
+      controller.enqueue(text);
+    },
+
+    flush(controller) {
+      if (pending !== undefined) {
+        controller.enqueue(pending.slice(previous.length));
+      }
+    }
+  });
+}
+
+/**
+ * Splits a stream into branches that can be added while it is read.
+ *
+ * Unlike `ReadableStream.tee()`, a branch made late first gets every chunk read
+ * so far. The source is read as fast as it produces, and cancelled once every
+ * branch has been cancelled.
+ */
+class StreamTee {
+  #reader;
+  #chunks = [];
+  #branches = new Set();
+  #state = 'reading';
+  #error;
+
+  /**
+   * @param {ReadableStream} source - Stream to split
+   */
+  constructor(source) {
+    this.#reader = source.getReader();
+    /**
+     * Settles once the source is done: true if it was read to the end, false if cancelled
+     * @type {Promise<boolean>}
+     */
+    this.finished = this.#pump();
+  }
+
+  /**
+   * Whether new branches still get the whole stream
+   * @type {boolean}
+   */
+  get open() {
+    return this.#state === 'reading' || this.#state === 'done';
+  }
+
+  /**
+   * Create a branch with the chunks read so far, followed by the rest
+   * @returns {ReadableStream} Branch
+   */
+  branch() {
+    let branch;
+    return new ReadableStream({
+      start: (controller) => {
+        branch = controller;
+        this.#chunks.forEach(chunk => controller.enqueue(chunk));
+        switch (this.#state) {
+        case 'reading':
+          this.#branches.add(controller);
+          break;
+        case 'done':
+          controller.close();
+          break;
+        case 'errored':
+          controller.error(this.#error);
+          break;
+        default:
+          controller.error(createAbortError());
+        }
+      },
+      cancel: (reason) => {
+        this.#branches.delete(branch);
+        if (this.#branches.size === 0 && this.#state === 'reading') {
+          this.#state = 'cancelled';
+          return this.#reader.cancel(reason);
+        }
+      }
+    });
+  }
+
+  /**
+   * Read the source into every branch
+   * @private
+   */
+  async #pump() {
+    try {
+      for (;;) {
+        const { done, value } = await this.#reader.read();
+        if (done) {
+          break;
+        }
+        this.#chunks.push(value);
+        this.#branches.forEach(branch => branch.enqueue(value));
+      }
+      if (this.#state === 'reading') {
+        this.#state = 'done';
+        this.#branches.forEach(branch => branch.close());
+      }
+    } catch (error) {
+      this.#state = 'errored';
+      this.#error = error;
+      this.#branches.forEach(branch => branch.error(error));
+    }
+    this.#branches.clear();
+    return this.#state === 'done';
+  }
+}
+
+/**
+ * A stream of response deltas that can also be consumed with `for await`.
+ *
+ * Dispatches `firsttoken` (with `latency`) when the first chunk arrives and
+ * `end` (with `latency`, `tokens` and `tokensPerSecond`) once the stream is read.
+ */
+class ResponseStream extends ReadableStream {
+  #events = new EventTarget();
+  #startTime;
+  #stats = {
+    firstTokenLatency: undefined,
+    latency: undefined,
+    tokens: 0,
+    tokensPerSecond: undefined
+  };
+
+  /**
+   * Create a new ResponseStream instance
+   * @param {ReadableStream} source - Stream of response deltas
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.startTime] - Time the request started, used for latency
+   */
+  constructor(source, options = {}) {
+    const reader = source.getReader();
+    let self;
+
+    super({
+      // pull is first called after the constructor has returned, so `self` is set
+      async pull(controller) {
+        const { done, value } = await reader.read();
+        if (done) {
+          self.#finish();
+          controller.close();
+          return;
+        }
+        self.#receive(value);
+        controller.enqueue(value);
+      },
+      cancel(reason) {
+        return reader.cancel(reason);
+      }
+    }, { highWaterMark: 0 }); // Only read from the model when the consumer asks
+
+    self = this;
+    this.#startTime = options.startTime ?? Date.now();
+  }
+
+  /**
+   * Streaming statistics so far
+   * @returns {{firstTokenLatency: number, latency: number, tokens: number, tokensPerSecond: number}} Statistics
+   */
+  get stats() {
+    return { ...this.#stats };
+  }
+
+  /**
+   * Listen for stream events
+   * @param {('firsttoken'|'end')} type - Event type
+   * @param {Function} listener - Event listener
+   * @param {Object} [options] - Listener options
+   */
+  addEventListener(type, listener, options) {
+    this.#events.addEventListener(type, listener, options);
+  }
+
+  /**
+   * Stop listening for stream events
+   * @param {('firsttoken'|'end')} type - Event type
+   * @param {Function} listener - Event listener
+   * @param {Object} [options] - Listener options
+   */
+  removeEventListener(type, listener, options) {
+    this.#events.removeEventListener(type, listener, options);
+  }
+
+  /**
+   * Read the whole stream into a string
+   * @returns {Promise<string>} Full response
+   */
+  async text() {
+    let text = '';
+    for await (const chunk of this) {
+      text += chunk;
+    }
+    return text;
+  }
+
+  /**
+   * Split the stream into two independent response streams
+   * @returns {ResponseStream[]} Two branches
+   */
+  tee() {
+    return super.tee().map(branch => new ResponseStream(branch, { startTime: this.#startTime }));
+  }
+
+  /**
+   * Iterate over the response deltas
+   * @returns {AsyncGenerator<string>} Deltas
+   */
+  async *[Symbol.asyncIterator]() {
+    const reader = this.getReader();
+    let done = false;
+    try {
+      while (true) {
+        const result = await reader.read();
+        if (result.done) {
+          done = true;
+          return;
+        }
+        yield result.value;
+      }
+    } finally {
+      // Stop the generation when the loop exits early
+      if (!done) {
+        await reader.cancel();
+      }
+      reader.releaseLock();
+    }
+  }
+
+  /**
+   * Track a received chunk
+   * @private
+   */
+  #receive(chunk) {
+    if (this.#stats.firstTokenLatency === undefined) {
+      this.#stats.firstTokenLatency = Date.now() - this.#startTime;
+      this.#events.dispatchEvent(new SessionEvent('firsttoken', {
+        latency: this.#stats.firstTokenLatency
+      }));
+    }
+    this.#stats.tokens += estimateTokens(String(chunk));
+  }
+
+  /**
+   * Compute final statistics
+   * @private
+   */
+  #finish() {
+    const latency = Date.now() - this.#startTime;
+    const streamingTime = latency - (this.#stats.firstTokenLatency ?? latency);
+    this.#stats.latency = latency;
+    this.#stats.tokensPerSecond = streamingTime > 0
+      ? this.#stats.tokens / (streamingTime / 1000)
+      : undefined;
+    this.#events.dispatchEvent(new SessionEvent('end', { ...this.#stats }));
+  }
+}
+
+export { ResponseStream, StreamTee, createDeltaNormalizer };
@@ -0,0 +1,209 @@
+/**
+ * Structured (JSON) output parsing and validation
+ * @module structured
+ */
+
+/**
+ * Keys in a structured schema that describe shape rather than validation rules
+ * @type {string[]}
+ */
+const STRUCTURAL_KEYS = ['optional', 'properties', 'items'];
+
+/**
+ * @typedef {Object.<string, Object>} StructuredSchema
+ * Map of field names to TemplateValidator rule schemas, e.g.
+ * `{ name: { string: true, minLength: 1 }, age: { number: true, min: 0 } }`.
+ * A field schema may also contain:
+ * - `optional: true` to allow the field to be missing
+ * - `properties` with a nested StructuredSchema for object fields
+ * - `items` with a field schema applied to every element of an array field
+ * A validation function, such as one from `TemplateValidator#createSchema`,
+ * may be passed instead to validate the whole value.
+ */
+
+/**
+ * Error thrown when a model response cannot be turned into a valid object
+ */
+class StructuredOutputError extends Error {
+  /**
+   * Create a new StructuredOutputError instance
+   * @param {string[]} errors - Every parse or validation failure from the last attempt
+   * @param {Object} details - Error details
+   * @param {string} details.response - Last model response
+   * @param {number} details.attempts - Number of attempts made
+   */
+  constructor(errors, { response, attempts }) {
+    super(`Structured output failed after ${attempts} attempt(s):\n${errors.map(e => `- ${e}`).join('\n')}`);
+    this.name = 'StructuredOutputError';
+    this.errors = errors;
+    this.response = response;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Find the end of a balanced JSON object or array
+ * @private
+ * @param {string} text - Text to scan
+ * @param {number} start - Index of the opening bracket
+ * @returns {number} Index of the closing bracket, or -1
+ */
+function findClosingBracket(text, start) {
+  const stack = [];
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) {
+        return -1;
+      }
+      if (stack.length === 0) {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Extract and parse the first JSON value in a model response
+ * @param {string} text - Model response
+ * @returns {any} Parsed value
+ * @throws {Error} If no parseable JSON is found
+ */
+function extractJSON(text) {
+  // Prefer a fenced code block when the model used one
+  const fenced = text.match(/```(?:json)?\s*\n?([\s\S]*?)```/i);
+  const candidates = fenced ? [fenced[1].trim(), text] : [text];
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      // Look for an embedded object or array instead
+    }
+
+    for (let start = 0; start < candidate.length; start++) {
+      if (candidate[start] !== '{' && candidate[start] !== '[') {
+        continue;
+      }
+      const end = findClosingBracket(candidate, start);
+      if (end === -1) {
+        continue;
+      }
+      try {
+        return JSON.parse(candidate.slice(start, end + 1));
+      } catch (error) {
+        // Keep scanning
+      }
+    }
+  }
+
+  throw new Error('Response does not contain valid JSON');
+}
+
+/**
+ * Validate a value against a structured schema
+ * @param {any} value - Value to validate
+ * @param {StructuredSchema|Function} schema - Schema or validation function
+ * @param {import('../templates/validation.mjs').TemplateValidator} validator - Validator providing the rules
+ * @param {string} [path='$'] - Path of the value, used in error messages
+ * @returns {string[]} Every validation failure, prefixed by its path
+ */
+function validateStructure(value, schema, validator, path = '$') {
+  if (typeof schema === 'function') {
+    const result = schema(value);
+    return result.valid ? [] : result.errors.map(error => `${path}: ${error}`);
+  }
+
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    return [`${path}: Must be an object`];
+  }
+
+  const errors = [];
+  for (const [field, fieldSchema] of Object.entries(schema)) {
+    const fieldPath = `${path}.${field}`;
+    const fieldValue = value[field];
+
+    if (fieldValue === undefined) {
+      if (!fieldSchema.optional) {
+        errors.push(`${fieldPath}: Is required`);
+      }
+      continue;
+    }
+
+    errors.push(...validateField(fieldValue, fieldSchema, validator, fieldPath));
+  }
+  return errors;
+}
+
+/**
+ * Validate a single field against its field schema
+ * @private
+ */
+function validateField(value, fieldSchema, validator, path) {
+  const rules = Object.fromEntries(
+    Object.entries(fieldSchema).filter(([key]) => !STRUCTURAL_KEYS.includes(key))
+  );
+  const errors = validator.validate(value, rules).errors.map(error => `${path}: ${error}`);
+
+  if (fieldSchema.properties) {
+    errors.push(...validateStructure(value, fieldSchema.properties, validator, path));
+  }
+  if (fieldSchema.items && Array.isArray(value)) {
+    value.forEach((item, index) => {
+      errors.push(...validateField(item, fieldSchema.items, validator, `${path}[${index}]`));
+    });
+  }
+  return errors;
+}
+
+/**
+ * Describe a schema for inclusion in a prompt
+ * @param {StructuredSchema|Function} schema - Schema or validation function
+ * @returns {string} Schema description
+ */
+function describeSchema(schema) {
+  if (typeof schema === 'function') {
+    return 'any JSON value';
+  }
+  return JSON.stringify(schema, null, 2);
+}
+
+/**
+ * Parse and validate a model response
+ * @param {string} response - Model response
+ * @param {StructuredSchema|Function} schema - Schema or validation function
+ * @param {import('../templates/validation.mjs').TemplateValidator} validator - Validator providing the rules
+ * @returns {{valid: boolean, value: any, errors: string[]}} Parse result
+ */
+function parseStructured(response, schema, validator) {
+  let value;
+  try {
+    value = extractJSON(response);
+  } catch (error) {
+    return { valid: false, value: undefined, errors: [error.message] };
+  }
+
+  const errors = validateStructure(value, schema, validator);
+  return { valid: errors.length === 0, value, errors };
+}
+
+export {
+  StructuredOutputError,
+  extractJSON,
+  validateStructure,
+  describeSchema,
+  parseStructured
+};
@@ -0,0 +1,132 @@
+/**
+ * Tool registry and tool-call parsing for prompt-based function calling
+ * @module tools
+ */
+
+import { validateStructure } from './structured.mjs';
+import { isAbortError } from '../utils/abort.mjs';
+
+/**
+ * @typedef {Object} Tool
+ * @property {string} name - Tool name
+ * @property {string} description - What the tool does, shown to the model
+ * @property {import('./structured.mjs').StructuredSchema} schema - Argument schema
+ * @property {Function} handler - Async function called with the validated arguments
+ */
+
+/**
+ * @typedef {Object} ToolCall
+ * @property {string} name - Tool name
+ * @property {Object} arguments - Arguments supplied by the model
+ */
+
+/**
+ * A set of tools the model can call
+ */
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  /**
+   * Register a tool
+   * @param {string} name Tool name
+   * @param {string} description Tool description
+   * @param {import('./structured.mjs').StructuredSchema} schema Argument schema using TemplateValidator rules
+   * @param {Function} handler Async handler called with `(args, { signal, session })`
+   * @throws {Error} If the name or handler is invalid
+   */
+  register(name, description, schema, handler) {
+    if (!/^[\w-]+$/.test(name)) {
+      throw new Error(`Invalid tool name: ${name}`);
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Tool "${name}" requires a handler function`);
+    }
+    this.tools.set(name, { name, description, schema: schema || {}, handler });
+  }
+
+  /**
+   * Remove a tool
+   * @param {string} name Tool name
+   */
+  unregister(name) {
+    this.tools.delete(name);
+  }
+
+  /**
+   * Number of registered tools
+   * @returns {number} Tool count
+   */
+  get size() {
+    return this.tools.size;
+  }
+
+  /**
+   * Describe the registered tools for inclusion in a prompt
+   * @returns {string} Tool descriptions
+   */
+  describe() {
+    return [...this.tools.values()]
+      .map(tool => `- ${tool.name}: ${tool.description}\n  Arguments: ${JSON.stringify(tool.schema)}`)
+      .join('\n');
+  }
+
+  /**
+   * Parse tool-call blocks from a model response
+   * @param {string} response Model response
+   * @returns {ToolCall[]} Tool calls, in order; empty for a final answer
+   */
+  parseCalls(response) {
+    const calls = [];
+    for (const [, body] of response.matchAll(/```tool\s*\n?([\s\S]*?)```/g)) {
+      let call;
+      try {
+        call = JSON.parse(body.trim());
+      } catch (error) {
+        calls.push({ name: undefined, arguments: {}, error: 'Tool call is not valid JSON' });
+        continue;
+      }
+      if (typeof call !== 'object' || call === null || Array.isArray(call)) {
+        calls.push({ name: undefined, arguments: {}, error: 'Tool call is not a JSON object' });
+        continue;
+      }
+      calls.push({ name: call.name, arguments: call.arguments ?? {} });
+    }
+    return calls;
+  }
+
+  /**
+   * Validate and run a tool call
+   * @param {ToolCall} call Tool call
+   * @param {import('../templates/validation.mjs').TemplateValidator} validator Validator providing the rules
+   * @param {Object} [context] Context passed to the handler
+   * @returns {Promise<{name: string, result?: any, error?: string}>} Tool result
+   */
+  async run(call, validator, context = {}) {
+    if (call.error) {
+      return { name: call.name, error: call.error };
+    }
+
+    const tool = this.tools.get(call.name);
+    if (!tool) {
+      return { name: call.name, error: `Unknown tool: ${call.name}` };
+    }
+
+    const errors = validateStructure(call.arguments, tool.schema, validator);
+    if (errors.length > 0) {
+      return { name: call.name, error: `Invalid arguments: ${errors.join('; ')}` };
+    }
+
+    try {
+      return { name: call.name, result: await tool.handler(call.arguments, context) };
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      return { name: call.name, error: error.message };
+    }
+  }
+}
+
+export { ToolRegistry };
@@ -5,7 +5,14 @@
 
 // Core
 import { Session } from './core/session.mjs';
-import { Capabilities } from './core/capabilities.mjs';
+import { Capabilities, InvalidParamsError } from './core/capabilities.mjs';
+import { CapabilityMatrix } from './core/matrix.mjs';
+import { ConversationHistory } from './core/history.mjs';
+import { StructuredOutputError } from './core/structured.mjs';
+import { SessionEvent } from './core/events.mjs';
+import { ResponseStream, StreamTee } from './core/stream.mjs';
+import { DownloadMonitor } from './core/download.mjs';
+import { ConversationTree } from './core/branches.mjs';
 
 // Templates
 import { TemplateSystem } from './templates/system.mjs';
@@ -14,6 +21,11 @@ import { TemplateValidator } from './templates/validation.mjs';
 // Caching
 import { DistributedCache } from './caching/distributed.mjs';
 import { CacheCompression } from './caching/compression.mjs';
+import { MemoryStore, WebStorageStore, IndexedDBStore } from './caching/stores.mjs';
+import { SemanticCache, HashingEmbedder } from './caching/semantic.mjs';
+import { createCacheKey, canonicalize, sha256 } from './caching/keys.mjs';
+import { SingleFlight } from './caching/flight.mjs';
+import { CacheWarmer } from './caching/warmer.mjs';
 
 // Composition
 import { CompositionBuilder } from './composition/builder.mjs';
@@ -24,11 +36,29 @@ import { PerformanceAnalytics } from './monitoring/analytics.mjs';
 import { FallbackSystem } from './monitoring/fallback.mjs';
 import AIDefault from './ai.default.mjs';
 
+// Providers
+import { WindowAIProvider } from './providers/window-ai.mjs';
+import { OpenAIProvider } from './providers/openai.mjs';
+import { OllamaProvider } from './providers/ollama.mjs';
+
+// Tasks
+import { Summarizer } from './tasks/summarizer.mjs';
+import { Writer } from './tasks/writer.mjs';
+import { Rewriter } from './tasks/rewriter.mjs';
+import { Translator } from './tasks/translator.mjs';
+
+// Utilities
+import { isAbortError } from './utils/abort.mjs';
+
 /**
  * @typedef {Object} AICaptainOptions
  * @property {Object} [session] - Session configuration options
  * @property {number} [session.temperature] - Model temperature (0-1)
  * @property {Object} [cache] - Cache configuration
+ * @property {number} [cache.defaultTTL] - Time to live in milliseconds
+ * @property {import('./caching/stores.mjs').CacheStore|string} [cache.store='memory'] - Where cached
+ *   responses are kept: a store, or 'memory', 'localStorage', 'sessionStorage' or 'indexedDB'.
+ *   The session's cache uses it too unless `session.cache.store` is set.
  * @property {Object} [compression] - Compression settings
  * @property {Object} [analytics] - Analytics configuration
  * @property {Object} [fallback] - Fallback system settings
@@ -53,32 +83,65 @@ import AIDefault from './ai.default.mjs';
 export {
   Session,
   Capabilities,
+  InvalidParamsError,
+  CapabilityMatrix,
+  ConversationHistory,
+  StructuredOutputError,
+  SessionEvent,
+  ResponseStream,
+  StreamTee,
+  DownloadMonitor,
+  ConversationTree,
   TemplateSystem,
   TemplateValidator,
   DistributedCache,
   CacheCompression,
+  MemoryStore,
+  WebStorageStore,
+  IndexedDBStore,
+  SemanticCache,
+  HashingEmbedder,
+  createCacheKey,
+  canonicalize,
+  sha256,
+  SingleFlight,
+  CacheWarmer,
   CompositionBuilder,
   CompositionChains,
   PerformanceAnalytics,
-  FallbackSystem
+  FallbackSystem,
+  WindowAIProvider,
+  OpenAIProvider,
+  OllamaProvider,
+  Summarizer,
+  Writer,
+  Rewriter,
+  Translator,
+  isAbortError
 };
 
 /**
  * Create a new AI Captain instance with all features enabled
  * @param {AICaptainOptions} [options={}] - Configuration options
+ * @param {import('./providers/provider.mjs').Provider|Object} [ai] - Provider or window.ai API
  * @returns {Promise<AICaptain>} AI Captain instance
  */
 export async function createAICaptain(options = {}, ai = AIDefault) {
   // Initialize core components
   const capabilities = await Capabilities.get(ai);
-  const session = await Session.create(options.session, ai);
+  const cache = new DistributedCache(options.cache);
+  const session = await Session.create({
+    ...options.session,
+    cache: { store: cache.store, ...options.session?.cache }
+  }, ai);
+  // Let captain.cache.warm() prompt through the session
+  cache.session = session;
 
   // Initialize template system
   const templates = new TemplateSystem(session);
   const validator = new TemplateValidator();
 
   // Initialize caching
-  const cache = new DistributedCache(options.cache);
   const compression = new CacheCompression(options.compression);
 
   // Initialize composition
@@ -116,7 +179,10 @@ export async function createAICaptain(options = {}, ai = AIDefault) {
      */
     async destroy() {
       await session.destroy();
-      await cache.clear();
+      cache.destroy();
+      if (!cache.store.persistent) {
+        await cache.clear();
+      }
       fallback.destroy();
       // Add any other cleanup needed
     }
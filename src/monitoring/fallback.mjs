@@ -1,3 +1,5 @@
+import { createAbortError, isAbortError, linkSignal, sleep, throwIfAborted } from '../utils/abort.mjs';
+
 /**
  * Advanced fallback system with model switching and monitoring
  */
@@ -9,6 +11,8 @@ class FallbackSystem {
       timeout: options.timeout || 10000,
       fallbackStrategies: options.fallbackStrategies || ['retry', 'alternate', 'degrade'],
       healthCheckInterval: options.healthCheckInterval || 60000,
+      // Set to false to never prompt the sessions just to check their health
+      healthCheck: options.healthCheck ?? true,
       ...options
     };
 
@@ -18,7 +22,9 @@ class FallbackSystem {
     this.healthCheckInterval = null;
 
     this._initializeStrategies();
-    this._startHealthCheck();
+    if (this.options.healthCheck) {
+      this._startHealthCheck();
+    }
   }
 
   /**
@@ -27,31 +33,34 @@ class FallbackSystem {
    */
   _initializeStrategies() {
     // Retry strategy
-    this.strategyHandlers.set('retry', async (input, error) => {
+    this.strategyHandlers.set('retry', async (input, error, { signal } = {}) => {
       for (let i = 0; i < this.options.maxAttempts; i++) {
+        throwIfAborted(signal);
         try {
-          return await this.primarySession.prompt(input);
+          return await this.primarySession.prompt(input, { signal });
         } catch (e) {
-          if (i === this.options.maxAttempts - 1) throw e;
-          await new Promise(resolve => setTimeout(resolve, Math.pow(2, i) * 1000));
+          if (isAbortError(e) || i === this.options.maxAttempts - 1) throw e;
+          await sleep(Math.pow(2, i) * 1000, signal);
         }
       }
     });
 
     // Alternate model strategy
-    this.strategyHandlers.set('alternate', async (input, error) => {
+    this.strategyHandlers.set('alternate', async (input, error, { signal } = {}) => {
       const alternateSession = await this._getHealthyFallback();
       if (!alternateSession) {
         throw new Error('No healthy fallback sessions available');
       }
-      return await alternateSession.prompt(input);
+      throwIfAborted(signal);
+      return await alternateSession.prompt(input, { signal });
     });
 
     // Degraded mode strategy
-    this.strategyHandlers.set('degrade', async (input, error) => {
+    this.strategyHandlers.set('degrade', async (input, error, { signal } = {}) => {
       // Simplify the prompt and try again
       const simplifiedInput = await this._simplifyPrompt(input);
-      return await this.primarySession.prompt(simplifiedInput);
+      throwIfAborted(signal);
+      return await this.primarySession.prompt(simplifiedInput, { signal });
     });
   }
 
@@ -145,36 +154,74 @@ class FallbackSystem {
     this.healthStatus.delete(name);
   }
 
+  /**
+   * Run an operation once, aborting it when the timeout elapses or the
+   * context signal aborts
+   * @private
+   */
+  async _attempt(operation, context) {
+    const { controller, dispose } = linkSignal(context.signal);
+    let timer;
+
+    try {
+      return await Promise.race([
+        operation({ ...context, signal: controller.signal }),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => {
+            const error = new Error('Operation timeout');
+            reject(error);
+            controller.abort(error);
+          }, this.options.timeout);
+        }),
+        new Promise((_, reject) => {
+          controller.signal.addEventListener('abort', () => {
+            reject(createAbortError(context.signal));
+          }, { once: true });
+        })
+      ]);
+    } finally {
+      clearTimeout(timer);
+      dispose();
+    }
+  }
+
   /**
    * Execute with fallback
-   * @param {Function} operation Operation to execute
+   * @param {Function} operation Operation to execute, called with the context and an AbortSignal
    * @param {Object} context Operation context
+   * @param {string} [context.input] Input passed to fallback strategies
+   * @param {AbortSignal} [context.signal] Signal that cancels the operation and stops fallbacks
+   * @param {Function} [context.onFallback] Called with the strategy name and error before a strategy runs
    * @returns {Promise<any>} Operation result
+   * @throws {Error} AbortError if the context signal aborts
    */
   async execute(operation, context = {}) {
     const strategies = [...this.options.fallbackStrategies];
+    const { signal } = context;
     let lastError;
 
     while (strategies.length > 0) {
+      throwIfAborted(signal);
       const strategy = strategies.shift();
       const handler = this.strategyHandlers.get(strategy);
 
       try {
-        const result = await Promise.race([
-          operation(context),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Operation timeout')), this.options.timeout)
-          )
-        ]);
-
-        return result;
+        return await this._attempt(operation, context);
       } catch (error) {
+        if (signal?.aborted) {
+          throw createAbortError(signal);
+        }
         lastError = error;
         
         if (handler) {
+          this.options.onFallback?.(strategy, error);
+          context.onFallback?.(strategy, error);
           try {
-            return await handler(context.input, error);
+            return await handler(context.input, error, { signal });
           } catch (fallbackError) {
+            if (signal?.aborted) {
+              throw createAbortError(signal);
+            }
             // Continue to next strategy
           }
         }
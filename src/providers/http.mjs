@@ -0,0 +1,307 @@
+/**
+ * Shared plumbing for providers that talk to a chat model over HTTP
+ * @module http
+ */
+
+import { contentToText } from '../core/content.mjs';
+
+/**
+ * @typedef {Object} HTTPProviderOptions
+ * @property {string} [baseURL] - Server URL
+ * @property {string} model - Model name
+ * @property {string} [apiKey] - Sent as a bearer token when set
+ * @property {Object} [headers] - Extra request headers
+ * @property {number} [contextWindow=4096] - Context window size, reported as `maxTokens`
+ * @property {number} [temperature] - Default temperature
+ * @property {number} [topK] - Default topK
+ * @property {Function} [fetch] - fetch implementation, defaults to the global one
+ */
+
+/**
+ * Estimate the number of tokens in a piece of text
+ * @private
+ * @param {string} text - Text
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text).length / 4);
+}
+
+/**
+ * Read a response body line by line
+ * @param {ReadableStream<Uint8Array>} body - Response body
+ * @returns {AsyncGenerator<string>} Non-empty lines
+ */
+async function* readLines(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let done = false;
+  try {
+    while (true) {
+      const result = await reader.read();
+      if (result.done) {
+        done = true;
+        break;
+      }
+      buffer += decoder.decode(result.value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (line.trim()) yield line.trim();
+      }
+    }
+    buffer += decoder.decode();
+    if (buffer.trim()) yield buffer.trim();
+  } finally {
+    if (!done) {
+      await reader.cancel();
+    }
+  }
+}
+
+/**
+ * A conversation with an HTTP chat model. The server is stateless, so the
+ * session keeps the messages and sends all of them with every request.
+ */
+class HTTPChatSession {
+  /**
+   * Create a new HTTPChatSession instance
+   * @param {HTTPChatProvider} provider - Provider making the requests
+   * @param {Array<{role: string, content: string}>} messages - Conversation so far
+   * @param {Object} [options] - Generation options (temperature, topK)
+   */
+  constructor(provider, messages, options = {}) {
+    this.provider = provider;
+    this.messages = messages;
+    this.options = options;
+    this.maxTokens = provider.options.contextWindow;
+    this.tokensSoFar = messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+    this.destroyed = false;
+  }
+
+  /**
+   * Tokens left in the context window
+   * @returns {number} Tokens left
+   */
+  get tokensLeft() {
+    return Math.max(0, this.maxTokens - this.tokensSoFar);
+  }
+
+  /**
+   * Generate a response
+   * @param {string} input - Prompt text
+   * @param {Object} [options] - Generation options and `signal`
+   * @returns {Promise<string>} Response
+   * @throws {Error} If the session is destroyed or the request fails
+   */
+  async prompt(input, options = {}) {
+    const messages = this._withInput(input);
+    const { content, usage } = await this.provider._complete(messages, { ...this.options, ...options });
+    this._commit(messages, content, usage);
+    return content;
+  }
+
+  /**
+   * Generate a streamed response
+   * @param {string} input - Prompt text
+   * @param {Object} [options] - Generation options and `signal`
+   * @returns {Promise<ReadableStream>} Stream of deltas
+   * @throws {Error} If the session is destroyed or the request fails
+   */
+  async promptStreaming(input, options = {}) {
+    const messages = this._withInput(input);
+    const parts = this.provider._stream(messages, { ...this.options, ...options });
+    const session = this;
+    let content = '';
+    let usage;
+
+    // Start the request now so connection errors reject here rather than mid-stream
+    let next = parts.next();
+    await next;
+
+    return new ReadableStream({
+      async pull(controller) {
+        try {
+          const { done, value } = await next;
+          if (done) {
+            session._commit(messages, content, usage);
+            controller.close();
+            return;
+          }
+          next = parts.next();
+          usage = value.usage ?? usage;
+          if (value.delta) {
+            content += value.delta;
+            controller.enqueue(value.delta);
+          }
+        } catch (error) {
+          controller.error(error);
+        }
+      },
+      async cancel() {
+        await parts.return();
+      }
+    });
+  }
+
+  /**
+   * Estimate the tokens in a piece of text
+   * @param {string} input - Text to count
+   * @returns {Promise<number>} Estimated token count
+   */
+  async countTokens(input) {
+    return estimateTokens(input);
+  }
+
+  /**
+   * Copy the session and its conversation
+   * @param {Object} [options] - Generation options for the copy
+   * @returns {Promise<HTTPChatSession>} Cloned session
+   */
+  async clone(options = {}) {
+    const generation = { ...this.options, ...options };
+    delete generation.signal;
+    const cloned = new HTTPChatSession(this.provider, this.messages.map(m => ({ ...m })), generation);
+    cloned.tokensSoFar = this.tokensSoFar;
+    return cloned;
+  }
+
+  /**
+   * Destroy the session; later prompts are rejected
+   */
+  destroy() {
+    this.destroyed = true;
+  }
+
+  /**
+   * Append the input to a copy of the conversation
+   * @private
+   */
+  _withInput(input) {
+    if (this.destroyed) {
+      throw new Error('Session has been destroyed');
+    }
+    const media = Array.isArray(input) ? input.find(part => part.type !== 'text') : undefined;
+    if (media) {
+      throw new Error(`${this.provider.name} does not support ${media.type} input`);
+    }
+    return [...this.messages, { role: 'user', content: contentToText(input) }];
+  }
+
+  /**
+   * Keep a finished exchange and update token usage
+   * @private
+   */
+  _commit(messages, content, usage) {
+    this.messages = [...messages, { role: 'assistant', content }];
+    this.tokensSoFar = usage?.totalTokens ??
+      this.messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+  }
+}
+
+/**
+ * Base class for providers that run a chat model behind an HTTP API.
+ * Subclasses implement `_complete`, `_stream` and `_listModels`.
+ */
+class HTTPChatProvider {
+  /**
+   * Create a new HTTPChatProvider instance
+   * @param {HTTPProviderOptions} options - Configuration options
+   * @throws {Error} If no model is given
+   */
+  constructor(options = {}) {
+    if (!options.model) {
+      throw new Error('A model name is required');
+    }
+    this.options = {
+      contextWindow: 4096,
+      ...options,
+      baseURL: String(options.baseURL ?? '').replace(/\/+$/, '')
+    };
+  }
+
+  /**
+   * Report whether the model is served, in the shape of `ai.languageModel.capabilities()`
+   * @returns {Promise<Object>} Capabilities
+   */
+  async capabilities() {
+    let available = 'no';
+    try {
+      const models = await this._listModels();
+      if (models.some(name => this._matchesModel(name))) {
+        available = 'readily';
+      }
+    } catch (error) {
+      // An unreachable server means the model is unavailable
+    }
+    return {
+      available,
+      defaultTemperature: this.options.temperature ?? 1,
+      defaultTopK: this.options.topK,
+      maxTopK: undefined
+    };
+  }
+
+  /**
+   * Create a chat session
+   * @param {Object} [options] - `systemPrompt` or `initialPrompts`, `temperature`, `topK`
+   * @returns {Promise<HTTPChatSession>} Session
+   */
+  async create(options = {}) {
+    const messages = options.initialPrompts
+      ? options.initialPrompts.map(({ role, content }) => ({ role, content }))
+      : options.systemPrompt ? [{ role: 'system', content: options.systemPrompt }] : [];
+
+    const generation = Object.fromEntries(
+      ['temperature', 'topK']
+        .map(key => [key, options[key] ?? this.options[key]])
+        .filter(([, value]) => value !== undefined)
+    );
+    return new HTTPChatSession(this, messages, generation);
+  }
+
+  /**
+   * Send a request to the server
+   * @private
+   * @param {string} path - Path below the base URL
+   * @param {Object} [init] - `method`, `body` (serialized as JSON) and `signal`
+   * @returns {Promise<Response>} Successful response
+   * @throws {Error} If the server responds with an error status
+   */
+  async _request(path, { method = 'POST', body, signal } = {}) {
+    const headers = { ...this.options.headers };
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+    if (this.options.apiKey) {
+      headers.Authorization = `Bearer ${this.options.apiKey}`;
+    }
+
+    const fetchImpl = this.options.fetch ?? globalThis.fetch;
+    const response = await fetchImpl(`${this.options.baseURL}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      const error = new Error(`${this.name} request failed with status ${response.status}${detail ? `: ${detail}` : ''}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  }
+
+  /**
+   * Check whether a served model name refers to the configured model
+   * @private
+   */
+  _matchesModel(name) {
+    return name === this.options.model;
+  }
+}
+
+export { HTTPChatProvider, HTTPChatSession, readLines };
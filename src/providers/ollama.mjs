@@ -0,0 +1,104 @@
+/**
+ * Provider adapter for Ollama-style local model servers
+ * @module ollama
+ */
+
+import { HTTPChatProvider, readLines } from './http.mjs';
+
+/**
+ * Provider for servers implementing Ollama's `POST /api/chat`, which streams
+ * newline-delimited JSON.
+ */
+class OllamaProvider extends HTTPChatProvider {
+  /**
+   * Create a new OllamaProvider instance
+   * @param {import('./http.mjs').HTTPProviderOptions} options - Configuration options;
+   *   `baseURL` defaults to `http://localhost:11434`
+   */
+  constructor(options = {}) {
+    super({ baseURL: 'http://localhost:11434', ...options });
+    this.name = 'ollama';
+  }
+
+  /**
+   * Build the request body
+   * @private
+   */
+  _body(messages, options, stream) {
+    const modelOptions = { num_ctx: this.options.contextWindow };
+    if (options.temperature !== undefined) {
+      modelOptions.temperature = options.temperature;
+    }
+    if (options.topK !== undefined) {
+      modelOptions.top_k = options.topK;
+    }
+    return { model: this.options.model, messages, stream, options: modelOptions };
+  }
+
+  /**
+   * Convert Ollama's token counts to usage
+   * @private
+   */
+  _usage(data) {
+    if (data.prompt_eval_count === undefined && data.eval_count === undefined) {
+      return undefined;
+    }
+    return { totalTokens: (data.prompt_eval_count ?? 0) + (data.eval_count ?? 0) };
+  }
+
+  /**
+   * Request a complete response
+   * @private
+   */
+  async _complete(messages, options = {}) {
+    const response = await this._request('/api/chat', {
+      body: this._body(messages, options, false),
+      signal: options.signal
+    });
+    const data = await response.json();
+    return { content: data.message?.content ?? '', usage: this._usage(data) };
+  }
+
+  /**
+   * Request a response as newline-delimited JSON
+   * @private
+   */
+  async *_stream(messages, options = {}) {
+    const response = await this._request('/api/chat', {
+      body: this._body(messages, options, true),
+      signal: options.signal
+    });
+
+    for await (const line of readLines(response.body)) {
+      const event = JSON.parse(line);
+      if (event.error) {
+        throw new Error(`${this.name} error: ${event.error}`);
+      }
+      yield {
+        delta: event.message?.content ?? '',
+        usage: event.done ? this._usage(event) : undefined
+      };
+      if (event.done) return;
+    }
+  }
+
+  /**
+   * List the served model names
+   * @private
+   */
+  async _listModels() {
+    const response = await this._request('/api/tags', { method: 'GET' });
+    const data = await response.json();
+    return (data.models ?? []).map(model => model.name);
+  }
+
+  /**
+   * Ollama tags models, so `llama3` matches `llama3:latest`
+   * @private
+   */
+  _matchesModel(name) {
+    return name === this.options.model || name === `${this.options.model}:latest`;
+  }
+}
+
+export { OllamaProvider };
@@ -0,0 +1,85 @@
+/**
+ * Provider adapter for OpenAI-compatible chat completions endpoints
+ * @module openai
+ */
+
+import { HTTPChatProvider, readLines } from './http.mjs';
+
+/**
+ * Provider for any server implementing `POST /chat/completions` (OpenAI,
+ * llama.cpp, vLLM, LM Studio and others). `topK` is not part of the API and is ignored.
+ */
+class OpenAIProvider extends HTTPChatProvider {
+  /**
+   * Create a new OpenAIProvider instance
+   * @param {import('./http.mjs').HTTPProviderOptions} options - Configuration options;
+   *   `baseURL` defaults to `https://api.openai.com/v1`
+   */
+  constructor(options = {}) {
+    super({ baseURL: 'https://api.openai.com/v1', ...options });
+    this.name = 'openai';
+  }
+
+  /**
+   * Build the request body
+   * @private
+   */
+  _body(messages, options, stream) {
+    const body = { model: this.options.model, messages, stream };
+    if (options.temperature !== undefined) {
+      body.temperature = options.temperature;
+    }
+    return body;
+  }
+
+  /**
+   * Request a complete response
+   * @private
+   */
+  async _complete(messages, options = {}) {
+    const response = await this._request('/chat/completions', {
+      body: this._body(messages, options, false),
+      signal: options.signal
+    });
+    const data = await response.json();
+    return {
+      content: data.choices?.[0]?.message?.content ?? '',
+      usage: data.usage && { totalTokens: data.usage.total_tokens }
+    };
+  }
+
+  /**
+   * Request a response as server-sent events
+   * @private
+   */
+  async *_stream(messages, options = {}) {
+    const response = await this._request('/chat/completions', {
+      body: this._body(messages, options, true),
+      signal: options.signal
+    });
+
+    for await (const line of readLines(response.body)) {
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return;
+
+      const event = JSON.parse(data);
+      yield {
+        delta: event.choices?.[0]?.delta?.content ?? '',
+        usage: event.usage && { totalTokens: event.usage.total_tokens }
+      };
+    }
+  }
+
+  /**
+   * List the served model names
+   * @private
+   */
+  async _listModels() {
+    const response = await this._request('/models', { method: 'GET' });
+    const data = await response.json();
+    return (data.data ?? []).map(model => model.id);
+  }
+}
+
+export { OpenAIProvider };
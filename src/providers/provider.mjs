@@ -0,0 +1,55 @@
+/**
+ * Provider contract shared by every model backend
+ * @module provider
+ */
+
+import { WindowAIProvider } from './window-ai.mjs';
+
+/**
+ * A model session created by a provider. Session talks to the model only
+ * through these members, so any backend implementing them can be used.
+ * @typedef {Object} ProviderSession
+ * @property {function(string, Object=): Promise<string>} prompt - Generate a response; options include `signal`
+ * @property {function(string, Object=): Promise<ReadableStream>} promptStreaming - Generate a streamed response
+ * @property {function(string, Object=): Promise<number>} countTokens - Count the tokens in a piece of text
+ * @property {function(Object=): Promise<ProviderSession>} clone - Copy the session and its conversation
+ * @property {function(): (void|Promise<void>)} destroy - Release the session
+ * @property {number} tokensSoFar - Tokens used by the conversation so far
+ * @property {number} maxTokens - Size of the context window
+ * @property {number} tokensLeft - Tokens left in the context window
+ */
+
+/**
+ * A model backend
+ * @typedef {Object} Provider
+ * @property {string} name - Provider name
+ * @property {function(): Promise<Object>} capabilities - Model availability and parameter limits,
+ *   in the shape of `ai.languageModel.capabilities()`
+ * @property {function(Object=): Promise<ProviderSession>} create - Create a session; accepts
+ *   `systemPrompt`, `initialPrompts`, `temperature`, `topK` and `signal`
+ */
+
+/**
+ * Check whether an object implements the provider contract
+ * @param {*} value - Value to check
+ * @returns {boolean} True for providers
+ */
+function isProvider(value) {
+  return typeof value?.create === 'function' && typeof value?.capabilities === 'function';
+}
+
+/**
+ * Turn the `ai` argument accepted across the library into a provider.
+ * Providers are returned as-is; anything else is treated as the window.ai API.
+ * @param {Provider|Object} ai - Provider or window.ai API
+ * @returns {Provider} Provider
+ * @throws {Error} If no backend is available
+ */
+function resolveProvider(ai) {
+  if (!ai) {
+    throw new Error('window.ai API not available');
+  }
+  return isProvider(ai) ? ai : new WindowAIProvider(ai);
+}
+
+export { isProvider, resolveProvider };
@@ -0,0 +1,137 @@
+/**
+ * Provider adapter for the built-in window.ai language model
+ * @module window-ai
+ */
+
+import AIDefault from '../ai.default.mjs';
+
+/**
+ * Convert prompt input to what window.ai accepts: content parts go in a user message
+ * @private
+ * @param {string|import('../core/content.mjs').ContentPart[]} input - Prompt text or content parts
+ * @returns {string|Array<Object>} Native input
+ */
+function toNativeInput(input) {
+  return Array.isArray(input) ? [{ role: 'user', content: input }] : input;
+}
+
+/**
+ * A window.ai session exposed through the provider contract
+ */
+class WindowAISession {
+  /**
+   * Create a new WindowAISession instance
+   * @param {Object} session - Native window.ai session
+   */
+  constructor(session) {
+    this.session = session;
+  }
+
+  /**
+   * Generate a response
+   * @param {string|import('../core/content.mjs').ContentPart[]} input - Prompt text or content parts
+   * @param {Object} [options] - Options such as `signal`
+   * @returns {Promise<string>} Response
+   */
+  async prompt(input, options = {}) {
+    return this.session.prompt(toNativeInput(input), options);
+  }
+
+  /**
+   * Generate a streamed response
+   * @param {string|import('../core/content.mjs').ContentPart[]} input - Prompt text or content parts
+   * @param {Object} [options] - Options such as `signal`
+   * @returns {Promise<ReadableStream>} Response chunks
+   */
+  async promptStreaming(input, options = {}) {
+    return this.session.promptStreaming(toNativeInput(input), options);
+  }
+
+  /**
+   * Count tokens with the native counter, estimating when it is missing
+   * @param {string} input - Text to count
+   * @param {Object} [options] - Options such as `signal`
+   * @returns {Promise<number>} Token count
+   */
+  async countTokens(input, options = {}) {
+    if (typeof this.session.countPromptTokens === 'function') {
+      return this.session.countPromptTokens(input, options);
+    }
+    return Math.ceil(String(input).length / 4);
+  }
+
+  /**
+   * Clone the session and its conversation
+   * @param {Object} [options] - Options such as `signal`
+   * @returns {Promise<WindowAISession>} Cloned session
+   */
+  async clone(options = {}) {
+    return new WindowAISession(await this.session.clone(options));
+  }
+
+  /**
+   * Destroy the native session
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    await this.session.destroy();
+  }
+
+  get tokensSoFar() {
+    return this.session.tokensSoFar;
+  }
+
+  get maxTokens() {
+    return this.session.maxTokens;
+  }
+
+  get tokensLeft() {
+    return this.session.tokensLeft;
+  }
+}
+
+/**
+ * Provider backed by `ai.languageModel` (Gemini Nano in Chrome)
+ */
+class WindowAIProvider {
+  /**
+   * Create a new WindowAIProvider instance
+   * @param {Object} [ai] - window.ai API, defaults to the global one
+   */
+  constructor(ai = AIDefault) {
+    this.name = 'window.ai';
+    this.ai = ai;
+  }
+
+  /**
+   * Get the language model capabilities
+   * @returns {Promise<Object>} Raw capabilities
+   * @throws {Error} If window.ai is not available
+   */
+  async capabilities() {
+    return this._languageModel().capabilities();
+  }
+
+  /**
+   * Create a language model session
+   * @param {Object} [options] - window.ai session options
+   * @returns {Promise<WindowAISession>} Session
+   * @throws {Error} If window.ai is not available
+   */
+  async create(options = {}) {
+    return new WindowAISession(await this._languageModel().create(options));
+  }
+
+  /**
+   * Get the language model API
+   * @private
+   */
+  _languageModel() {
+    if (!this.ai?.languageModel) {
+      throw new Error('window.ai API not available');
+    }
+    return this.ai.languageModel;
+  }
+}
+
+export { WindowAIProvider, WindowAISession };
@@ -0,0 +1,74 @@
+/**
+ * Rewriter API wrapper
+ * @module rewriter
+ */
+
+import { TaskModel } from './task.mjs';
+import { describeContext, describeFormat } from './templates.mjs';
+
+/** Rewriter tones described for the language model */
+const TONES = {
+  'as-is': 'keep the original tone',
+  'more-formal': 'more formal',
+  'more-casual': 'more casual'
+};
+
+/** Rewriter lengths described for the language model */
+const LENGTHS = {
+  'as-is': 'keep the original length',
+  shorter: 'shorter',
+  longer: 'longer'
+};
+
+/**
+ * Rewrites text with the built-in Rewriter API, or by prompting the language
+ * model with the `task_rewrite` template when it is unavailable. Accepts the
+ * TaskOptions plus `tone` ('as-is', 'more-formal', 'more-casual'), `format`
+ * ('as-is', 'plain-text', 'markdown'), `length` ('as-is', 'shorter',
+ * 'longer') and `sharedContext`.
+ * @example
+ * const rewriter = await Rewriter.create({ tone: 'more-casual' });
+ * const text = await rewriter.rewrite('We regret to inform you...');
+ */
+class Rewriter extends TaskModel {
+  static api = 'rewriter';
+  static method = 'rewrite';
+  static template = 'task_rewrite';
+  static createOptions = ['tone', 'format', 'length', 'sharedContext'];
+
+  /**
+   * Rewrite a text
+   * @param {string} text - Text to rewrite
+   * @param {import('./task.mjs').TaskCallOptions} [options] - Call options
+   * @returns {Promise<string>} Rewritten text
+   */
+  async rewrite(text, options = {}) {
+    return this._execute(text, options);
+  }
+
+  /**
+   * Rewrite a text, streaming the result
+   * @param {string} text - Text to rewrite
+   * @param {import('./task.mjs').TaskCallOptions} [options] - Call options
+   * @returns {Promise<import('../core/stream.mjs').ResponseStream>} Stream of text deltas
+   */
+  async rewriteStreaming(text, options = {}) {
+    return this._executeStreaming(text, options);
+  }
+
+  /**
+   * Variables for the task_rewrite template
+   * @protected
+   */
+  _templateVariables(options) {
+    const { tone = 'as-is', format = 'as-is', length = 'as-is', sharedContext } = this.options;
+    return {
+      tone: TONES[tone] ?? tone,
+      length: LENGTHS[length] ?? length,
+      format: describeFormat(format),
+      context: describeContext(sharedContext, options.context)
+    };
+  }
+}
+
+export { Rewriter };
@@ -0,0 +1,68 @@
+/**
+ * Summarizer API wrapper
+ * @module summarizer
+ */
+
+import { TaskModel } from './task.mjs';
+import { describeContext, describeFormat } from './templates.mjs';
+
+/** Summary types described for the language model */
+const SUMMARY_TYPES = {
+  'tl;dr': 'a short overview',
+  'key-points': 'a list of the key points',
+  teaser: 'a teaser that makes the reader want to read the full text',
+  headline: 'a single headline'
+};
+
+/**
+ * Summarizes text with the built-in Summarizer API, or by prompting the
+ * language model with the `task_summarize` template when it is unavailable.
+ * Accepts the TaskOptions plus `type` ('tl;dr', 'key-points', 'teaser',
+ * 'headline'), `format` ('plain-text', 'markdown'), `length` ('short',
+ * 'medium', 'long') and `sharedContext`.
+ * @example
+ * const summarizer = await Summarizer.create({ type: 'tl;dr', length: 'short' });
+ * const summary = await summarizer.summarize(article, { context: 'A news article' });
+ */
+class Summarizer extends TaskModel {
+  static api = 'summarizer';
+  static method = 'summarize';
+  static template = 'task_summarize';
+  static createOptions = ['type', 'format', 'length', 'sharedContext'];
+
+  /**
+   * Summarize a text
+   * @param {string} text - Text to summarize
+   * @param {import('./task.mjs').TaskCallOptions} [options] - Call options
+   * @returns {Promise<string>} Summary
+   */
+  async summarize(text, options = {}) {
+    return this._execute(text, options);
+  }
+
+  /**
+   * Summarize a text, streaming the summary
+   * @param {string} text - Text to summarize
+   * @param {import('./task.mjs').TaskCallOptions} [options] - Call options
+   * @returns {Promise<import('../core/stream.mjs').ResponseStream>} Stream of summary deltas
+   */
+  async summarizeStreaming(text, options = {}) {
+    return this._executeStreaming(text, options);
+  }
+
+  /**
+   * Variables for the task_summarize template
+   * @protected
+   */
+  _templateVariables(options) {
+    const { type = 'key-points', format = 'markdown', length = 'short', sharedContext } = this.options;
+    return {
+      type: SUMMARY_TYPES[type] ?? type,
+      length,
+      format: describeFormat(format),
+      context: describeContext(sharedContext, options.context)
+    };
+  }
+}
+
+export { Summarizer };
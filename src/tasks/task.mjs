@@ -0,0 +1,687 @@
+/**
+ * Shared base of the task-specific built-in API wrappers
+ * @module task
+ */
+
+import { DistributedCache } from '../caching/distributed.mjs';
+import { CacheCompression } from '../caching/compression.mjs';
+import { builtInModelVersion, createCacheKey } from '../caching/keys.mjs';
+import { FallbackSystem } from '../monitoring/fallback.mjs';
+import { PerformanceAnalytics } from '../monitoring/analytics.mjs';
+import { Session } from '../core/session.mjs';
+import { CapabilityMatrix, probeAPI } from '../core/matrix.mjs';
+import { DownloadMonitor, stateFromAvailability } from '../core/download.mjs';
+import { ResponseStream, createDeltaNormalizer } from '../core/stream.mjs';
+import { createAbortError, isAbortError, throwIfAborted } from '../utils/abort.mjs';
+import { isProvider } from '../providers/provider.mjs';
+import { WindowAIProvider } from '../providers/window-ai.mjs';
+import { TASK_TEMPLATES } from './templates.mjs';
+import AIDefault from '../ai.default.mjs';
+
+/**
+ * @typedef {Object} TaskOptions
+ * @property {('auto'|'native'|'prompt')} [mode='auto'] - 'auto' uses the built-in API when it
+ *   supports the options and prompts the language model otherwise; 'native' requires the
+ *   built-in API; 'prompt' always prompts the language model
+ * @property {import('../core/session.mjs').Session} [session] - Session to prompt instead of the
+ *   built-in API; by default one is created from the same provider when first needed
+ * @property {Object} [cache] - Cache configuration
+ * @property {boolean} [cache.enabled] - Enable caching
+ * @property {number} [cache.ttl] - Cache TTL in milliseconds
+ * @property {import('../caching/stores.mjs').CacheStore|string} [cache.store] - Cache store, as for Session
+ * @property {number} [cache.maxEntries] - Most results kept; `maxBytes`, `eviction`,
+ *   `sweepInterval` and `onEvict` work as for Session too
+ * @property {Object} [cache.compression] - Compression options, as for Session
+ * @property {string} [cache.namespace='default'] - Namespace of the cache keys
+ * @property {string} [cache.modelVersion] - Version of the model; cached results from other versions
+ *   are invalidated. Defaults to the browser version for the built-in APIs.
+ * @property {Object} [fallback] - FallbackSystem options. The default strategy, 'degrade',
+ *   prompts the language model when the built-in API fails. Health checks are off unless
+ *   `healthCheck` is set.
+ * @property {function(import('../core/download.mjs').DownloadMonitor): void} [monitor] - Called
+ *   with a DownloadMonitor relaying the model's downloadprogress events
+ * @property {AbortSignal} [signal] - Signal that cancels creation
+ */
+
+/**
+ * @typedef {Object} TaskCallOptions
+ * @property {string} [context] - Extra context for this call
+ * @property {boolean} [cache] - Set to false to skip the cache
+ * @property {AbortSignal} [signal] - Signal that cancels the call
+ */
+
+/**
+ * Generate a cache key from the task, its options and the input
+ * @private
+ * @param {string} api - Built-in API name
+ * @param {Object} options - Options the task was created with
+ * @param {string} text - Input text
+ * @param {string} [context] - Per-call context
+ * @param {string} [namespace] - Namespace of the key
+ * @param {string} [modelVersion] - Version of the model
+ * @returns {Promise<string>} Cache key
+ */
+function generateTaskKey(api, options, text, context, namespace, modelVersion) {
+  return createCacheKey({ api, options, text, context, modelVersion }, { prefix: api, namespace });
+}
+
+/**
+ * Keep the defined values of some options
+ * @private
+ * @param {Object} options - Options
+ * @param {string[]} keys - Keys to keep
+ * @returns {Object} Picked options
+ */
+function pick(options, keys) {
+  return Object.fromEntries(
+    keys
+      .filter(key => options[key] !== undefined)
+      .map(key => [key, options[key]])
+  );
+}
+
+/**
+ * Get the object holding the task-specific built-in APIs; only window.ai has them
+ * @private
+ * @param {import('../providers/provider.mjs').Provider|Object} [ai] - Provider or window.ai API
+ * @returns {Object|undefined} window.ai API
+ */
+function nativeAPIs(ai) {
+  if (!isProvider(ai)) {
+    return ai;
+  }
+  return ai instanceof WindowAIProvider ? ai.ai : undefined;
+}
+
+/**
+ * Create a stream that yields a single piece of text
+ * @private
+ * @param {string} text - Text to stream
+ * @returns {ReadableStream} Stream
+ */
+function textStream(text) {
+  return new ReadableStream({
+    start(controller) {
+      controller.enqueue(text);
+      controller.close();
+    }
+  });
+}
+
+/**
+ * Call a function once a stream has been fully read, fails or is cancelled
+ * @private
+ * @param {ReadableStream} stream - Stream
+ * @param {Function} callback - Called once
+ * @returns {ReadableStream} Stream yielding the same chunks
+ */
+function onStreamEnd(stream, callback) {
+  const reader = stream.getReader();
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          await callback();
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (error) {
+        await callback();
+        controller.error(error);
+      }
+    },
+    async cancel(reason) {
+      await reader.cancel(reason);
+      await callback();
+    }
+  });
+}
+
+/**
+ * Base class of the wrappers for the task-specific built-in APIs (Summarizer,
+ * Writer, Rewriter and Translator). Calls go to the built-in API through a
+ * FallbackSystem whose 'degrade' strategy prompts the language model with the
+ * task's template; when the built-in API is unavailable every call does.
+ * Subclasses set the static `api`, `method`, `template` and `createOptions`
+ * fields and implement `_templateVariables()`.
+ */
+class TaskModel {
+  /** @type {string} Name of the built-in API on window.ai, e.g. 'summarizer' */
+  static api;
+  /** @type {string} Method of the built-in API that performs the task, e.g. 'summarize' */
+  static method;
+  /** @type {string} Session template used when prompting the language model */
+  static template;
+  /** @type {string[]} Options passed to the built-in API's create() */
+  static createOptions = [];
+
+  /** @type {Object} */ #native;
+  /** @type {Object} */ #ai;
+  /** @type {Session|Promise<Session>} */ #session;
+  /** @type {boolean} */ #ownsSession = false;
+  /** @type {DistributedCache} */ #cache;
+  /** @type {CacheCompression} */ #compression;
+  /** @type {boolean} */ #cacheEnabled;
+  /** @type {number} */ #cacheTTL;
+  /** @type {string|undefined} */ #cacheNamespace;
+  /** @type {string|undefined} */ #modelVersion;
+  /** @type {Promise<void>|undefined} */ #modelChecked;
+  /** @type {FallbackSystem} */ #fallback;
+  /** @type {PerformanceAnalytics} */ #analytics = new PerformanceAnalytics();
+
+  /**
+   * Create a new task instance; use the static create() instead
+   * @param {Object|null} native - Built-in API instance, or null to prompt the language model
+   * @param {TaskOptions} [options] - Configuration options
+   * @param {import('../providers/provider.mjs').Provider|Object} [ai] - Provider or window.ai API
+   */
+  constructor(native, options = {}, ai = AIDefault) {
+    this.#native = native;
+    this.#ai = ai;
+    this.#session = options.session;
+    this.options = pick(options, this.constructor.createOptions);
+    this.#cacheEnabled = options.cache?.enabled ?? false;
+    this.#cacheTTL = options.cache?.ttl ?? 3600000; // 1 hour default
+    this.#cacheNamespace = options.cache?.namespace;
+    this.#modelVersion = options.cache?.modelVersion ?? (isProvider(ai) ? undefined : builtInModelVersion());
+
+    // Initialize caching system
+    if (this.#cacheEnabled) {
+      this.#cache = new DistributedCache({
+        ...options.cache,
+        defaultTTL: this.#cacheTTL
+      });
+      this.#compression = new CacheCompression({
+        algorithm: options.cache?.compression?.algorithm || 'lz',
+        level: options.cache?.compression?.level || 'default',
+        threshold: options.cache?.compression?.threshold || 1024
+      });
+    }
+
+    // Initialize fallback system with the built-in API as the primary session
+    if (native) {
+      this.#fallback = new FallbackSystem({
+        prompt: (input, { signal } = {}) => this.#callNative(input, signal)
+      }, {
+        fallbackStrategies: ['degrade'],
+        // Pinging the built-in API would cost a task call every interval
+        healthCheck: false,
+        ...options.fallback,
+        onFallback: (strategy) => {
+          this.#analytics.record(`fallback_${strategy}`, 1);
+        }
+      });
+      // Degrade to prompting the language model with the task template
+      this.#fallback.strategyHandlers.set('degrade', async ({ text, options, streaming }, error, { signal } = {}) => {
+        const callOptions = { ...options, signal };
+        return streaming ? this.#promptStreaming(text, callOptions) : this.#prompt(text, callOptions);
+      });
+    }
+  }
+
+  /**
+   * Create a task, using the built-in API when it supports the options
+   * @param {TaskOptions} [options] - Configuration options, including those of the built-in API
+   * @param {import('../providers/provider.mjs').Provider|Object} [ai] - Provider or window.ai API
+   * @returns {Promise<TaskModel>} New instance of the subclass
+   * @throws {Error} If neither the built-in API nor the language model is available
+   */
+  static async create(options = {}, ai = AIDefault) {
+    const { mode = 'auto' } = options;
+    const native = mode === 'prompt' ? null : await this._createNative(options, ai);
+    if (!native && mode === 'native') {
+      throw new Error(`The ${this.api} API is not available`);
+    }
+
+    const task = new this(native, options, ai);
+    if (!native) {
+      // Fail now rather than on the first call if there is no language model either
+      await task.#promptSession({ monitor: options.monitor, signal: options.signal });
+    }
+    return task;
+  }
+
+  /**
+   * Create the built-in API instance if it supports the options
+   * @private
+   * @param {TaskOptions} options - Configuration options
+   * @param {import('../providers/provider.mjs').Provider|Object} ai - Provider or window.ai API
+   * @returns {Promise<Object|null>} Built-in API instance, or null
+   */
+  static async _createNative(options, ai) {
+    const api = nativeAPIs(ai)?.[this.api];
+    if (typeof api?.create !== 'function') {
+      return null;
+    }
+
+    const { entry, raw } = await probeAPI(api, this.api, []);
+    const matrix = new CapabilityMatrix({ [this.api]: entry }, { [this.api]: raw });
+    const createOptions = pick(options, this.createOptions);
+    if (!matrix.supports(this.api, createOptions)) {
+      return null;
+    }
+
+    let monitor;
+    const nativeOptions = { ...createOptions, signal: options.signal };
+    if (typeof options.monitor === 'function') {
+      // Hand the caller a monitor up front, then feed it the native events
+      monitor = new DownloadMonitor(stateFromAvailability(entry.available));
+      options.monitor(monitor);
+      nativeOptions.monitor = target => monitor.attach(target);
+    }
+
+    try {
+      const native = await api.create(nativeOptions);
+      monitor?.setState('ready');
+      return native;
+    } catch (error) {
+      if (options.mode === 'native' || isAbortError(error)) {
+        throw error;
+      }
+      return null;
+    }
+  }
+
+  /** @returns {DistributedCache|undefined} Result cache, if caching is enabled */
+  get cache() {
+    return this.#cache;
+  }
+
+  /**
+   * How calls are performed
+   * @returns {('native'|'prompt')} 'native' for the built-in API, 'prompt' for the language model
+   */
+  get mode() {
+    return this.#native ? 'native' : 'prompt';
+  }
+
+  /**
+   * Options for a call to the built-in API; subclasses override this
+   * @protected
+   * @param {TaskCallOptions} options - Call options
+   * @returns {Object} Options for the built-in API
+   */
+  _callOptions(options) {
+    return options.context !== undefined ? { context: options.context } : {};
+  }
+
+  /**
+   * Variables for the task template, apart from `input`; subclasses implement this
+   * @protected
+   * @param {TaskCallOptions} options - Call options
+   * @returns {Object} Template variables
+   */
+  _templateVariables() {
+    return {};
+  }
+
+  /**
+   * Call the built-in API
+   * @private
+   * @param {string|{text: string, options: TaskCallOptions, streaming: boolean}} input - Input,
+   *   a plain string for health checks
+   * @param {AbortSignal} [signal] - Signal that cancels the call
+   * @returns {Promise<string|ReadableStream>} Result
+   */
+  async #callNative(input, signal) {
+    const { text, options = {}, streaming = false } = typeof input === 'string' ? { text: input } : input;
+    const method = streaming ? `${this.constructor.method}Streaming` : this.constructor.method;
+    return this.#native[method](text, { ...this._callOptions(options), signal });
+  }
+
+  /**
+   * Get the session used to prompt the language model, creating it if needed
+   * @private
+   * @param {import('../core/session.mjs').SessionOptions} [options] - Options for a new session
+   * @returns {Promise<Session>} Session
+   */
+  async #promptSession(options = {}) {
+    if (!this.#session) {
+      this.#ownsSession = true;
+      this.#session = Session.create(options, this.#ai).catch(error => {
+        this.#session = undefined;
+        this.#ownsSession = false;
+        throw error;
+      });
+    }
+    return this.#session;
+  }
+
+  /**
+   * Build the prompt for a call from the session's task template
+   * @private
+   * @param {Session} session - Session holding the template
+   * @param {string} text - Input text
+   * @param {TaskCallOptions} options - Call options
+   * @returns {Promise<string>} Prompt
+   */
+  async #applyTemplate(session, text, options) {
+    const name = this.constructor.template;
+    const variables = { ...this._templateVariables(options), input: text };
+    if (session.templates?.templates.has(name)) {
+      return session.templates.apply(name, variables);
+    }
+    // Sessions of other kinds have no templates, so fill in the default one
+    return TASK_TEMPLATES[name].replace(/\{(\w+)\}/g, (match, key) => variables[key] ?? match);
+  }
+
+  /**
+   * Get a conversation to run one task in. Each task gets a fresh copy of the
+   * session so earlier inputs do not fill its context window.
+   * @private
+   * @param {Session} session - Session
+   * @returns {Promise<Session>} Copy of the session, or the session itself if it cannot be cloned
+   */
+  async #conversation(session) {
+    this.#analytics.record('task_prompted', 1);
+    return typeof session.clone === 'function' ? session.clone() : session;
+  }
+
+  /**
+   * Perform the task by prompting the language model
+   * @private
+   * @param {string} text - Input text
+   * @param {TaskCallOptions} options - Call options
+   * @returns {Promise<string>} Result
+   */
+  async #prompt(text, options) {
+    const session = await this.#promptSession();
+    const input = await this.#applyTemplate(session, text, options);
+    const conversation = await this.#conversation(session);
+    try {
+      return await conversation.prompt(input, { cache: false, signal: options.signal });
+    } finally {
+      if (conversation !== session) {
+        await conversation.destroy();
+      }
+    }
+  }
+
+  /**
+   * Perform the task by prompting the language model, streaming the result
+   * @private
+   * @param {string} text - Input text
+   * @param {TaskCallOptions} options - Call options
+   * @returns {Promise<ReadableStream>} Stream of deltas
+   */
+  async #promptStreaming(text, options) {
+    const session = await this.#promptSession();
+    const input = await this.#applyTemplate(session, text, options);
+    const conversation = await this.#conversation(session);
+    if (conversation === session) {
+      return session.promptStreaming(input, { cache: false, signal: options.signal });
+    }
+
+    try {
+      const stream = await conversation.promptStreaming(input, { cache: false, signal: options.signal });
+      return onStreamEnd(stream, () => conversation.destroy());
+    } catch (error) {
+      await conversation.destroy();
+      throw error;
+    }
+  }
+
+  /**
+   * Get the cache key for a call, if it should be cached
+   * @private
+   * @param {string} text - Input text
+   * @param {TaskCallOptions} options - Call options
+   * @returns {Promise<string|undefined>} Cache key
+   */
+  async #cacheKey(text, options) {
+    if (!this.#cacheEnabled || options.cache === false) {
+      return undefined;
+    }
+    try {
+      return await this.keyFor(text, options);
+    } catch (error) {
+      // Without a key the call can still be answered, just not cached
+      console.warn('Not caching the result, its cache key could not be computed:', error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Get the key a call is cached under, to look up, pre-compute or invalidate its entry
+   * @param {string} text - Input text
+   * @param {TaskCallOptions} [options] - Options the call would be made with
+   * @returns {Promise<string>} Cache key
+   */
+  keyFor(text, options = {}) {
+    return generateTaskKey(
+      this.constructor.api, this.options, text, options.context, this.#cacheNamespace, this.#modelVersion
+    );
+  }
+
+  /**
+   * Invalidate the cached results of other versions of the model, once per task
+   * @private
+   * @returns {Promise<void>}
+   */
+  #checkModelVersion() {
+    if (this.#modelVersion === undefined) {
+      return Promise.resolve();
+    }
+    this.#modelChecked ??= this.#cache.checkVersion(`model:${this.constructor.api}`, this.#modelVersion)
+      .then(removed => {
+        if (removed > 0) {
+          this.#analytics.record('cache_invalidated', removed);
+        }
+      })
+      .catch(error => console.error('Failed to check the model version of cached results:', error));
+    return this.#modelChecked;
+  }
+
+  /**
+   * Look up a cached result
+   * @private
+   * @param {string} cacheKey - Cache key
+   * @param {number} startTime - Time the call started
+   * @returns {Promise<string|undefined>} Cached result, if any
+   */
+  async #readCache(cacheKey, startTime) {
+    await this.#checkModelVersion();
+    const cached = await this.#cache.get(cacheKey);
+    if (!cached) {
+      this.#analytics.record('cache_miss', 1);
+      return undefined;
+    }
+
+    this.#analytics.record('cache_hit', 1);
+    this.#analytics.record('cache_latency', Date.now() - startTime);
+    return this.#compression.decompress(cached);
+  }
+
+  /**
+   * Cache a result
+   * @private
+   * @param {string} cacheKey - Cache key
+   * @param {string} result - Result
+   */
+  async #writeCache(cacheKey, result) {
+    try {
+      const compressed = await this.#compression.compress(result);
+      await this.#cache.set(cacheKey, compressed, { ttl: this.#cacheTTL, tags: [`model:${this.constructor.api}`] });
+    } catch (error) {
+      console.warn('Failed to cache a result:', error);
+    }
+  }
+
+  /**
+   * Perform the task
+   * @protected
+   * @param {string} text - Input text
+   * @param {TaskCallOptions} [options] - Call options
+   * @returns {Promise<string>} Result
+   */
+  async _execute(text, options = {}) {
+    const startTime = Date.now();
+    throwIfAborted(options.signal);
+
+    try {
+      const cacheKey = await this.#cacheKey(text, options);
+      if (cacheKey) {
+        const cached = await this.#readCache(cacheKey, startTime);
+        if (cached !== undefined) {
+          return cached;
+        }
+      }
+
+      const input = { text, options, streaming: false };
+      const result = this.#native
+        ? await this.#fallback.execute(({ signal }) => this.#callNative(input, signal), {
+          input,
+          signal: options.signal
+        })
+        : await this.#prompt(text, options);
+      this.#analytics.record('task_latency', Date.now() - startTime);
+
+      if (cacheKey) {
+        await this.#writeCache(cacheKey, result);
+      }
+      return result;
+
+    } catch (error) {
+      this.#analytics.record('error', 1);
+      throw error;
+    }
+  }
+
+  /**
+   * Perform the task, streaming the result
+   * @protected
+   * @param {string} text - Input text
+   * @param {TaskCallOptions} [options] - Call options
+   * @returns {Promise<ResponseStream>} Stream of result deltas
+   */
+  async _executeStreaming(text, options = {}) {
+    const startTime = Date.now();
+    const { signal } = options;
+    throwIfAborted(signal);
+
+    try {
+      const cacheKey = await this.#cacheKey(text, options);
+      const cached = cacheKey ? await this.#readCache(cacheKey, startTime) : undefined;
+
+      let stream;
+      if (cached !== undefined) {
+        stream = textStream(cached);
+      } else if (this.#native) {
+        let strategy;
+        const input = { text, options, streaming: true };
+        stream = await this.#fallback.execute(({ signal }) => this.#callNative(input, signal), {
+          input,
+          signal,
+          onFallback: (name) => {
+            strategy = name;
+          }
+        });
+        // The built-in APIs stream either deltas or the result so far; always yield deltas
+        if (strategy !== 'degrade') {
+          stream = stream.pipeThrough(createDeltaNormalizer());
+        }
+        stream = this.#collect(stream, cacheKey, signal);
+      } else {
+        stream = this.#collect(await this.#promptStreaming(text, options), cacheKey, signal);
+      }
+
+      const response = new ResponseStream(stream, { startTime });
+      response.addEventListener('firsttoken', ({ latency }) => {
+        this.#analytics.record('first_token_latency', latency);
+      });
+      response.addEventListener('end', ({ latency }) => {
+        this.#analytics.record('task_latency', latency);
+      });
+      return response;
+
+    } catch (error) {
+      this.#analytics.record('error', 1);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop a stream when the signal aborts and cache the result once it has been read
+   * @private
+   * @param {ReadableStream} stream - Result stream
+   * @param {string} [cacheKey] - Cache key, if the result should be cached
+   * @param {AbortSignal} [signal] - Signal that cancels the call
+   * @returns {ReadableStream} Stream yielding the same chunks
+   */
+  #collect(stream, cacheKey, signal) {
+    let result = '';
+    let onAbort;
+    const writeCache = () => this.#writeCache(cacheKey, result);
+
+    return stream.pipeThrough(new TransformStream({
+      start(controller) {
+        // Erroring the stream cancels the source, which stops the native generation
+        onAbort = () => controller.error(createAbortError(signal));
+        signal?.addEventListener('abort', onAbort, { once: true });
+      },
+      transform(chunk, controller) {
+        result += chunk;
+        controller.enqueue(chunk);
+      },
+      async flush() {
+        signal?.removeEventListener('abort', onAbort);
+        // Never cache a result the caller cancelled
+        if (cacheKey && !signal?.aborted) {
+          await writeCache();
+        }
+      }
+    }));
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} Cache statistics
+   */
+  getCacheStats() {
+    if (!this.#cacheEnabled) {
+      return { enabled: false };
+    }
+
+    return {
+      enabled: true,
+      ...this.#cache.getStats(),
+      analytics: {
+        hits: this.#analytics.getStats('cache_hit'),
+        misses: this.#analytics.getStats('cache_miss'),
+        latency: this.#analytics.getStats('cache_latency'),
+        invalidated: this.#analytics.getStats('cache_invalidated')
+      }
+    };
+  }
+
+  /**
+   * Get all analytics
+   * @returns {Object} All analytics
+   */
+  getAnalytics() {
+    return this.#analytics.getAllStats();
+  }
+
+  /**
+   * Destroy the task, along with the session it created
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    if (this.#cacheEnabled) {
+      this.#cache.destroy();
+      if (!this.#cache.store.persistent) {
+        await this.#cache.clear();
+      }
+    }
+    this.#fallback?.destroy();
+    await this.#native?.destroy?.();
+    if (this.#ownsSession) {
+      const session = await this.#session;
+      await session.destroy();
+    }
+  }
+}
+
+export { TaskModel };
@@ -0,0 +1,54 @@
+/**
+ * Prompt templates used when a task-specific built-in API is unavailable
+ * @module templates
+ */
+
+/**
+ * Templates Session registers by default, keyed by name. Each one asks the
+ * language model for what the matching built-in API would produce.
+ * @type {Object<string, string>}
+ */
+const TASK_TEMPLATES = {
+  task_summarize:
+    'Summarize the following text as {type}. Length: {length}. Format: {format}. ' +
+    'Reply with only the summary.{context}\n\n{input}',
+  task_write:
+    'Write a text for the following request. Tone: {tone}. Length: {length}. Format: {format}. ' +
+    'Reply with only the text.{context}\n\n{input}',
+  task_rewrite:
+    'Rewrite the following text. Tone: {tone}. Length: {length}. Format: {format}. ' +
+    'Reply with only the rewritten text.{context}\n\n{input}',
+  task_translate:
+    'Translate the following text from {sourceLanguage} to {targetLanguage}. ' +
+    'Reply with only the translation.\n\n{input}'
+};
+
+/**
+ * Describe the format option of a built-in API in words
+ * @param {string} format - 'plain-text', 'markdown' or 'as-is'
+ * @returns {string} Description
+ */
+function describeFormat(format) {
+  switch (format) {
+  case 'plain-text':
+    return 'plain text';
+  case 'markdown':
+    return 'Markdown';
+  case 'as-is':
+    return 'keep the original format';
+  default:
+    return format;
+  }
+}
+
+/**
+ * Build the context variable of a task template
+ * @param {...string} contexts - Shared and per-call context, either may be missing
+ * @returns {string} Context paragraph, or an empty string
+ */
+function describeContext(...contexts) {
+  const context = contexts.filter(Boolean).join('\n');
+  return context ? `\n\nContext: ${context}` : '';
+}
+
+export { TASK_TEMPLATES, describeFormat, describeContext };
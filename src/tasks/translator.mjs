@@ -0,0 +1,97 @@
+/**
+ * Translator API wrapper
+ * @module translator
+ */
+
+import { TaskModel } from './task.mjs';
+import AIDefault from '../ai.default.mjs';
+
+/**
+ * Name a language for the language model, e.g. 'es' as 'Spanish'
+ * @private
+ * @param {string} language - BCP 47 language tag or language name
+ * @returns {string} Language name
+ */
+function languageName(language) {
+  if (!/^[a-z]{2,3}(-[a-z0-9]+)*$/i.test(language)) {
+    return language;
+  }
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(language) ?? language;
+  } catch (error) {
+    return language;
+  }
+}
+
+/**
+ * Translates text with the built-in Translator API, or by prompting the
+ * language model with the `task_translate` template when it is unavailable.
+ * Accepts the TaskOptions plus the required `sourceLanguage` and
+ * `targetLanguage`. The built-in API needs BCP 47 tags such as 'en'; the
+ * language model also understands names such as 'English'.
+ * @example
+ * const translator = await Translator.create({ sourceLanguage: 'en', targetLanguage: 'fr' });
+ * const text = await translator.translate('Good morning');
+ */
+class Translator extends TaskModel {
+  static api = 'translator';
+  static method = 'translate';
+  static template = 'task_translate';
+  static createOptions = ['sourceLanguage', 'targetLanguage'];
+
+  /**
+   * Create a translator for a language pair
+   * @param {import('./task.mjs').TaskOptions & {sourceLanguage: string, targetLanguage: string}} options -
+   *   Configuration options
+   * @param {import('../providers/provider.mjs').Provider|Object} [ai] - Provider or window.ai API
+   * @returns {Promise<Translator>} New translator
+   * @throws {Error} If a language is missing, or neither the built-in API nor the language model is available
+   */
+  static async create(options = {}, ai = AIDefault) {
+    if (!options.sourceLanguage || !options.targetLanguage) {
+      throw new Error('Translator requires sourceLanguage and targetLanguage');
+    }
+    return super.create(options, ai);
+  }
+
+  /**
+   * Translate a text
+   * @param {string} text - Text to translate
+   * @param {import('./task.mjs').TaskCallOptions} [options] - Call options
+   * @returns {Promise<string>} Translation
+   */
+  async translate(text, options = {}) {
+    return this._execute(text, options);
+  }
+
+  /**
+   * Translate a text, streaming the translation
+   * @param {string} text - Text to translate
+   * @param {import('./task.mjs').TaskCallOptions} [options] - Call options
+   * @returns {Promise<import('../core/stream.mjs').ResponseStream>} Stream of translation deltas
+   */
+  async translateStreaming(text, options = {}) {
+    return this._executeStreaming(text, options);
+  }
+
+  /**
+   * The built-in Translator takes no context
+   * @protected
+   */
+  _callOptions() {
+    return {};
+  }
+
+  /**
+   * Variables for the task_translate template
+   * @protected
+   */
+  _templateVariables() {
+    return {
+      sourceLanguage: languageName(this.options.sourceLanguage),
+      targetLanguage: languageName(this.options.targetLanguage)
+    };
+  }
+}
+
+export { Translator };
@@ -0,0 +1,60 @@
+/**
+ * Writer API wrapper
+ * @module writer
+ */
+
+import { TaskModel } from './task.mjs';
+import { describeContext, describeFormat } from './templates.mjs';
+
+/**
+ * Writes new text from a request with the built-in Writer API, or by
+ * prompting the language model with the `task_write` template when it is
+ * unavailable. Accepts the TaskOptions plus `tone` ('formal', 'neutral',
+ * 'casual'), `format` ('plain-text', 'markdown'), `length` ('short',
+ * 'medium', 'long') and `sharedContext`.
+ * @example
+ * const writer = await Writer.create({ tone: 'formal' });
+ * const email = await writer.write('Ask my landlord to fix the heating');
+ */
+class Writer extends TaskModel {
+  static api = 'writer';
+  static method = 'write';
+  static template = 'task_write';
+  static createOptions = ['tone', 'format', 'length', 'sharedContext'];
+
+  /**
+   * Write a text
+   * @param {string} task - What to write
+   * @param {import('./task.mjs').TaskCallOptions} [options] - Call options
+   * @returns {Promise<string>} Written text
+   */
+  async write(task, options = {}) {
+    return this._execute(task, options);
+  }
+
+  /**
+   * Write a text, streaming the result
+   * @param {string} task - What to write
+   * @param {import('./task.mjs').TaskCallOptions} [options] - Call options
+   * @returns {Promise<import('../core/stream.mjs').ResponseStream>} Stream of text deltas
+   */
+  async writeStreaming(task, options = {}) {
+    return this._executeStreaming(task, options);
+  }
+
+  /**
+   * Variables for the task_write template
+   * @protected
+   */
+  _templateVariables(options) {
+    const { tone = 'neutral', format = 'markdown', length = 'short', sharedContext } = this.options;
+    return {
+      tone,
+      length,
+      format: describeFormat(format),
+      context: describeContext(sharedContext, options.context)
+    };
+  }
+}
+
+export { Writer };
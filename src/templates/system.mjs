@@ -2,15 +2,24 @@
  * Template system for window.ai prompts
  */
 import { TemplateValidator } from './validation.mjs';
+import { isContentArray, isMedia, toContentParts } from '../core/content.mjs';
 
-export class TemplateSystem {
+/**
+ * Templates for window.ai prompts. Dispatches a `change` event, with the
+ * template's `name` and new `version` in `detail`, when a registration
+ * replaces a template.
+ */
+export class TemplateSystem extends EventTarget {
   constructor(session) {
+    super();
     this.session = session;
-    this.session.overrideTemplates = this;
-    this.templates = new Map();
-    this.inheritance = new Map();
+    // Keep the templates of the system this one replaces, such as the session's defaults
+    const previous = session.templates;
+    this.templates = new Map(previous?.templates);
+    this.inheritance = new Map(previous?.inheritance);
     this.validator = new TemplateValidator();
-    this.schemas = new Map();
+    this.schemas = new Map(previous?.schemas);
+    this.session.overrideTemplates = this;
   }
 
   /**
@@ -29,12 +38,37 @@ export class TemplateSystem {
       content,
       variables,
       defaults,
-      parent: null
+      parent: null,
+      version: this._nextVersion(name)
     });
 
     if (Object.keys(schema).length > 0) {
       this.schemas.set(name, schema);
     }
+    this._changed(name);
+  }
+
+  /**
+   * Tell listeners a template was replaced, so what was made with it can be invalidated
+   * @private
+   * @param {string} name Template name
+   */
+  _changed(name) {
+    const { version } = this.templates.get(name);
+    if (version > 1) {
+      // Node.js 18 has no CustomEvent, so add the detail to a plain Event
+      this.dispatchEvent(Object.assign(new Event('change'), { detail: { name, version } }));
+    }
+  }
+
+  /**
+   * Get the version the next registration of a template gets; each one replaces the last
+   * @private
+   * @param {string} name Template name
+   * @returns {number} Version, starting at 1
+   */
+  _nextVersion(name) {
+    return (this.templates.get(name)?.version ?? 0) + 1;
   }
 
   /**
@@ -60,7 +94,8 @@ export class TemplateSystem {
         ...parentTemplate.defaults, // Include parent's defaults first
         ...defaults // Then override with child's defaults
       },
-      parent: parentName // Store reference to parent
+      parent: parentName, // Store reference to parent
+      version: this._nextVersion(name)
     });
 
     // Merge parent and child schemas if they exist
@@ -68,13 +103,16 @@ export class TemplateSystem {
     if (Object.keys(schema).length > 0 || Object.keys(parentSchema).length > 0) {
       this.schemas.set(name, { ...parentSchema, ...schema });
     }
+    this._changed(name);
   }
 
   /**
-   * Apply a template with given variables
+   * Apply a template with given variables. Variables may hold images or
+   * audio (Blobs, ImageBitmaps, canvases or `{ type, value }` parts) and
+   * content arrays, in which case the result is an array of content parts.
    * @param {string} name Template name
    * @param {Object} variables Template variables
-   * @returns {Promise<string>} Processed template
+   * @returns {Promise<string|import('../core/content.mjs').ContentPart[]>} Processed template
    */
   async apply(name, variables = {}) {
     const template = this.templates.get(name);
@@ -118,6 +156,11 @@ export class TemplateSystem {
     // Validate variables if schema exists
     await this._validateVariables(name, finalVars);
 
+    // Media can't be put in a string, so templates with media produce content parts
+    if (Object.values(finalVars).some(value => isMedia(value) || isContentArray(value))) {
+      return this._replaceVariablesWithContent(template.content, finalVars);
+    }
+
     // Replace variables in template
     return this._replaceVariables(template.content, finalVars);
   }
@@ -222,6 +265,47 @@ export class TemplateSystem {
     });
   }
 
+  /**
+   * Replace variables in template content, placing media variables as their own parts
+   * @private
+   * @param {string} content Template content
+   * @param {Object} variables Template variables
+   * @returns {import('../core/content.mjs').ContentPart[]} Content parts
+   */
+  _replaceVariablesWithContent(content, variables) {
+    const parts = [];
+    let text = '';
+    let last = 0;
+
+    for (const match of content.matchAll(/\{([^}]+)\}/g)) {
+      text += content.slice(last, match.index);
+      last = match.index + match[0].length;
+
+      const value = variables[match[1]];
+      if (isMedia(value) || isContentArray(value)) {
+        for (const part of toContentParts(isMedia(value) ? [value] : value)) {
+          if (part.type === 'text') {
+            text += part.value;
+          } else {
+            if (text) {
+              parts.push({ type: 'text', value: text });
+              text = '';
+            }
+            parts.push(part);
+          }
+        }
+      } else {
+        text += value === undefined ? match[0] : value;
+      }
+    }
+
+    text += content.slice(last);
+    if (text) {
+      parts.push({ type: 'text', value: text });
+    }
+    return parts;
+  }
+
   /**
    * Get template information
    * @param {string} name Template name
@@ -239,6 +323,7 @@ export class TemplateSystem {
       defaults: template.defaults,
       schema: this.schemas.get(name),
       parent: template.parent,
+      version: template.version,
       inheritance: this._getTemplateChain(name)
     };
   }
@@ -0,0 +1,425 @@
+/**
+ * Record model responses to cassettes and replay them in tests
+ * @module cassette
+ */
+
+import { FakeSession } from './fake.mjs';
+import { isAbortError } from '../utils/abort.mjs';
+import { contentToText } from '../core/content.mjs';
+
+/** Cassette format version */
+const CASSETTE_VERSION = 1;
+
+/**
+ * @typedef {Object} CassetteEntry
+ * @property {string} input - Prompt text
+ * @property {string} [system] - System prompt of the session
+ * @property {number} [temperature] - Temperature used
+ * @property {number} [topK] - topK used
+ * @property {boolean} [stream] - Whether the response was streamed
+ * @property {string} [response] - Response text
+ * @property {string[]} [chunks] - Streamed chunks, in order
+ * @property {string} [error] - Error message, when the prompt failed
+ */
+
+/**
+ * Get the system prompt from session options
+ * @private
+ * @param {Object} options - Session options
+ * @returns {string|undefined} System prompt
+ */
+function systemPromptOf(options) {
+  return options.systemPrompt ?? options.initialPrompts?.find(p => p.role === 'system')?.content;
+}
+
+/**
+ * Get the fields of an entry that identify a prompt
+ * @private
+ * @param {string} input - Prompt text
+ * @param {Object} sessionOptions - Session options
+ * @param {Object} [promptOptions] - Prompt options
+ * @returns {Object} Identifying fields
+ */
+function describePrompt(input, sessionOptions, promptOptions = {}) {
+  const fields = { input: contentToText(input), system: systemPromptOf(sessionOptions) };
+  for (const key of ['temperature', 'topK']) {
+    fields[key] = promptOptions[key] ?? sessionOptions[key];
+  }
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Build the lookup key for a prompt
+ * @private
+ * @param {Object} fields - Identifying fields from describePrompt
+ * @returns {string} Key
+ */
+function keyOf({ input, system, temperature, topK }) {
+  return JSON.stringify([input, system ?? null, temperature ?? null, topK ?? null]);
+}
+
+/**
+ * A list of recorded prompts and responses
+ */
+class Cassette {
+  /**
+   * Create a new Cassette instance
+   * @param {CassetteEntry[]} [entries] - Recorded entries
+   * @param {Object} [options] - Configuration options
+   * @param {Object} [options.capabilities] - Capabilities reported by the recorded provider
+   */
+  constructor(entries = [], options = {}) {
+    this.entries = [...entries];
+    this.capabilities = options.capabilities;
+  }
+
+  /**
+   * Number of recorded entries
+   * @returns {number} Entry count
+   */
+  get length() {
+    return this.entries.length;
+  }
+
+  /**
+   * Add an entry
+   * @param {CassetteEntry} entry - Entry to add
+   */
+  add(entry) {
+    this.entries.push(entry);
+  }
+
+  /**
+   * Convert to a JSON-serializable object
+   * @returns {Object} Cassette data
+   */
+  toJSON() {
+    return {
+      version: CASSETTE_VERSION,
+      capabilities: this.capabilities,
+      entries: this.entries
+    };
+  }
+
+  /**
+   * Serialize as NDJSON: a header line followed by one line per entry
+   * @returns {string} NDJSON text
+   */
+  toNDJSON() {
+    const header = { version: CASSETTE_VERSION, capabilities: this.capabilities };
+    return [header, ...this.entries].map(line => JSON.stringify(line)).join('\n') + '\n';
+  }
+
+  /**
+   * Parse a cassette from JSON or NDJSON text
+   * @param {string} text - Cassette text
+   * @returns {Cassette} Cassette
+   * @throws {Error} If the text is not a cassette
+   */
+  static parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      // Not a single JSON document, so read it as NDJSON
+      const lines = text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+      const [header] = lines;
+      const hasHeader = header && header.version !== undefined && header.input === undefined;
+      data = {
+        version: hasHeader ? header.version : CASSETTE_VERSION,
+        capabilities: hasHeader ? header.capabilities : undefined,
+        entries: hasHeader ? lines.slice(1) : lines
+      };
+    }
+    return Cassette.from(data);
+  }
+
+  /**
+   * Create a cassette from parsed data
+   * @param {Object} data - Data produced by toJSON()
+   * @returns {Cassette} Cassette
+   * @throws {Error} If the data is not a cassette
+   */
+  static from(data) {
+    if (!data || !Array.isArray(data.entries)) {
+      throw new Error('Invalid cassette: entries must be an array');
+    }
+    if (data.version !== undefined && data.version > CASSETTE_VERSION) {
+      throw new Error(`Unsupported cassette version: ${data.version}`);
+    }
+    return new Cassette(data.entries, { capabilities: data.capabilities });
+  }
+}
+
+/**
+ * A provider session that records every exchange of a real session
+ */
+class RecordingSession {
+  /**
+   * Create a new RecordingSession instance
+   * @param {import('../providers/provider.mjs').ProviderSession} session - Session being recorded
+   * @param {Cassette} cassette - Cassette receiving the entries
+   * @param {Object} options - Options the session was created with
+   */
+  constructor(session, cassette, options) {
+    this.session = session;
+    this.cassette = cassette;
+    this.options = options;
+  }
+
+  /**
+   * Generate and record a response
+   * @param {string} input - Prompt text
+   * @param {Object} [options] - Prompt options
+   * @returns {Promise<string>} Response
+   */
+  async prompt(input, options = {}) {
+    const entry = describePrompt(input, this.options, options);
+    try {
+      const response = await this.session.prompt(input, options);
+      this.cassette.add({ ...entry, response });
+      return response;
+    } catch (error) {
+      this._recordError(entry, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate a streamed response, recording its chunks once it has been read
+   * @param {string} input - Prompt text
+   * @param {Object} [options] - Prompt options
+   * @returns {Promise<ReadableStream>} Response chunks
+   */
+  async promptStreaming(input, options = {}) {
+    const entry = describePrompt(input, this.options, options);
+    let stream;
+    try {
+      stream = await this.session.promptStreaming(input, options);
+    } catch (error) {
+      this._recordError(entry, error);
+      throw error;
+    }
+
+    const chunks = [];
+    const cassette = this.cassette;
+    return stream.pipeThrough(new TransformStream({
+      transform(chunk, controller) {
+        chunks.push(chunk);
+        controller.enqueue(chunk);
+      },
+      flush() {
+        cassette.add({ ...entry, stream: true, response: chunks.join(''), chunks });
+      }
+    }));
+  }
+
+  /**
+   * Count tokens with the recorded session
+   * @param {string} input - Text to count
+   * @param {Object} [options] - Options
+   * @returns {Promise<number>} Token count
+   */
+  async countTokens(input, options = {}) {
+    return this.session.countTokens(input, options);
+  }
+
+  /**
+   * Clone the session, recording the clone to the same cassette
+   * @param {Object} [options] - Clone options
+   * @returns {Promise<RecordingSession>} Cloned session
+   */
+  async clone(options = {}) {
+    return new RecordingSession(await this.session.clone(options), this.cassette, this.options);
+  }
+
+  /**
+   * Destroy the recorded session
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    await this.session.destroy();
+  }
+
+  get tokensSoFar() {
+    return this.session.tokensSoFar;
+  }
+
+  get maxTokens() {
+    return this.session.maxTokens;
+  }
+
+  get tokensLeft() {
+    return this.session.tokensLeft;
+  }
+
+  /**
+   * Record a failed prompt; cancellations are not recorded
+   * @private
+   */
+  _recordError(entry, error) {
+    if (!isAbortError(error)) {
+      this.cassette.add({ ...entry, error: error.message });
+    }
+  }
+}
+
+/**
+ * Wraps a real provider and records every prompt and response to a cassette
+ * @example
+ * const recorder = new RecordingProvider(new OllamaProvider({ model: 'llama3' }));
+ * const session = await Session.create({}, recorder);
+ * await session.prompt('Hello');
+ * await saveCassette('test/cassettes/hello.json', recorder.cassette);
+ */
+class RecordingProvider {
+  /**
+   * Create a new RecordingProvider instance
+   * @param {import('../providers/provider.mjs').Provider} provider - Provider to record
+   * @param {Object} [options] - Configuration options
+   * @param {Cassette} [options.cassette] - Cassette to append to
+   */
+  constructor(provider, options = {}) {
+    this.name = `recording:${provider.name ?? 'provider'}`;
+    this.provider = provider;
+    this.cassette = options.cassette ?? new Cassette();
+  }
+
+  /**
+   * Get and record the provider's capabilities
+   * @returns {Promise<Object>} Capabilities
+   */
+  async capabilities() {
+    const capabilities = await this.provider.capabilities();
+    this.cassette.capabilities = capabilities;
+    return capabilities;
+  }
+
+  /**
+   * Create a recording session
+   * @param {Object} [options] - Session options
+   * @returns {Promise<RecordingSession>} Session
+   */
+  async create(options = {}) {
+    return new RecordingSession(await this.provider.create(options), this.cassette, options);
+  }
+}
+
+/**
+ * Serves the responses recorded on a cassette. Prompts are matched on their
+ * input, system prompt, temperature and topK; identical prompts are answered
+ * in recorded order. A prompt that was not recorded throws.
+ */
+class ReplayProvider {
+  /**
+   * Create a new ReplayProvider instance
+   * @param {Cassette|Object|string} cassette - Cassette, cassette data or JSON/NDJSON text
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.latency=0] - Delay before each response, in milliseconds
+   * @param {number} [options.chunkDelay=0] - Delay between streamed chunks, in milliseconds
+   */
+  constructor(cassette, options = {}) {
+    this.name = 'replay';
+    this.cassette = cassette instanceof Cassette
+      ? cassette
+      : typeof cassette === 'string' ? Cassette.parse(cassette) : Cassette.from(cassette);
+    this.options = { latency: 0, chunkDelay: 0, ...options };
+    this.calls = [];
+
+    this.tracks = new Map();
+    for (const entry of this.cassette.entries) {
+      const key = keyOf(entry);
+      if (!this.tracks.has(key)) {
+        this.tracks.set(key, []);
+      }
+      this.tracks.get(key).push(entry);
+    }
+  }
+
+  /**
+   * Number of recorded entries not yet replayed
+   * @returns {number} Remaining entries
+   */
+  get remaining() {
+    let count = 0;
+    for (const entries of this.tracks.values()) {
+      count += entries.length;
+    }
+    return count;
+  }
+
+  /**
+   * Report the recorded capabilities
+   * @returns {Promise<Object>} Capabilities
+   */
+  async capabilities() {
+    return this.cassette.capabilities ?? { available: 'readily' };
+  }
+
+  /**
+   * Create a replaying session
+   * @param {Object} [options] - Session options
+   * @returns {Promise<FakeSession>} Session
+   */
+  async create(options = {}) {
+    return new FakeSession((input, promptOptions) => this._replay(input, options, promptOptions), options);
+  }
+
+  /**
+   * Find the next recorded response for a prompt
+   * @private
+   */
+  async _replay(input, sessionOptions, promptOptions) {
+    const fields = describePrompt(input, sessionOptions, promptOptions);
+    this.calls.push(fields);
+
+    const entry = this.tracks.get(keyOf(fields))?.shift();
+    if (!entry) {
+      throw new Error(`No recorded response for prompt: ${JSON.stringify(fields)}`);
+    }
+    if (entry.error !== undefined) {
+      throw new Error(entry.error);
+    }
+
+    return {
+      chunks: entry.chunks ?? [entry.response ?? ''],
+      latency: this.options.latency,
+      chunkDelay: this.options.chunkDelay
+    };
+  }
+}
+
+/**
+ * Write a cassette to disk (Node only). Files ending in .ndjson or .jsonl are
+ * written as NDJSON, anything else as JSON.
+ * @param {string} path - File path
+ * @param {Cassette} cassette - Cassette to write
+ * @returns {Promise<void>}
+ */
+async function saveCassette(path, cassette) {
+  const { writeFile } = await import('node:fs/promises');
+  const text = /\.(ndjson|jsonl)$/i.test(path)
+    ? cassette.toNDJSON()
+    : JSON.stringify(cassette, null, 2) + '\n';
+  await writeFile(path, text, 'utf8');
+}
+
+/**
+ * Read a JSON or NDJSON cassette from disk (Node only)
+ * @param {string} path - File path
+ * @returns {Promise<Cassette>} Cassette
+ */
+async function loadCassette(path) {
+  const { readFile } = await import('node:fs/promises');
+  return Cassette.parse(await readFile(path, 'utf8'));
+}
+
+export {
+  Cassette,
+  RecordingProvider,
+  RecordingSession,
+  ReplayProvider,
+  saveCassette,
+  loadCassette,
+  CASSETTE_VERSION
+};
@@ -0,0 +1,316 @@
+/**
+ * Fake provider with scripted responses for tests
+ * @module fake
+ */
+
+import { sleep, throwIfAborted } from '../utils/abort.mjs';
+import { contentToText } from '../core/content.mjs';
+
+/**
+ * A response the fake provider can give. Strings are returned as-is,
+ * functions are called with `(input, { match, session })`, Errors are thrown
+ * and objects set per-response behaviour.
+ * @typedef {string|Function|Error|FakeResponseObject} FakeResponse
+ */
+
+/**
+ * @typedef {Object} FakeResponseObject
+ * @property {string|Function} [response] - Response text, or a function returning it
+ * @property {Error|string} [error] - Error to throw instead of responding
+ * @property {string[]} [chunks] - Exact chunks to stream
+ * @property {number} [latency] - Delay before responding, in milliseconds
+ */
+
+/**
+ * @typedef {Object} FakeProviderOptions
+ * @property {FakeResponse[]} [script] - Responses used once each, in order
+ * @property {Array<{match: (RegExp|string), response: FakeResponse}>} [rules] - Responses
+ *   for inputs matching a pattern, used once the script runs out
+ * @property {FakeResponse} [defaultResponse] - Response when nothing else applies;
+ *   without one an unmatched prompt throws
+ * @property {number} [latency=0] - Delay before each response, in milliseconds
+ * @property {number} [chunkSize=4] - Characters per streamed chunk
+ * @property {number} [chunkDelay=0] - Delay between streamed chunks, in milliseconds
+ * @property {number} [maxTokens=4096] - Reported context window size
+ * @property {Object} [capabilities] - Capabilities to report
+ */
+
+/**
+ * Estimate the number of tokens in a piece of text
+ * @private
+ * @param {string} text - Text
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text).length / 4);
+}
+
+/**
+ * A provider session whose responses come from a function instead of a model.
+ * Shared by FakeProvider and ReplayProvider.
+ */
+class FakeSession {
+  /**
+   * Create a new FakeSession instance
+   * @param {Function} generate - Async function called with `(input, options, session)`,
+   *   resolving to `{ chunks, latency, chunkDelay }`
+   * @param {Object} [options] - Session options (systemPrompt, initialPrompts, temperature, topK, maxTokens)
+   */
+  constructor(generate, options = {}) {
+    this.generate = generate;
+    this.options = options;
+    this.messages = options.initialPrompts
+      ? options.initialPrompts.map(({ role, content }) => ({ role, content }))
+      : options.systemPrompt ? [{ role: 'system', content: options.systemPrompt }] : [];
+    this.maxTokens = options.maxTokens ?? 4096;
+    this.tokensSoFar = this.messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+    this.destroyed = false;
+  }
+
+  /**
+   * Tokens left in the context window
+   * @returns {number} Tokens left
+   */
+  get tokensLeft() {
+    return Math.max(0, this.maxTokens - this.tokensSoFar);
+  }
+
+  /**
+   * Generate a response
+   * @param {string} input - Prompt text
+   * @param {Object} [options] - Prompt options and `signal`
+   * @returns {Promise<string>} Response
+   */
+  async prompt(input, options = {}) {
+    const { chunks } = await this._generate(input, options);
+    const response = chunks.join('');
+    this._commit(input, response);
+    return response;
+  }
+
+  /**
+   * Generate a streamed response
+   * @param {string} input - Prompt text
+   * @param {Object} [options] - Prompt options and `signal`
+   * @returns {Promise<ReadableStream>} Stream of deltas
+   */
+  async promptStreaming(input, options = {}) {
+    const { chunks, chunkDelay } = await this._generate(input, options);
+    const session = this;
+    const pending = [...chunks];
+
+    return new ReadableStream({
+      async pull(controller) {
+        try {
+          if (pending.length === 0) {
+            session._commit(input, chunks.join(''));
+            controller.close();
+            return;
+          }
+          if (chunkDelay) {
+            await sleep(chunkDelay, options.signal);
+          }
+          controller.enqueue(pending.shift());
+        } catch (error) {
+          controller.error(error);
+        }
+      }
+    });
+  }
+
+  /**
+   * Estimate the tokens in a piece of text
+   * @param {string} input - Text to count
+   * @returns {Promise<number>} Estimated token count
+   */
+  async countTokens(input) {
+    return estimateTokens(input);
+  }
+
+  /**
+   * Copy the session and its conversation
+   * @returns {Promise<FakeSession>} Cloned session
+   */
+  async clone() {
+    const cloned = new FakeSession(this.generate, this.options);
+    cloned.messages = this.messages.map(m => ({ ...m }));
+    cloned.tokensSoFar = this.tokensSoFar;
+    return cloned;
+  }
+
+  /**
+   * Destroy the session; later prompts are rejected
+   */
+  destroy() {
+    this.destroyed = true;
+  }
+
+  /**
+   * Produce the chunks for a prompt, waiting out any latency
+   * @private
+   */
+  async _generate(input, options) {
+    if (this.destroyed) {
+      throw new Error('Session has been destroyed');
+    }
+    throwIfAborted(options.signal);
+    // Images and audio reach the generator as placeholders such as [image]
+    const result = await this.generate(contentToText(input), options, this);
+    if (result.latency) {
+      await sleep(result.latency, options.signal);
+    }
+    return result;
+  }
+
+  /**
+   * Keep a finished exchange
+   * @private
+   */
+  _commit(input, response) {
+    this.messages.push({ role: 'user', content: contentToText(input) }, { role: 'assistant', content: response });
+    this.tokensSoFar += estimateTokens(contentToText(input)) + estimateTokens(response);
+  }
+}
+
+/**
+ * A provider that answers from a script instead of a model. Every call is
+ * recorded in `calls` so tests can assert on the prompts that were sent.
+ * @example
+ * const ai = new FakeProvider({ script: ['Hello!'], latency: 10 });
+ * ai.when(/weather in (\w+)/i, (input, { match }) => `Sunny in ${match[1]}`);
+ * ai.enqueue(new Error('Model crashed'));
+ * const session = await Session.create({}, ai);
+ */
+class FakeProvider {
+  /**
+   * Create a new FakeProvider instance
+   * @param {FakeProviderOptions} [options] - Configuration options
+   */
+  constructor(options = {}) {
+    this.name = 'fake';
+    this.options = {
+      latency: 0,
+      chunkSize: 4,
+      chunkDelay: 0,
+      maxTokens: 4096,
+      ...options
+    };
+    this.script = [...(options.script ?? [])];
+    this.rules = [];
+    this.calls = [];
+    this.sessions = [];
+    for (const { match, response } of options.rules ?? []) {
+      this.when(match, response);
+    }
+  }
+
+  /**
+   * Add responses to the end of the script
+   * @param {...FakeResponse} responses - Responses used once each, in order
+   * @returns {FakeProvider} This provider
+   */
+  enqueue(...responses) {
+    this.script.push(...responses);
+    return this;
+  }
+
+  /**
+   * Respond to inputs matching a pattern
+   * @param {RegExp|string} match - Pattern, or text the input must contain
+   * @param {FakeResponse} response - Response to give
+   * @returns {FakeProvider} This provider
+   */
+  when(match, response) {
+    this.rules.push({ match, response });
+    return this;
+  }
+
+  /**
+   * Forget the script, rules and recorded calls
+   */
+  reset() {
+    this.script = [];
+    this.rules = [];
+    this.calls = [];
+  }
+
+  /**
+   * Report capabilities
+   * @returns {Promise<Object>} Capabilities in the shape of `ai.languageModel.capabilities()`
+   */
+  async capabilities() {
+    return {
+      available: 'readily',
+      defaultTopK: 3,
+      maxTopK: 8,
+      defaultTemperature: 1,
+      ...this.options.capabilities
+    };
+  }
+
+  /**
+   * Create a fake session
+   * @param {Object} [options] - Session options
+   * @returns {Promise<FakeSession>} Session
+   */
+  async create(options = {}) {
+    const session = new FakeSession(
+      (input, promptOptions, target) => this._respond(input, promptOptions, target),
+      { maxTokens: this.options.maxTokens, ...options }
+    );
+    this.sessions.push(session);
+    return session;
+  }
+
+  /**
+   * Pick and run the response for an input
+   * @private
+   */
+  async _respond(input, options, session) {
+    const call = { input, options: { ...options }, timestamp: Date.now() };
+    delete call.options.signal;
+    this.calls.push(call);
+
+    let entry;
+    let match = null;
+    if (this.script.length > 0) {
+      entry = this.script.shift();
+    } else {
+      const rule = this.rules.find(({ match: pattern }) => {
+        match = typeof pattern === 'string'
+          ? (input.includes(pattern) ? [pattern] : null)
+          : input.match(pattern);
+        return match !== null;
+      });
+      entry = rule ? rule.response : this.options.defaultResponse;
+    }
+
+    if (entry === undefined) {
+      throw new Error(`FakeProvider has no response for: ${input}`);
+    }
+
+    const spec = typeof entry === 'object' && !(entry instanceof Error) ? entry : { response: entry };
+    const latency = spec.latency ?? this.options.latency;
+    const error = entry instanceof Error ? entry : spec.error;
+    if (error) {
+      if (latency) {
+        await sleep(latency, options.signal);
+      }
+      call.error = error instanceof Error ? error.message : String(error);
+      throw error instanceof Error ? error : new Error(error);
+    }
+
+    let response = spec.response ?? spec.chunks?.join('');
+    if (typeof response === 'function') {
+      response = await response(input, { match, session });
+    }
+    response = String(response ?? '');
+    call.response = response;
+
+    const size = this.options.chunkSize;
+    const chunks = spec.chunks ?? (response.match(new RegExp(`[\\s\\S]{1,${size}}`, 'g')) || []);
+    return { chunks, latency, chunkDelay: this.options.chunkDelay };
+  }
+}
+
+export { FakeProvider, FakeSession };
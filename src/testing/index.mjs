@@ -0,0 +1,15 @@
+/**
+ * Test helpers: a scripted fake provider and record/replay cassettes
+ * @module ai.captain/testing
+ */
+
+export { FakeProvider, FakeSession } from './fake.mjs';
+export {
+  Cassette,
+  RecordingProvider,
+  RecordingSession,
+  ReplayProvider,
+  saveCassette,
+  loadCassette,
+  CASSETTE_VERSION
+} from './cassette.mjs';
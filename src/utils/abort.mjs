@@ -0,0 +1,106 @@
+/**
+ * AbortSignal helpers for cancellable operations
+ * @module abort
+ */
+
+/**
+ * Create the error an aborted operation rejects with
+ * @param {AbortSignal} [signal] - Signal that was aborted
+ * @returns {Error} An error whose name is 'AbortError'
+ */
+export function createAbortError(signal) {
+  if (signal?.reason instanceof Error && signal.reason.name === 'AbortError') {
+    return signal.reason;
+  }
+  return new DOMException('The operation was aborted', 'AbortError');
+}
+
+/**
+ * Check whether an error was caused by cancellation
+ * @param {any} error - Error to check
+ * @returns {boolean} True if the error is an AbortError
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Throw if a signal has been aborted
+ * @param {AbortSignal} [signal] - Signal to check
+ * @throws {Error} AbortError if the signal is aborted
+ */
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw createAbortError(signal);
+  }
+}
+
+/**
+ * Create a controller that aborts when the parent signal aborts
+ * @param {AbortSignal} [parent] - Parent signal
+ * @returns {{controller: AbortController, dispose: Function}} Linked controller and a function that unlinks it
+ */
+export function linkSignal(parent) {
+  const controller = new AbortController();
+  if (!parent) {
+    return { controller, dispose: () => {} };
+  }
+
+  const onAbort = () => controller.abort(parent.reason);
+  if (parent.aborted) {
+    onAbort();
+  } else {
+    parent.addEventListener('abort', onAbort, { once: true });
+  }
+
+  return {
+    controller,
+    dispose: () => parent.removeEventListener('abort', onAbort)
+  };
+}
+
+/**
+ * Race a promise against a signal
+ * @param {Promise<any>} promise - Promise to race
+ * @param {AbortSignal} [signal] - Signal that rejects the race when aborted
+ * @returns {Promise<any>} Promise result
+ * @throws {Error} AbortError if the signal aborts first
+ */
+export function abortable(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    return Promise.reject(createAbortError(signal));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => {
+      signal.removeEventListener('abort', onAbort);
+    });
+  });
+}
+
+/**
+ * Wait for a delay, stopping early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Signal that cancels the delay
+ * @returns {Promise<void>}
+ * @throws {Error} AbortError if the signal aborts
+ */
+export function sleep(ms, signal) {
+  throwIfAborted(signal);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError(signal));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -0,0 +1,141 @@
+import assert from 'node:assert';
+import test from 'node:test';
+import { Session, CompositionBuilder, CompositionChains, FallbackSystem, isAbortError } from '../src/index.mjs';
+import { createMockAI, readStream } from './mocks/ai.mjs';
+
+test('AbortSignal cancellation', async (t) => {
+  let session;
+
+  t.afterEach(async () => {
+    if (session) {
+      await session.destroy();
+      session = null;
+    }
+  });
+
+  // Session tests
+  await t.test('session', async (t) => {
+    await t.test('should reject immediately with an already aborted signal', async () => {
+      const ai = createMockAI();
+      session = await Session.create({}, ai);
+      await assert.rejects(
+        session.prompt('Hello', { signal: AbortSignal.abort() }),
+        error => isAbortError(error)
+      );
+      assert.equal(ai.created[0].prompts.length, 0);
+    });
+
+    await t.test('should abort the native call without running fallbacks', async () => {
+      const ai = createMockAI({ delay: 200 });
+      session = await Session.create({}, ai);
+      const controller = new AbortController();
+
+      const pending = session.prompt('Hello', { signal: controller.signal });
+      setTimeout(() => controller.abort(), 20);
+
+      await assert.rejects(pending, error => isAbortError(error));
+      assert.equal(ai.created[0].prompts.length, 1);
+      assert.equal(session.history.length, 0);
+    });
+
+    await t.test('should skip the cache write for a cancelled stream', async () => {
+      const ai = createMockAI({ chunkDelay: 10 });
+      session = await Session.create({ cache: { enabled: true } }, ai);
+      const controller = new AbortController();
+
+      const stream = await session.promptStreaming('A long story', { signal: controller.signal });
+      setTimeout(() => controller.abort(), 15);
+      await assert.rejects(readStream(stream), error => isAbortError(error));
+      assert.ok(ai.created[0].cancelled);
+
+      assert.equal(session.getCacheStats().size, 0);
+      assert.equal(session.history.length, 0);
+    });
+  });
+
+  // Fallback tests
+  await t.test('fallback system', async (t) => {
+    await t.test('should abort the operation when the timeout elapses', async () => {
+      const fallback = new FallbackSystem({ prompt: async () => 'fallback' }, {
+        timeout: 20,
+        fallbackStrategies: ['degrade']
+      });
+      let operationSignal;
+
+      const result = await fallback.execute(async ({ signal }) => {
+        operationSignal = signal;
+        await new Promise(resolve => setTimeout(resolve, 100));
+        return 'too late';
+      }, { input: 'Hello' });
+
+      assert.equal(result, 'fallback');
+      assert.ok(operationSignal.aborted);
+      fallback.destroy();
+    });
+
+    await t.test('should stop retrying once the caller aborts', async () => {
+      let calls = 0;
+      const fallback = new FallbackSystem({
+        prompt: async () => {
+          calls++;
+          throw new Error('Temporary failure');
+        }
+      }, { fallbackStrategies: ['retry'], maxAttempts: 5 });
+      const controller = new AbortController();
+
+      const pending = fallback.execute(async () => {
+        throw new Error('Primary failure');
+      }, { input: 'Hello', signal: controller.signal });
+      setTimeout(() => controller.abort(), 20);
+
+      await assert.rejects(pending, error => isAbortError(error));
+      assert.equal(calls, 1);
+      fallback.destroy();
+    });
+  });
+
+  // Composition tests
+  await t.test('composition', async (t) => {
+    await t.test('should stop a built composition between steps', async () => {
+      const controller = new AbortController();
+      let secondStepRan = false;
+      const composed = new CompositionBuilder({ prompt: async input => input })
+        .pipe(async (input) => {
+          controller.abort();
+          return [input];
+        })
+        .pipe(async () => {
+          secondStepRan = true;
+        })
+        .catch(() => 'recovered')
+        .build();
+
+      await assert.rejects(
+        composed.withSignal(controller.signal)('Hello'),
+        error => isAbortError(error)
+      );
+      assert.equal(secondStepRan, false);
+      assert.deepEqual(await composed('Hello'), undefined);
+    });
+
+    await t.test('should not retry a cancelled chain', async () => {
+      let retries = 0;
+      const chains = new CompositionChains({ prompt: async input => input });
+      const controller = new AbortController();
+      controller.abort();
+
+      const chain = chains.create()
+        .addStep('translate', { from: 'English', to: 'Spanish' })
+        .onError((error, retry) => {
+          retries++;
+          return retry();
+        });
+
+      await assert.rejects(
+        chain.execute('Hello', { signal: controller.signal }),
+        error => isAbortError(error)
+      );
+      assert.equal(retries, 0);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+import assert from 'node:assert';
+import test from 'node:test';
+import { Session, ConversationTree } from '../src/index.mjs';
+import { createMockAI } from './mocks/ai.mjs';
+
+// Number each reply so regenerated answers can be told apart
+function countingAI() {
+  let count = 0;
+  return createMockAI({ respond: input => `Reply ${++count} to ${input}` });
+}
+
+test('Conversation branching', async (t) => {
+  await t.test('Session', async (t) => {
+    await t.test('should remember where clones and forks come from', async () => {
+      const ai = countingAI();
+      const session = await Session.create({}, ai);
+      await session.prompt('Hi');
+
+      assert.equal(session.parent, null);
+      const cloned = await session.clone();
+      assert.equal(cloned.parent.session, session);
+      assert.equal(cloned.parent.turn, 1);
+      await cloned.destroy();
+      await session.destroy();
+    });
+
+    await t.test('should clone the model session when forking at the latest turn', async () => {
+      const ai = countingAI();
+      const session = await Session.create({ systemPrompt: 'Be brief' }, ai);
+      await session.prompt('Hi');
+
+      const forked = await session.fork();
+      assert.equal(ai.created.length, 1);
+      assert.deepEqual(forked.history.map(m => m.role), ['system', 'user', 'assistant']);
+      await forked.destroy();
+      await session.destroy();
+    });
+
+    await t.test('should replay earlier turns into a new model session', async () => {
+      const ai = countingAI();
+      const session = await Session.create({ systemPrompt: 'Be brief', temperature: 0.5 }, ai);
+      await session.prompt('First');
+      await session.prompt('Second');
+
+      const forked = await session.fork(1);
+      assert.equal(ai.created.length, 2);
+      assert.deepEqual(ai.created[1].options.initialPrompts, [
+        { role: 'system', content: 'Be brief' },
+        { role: 'user', content: 'First' },
+        { role: 'assistant', content: 'Reply 1 to First' }
+      ]);
+      assert.equal(ai.created[1].options.temperature, 0.5);
+      assert.equal(forked.turns, 1);
+      assert.deepEqual(forked.parent, { session, turn: 1 });
+      assert.equal(session.turns, 2);
+
+      await assert.rejects(session.fork(3), RangeError);
+      await forked.destroy();
+      await session.destroy();
+    });
+  });
+
+  await t.test('ConversationTree', async (t) => {
+    await t.test('should fork, list and switch branches', async () => {
+      const ai = countingAI();
+      const tree = new ConversationTree(await Session.create({}, ai));
+      await tree.prompt('Plan a trip');
+      await tree.prompt('Make it cheaper');
+
+      const branch = await tree.fork({ at: 1, name: 'luxury' });
+      assert.equal(branch.parent, 'main');
+      assert.equal(tree.activeBranch, 'luxury');
+      await tree.prompt('Make it fancier');
+
+      assert.deepEqual(tree.list().map(({ name, parent, turn, turns, active }) => ({ name, parent, turn, turns, active })), [
+        { name: 'main', parent: null, turn: 0, turns: 2, active: false },
+        { name: 'luxury', parent: 'main', turn: 1, turns: 2, active: true }
+      ]);
+
+      assert.equal(tree.switch('main'), tree.get('main').session);
+      assert.equal(tree.session.history.at(-1).content, 'Reply 2 to Make it cheaper');
+      assert.throws(() => tree.switch('missing'), /Unknown branch: missing/);
+      await assert.rejects(tree.fork({ name: 'luxury' }), /Branch already exists/);
+      await tree.destroy();
+    });
+
+    await t.test('should regenerate the last reply in a new branch', async () => {
+      const ai = countingAI();
+      const tree = new ConversationTree(await Session.create({}, ai));
+      await tree.prompt('Tell a joke');
+
+      assert.equal(await tree.regenerate(), 'Reply 2 to Tell a joke');
+      assert.equal(tree.activeBranch, 'branch-1');
+      assert.deepEqual(tree.compare(), [
+        { branch: 'main', input: 'Tell a joke', response: 'Reply 1 to Tell a joke' },
+        { branch: 'branch-1', input: 'Tell a joke', response: 'Reply 2 to Tell a joke' }
+      ]);
+      await tree.destroy();
+    });
+
+    await t.test('should edit an earlier message in a new branch', async () => {
+      const ai = countingAI();
+      const tree = new ConversationTree(await Session.create({}, ai), { name: 'draft' });
+      await tree.prompt('Write a haiku');
+      await tree.prompt('About the sea');
+
+      const reply = await tree.edit(0, 'Write a limerick', { name: 'limerick', activate: false });
+      assert.equal(reply, 'Reply 3 to Write a limerick');
+      assert.equal(tree.activeBranch, 'draft');
+      assert.equal(tree.get('limerick').session.turns, 1);
+      assert.deepEqual(tree.compare(0).map(({ input }) => input), ['Write a haiku', 'Write a limerick']);
+      assert.deepEqual(tree.compare(1).map(({ branch }) => branch), ['draft']);
+      await tree.destroy();
+    });
+
+    await t.test('should delete inactive branches', async () => {
+      const ai = countingAI();
+      const tree = new ConversationTree(await Session.create({}, ai));
+      await assert.rejects(tree.regenerate(), /Nothing to regenerate/);
+      await tree.prompt('Hello');
+      await tree.fork({ at: 0, name: 'scratch', activate: false });
+
+      await assert.rejects(tree.delete('main'), /Cannot delete the active branch/);
+      await tree.delete('scratch');
+      assert.ok(ai.created[1].destroyed);
+      assert.deepEqual(tree.list().map(({ name }) => name), ['main']);
+      await tree.destroy();
+    });
+  });
+});
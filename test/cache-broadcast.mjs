@@ -0,0 +1,225 @@
+import assert from 'node:assert';
+import test from 'node:test';
+import { DistributedCache, WebStorageStore, Session, isAbortError } from '../src/index.mjs';
+import { createMockAI } from './mocks/ai.mjs';
+import { MemoryStorage } from './mocks/storage.mjs';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Each test gets its own channel, so caches from other tests stay out of it
+let channels = 0;
+
+test('Cross-tab cache', async (t) => {
+  let tabs;
+
+  const open = (count, options = {}) => {
+    const broadcast = { channel: `ai.captain:test-${++channels}`, ...options.broadcast };
+    tabs = Array.from({ length: count }, () => new DistributedCache({ ...options, broadcast }));
+    return tabs;
+  };
+
+  t.afterEach(() => {
+    tabs?.forEach(cache => cache.destroy());
+    tabs = undefined;
+  });
+
+  await t.test('sharing', async (t) => {
+    await t.test('should copy sets to the other tabs', async () => {
+      const [a, b, c] = open(3);
+      await a.set('greeting', 'Hello');
+      await sleep(20);
+      assert.equal(await b.get('greeting'), 'Hello');
+      assert.equal(await c.get('greeting'), 'Hello');
+      assert.equal(b.getStats().size, 1);
+      assert.equal(b.getStats().broadcast, true);
+    });
+
+    await t.test('should keep the expiry of shared entries', async () => {
+      const [a, b] = open(2);
+      await a.set('short', 'value', 30);
+      await sleep(10);
+      assert.equal(await b.get('short'), 'value');
+      await sleep(40);
+      assert.equal(await b.get('short'), undefined);
+    });
+
+    await t.test('should share deletes and clears', async () => {
+      const [a, b] = open(2);
+      await a.set('one', 1);
+      await a.set('two', 2);
+      await sleep(20);
+
+      await b.delete('one');
+      await sleep(20);
+      assert.equal(await a.get('one'), undefined);
+      assert.equal(await a.get('two'), 2);
+
+      await a.clear();
+      await sleep(20);
+      assert.equal(await b.get('two'), undefined);
+      assert.equal(b.getStats().size, 0);
+    });
+
+    await t.test('should only update the index over a shared persistent store', async () => {
+      const storage = new MemoryStorage();
+      const [a, b] = open(2, { store: new WebStorageStore(storage) });
+      b.store = new WebStorageStore(storage);
+
+      await a.set('greeting', 'Hello');
+      await sleep(20);
+      assert.equal(storage.length, 1);
+      assert.equal(b.getStats().size, 1);
+      assert.ok(b.getStats().bytes > 0);
+
+      await b.delete('greeting');
+      await sleep(20);
+      assert.equal(storage.length, 0);
+      assert.equal(a.getStats().size, 0);
+    });
+
+    await t.test('should apply its own limits to shared entries', async () => {
+      const [a, b] = open(2, { maxEntries: 1 });
+      b.maxEntries = 2;
+      await b.set('one', 1);
+      await b.set('two', 2);
+      await sleep(20);
+      assert.equal(a.getStats().size, 1);
+      assert.equal(await a.get('two'), 2);
+      assert.equal(b.getStats().size, 2);
+    });
+
+    await t.test('should stop sharing when destroyed', async () => {
+      const [a, b] = open(2);
+      b.destroy();
+      await a.set('greeting', 'Hello');
+      await sleep(20);
+      assert.equal(await b.get('greeting'), undefined);
+      assert.equal(b.getStats().broadcast, false);
+    });
+
+    await t.test('should require BroadcastChannel', () => {
+      assert.throws(
+        () => new DistributedCache({ broadcast: { BroadcastChannel: null } }),
+        /BroadcastChannel is not available/
+      );
+    });
+  });
+
+  await t.test('coordinate', async (t) => {
+    const producer = (value, delay = 20) => {
+      const produce = async () => {
+        produce.calls++;
+        await sleep(delay);
+        return value;
+      };
+      produce.calls = 0;
+      return produce;
+    };
+
+    await t.test('should just produce the value without broadcast', async () => {
+      const cache = new DistributedCache();
+      const produce = producer('value', 0);
+      assert.deepEqual(await cache.coordinate('key', produce), { value: 'value', shared: false });
+      assert.equal(produce.calls, 1);
+    });
+
+    await t.test('should let one tab compute a key the others ask for at once', async () => {
+      const [a, b, c] = open(3);
+      const produces = [producer('from a'), producer('from b'), producer('from c')];
+
+      const results = await Promise.all([a, b, c].map((cache, i) => cache.coordinate('key', produces[i])));
+
+      assert.equal(produces.reduce((sum, produce) => sum + produce.calls, 0), 1);
+      assert.equal(new Set(results.map(({ value }) => value)).size, 1);
+      assert.deepEqual(results.map(({ shared }) => shared).sort(), [false, true, true]);
+    });
+
+    await t.test('should answer a request for a key another tab is computing', async () => {
+      const [a, b] = open(2);
+      const first = a.coordinate('key', producer('from a', 100));
+      await sleep(70);
+
+      const late = producer('from b');
+      assert.deepEqual(await b.coordinate('key', late), { value: 'from a', shared: true });
+      assert.equal(late.calls, 0);
+      assert.deepEqual(await first, { value: 'from a', shared: false });
+    });
+
+    await t.test('should compute separate keys in parallel', async () => {
+      const [a, b] = open(2);
+      const results = await Promise.all([
+        a.coordinate('one', producer(1)),
+        b.coordinate('two', producer(2))
+      ]);
+      assert.deepEqual(results, [{ value: 1, shared: false }, { value: 2, shared: false }]);
+    });
+
+    await t.test('should compute the value itself if the leader fails', async () => {
+      const [a, b] = open(2);
+      const first = a.coordinate('key', async () => {
+        await sleep(100);
+        throw new Error('Model unavailable');
+      });
+      await sleep(70);
+
+      const retry = producer('from b');
+      const second = b.coordinate('key', retry);
+      await assert.rejects(first, /Model unavailable/);
+      assert.deepEqual(await second, { value: 'from b', shared: false });
+      assert.equal(retry.calls, 1);
+    });
+
+    await t.test('should compute the value itself if the leader closes or takes too long', async () => {
+      const [a, b] = open(2, { broadcast: { followTimeout: 50 } });
+      a.coordinate('slow', producer('from a', 300));
+      await sleep(70);
+      const start = Date.now();
+      assert.deepEqual(await b.coordinate('slow', producer('from b', 0)), { value: 'from b', shared: false });
+      assert.ok(Date.now() - start < 250);
+
+      a.coordinate('closed', producer('from a', 300));
+      await sleep(70);
+      const waiting = b.coordinate('closed', producer('from b', 0));
+      a.destroy();
+      assert.deepEqual(await waiting, { value: 'from b', shared: false });
+    });
+
+    await t.test('should stop waiting when aborted', async () => {
+      const [a, b] = open(2);
+      const first = a.coordinate('key', producer('from a', 100));
+      await sleep(70);
+
+      const controller = new AbortController();
+      const second = b.coordinate('key', producer('from b'), { signal: controller.signal });
+      // A custom reason still surfaces as an AbortError, as everywhere else
+      controller.abort(new Error('Gave up'));
+      await assert.rejects(second, error => isAbortError(error));
+      await first;
+    });
+  });
+
+  await t.test('Session', async (t) => {
+    await t.test('should send a prompt asked in several tabs to the model once', async () => {
+      const ai = createMockAI({ delay: 30 });
+      const options = { cache: { enabled: true, broadcast: `ai.captain:test-${++channels}` } };
+      const sessions = await Promise.all([Session.create(options, ai), Session.create(options, ai)]);
+      const cached = [];
+      sessions.forEach(session => session.addEventListener('afterPrompt', event => cached.push(event.cached)));
+
+      const responses = await Promise.all(sessions.map(session => session.prompt('Hello')));
+      assert.deepEqual(responses, ['Echo: Hello', 'Echo: Hello']);
+      assert.equal(ai.created[0].prompts.length + ai.created[1].prompts.length, 1);
+      assert.deepEqual(cached.sort(), [false, true]);
+
+      // Both tabs have it cached once the set reaches the other tab
+      const size = () => sessions.reduce((total, session) => total + session.getCacheStats().size, 0);
+      for (let i = 0; i < 50 && size() < 2; i++) {
+        await sleep(10);
+      }
+      const stats = sessions.map(session => session.getCacheStats());
+      assert.equal(stats[0].analytics.shared.count + stats[1].analytics.shared.count, 1);
+      assert.equal(stats[0].size + stats[1].size, 2);
+      await Promise.all(sessions.map(session => session.destroy()));
+    });
+  });
+});
@@ -0,0 +1,309 @@
+import assert from 'node:assert';
+import test from 'node:test';
+import { DistributedCache, Session, SingleFlight, StreamTee } from '../src/index.mjs';
+import { createMockAI, readStream } from './mocks/ai.mjs';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A stream of the given chunks, noting when it is cancelled
+function chunkStream(chunks, state = {}) {
+  return new ReadableStream({
+    async pull(controller) {
+      await sleep(5);
+      if (chunks.length === 0) {
+        controller.close();
+      } else {
+        controller.enqueue(chunks.shift());
+      }
+    },
+    cancel() {
+      state.cancelled = true;
+    }
+  });
+}
+
+test('Request coalescing', async (t) => {
+  await t.test('SingleFlight', async (t) => {
+    await t.test('should run one computation for concurrent callers', async () => {
+      const flights = new SingleFlight();
+      let runs = 0;
+      const produce = async () => {
+        runs++;
+        await sleep(10);
+        return 'value';
+      };
+
+      const results = await Promise.all([flights.run('key', produce), flights.run('key', produce)]);
+      assert.deepEqual(results, [{ value: 'value', shared: false }, { value: 'value', shared: true }]);
+      assert.equal(runs, 1);
+      assert.equal(flights.size, 0);
+
+      await flights.run('key', produce);
+      assert.equal(runs, 2);
+    });
+
+    await t.test('should only abort the computation once every caller has aborted', async () => {
+      const flights = new SingleFlight();
+      let flightSignal;
+      const produce = (signal) => {
+        flightSignal = signal;
+        return sleep(30).then(() => 'value');
+      };
+      const first = new AbortController();
+      const second = new AbortController();
+
+      const results = [
+        flights.run('key', produce, { signal: first.signal }),
+        flights.run('key', produce, { signal: second.signal })
+      ];
+      first.abort();
+      await assert.rejects(results[0], { name: 'AbortError' });
+      await sleep(0);
+      assert.equal(flightSignal.aborted, false);
+
+      second.abort();
+      await assert.rejects(results[1], { name: 'AbortError' });
+      assert.equal(flightSignal.aborted, true);
+    });
+
+    await t.test('should stay open until the result is done', async () => {
+      const flights = new SingleFlight();
+      let finish;
+      const done = new Promise(resolve => {
+        finish = resolve;
+      });
+      await flights.run('key', async () => 'value', { until: () => done });
+      assert.equal(flights.has('key'), true);
+      assert.deepEqual(await flights.run('key', async () => 'other'), { value: 'value', shared: true });
+
+      finish();
+      await sleep(0);
+      assert.equal(flights.has('key'), false);
+    });
+  });
+
+  await t.test('StreamTee', async (t) => {
+    await t.test('should replay earlier chunks to a late branch', async () => {
+      const tee = new StreamTee(chunkStream(['a', 'b', 'c']));
+      const first = readStream(tee.branch());
+      await sleep(12);
+      const late = readStream(tee.branch());
+
+      assert.deepEqual(await Promise.all([first, late]), ['abc', 'abc']);
+      assert.equal(await tee.finished, true);
+      assert.equal(await readStream(tee.branch()), 'abc');
+    });
+
+    await t.test('should cancel the source once every branch is cancelled', async () => {
+      const state = {};
+      const tee = new StreamTee(chunkStream(['a', 'b', 'c', 'd'], state));
+      const branches = [tee.branch(), tee.branch()];
+
+      await branches[0].cancel();
+      assert.equal(await readStream(branches[1]), 'abcd');
+      assert.equal(state.cancelled, undefined);
+
+      const other = new StreamTee(chunkStream(['a', 'b', 'c', 'd'], state));
+      await other.branch().cancel();
+      assert.equal(state.cancelled, true);
+      assert.equal(await other.finished, false);
+      assert.equal(other.open, false);
+      await assert.rejects(readStream(other.branch()), { name: 'AbortError' });
+    });
+
+    await t.test('should pass errors to every branch', async () => {
+      const tee = new StreamTee(new ReadableStream({
+        start(controller) {
+          controller.enqueue('a');
+          controller.error(new Error('Model crashed'));
+        }
+      }));
+      await assert.rejects(readStream(tee.branch()), /Model crashed/);
+      await assert.rejects(readStream(tee.branch()), /Model crashed/);
+    });
+  });
+
+  await t.test('Session', async (t) => {
+    await t.test('should share one generation between identical prompts', async () => {
+      const ai = createMockAI({ delay: 20 });
+      const session = await Session.create({ cache: { enabled: true } }, ai);
+
+      const responses = await Promise.all([
+        session.prompt('Hello'),
+        session.prompt('Hello'),
+        session.prompt('Goodbye')
+      ]);
+      assert.deepEqual(responses, ['Echo: Hello', 'Echo: Hello', 'Echo: Goodbye']);
+      assert.deepEqual(ai.created[0].prompts, ['Hello', 'Goodbye']);
+      // Coalesced prompts are one exchange
+      assert.deepEqual(session.history.map(({ content }) => content), ['Hello', 'Echo: Hello', 'Goodbye', 'Echo: Goodbye']);
+
+      const stats = session.getCacheStats();
+      assert.equal(stats.analytics.coalesced.count, 1);
+      assert.equal(stats.analytics.misses.count, 3);
+      assert.equal(stats.inFlight, 0);
+      await session.destroy();
+    });
+
+    await t.test('should record a prompt that joins a warming generation', async () => {
+      const ai = createMockAI({ delay: 20 });
+      const session = await Session.create({ cache: { enabled: true } }, ai);
+
+      const [, response] = await Promise.all([session.warm('Hello'), session.prompt('Hello')]);
+      assert.equal(response, 'Echo: Hello');
+      assert.equal(session.getCacheStats().analytics.coalesced.count, 1);
+      assert.deepEqual(session.history.map(({ content }) => content), ['Hello', 'Echo: Hello']);
+      await session.destroy();
+    });
+
+    await t.test('should not coalesce prompts that skip the cache', async () => {
+      const ai = createMockAI({ delay: 10 });
+      const session = await Session.create({ cache: { enabled: true } }, ai);
+      await Promise.all([session.prompt('Hello', { cache: false }), session.prompt('Hello', { cache: false })]);
+      assert.equal(ai.created[0].prompts.length, 2);
+      await session.destroy();
+    });
+
+    await t.test('should tee one stream to identical streaming prompts', async () => {
+      const ai = createMockAI({ chunkDelay: 5 });
+      const session = await Session.create({ cache: { enabled: true } }, ai);
+
+      const first = await session.promptStreaming('Hello there');
+      const second = await session.promptStreaming('Hello there');
+      const whole = session.prompt('Hello there');
+      assert.deepEqual(
+        await Promise.all([readStream(first), readStream(second), whole]),
+        ['Echo: Hello there', 'Echo: Hello there', 'Echo: Hello there']
+      );
+      assert.equal(ai.created[0].prompts.length, 1);
+      assert.equal(session.getCacheStats().analytics.coalesced.count, 2);
+      assert.equal(session.history.length, 2);
+
+      // The response was cached once the stream ended
+      assert.equal(await session.prompt('Hello there'), 'Echo: Hello there');
+      assert.equal(ai.created[0].prompts.length, 1);
+      await session.destroy();
+    });
+
+    await t.test('should keep streaming to the others when one caller cancels', async () => {
+      const ai = createMockAI({ chunkDelay: 5 });
+      const session = await Session.create({ cache: { enabled: true } }, ai);
+
+      const first = await session.promptStreaming('Hello there');
+      const second = await session.promptStreaming('Hello there');
+      const reader = first.getReader();
+      await reader.read();
+      await reader.cancel();
+
+      assert.equal(await readStream(second), 'Echo: Hello there');
+      assert.equal(ai.created[0].cancelled, undefined);
+      // The caller that read to the end records the exchange
+      assert.equal(session.history.length, 2);
+      await session.destroy();
+    });
+
+    await t.test('should only fail the caller that aborts', async () => {
+      const ai = createMockAI({ delay: 30 });
+      const session = await Session.create({ cache: { enabled: true } }, ai);
+      const controller = new AbortController();
+
+      const aborted = session.prompt('Hello', { signal: controller.signal });
+      const kept = session.prompt('Hello');
+      await sleep(5);
+      controller.abort();
+
+      await assert.rejects(aborted, { name: 'AbortError' });
+      assert.equal(await kept, 'Echo: Hello');
+      assert.equal(ai.created[0].prompts.length, 1);
+      assert.equal(session.history.length, 2);
+      await session.destroy();
+    });
+  });
+
+  await t.test('Stale-while-revalidate', async (t) => {
+    await t.test('should keep expired entries for lookup until the window passes', async () => {
+      const cache = new DistributedCache({ staleWhileRevalidate: 60 });
+      await cache.set('key', 'value', 20);
+      assert.deepEqual(await cache.lookup('key'), { value: 'value', stale: false });
+
+      await sleep(40);
+      assert.equal(await cache.get('key'), undefined);
+      assert.deepEqual(await cache.lookup('key'), { value: 'value', stale: true });
+      assert.equal(cache.getStats().staleWhileRevalidate, 60);
+
+      await sleep(60);
+      assert.equal(await cache.lookup('key'), undefined);
+      assert.equal(cache.getStats().size, 0);
+    });
+
+    await t.test('should answer with a stale response and refresh it in the background', async () => {
+      let version = 0;
+      const ai = createMockAI({ respond: () => `v${++version}` });
+      const session = await Session.create({
+        systemPrompt: 'Be brief',
+        cache: { enabled: true, ttl: 20, staleWhileRevalidate: 1000 }
+      }, ai);
+
+      assert.equal(await session.prompt('Hello'), 'v1');
+      await sleep(40);
+      assert.equal(await session.prompt('Hello'), 'v1');
+      await sleep(10);
+      assert.equal(await session.prompt('Hello'), 'v2');
+
+      // The refresh ran in its own session, outside the conversation
+      assert.equal(ai.created.length, 2);
+      assert.deepEqual(ai.created[1].options.initialPrompts, [{ role: 'system', content: 'Be brief' }]);
+      assert.equal(ai.created[1].destroyed, true);
+      assert.deepEqual(ai.created[0].prompts, ['Hello']);
+
+      const { analytics } = session.getCacheStats();
+      assert.equal(analytics.stale.count, 1);
+      assert.equal(analytics.revalidated.count, 1);
+      assert.equal(analytics.hits.count, 1);
+      await session.destroy();
+    });
+
+    await t.test('should refresh once for concurrent stale prompts', async () => {
+      const ai = createMockAI({ delay: 20 });
+      const session = await Session.create({ cache: { enabled: true, ttl: 10, staleWhileRevalidate: 1000 } }, ai);
+      await session.prompt('Hello');
+      await sleep(20);
+
+      const stream = await session.promptStreaming('Hello');
+      assert.equal(await readStream(stream), 'Echo: Hello');
+      assert.equal(await session.prompt('Hello'), 'Echo: Hello');
+      await sleep(40);
+      assert.equal(ai.created.length, 2);
+      assert.equal(session.getCacheStats().analytics.revalidated.count, 1);
+      await session.destroy();
+    });
+
+    await t.test('should record failed refreshes and keep serving the stale response', async () => {
+      let fail = false;
+      const ai = createMockAI({
+        respond: () => {
+          if (fail) {
+            throw new Error('Model unavailable');
+          }
+          return 'v1';
+        }
+      });
+      const session = await Session.create({ cache: { enabled: true, ttl: 10, staleWhileRevalidate: 1000 } }, ai);
+      await session.prompt('Hello');
+      await sleep(20);
+
+      fail = true;
+      const error = console.error;
+      console.error = () => {};
+      try {
+        assert.equal(await session.prompt('Hello'), 'v1');
+        await sleep(10);
+        assert.equal(session.getCacheStats().analytics.revalidateErrors.count, 1);
+        assert.equal(await session.prompt('Hello'), 'v1');
+        await session.destroy();
+      } finally {
+        console.error = error;
+      }
+    });
+  });
+});
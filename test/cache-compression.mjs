@@ -1,6 +1,23 @@
 import assert from 'node:assert';
 import test from 'node:test';
 import { CacheCompression } from '../src/index.mjs';
+import { compressLZ, decompressLZ } from '../src/caching/lz.mjs';
+
+// A typical model response: markdown prose with a code block
+const response = `## Caching responses
+
+Caching avoids sending the same prompt to the model twice. The cache key covers the
+prompt, the template and the model options, so a change to any of them misses the cache.
+
+\`\`\`javascript
+const session = await Session.create({ cache: { enabled: true, ttl: 3600000 } });
+const answer = await session.prompt('Summarize the release notes');
+\`\`\`
+
+1. The first prompt goes to the model, and the response is cached.
+2. The second prompt with the same options is answered from the cache.
+3. Once the TTL passes, the next prompt goes to the model again.
+`;
 
 test('CacheCompression', async (t) => {
   let compression;
@@ -29,18 +46,21 @@ test('CacheCompression', async (t) => {
   // Core functionality tests
   await t.test('compression operations', async (t) => {
     await t.test('should respect compression threshold', async () => {
-      const smallData = { test: 'small' };
-      const result = await compression.compress(smallData);
+      const data = { test: 'small '.repeat(10) };
+      const result = await compression.compress(data);
       
       assert.strictEqual(result.compressed, true);
       assert.strictEqual(result.algorithm, 'lz');
       assert.ok(result.data);
+
+      const below = await new CacheCompression({ threshold: 1024 }).compress(data);
+      assert.strictEqual(below.compressed, false);
     });
 
     await t.test('should perform LZ compression and decompression', async () => {
       const testData = {
-        text: 'AAAAABBBCC', // String with repeating characters
-        numbers: [1, 1, 1, 2, 2, 3] // Array with repeating numbers
+        text: 'AAAAABBBCC'.repeat(8), // String with repeating characters
+        numbers: [1, 1, 1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 2, 2, 2, 2, 3] // Array with repeating numbers
       };
 
       const compressed = await compression.compress(testData);
@@ -62,13 +82,17 @@ test('CacheCompression', async (t) => {
         text: 'Test deflate compression'
       };
 
-      const compressed = await compression.compress(testData);
-      assert.strictEqual(compressed.compressed, true);
-      assert.strictEqual(compressed.algorithm, 'deflate');
+      // The mock CompressionStream doesn't shrink anything, so compress() keeps the data as it is
+      const compressed = {
+        compressed: true,
+        algorithm: 'deflate',
+        data: await compression._compressDeflate(JSON.stringify(testData))
+      };
       assert.ok(compressed.data);
 
       const decompressed = await compression.decompress(compressed);
       assert.deepStrictEqual(decompressed, testData);
+      assert.deepStrictEqual(await compression.decompress(await compression.compress(testData)), testData);
     });
   });
 
@@ -76,7 +100,7 @@ test('CacheCompression', async (t) => {
   await t.test('performance', async (t) => {
     await t.test('should provide accurate compression statistics', async () => {
       const testData = {
-        text: 'This is a test string that should be long enough to compress'
+        text: 'This is a test string that should be long enough to compress. '.repeat(4)
       };
 
       const compressed = await compression.compress(testData);
@@ -122,6 +146,79 @@ test('CacheCompression', async (t) => {
     });
   });
 
+  await t.test('LZ codec', async (t) => {
+    await t.test('should round-trip any string', () => {
+      const samples = [
+        '',
+        'a',
+        '1111122222333334444455555',
+        'Résumé naïve café — “quotes” ½',
+        '日本語のテキストを圧縮します。日本語のテキストを圧縮します。',
+        'Emoji 🚀👩‍👩‍👧 and flags 🇯🇵🇫🇷 repeat 🚀👩‍👩‍👧',
+        'Unpaired \ud800 and \udc00 surrogates',
+        response.repeat(20)
+      ];
+      for (const level of ['fast', 'default', 'max']) {
+        for (const text of samples) {
+          assert.strictEqual(decompressLZ(compressLZ(text, level)), text);
+        }
+      }
+    });
+
+    await t.test('should keep data that does not shrink uncompressed', async () => {
+      for (const text of ['A short reply.', '東京の天気は晴れ、最高気温は二十三度の予報です。']) {
+        const result = await compression.compress(text);
+        assert.deepStrictEqual(result, { compressed: false, data: JSON.stringify(text) });
+        assert.strictEqual(await compression.decompress(result), text);
+      }
+    });
+
+    await t.test('should write literals as UTF-8', () => {
+      // Format byte, literal run length, then the bytes as they are
+      assert.strictEqual(compressLZ('Привет').length, 2 + 12);
+      assert.strictEqual(compressLZ('日本語').length, 2 + 9);
+      assert.strictEqual(compressLZ('🚀').length, 2 + 4);
+    });
+
+    await t.test('should keep digits and runs intact', async () => {
+      const data = { text: 'AAAAABBBCC 1234567890 0000000000', count: 111 };
+      const compressed = await compression.compress(data);
+      assert.deepStrictEqual(await compression.decompress(compressed), data);
+    });
+
+    await t.test('should shrink typical responses', async () => {
+      assert.ok(compressLZ(response).length < response.length * 0.8);
+
+      // Base64 costs a third, which structured output easily makes up for
+      const structured = Array.from({ length: 20 }, (_, i) => ({
+        id: i,
+        title: `Release ${i}`,
+        summary: 'Fixes and performance improvements',
+        tags: ['cache', i % 2 ? 'session' : 'templates']
+      }));
+      const compressed = await compression.compress(structured);
+      assert.ok(compressed.data.length < JSON.stringify(structured).length / 2);
+      assert.deepStrictEqual(await compression.decompress(compressed), structured);
+    });
+
+    await t.test('should compress harder at higher levels', () => {
+      const text = Array.from({ length: 400 }, (_, i) => `Item ${i % 37}: ${response.slice(i % 50, i % 50 + 40)}`).join('\n');
+      const sizes = ['fast', 'default', 'max'].map(level => compressLZ(text, level).length);
+      assert.ok(sizes[0] >= sizes[1] && sizes[1] >= sizes[2], `sizes ${sizes}`);
+      assert.ok(sizes[0] > sizes[2], `sizes ${sizes}`);
+    });
+
+    await t.test('should reject unknown levels and corrupt data', async () => {
+      await assert.rejects(
+        () => new CacheCompression({ level: 'ultra', threshold: 10 }).compress(response),
+        { message: 'Unsupported compression level: ultra' }
+      );
+      assert.throws(() => decompressLZ(new Uint8Array([2, 0])), /Unsupported LZ data format/);
+      assert.throws(() => decompressLZ(new Uint8Array([1, 9, 5])), /reference before the start/);
+      assert.throws(() => decompressLZ(new Uint8Array([1, 4, 0x80])), /unexpected end/);
+    });
+  });
+
   // Error handling tests
   await t.test('error handling', async (t) => {
     await t.test('should handle invalid inputs', async () => {
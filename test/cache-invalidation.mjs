@@ -0,0 +1,268 @@
+import assert from 'node:assert';
+import test from 'node:test';
+import { CompositionBuilder, CompositionChains, DistributedCache, MemoryStore, WebStorageStore, Session, Summarizer } from '../src/index.mjs';
+import { FakeProvider } from '../src/testing/index.mjs';
+import { createMockAI } from './mocks/ai.mjs';
+import { MemoryStorage } from './mocks/storage.mjs';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Each test gets its own channel, so caches from other tests stay out of it
+let channels = 0;
+
+test('Cache invalidation', async (t) => {
+  await t.test('DistributedCache', async (t) => {
+    let cache;
+
+    t.beforeEach(() => {
+      cache = new DistributedCache();
+    });
+
+    await t.test('should still take a TTL in place of options', async () => {
+      await cache.set('short', 'value', 20);
+      await cache.set('tagged', 'value', { ttl: 20, tags: ['a'] });
+      await sleep(40);
+      assert.equal(await cache.get('short'), undefined);
+      assert.equal(await cache.get('tagged'), undefined);
+    });
+
+    await t.test('should only remove entries with the tag', async () => {
+      await cache.set('one', 1, { tags: ['a', 'b'] });
+      await cache.set('two', 2, { tags: ['b'] });
+      await cache.set('three', 3);
+      assert.equal(cache.getStats().tags, 2);
+
+      assert.equal(await cache.invalidateTag('a'), 1);
+      assert.equal(await cache.get('one'), undefined);
+      assert.equal(await cache.get('two'), 2);
+      assert.equal(await cache.invalidateTag('missing'), 0);
+
+      assert.equal(await cache.invalidateTag('b'), 1);
+      assert.equal(await cache.get('three'), 3);
+      assert.equal(cache.getStats().tags, 0);
+    });
+
+    await t.test('should retag an entry that is set again', async () => {
+      await cache.set('key', 'old', { tags: ['template:greet'] });
+      await cache.set('key', 'new', { tags: ['template:welcome'] });
+      assert.equal(await cache.invalidateTag('template:greet'), 0);
+      assert.equal(await cache.invalidateTag('template:welcome'), 1);
+    });
+
+    await t.test('should match whole keys with globs and regular expressions', async () => {
+      for (const key of ['app:prompt_1', 'app:prompt_12', 'app:summarizer_1', 'app.prompt_1']) {
+        await cache.set(key, key);
+      }
+      assert.equal(await cache.deletePattern('app:prompt_?'), 1);
+      assert.equal(await cache.deletePattern('app:*_1'), 1);
+      assert.deepEqual(await cache.store.keys(), ['app:prompt_12', 'app.prompt_1']);
+
+      // Flags that make test() stateful are ignored
+      assert.equal(await cache.deletePattern(/prompt_1/g), 2);
+      assert.equal(cache.getStats().size, 0);
+    });
+
+    await t.test('should invalidate tagged entries when a version changes', async () => {
+      const store = new MemoryStore();
+      cache = new DistributedCache({ store });
+      assert.equal(await cache.checkVersion('model:window.ai', 'Chrome/130'), 0);
+      await cache.set('answer', 'old', { tags: ['model:window.ai'] });
+      await cache.set('other', 'kept', { tags: ['model:ollama/llama3'] });
+
+      const later = new DistributedCache({ store });
+      assert.equal(await later.checkVersion('model:window.ai', 'Chrome/130'), 0);
+      assert.equal(await later.get('answer'), 'old');
+      assert.equal(await later.checkVersion('model:window.ai', 'Chrome/131'), 1);
+      assert.equal(await later.get('answer'), undefined);
+      assert.equal(await later.get('other'), 'kept');
+      assert.equal((await store.get('version:model:window.ai')).value, 'Chrome/131');
+      assert.equal(await later.getMetadata('version:model:window.ai'), 'Chrome/131');
+      await assert.rejects(later.getMetadata('answer'), /Metadata keys start with version: or warm:/);
+      await assert.rejects(later.setMetadata('answer', 'new'), /Metadata keys start with/);
+    });
+
+    await t.test('should keep versions out of eviction, invalidation and clearing', async () => {
+      const store = new MemoryStore();
+      cache = new DistributedCache({ store, maxEntries: 1 });
+      await cache.checkVersion('model:window.ai', 'Chrome/130');
+      await cache.set('one', 1, { tags: ['model:window.ai'] });
+      await cache.set('two', 2, { tags: ['model:window.ai'] });
+      assert.equal(cache.getStats().evictions.capacity, 1);
+      assert.equal(await cache.get('two'), 2);
+
+      assert.equal(await cache.deletePattern('*'), 1);
+      assert.equal(await cache.invalidatePrefix('version:'), 0);
+      await cache.clear();
+      assert.deepEqual(await store.keys(), ['version:model:window.ai']);
+
+      // A cache opened on the same store still knows the version, and counts no entries for it
+      const later = new DistributedCache({ store });
+      await later.set('three', 3, { tags: ['model:window.ai'] });
+      assert.equal(await later.checkVersion('model:window.ai', 'Chrome/131'), 1);
+      assert.equal(later.getStats().bytes, 0);
+    });
+
+    await t.test('should invalidate entries in other tabs', async () => {
+      const broadcast = `ai.captain:test-invalidation-${++channels}`;
+      const tabs = [new DistributedCache({ broadcast }), new DistributedCache({ broadcast })];
+      try {
+        await tabs[0].set('one', 1, { tags: ['a'] });
+        await tabs[0].set('two', 2);
+        await sleep(20);
+        assert.equal(tabs[1].getStats().tags, 1);
+
+        await tabs[1].invalidateTag('a');
+        await sleep(20);
+        assert.equal(await tabs[0].get('one'), undefined);
+        assert.equal(await tabs[0].get('two'), 2);
+        assert.equal(tabs[0].getStats().tags, 0);
+      } finally {
+        tabs.forEach(tab => tab.destroy());
+      }
+    });
+  });
+
+  await t.test('Session', async (t) => {
+    await t.test('should invalidate responses made with a template when it is registered again', async () => {
+      const ai = createMockAI();
+      const store = new MemoryStore();
+      const session = await Session.create({ cache: { enabled: true, store, semantic: true } }, ai);
+      session.registerTemplate('greet', 'Hello {name}');
+
+      await session.prompt(['greet', { name: 'Ada' }]);
+      await session.prompt('Goodbye');
+      assert.equal((await store.keys()).length, 2);
+      assert.equal(session.getCacheStats().semantic.size, 2);
+
+      session.registerTemplate('greet', 'Hi {name}');
+      await sleep(0);
+      assert.deepEqual(await store.keys(), [await session.keyFor('Goodbye')]);
+      assert.equal(session.getCacheStats().semantic.size, 1);
+      assert.equal(session.getCacheStats().analytics.invalidated.average, 2);
+      await session.destroy();
+    });
+
+    await t.test('should invalidate responses by tag', async () => {
+      const store = new MemoryStore();
+      const session = await Session.create({ cache: { enabled: true, store } }, new FakeProvider({ script: ['Hi'] }));
+      await session.prompt('Hello');
+      assert.equal(session.cache.store, store);
+
+      assert.equal(await session.invalidateTag('model:window.ai'), 0);
+      assert.equal(await session.invalidateTag('model:fake/default'), 1);
+      assert.equal(store.size, 0);
+      await session.destroy();
+
+      const uncached = await Session.create({}, createMockAI());
+      assert.equal(uncached.cache, undefined);
+      assert.equal(await uncached.invalidateTag('model:window.ai'), 0);
+      await uncached.destroy();
+    });
+
+    await t.test('should invalidate responses from another version of the model', async () => {
+      // Destroying a session clears a memory store, so keep the responses where a reload would
+      const store = new WebStorageStore(new MemoryStorage());
+      const before = await Session.create({ cache: { enabled: true, store, modelVersion: '1' } }, createMockAI());
+      await before.prompt('Hello');
+      await before.destroy();
+
+      const ai = createMockAI();
+      const after = await Session.create({ cache: { enabled: true, store, modelVersion: '2' } }, ai);
+      await after.prompt('Hello');
+      assert.equal(ai.created[0].prompts.length, 1);
+      assert.deepEqual(
+        (await store.keys()).sort(),
+        [await after.keyFor('Hello'), 'version:model:window.ai'].sort()
+      );
+      assert.equal(after.getCacheStats().analytics.invalidated.average, 1);
+
+      // The same version keeps its responses
+      const again = await Session.create({ cache: { enabled: true, store, modelVersion: '2' } }, ai);
+      await again.prompt('Hello');
+      assert.equal(ai.created[1].prompts.length, 0);
+      await after.destroy();
+      await again.destroy();
+    });
+
+    await t.test('should use the browser version for window.ai', async () => {
+      const navigator = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+      Object.defineProperty(globalThis, 'navigator', {
+        value: { userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36' },
+        configurable: true
+      });
+      try {
+        const store = new MemoryStore();
+        const session = await Session.create({ cache: { enabled: true, store } }, createMockAI());
+        await session.prompt('Hello');
+        assert.equal((await store.get('version:model:window.ai')).value, 'Chrome/131.0.0.0');
+        await session.destroy();
+      } finally {
+        if (navigator) {
+          Object.defineProperty(globalThis, 'navigator', navigator);
+        } else {
+          delete globalThis.navigator;
+        }
+      }
+    });
+  });
+
+  await t.test('tasks', async (t) => {
+    await t.test('should invalidate results from another version of the model', async () => {
+      const store = new WebStorageStore(new MemoryStorage());
+      const before = await Summarizer.create({ cache: { enabled: true, store, modelVersion: '1' } }, createMockAI());
+      await before.summarize('A long text');
+      assert.equal(await before.cache.invalidateTag('model:summarizer'), 1);
+      await before.summarize('A long text');
+      before.destroy();
+
+      const after = await Summarizer.create({ cache: { enabled: true, store, modelVersion: '2' } }, createMockAI());
+      await after.summarize('A long text');
+      assert.deepEqual(
+        (await store.keys()).sort(),
+        [await after.keyFor('A long text'), 'version:model:summarizer'].sort()
+      );
+      after.destroy();
+    });
+  });
+
+  await t.test('composition', async (t) => {
+    await t.test('should cache step results in the session and clear them by prefix', async () => {
+      const session = await Session.create({ cache: { enabled: true } }, createMockAI());
+      let calls = 0;
+      const double = new CompositionBuilder(session)
+        .configureCaching({ enabled: true, namespace: 'app' })
+        .pipe(async (x) => {
+          calls++;
+          return x * 2;
+        })
+        .build();
+
+      assert.equal(await double(2), 4);
+      assert.equal(await double(2), 4);
+      assert.equal(calls, 1);
+
+      await session.prompt('Hello');
+      // Results under a longer prefix that starts the same belong to another builder
+      await session.cache.set('app:builder2_result', 'kept');
+      const builder = new CompositionBuilder(session).configureCaching({ namespace: 'app' });
+      assert.equal(await builder.clearCache(), 1);
+      assert.equal(session.getCacheStats().size, 2);
+      assert.equal(await session.cache.get('app:builder2_result'), 'kept');
+
+      assert.equal(await double(2), 4);
+      assert.equal(calls, 2);
+      await session.destroy();
+    });
+
+    await t.test('should only clear the results of the chain with the prefix', async () => {
+      const session = await Session.create({ cache: { enabled: true } }, createMockAI());
+      await session.cache.set('default:chain_map_result', 'cleared');
+      await session.cache.set('default:chain2_map_result', 'kept');
+
+      const chain = new CompositionChains(session).create({ cache: { enabled: true } });
+      assert.equal(await chain.clearCache(), 1);
+      assert.equal(await session.cache.get('default:chain2_map_result'), 'kept');
+      await session.destroy();
+    });
+  });
+});
@@ -0,0 +1,248 @@
+import assert from 'node:assert';
+import { Blob } from 'node:buffer';
+import test from 'node:test';
+import { MemoryStore, Session } from '../src/index.mjs';
+import { canonicalize, createCacheKey, sha256 } from '../src/caching/keys.mjs';
+import { serializeContent } from '../src/core/content.mjs';
+import { FakeProvider } from '../src/testing/index.mjs';
+import { createMockAI } from './mocks/ai.mjs';
+
+// Run a function as if WebCrypto were missing
+async function withoutCrypto(run) {
+  const crypto = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+  Object.defineProperty(globalThis, 'crypto', { value: undefined, configurable: true });
+  try {
+    return await run();
+  } finally {
+    if (crypto) {
+      Object.defineProperty(globalThis, 'crypto', crypto);
+    } else {
+      delete globalThis.crypto;
+    }
+  }
+}
+
+test('Cache keys', async (t) => {
+  await t.test('sha256', async (t) => {
+    const vectors = [
+      ['', 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'],
+      ['abc', 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'],
+      ['abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq', '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1']
+    ];
+
+    await t.test('should hash with WebCrypto', async () => {
+      for (const [input, digest] of vectors) {
+        assert.equal(await sha256(input), digest);
+      }
+    });
+
+    await t.test('should use node:crypto where there is no global crypto, as in Node.js 18', async () => {
+      await withoutCrypto(async () => {
+        assert.equal(await sha256('abc'), vectors[1][1]);
+      });
+    });
+  });
+
+  await t.test('canonicalize', async (t) => {
+    await t.test('should not depend on key order', () => {
+      assert.equal(
+        canonicalize({ b: 1, a: { d: [1, { f: 2, e: 3 }], c: 'x' } }),
+        canonicalize({ a: { c: 'x', d: [1, { e: 3, f: 2 }] }, b: 1 })
+      );
+      assert.equal(canonicalize({ b: 1, a: 2 }), '{"a":2,"b":1}');
+    });
+
+    await t.test('should leave out undefined values like JSON', () => {
+      assert.equal(canonicalize({ a: 1, b: undefined, c: () => {} }), '{"a":1}');
+      assert.equal(canonicalize([undefined, 1]), '[null,1]');
+      assert.equal(canonicalize(undefined), 'null');
+    });
+
+    await t.test('should keep values JSON would merge apart', () => {
+      assert.notEqual(canonicalize({ t: NaN }), canonicalize({ t: null }));
+      assert.notEqual(canonicalize({ t: Infinity }), canonicalize({ t: -Infinity }));
+      assert.equal(canonicalize(new Uint8Array([1, 2])), '[1,2]');
+      assert.equal(canonicalize({ at: new Date(0) }), '{"at":"1970-01-01T00:00:00.000Z"}');
+    });
+  });
+
+  await t.test('createCacheKey', async (t) => {
+    await t.test('should prefix a SHA-256 hash with a namespace', async () => {
+      const key = await createCacheKey({ input: 'Hello' }, { prefix: 'prompt' });
+      assert.match(key, /^default:prompt_[0-9a-f]{64}$/);
+      assert.equal(key, await createCacheKey({ input: 'Hello' }, { prefix: 'prompt' }));
+      assert.match(await createCacheKey({ input: 'Hello' }, { prefix: 'prompt', namespace: 'app' }), /^app:prompt_/);
+      assert.notEqual(await createCacheKey({ input: 'Hello', topK: 3 }, { prefix: 'prompt' }), key);
+    });
+  });
+
+  await t.test('media', async (t) => {
+    await t.test('should hash image and audio bytes with SHA-256', async () => {
+      const image = new Blob([new Uint8Array([1, 2, 3])], { type: 'image/png' });
+      const [, part] = JSON.parse(await serializeContent(['Describe', image]));
+      assert.equal(part.hash, await sha256(new Uint8Array([1, 2, 3])));
+    });
+  });
+
+  await t.test('Session.keyFor', async (t) => {
+    const create = (options = {}, ai = createMockAI()) => Session.create({ ...options, cache: { enabled: true, ...options.cache } }, ai);
+
+    await t.test('should give the key prompts are cached under', async () => {
+      const store = new MemoryStore();
+      const session = await create({ cache: { store } });
+      const key = await session.keyFor('Hello');
+
+      assert.match(key, /^default:prompt_[0-9a-f]{64}$/);
+      await session.prompt('Hello');
+      assert.deepEqual(await store.keys(), [key]);
+      assert.equal(await session.keyFor('Hello', { cache: false, signal: new AbortController().signal }), key);
+      await session.destroy();
+    });
+
+    await t.test('should answer prompts without caching when no key can be computed', async () => {
+      const store = new MemoryStore();
+      const ai = createMockAI();
+      const session = await create({ cache: { store } }, ai);
+      const crypto = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+      Object.defineProperty(globalThis, 'crypto', {
+        value: { subtle: { digest: async () => { throw new Error('Digest failed'); } } },
+        configurable: true
+      });
+      const warn = console.warn;
+      const warnings = [];
+      console.warn = (...args) => warnings.push(args);
+      try {
+        assert.equal(await session.prompt('Hello'), 'Echo: Hello');
+        assert.equal(await session.prompt('Hello'), 'Echo: Hello');
+      } finally {
+        console.warn = warn;
+        if (crypto) {
+          Object.defineProperty(globalThis, 'crypto', crypto);
+        } else {
+          delete globalThis.crypto;
+        }
+      }
+      assert.equal(ai.created[0].prompts.length, 2);
+      assert.deepEqual(await store.keys(), []);
+      assert.match(warnings[0][1].message, /Digest failed/);
+      await session.destroy();
+    });
+
+    await t.test('should cover every option that changes the response', async () => {
+      const session = await create();
+      const key = await session.keyFor('Hello');
+      const keys = [
+        await session.keyFor('Hello!'),
+        await session.keyFor('Hello', { temperature: 0.5 }),
+        await session.keyFor('Hello', { topK: 2 }),
+        await session.keyFor('Hello', { maxTokens: 10 }),
+        await session.keyFor('Hello', { model: 'other' })
+      ];
+      assert.equal(new Set([key, ...keys]).size, keys.length + 1);
+      await session.destroy();
+    });
+
+    await t.test('should differ between system prompts, providers and namespaces', async () => {
+      const ai = createMockAI();
+      const sessions = await Promise.all([
+        create({}, ai),
+        create({ systemPrompt: 'You are a pirate' }, ai),
+        create({ cache: { namespace: 'app' } }, ai),
+        create({}, new FakeProvider())
+      ]);
+      const keys = await Promise.all(sessions.map(session => session.keyFor('Hello')));
+
+      assert.equal(new Set(keys.map(key => key.split(':')[1])).size, 3);
+      assert.equal(keys[2].split(':')[0], 'app');
+      assert.equal(keys[2].split(':')[1], keys[0].split(':')[1]);
+      assert.notEqual(keys[3], keys[0]);
+
+      // The same system prompt gives the same key
+      const pirate = await create({ systemPrompt: 'You are a pirate' }, ai);
+      assert.equal(await pirate.keyFor('Hello'), keys[1]);
+      await Promise.all([...sessions, pirate].map(session => session.destroy()));
+    });
+
+    await t.test('should not share responses between sessions with different system prompts', async () => {
+      const ai = createMockAI({ respond: (input, model) => `${model.options.systemPrompt ?? 'Plain'}: ${input}` });
+      const store = new MemoryStore();
+      const plain = await create({ cache: { store } }, ai);
+      const pirate = await create({ systemPrompt: 'Pirate', cache: { store } }, ai);
+
+      assert.equal(await plain.prompt('Hello'), 'Plain: Hello');
+      assert.equal(await pirate.prompt('Hello'), 'Pirate: Hello');
+      assert.equal((await store.keys()).length, 2);
+      await plain.destroy();
+      await pirate.destroy();
+    });
+
+    await t.test('should include the template name and version', async () => {
+      const session = await create();
+      session.registerTemplate('greet', 'Hello {name}');
+      session.registerTemplate('welcome', 'Hello {name}');
+
+      const key = await session.keyFor(['greet', { name: 'Ada' }]);
+      assert.notEqual(key, await session.keyFor('Hello Ada'));
+      assert.notEqual(key, await session.keyFor(['welcome', { name: 'Ada' }]));
+      assert.equal(key, await session.keyFor(['greet', { name: 'Ada' }]));
+
+      // Registering the template again is a new version, even with the same content
+      session.registerTemplate('greet', 'Hello {name}');
+      assert.equal(session.templates.getTemplateInfo('greet').version, 2);
+      assert.notEqual(await session.keyFor(['greet', { name: 'Ada' }]), key);
+      await session.destroy();
+    });
+
+    await t.test('should not share responses between conversations', async () => {
+      const ai = createMockAI({ respond: (input, model) => `${model.prompts.length}: ${input}` });
+      const store = new MemoryStore();
+      const first = await create({ cache: { store } }, ai);
+      const second = await create({ cache: { store } }, ai);
+
+      // Opening prompts are shared, later ones depend on what came before
+      assert.equal(await first.prompt('Hello'), '1: Hello');
+      assert.equal(await second.prompt('Hello'), '1: Hello');
+      await first.prompt('My name is Ada');
+      await second.prompt('My name is Grace');
+      assert.equal(await first.prompt('What is my name?'), '3: What is my name?');
+      assert.equal(await second.prompt('What is my name?'), '2: What is my name?');
+      assert.notEqual(await first.keyFor('What is my name?'), await second.keyFor('What is my name?'));
+
+      // Asking the same thing again in a conversation is answered from the cache
+      assert.equal(await first.prompt('What is my name?'), '3: What is my name?');
+      assert.equal(ai.created[0].prompts.length, 3);
+      await first.destroy();
+      await second.destroy();
+    });
+
+    await t.test('should let apps invalidate an entry', async () => {
+      const ai = createMockAI();
+      const store = new MemoryStore();
+      const session = await create({ cache: { store } }, ai);
+
+      await session.prompt('Hello');
+      await session.prompt('Hello');
+      assert.equal(ai.created[0].prompts.length, 1);
+
+      await store.delete(await session.keyFor('Hello'));
+      await session.prompt('Hello');
+      assert.equal(ai.created[0].prompts.length, 2);
+      await session.destroy();
+    });
+
+    await t.test('should keep keys in clones and forks of the same conversation', async () => {
+      const session = await create({ systemPrompt: 'Be brief' });
+      await session.prompt('Hello');
+      await session.prompt('Again');
+      const clone = await session.clone();
+      const fork = await session.fork(2);
+      const earlier = await session.fork(1);
+
+      const key = await session.keyFor('Next');
+      assert.equal(await clone.keyFor('Next'), key);
+      assert.equal(await fork.keyFor('Next'), key);
+      assert.notEqual(await earlier.keyFor('Next'), key);
+      await Promise.all([session, clone, fork, earlier].map(s => s.destroy()));
+    });
+  });
+});
@@ -0,0 +1,267 @@
+import assert from 'node:assert';
+import test from 'node:test';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  DistributedCache,
+  MemoryStore,
+  WebStorageStore,
+  IndexedDBStore,
+  Session
+} from '../src/index.mjs';
+import { createStore } from '../src/caching/stores.mjs';
+import { FileSystemStore } from '../src/caching/fs-store.mjs';
+import { createMockAI } from './mocks/ai.mjs';
+import { MemoryStorage, createMockIndexedDB } from './mocks/storage.mjs';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Each backend, with a factory for a second store over the same storage
+const backends = [
+  {
+    name: 'MemoryStore',
+    setup: () => {
+      const store = new MemoryStore();
+      return { open: () => store };
+    }
+  },
+  {
+    name: 'WebStorageStore',
+    setup: () => {
+      const storage = new MemoryStorage();
+      storage.setItem('unrelated', 'keep me');
+      return { storage, open: () => new WebStorageStore(storage) };
+    }
+  },
+  {
+    name: 'IndexedDBStore',
+    setup: () => {
+      const indexedDB = createMockIndexedDB();
+      return { open: () => new IndexedDBStore({ indexedDB }) };
+    }
+  },
+  {
+    name: 'FileSystemStore',
+    setup: async () => {
+      const directory = await mkdtemp(join(tmpdir(), 'ai-captain-cache-'));
+      return {
+        directory,
+        open: () => new FileSystemStore(join(directory, 'cache')),
+        cleanup: () => rm(directory, { recursive: true, force: true })
+      };
+    }
+  }
+];
+
+test('Cache stores', async (t) => {
+  for (const backend of backends) {
+    await t.test(backend.name, async (t) => {
+      let context;
+      let cache;
+
+      t.beforeEach(async () => {
+        context = await backend.setup();
+        cache = new DistributedCache({ store: context.open() });
+      });
+
+      t.afterEach(async () => {
+        await context.cleanup?.();
+      });
+
+      await t.test('should set, get and delete values', async () => {
+        await cache.set('greeting', { compressed: false, data: '"Hello"' });
+        assert.deepEqual(await cache.get('greeting'), { compressed: false, data: '"Hello"' });
+        assert.equal(await cache.get('missing'), undefined);
+
+        await cache.delete('greeting');
+        assert.equal(await cache.get('greeting'), undefined);
+      });
+
+      await t.test('should expire entries the same way', async () => {
+        // Long enough for a file system write on a busy machine
+        await cache.set('short', 'value', 200);
+        await cache.set('forever', 'value', Infinity);
+        assert.equal(await cache.get('short'), 'value');
+
+        await sleep(250);
+        assert.equal(await cache.get('short'), undefined);
+        assert.equal(await cache.get('forever'), 'value');
+        assert.deepEqual(await cache.store.keys(), ['forever']);
+      });
+
+      await t.test('should clear only its own entries', async () => {
+        await cache.set('a', 1);
+        await cache.set('b', 2);
+        assert.deepEqual((await cache.store.keys()).sort(), ['a', 'b']);
+
+        await cache.clear();
+        assert.deepEqual(await cache.store.keys(), []);
+        if (context.storage) {
+          assert.equal(context.storage.getItem('unrelated'), 'keep me');
+        }
+      });
+
+      await t.test('should share entries with other stores over the same storage', async () => {
+        await cache.set('shared', 'value');
+        const other = new DistributedCache({ store: context.open() });
+        assert.equal(await other.get('shared'), 'value');
+        assert.equal(other.getStats().persistent, backend.name !== 'MemoryStore');
+      });
+
+      await t.test('should count its entries once the index has loaded', async () => {
+        await cache.set('a', 1);
+        await cache.set('b', 2);
+        await cache.checkVersion('model:window.ai', '1');
+        assert.equal(cache.getStats().size, 2);
+
+        const reopened = new DistributedCache({ store: context.open() });
+        assert.equal(typeof reopened.getStats().size, 'number');
+        await reopened.get('a');
+        assert.equal(reopened.getStats().size, 2);
+      });
+
+      await t.test('should invalidate by tag, prefix and pattern', async () => {
+        await cache.set('app:prompt_1', 'one', { tags: ['template:greet'] });
+        await cache.set('app:prompt_2', 'two', { ttl: Infinity, tags: ['template:greet', 'model:window.ai'] });
+        await cache.set('app:summarizer_1', 'three', { tags: ['model:window.ai'] });
+        await cache.set('other:prompt_1', 'four');
+
+        // Tags are kept with the entry, so a cache opened later can still use them
+        const reopened = new DistributedCache({ store: context.open() });
+        assert.equal(await reopened.invalidateTag('template:greet'), 2);
+        assert.deepEqual((await reopened.store.keys()).sort(), ['app:summarizer_1', 'other:prompt_1']);
+
+        await cache.set('app:prompt_3', 'five');
+        assert.equal(await cache.invalidatePrefix('app:'), 2);
+        assert.equal(await cache.deletePattern('*:prompt_?'), 1);
+        assert.deepEqual(await cache.store.keys(), []);
+      });
+    });
+  }
+
+  await t.test('createStore', async (t) => {
+    await t.test('should resolve store names', () => {
+      assert.ok(createStore() instanceof MemoryStore);
+      assert.ok(createStore('memory') instanceof MemoryStore);
+
+      const store = new MemoryStore();
+      assert.equal(createStore(store), store);
+    });
+
+    await t.test('should fail for missing storage and unknown names', () => {
+      assert.throws(() => createStore('sessionStorage'), /sessionStorage is not available/);
+      assert.throws(() => createStore('indexedDB'), /IndexedDB is not available/);
+      assert.throws(() => createStore('redis'), /Unknown cache store: redis/);
+    });
+
+    await t.test('should use the global storage by name', () => {
+      globalThis.localStorage = new MemoryStorage();
+      try {
+        const cache = new DistributedCache({ store: 'localStorage' });
+        assert.ok(cache.store instanceof WebStorageStore);
+        assert.equal(cache.getStats().size, 0);
+      } finally {
+        delete globalThis.localStorage;
+      }
+    });
+  });
+
+  await t.test('Full stores', async (t) => {
+    // Each entry takes about 50 characters of storage
+    const value = 'x'.repeat(10);
+
+    await t.test('should evict entries until a new one fits', async () => {
+      const evicted = [];
+      const cache = new DistributedCache({
+        store: new WebStorageStore(new MemoryStorage(120)),
+        onEvict: key => evicted.push(key)
+      });
+
+      await cache.set('a', value);
+      await cache.set('b', value);
+      await cache.get('a');
+      await cache.set('c', value);
+
+      assert.deepEqual(evicted, ['b']);
+      assert.equal(await cache.get('a'), value);
+      assert.equal(await cache.get('c'), value);
+      assert.equal(cache.getStats().size, 2);
+      assert.equal(cache.getStats().evictions.capacity, 1);
+    });
+
+    await t.test('should drop an entry that doesn\'t fit on its own', async () => {
+      const storage = new MemoryStorage(120);
+      const cache = new DistributedCache({ store: new WebStorageStore(storage) });
+
+      await cache.set('a', value);
+      await cache.set('a', 'x'.repeat(200));
+
+      assert.equal(await cache.get('a'), undefined);
+      assert.equal(storage.length, 0);
+      assert.equal(cache.getStats().size, 0);
+      assert.equal(cache.getStats().evictions.capacity, 1);
+    });
+
+    await t.test('should not track entries that failed to write', async () => {
+      const store = new MemoryStore();
+      store.set = async () => {
+        throw new Error('Disk failure');
+      };
+      const cache = new DistributedCache({ store });
+
+      await assert.rejects(cache.set('a', value), /Disk failure/);
+      assert.equal(cache.getStats().size, 0);
+    });
+
+    await t.test('should still answer prompts when responses can\'t be cached', async () => {
+      const ai = createMockAI();
+      const store = new MemoryStore();
+      store.set = async () => {
+        throw new Error('Disk failure');
+      };
+      const session = await Session.create({ cache: { enabled: true, store } }, ai);
+      const warn = console.warn;
+      const warnings = [];
+      console.warn = (...args) => warnings.push(args);
+      try {
+        assert.equal(await session.prompt('Hello'), 'Echo: Hello');
+      } finally {
+        console.warn = warn;
+      }
+      assert.equal(warnings.length, 1);
+      assert.match(warnings[0][1].message, /Disk failure/);
+      assert.equal(session.getCacheStats().size, 0);
+      await session.destroy();
+    });
+  });
+
+  await t.test('Session', async (t) => {
+    await t.test('should keep responses in a persistent store across sessions', async () => {
+      const ai = createMockAI();
+      const storage = new MemoryStorage();
+      const options = { cache: { enabled: true, store: new WebStorageStore(storage) } };
+
+      const first = await Session.create(options, ai);
+      await first.prompt('Hello');
+      await first.destroy();
+
+      const second = await Session.create(options, ai);
+      assert.equal(await second.prompt('Hello'), 'Echo: Hello');
+      assert.equal(ai.created[1].prompts.length, 0);
+      assert.equal(second.getCacheStats().size, 1);
+      await second.destroy();
+    });
+
+    await t.test('should write cache files to a directory', async () => {
+      const directory = await mkdtemp(join(tmpdir(), 'ai-captain-session-'));
+      const ai = createMockAI();
+      const session = await Session.create({ cache: { enabled: true, store: new FileSystemStore(directory) } }, ai);
+
+      await session.prompt('Hello');
+      assert.equal((await readdir(directory)).length, 1);
+      await session.destroy();
+      await rm(directory, { recursive: true, force: true });
+    });
+  });
+});
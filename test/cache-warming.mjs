@@ -0,0 +1,175 @@
+import assert from 'node:assert';
+import test from 'node:test';
+import { DistributedCache, Session, createAICaptain } from '../src/index.mjs';
+import { createMockAI } from './mocks/ai.mjs';
+
+const manifest = {
+  id: 'greetings',
+  templates: [{ name: 'greet', variables: [{ name: 'Ada' }, { name: 'Grace' }] }],
+  prompts: ['Summarize the release notes', { prompt: 'Say hi', options: { temperature: 0.5 } }]
+};
+
+async function createSession(ai = createMockAI()) {
+  const session = await Session.create({ cache: { enabled: true } }, ai);
+  session.registerTemplate('greet', 'Hello {name}');
+  return session;
+}
+
+test('Cache warming', async (t) => {
+  await t.test('should cache the responses to every template and prompt', async () => {
+    const ai = createMockAI();
+    const session = await createSession(ai);
+
+    const report = await session.cache.warm(manifest, { interval: 0 });
+    assert.equal(report.total, 4);
+    assert.deepEqual(report.warmed.map(({ input }) => input), [
+      ['greet', { name: 'Ada' }],
+      ['greet', { name: 'Grace' }],
+      'Summarize the release notes',
+      'Say hi'
+    ]);
+    assert.equal(report.warmed[0].key, await session.keyFor(['greet', { name: 'Ada' }]));
+    assert.deepEqual(report.skipped, []);
+    assert.deepEqual(report.failed, []);
+
+    // Warming stays out of the conversation, and later prompts are answered from the cache
+    assert.deepEqual(ai.created[0].prompts, []);
+    assert.equal(session.history.length, 0);
+    assert.equal(await session.prompt(['greet', { name: 'Grace' }]), 'Echo: Hello Grace');
+    assert.deepEqual(ai.created[0].prompts, []);
+
+    // Warmed responses start a conversation; once it has started, prompts continue it
+    assert.equal(await session.prompt('Say hi', { temperature: 0.5 }), 'Echo: Say hi');
+    assert.deepEqual(ai.created[0].prompts, ['Say hi']);
+    assert.equal(session.getCacheStats().analytics.warmed.count, 4);
+
+    // Progress is only kept while a run is unfinished
+    assert.equal(await session.cache.getMetadata('warm:greetings'), undefined);
+    await session.destroy();
+  });
+
+  await t.test('should skip cached and uncacheable prompts', async () => {
+    const ai = createMockAI();
+    const session = await createSession(ai);
+    await session.prompt('Summarize the release notes');
+
+    const report = await session.cache.warm({
+      prompts: ['Summarize the release notes', { prompt: 'Roll a die', options: { cache: false } }]
+    }, { interval: 0 });
+    assert.deepEqual(report.warmed, []);
+    assert.deepEqual(report.skipped.map(({ reason }) => reason), ['cached', 'uncacheable']);
+    assert.equal(ai.created.length, 1);
+    await session.destroy();
+  });
+
+  await t.test('should report progress and carry on after failures', async () => {
+    const ai = createMockAI({
+      respond: (input) => {
+        if (input.includes('Grace')) {
+          throw new Error('Model unavailable');
+        }
+        return `Echo: ${input}`;
+      }
+    });
+    const session = await createSession(ai);
+    const progress = [];
+
+    const report = await session.cache.warm(manifest, { interval: 0, onProgress: (p) => progress.push(p) });
+    assert.equal(report.warmed.length, 3);
+    assert.equal(report.failed.length, 1);
+    assert.deepEqual(report.failed[0].input, ['greet', { name: 'Grace' }]);
+    assert.match(report.failed[0].error.message, /Model unavailable/);
+
+    assert.deepEqual(progress.map(({ completed }) => completed), [1, 2, 3, 4]);
+    assert.deepEqual(progress.at(-1), { completed: 4, total: 4, percent: 100, warmed: 3, skipped: 0, failed: 1 });
+    await session.destroy();
+  });
+
+  await t.test('should record prompts for unknown templates as failed', async () => {
+    const session = await createSession();
+
+    const report = await session.cache.warm({
+      templates: [{ name: 'missing', variables: [{ name: 'Ada' }] }],
+      prompts: ['Hello']
+    }, { interval: 0 });
+    assert.equal(report.failed.length, 1);
+    assert.deepEqual(report.failed[0].input, ['missing', { name: 'Ada' }]);
+    assert.match(report.failed[0].error.message, /missing/);
+    assert.equal(report.warmed.length, 1);
+    await session.destroy();
+  });
+
+  await t.test('should keep progress out of reach of eviction and clearing', async () => {
+    const ai = createMockAI();
+    const session = await Session.create({ cache: { enabled: true, maxEntries: 1 } }, ai);
+    session.registerTemplate('greet', 'Hello {name}');
+    const controller = new AbortController();
+
+    await assert.rejects(session.cache.warm(manifest, {
+      interval: 0,
+      signal: controller.signal,
+      onProgress: ({ completed }) => completed === 3 && controller.abort()
+    }), { name: 'AbortError' });
+    assert.equal(session.getCacheStats().size, 1);
+    await session.cache.clear();
+    assert.equal(Object.keys(await session.cache.getMetadata('warm:greetings')).length, 3);
+
+    const report = await session.cache.warm(manifest, { interval: 0 });
+    assert.equal(report.resumed, 3);
+    await session.destroy();
+  });
+
+  await t.test('should resume an interrupted run', async () => {
+    const ai = createMockAI();
+    const session = await createSession(ai);
+    const controller = new AbortController();
+
+    await assert.rejects(session.cache.warm(manifest, {
+      interval: 0,
+      signal: controller.signal,
+      onProgress: ({ completed }) => completed === 2 && controller.abort()
+    }), { name: 'AbortError' });
+    assert.equal(ai.created.length, 3);
+    assert.ok(await session.cache.getMetadata('warm:greetings'));
+
+    const report = await session.cache.warm(manifest, { interval: 0 });
+    assert.equal(report.resumed, 2);
+    assert.equal(report.warmed.length, 4);
+    assert.equal(ai.created.length, 5);
+    assert.equal(await session.cache.getMetadata('warm:greetings'), undefined);
+
+    // Without resuming, warmed prompts are found in the cache instead
+    const again = await session.cache.warm(manifest, { interval: 0, resume: false });
+    assert.equal(again.resumed, 0);
+    assert.equal(again.skipped.length, 4);
+    await session.destroy();
+  });
+
+  await t.test('should warm in idle time where the browser reports it', async () => {
+    let idle = 0;
+    globalThis.requestIdleCallback = (callback, options) => {
+      idle++;
+      assert.equal(options.timeout, 100);
+      return setTimeout(callback, 0);
+    };
+    globalThis.cancelIdleCallback = clearTimeout;
+    try {
+      const session = await createSession();
+      await session.cache.warm(manifest, { idleTimeout: 100, concurrency: 2 });
+      assert.equal(idle, 4);
+      await session.destroy();
+    } finally {
+      delete globalThis.requestIdleCallback;
+      delete globalThis.cancelIdleCallback;
+    }
+  });
+
+  await t.test('should need a session', async () => {
+    await assert.rejects(new DistributedCache().warm(manifest), /needs a session/);
+
+    const captain = await createAICaptain({ session: { cache: { enabled: true } } }, createMockAI());
+    const report = await captain.cache.warm({ prompts: ['Hello'] }, { interval: 0 });
+    assert.equal(report.warmed.length, 1);
+    await captain.destroy();
+  });
+});
@@ -0,0 +1,126 @@
+import assert from 'node:assert';
+import test from 'node:test';
+import { Capabilities, CapabilityMatrix, WindowAIProvider } from '../src/index.mjs';
+import { FakeProvider } from '../src/testing/index.mjs';
+import { createMockAI } from './mocks/ai.mjs';
+
+// Answer a capabilities method from a list of supported values
+const answers = (supported) => (value) => (supported.includes(value) ? 'readily' : 'no');
+
+// Mock window.ai with the built-in task APIs
+function createBuiltInAI() {
+  const ai = createMockAI();
+  ai.summarizer = {
+    async capabilities() {
+      return {
+        available: 'readily',
+        supportsType: answers(['tl;dr', 'key-points']),
+        supportsFormat: answers(['plain-text', 'markdown']),
+        supportsLength: answers(['short', 'medium', 'long']),
+        languageAvailable: answers(['en', 'ko'])
+      };
+    }
+  };
+  ai.writer = {
+    async capabilities() {
+      return { available: 'after-download', supportsTone: () => true };
+    }
+  };
+  ai.translator = {
+    async capabilities() {
+      return {
+        available: 'readily',
+        languagePairAvailable: (source, target) => (source === 'en' && ['es', 'ja'].includes(target) ? 'after-download' : 'no')
+      };
+    }
+  };
+  ai.languageDetector = {
+    async capabilities() {
+      throw new Error('Not supported on this device');
+    }
+  };
+  return ai;
+}
+
+test('Capability matrix', async (t) => {
+  await t.test('getAll', async (t) => {
+    await t.test('should report every built-in API', async () => {
+      const matrix = await Capabilities.getAll(createBuiltInAI());
+      assert.ok(matrix instanceof CapabilityMatrix);
+
+      assert.deepEqual(matrix.get('languageModel'), {
+        available: 'readily',
+        defaultTopK: 3,
+        maxTopK: 8,
+        defaultTemperature: 1
+      });
+      assert.deepEqual(matrix.get('summarizer'), {
+        available: 'readily',
+        options: {
+          type: ['tl;dr', 'key-points'],
+          format: ['plain-text', 'markdown'],
+          length: ['short', 'medium', 'long']
+        },
+        languages: ['en']
+      });
+      assert.deepEqual(matrix.get('writer').options.tone, ['formal', 'neutral', 'casual']);
+      assert.deepEqual(matrix.get('translator').languagePairs, [['en', 'es'], ['en', 'ja']]);
+      assert.deepEqual(matrix.get('rewriter'), { available: 'no' });
+      assert.deepEqual(matrix.get('languageDetector'), { available: 'no', error: 'Not supported on this device' });
+    });
+
+    await t.test('should probe the requested languages', async () => {
+      const matrix = await Capabilities.getAll(createBuiltInAI(), { languages: ['en', 'ko'] });
+      assert.deepEqual(matrix.get('summarizer').languages, ['en', 'ko']);
+      assert.deepEqual(matrix.get('translator').languagePairs, []);
+    });
+
+    await t.test('should serialize to a plain matrix', async () => {
+      const matrix = await Capabilities.getAll(createBuiltInAI());
+      const json = JSON.parse(JSON.stringify(matrix));
+      assert.deepEqual(Object.keys(json), ['languageModel', 'summarizer', 'writer', 'rewriter', 'translator', 'languageDetector']);
+    });
+
+    await t.test('should read built-in APIs through a WindowAIProvider', async () => {
+      const matrix = await Capabilities.getAll(new WindowAIProvider(createBuiltInAI()));
+      assert.ok(matrix.isReady('summarizer'));
+    });
+
+    await t.test('should report only the language model for other providers', async () => {
+      const matrix = await Capabilities.getAll(new FakeProvider());
+      assert.ok(matrix.isReady('languageModel'));
+      assert.ok(!matrix.has('summarizer'));
+    });
+  });
+
+  await t.test('feature detection', async (t) => {
+    const matrix = await Capabilities.getAll(createBuiltInAI());
+
+    await t.test('should check availability', () => {
+      assert.ok(matrix.has('writer'));
+      assert.ok(!matrix.isReady('writer'));
+      assert.ok(!matrix.has('rewriter'));
+      assert.ok(!matrix.has('unknownAPI'));
+    });
+
+    await t.test('should check options and languages', () => {
+      assert.ok(matrix.supports('summarizer', { type: 'key-points', format: 'markdown' }));
+      assert.ok(!matrix.supports('summarizer', { type: 'headline' }));
+      assert.ok(matrix.supports('summarizer', { language: 'en' }));
+      // Outside the probed languages the native capabilities are asked directly
+      assert.ok(matrix.supports('summarizer', { language: 'ko' }));
+      assert.ok(!matrix.supports('summarizer', { language: 'fr' }));
+      assert.ok(matrix.supports('translator', { sourceLanguage: 'en', targetLanguage: 'ja' }));
+      assert.ok(!matrix.supports('translator', { sourceLanguage: 'ja', targetLanguage: 'en' }));
+    });
+
+    await t.test('should pick a native API or the language model', () => {
+      assert.equal(matrix.pick('summarizer', { type: 'tl;dr' }), 'native');
+      assert.equal(matrix.pick('summarizer', { type: 'headline' }), 'prompt');
+      assert.equal(matrix.pick('rewriter'), 'prompt');
+
+      const offline = new CapabilityMatrix({ languageModel: { available: 'no' } });
+      assert.equal(offline.pick('rewriter'), null);
+    });
+  });
+});
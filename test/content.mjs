@@ -0,0 +1,186 @@
+import assert from 'node:assert';
+import test from 'node:test';
+import { Blob } from 'node:buffer';
+import { Session, TemplateSystem, OpenAIProvider } from '../src/index.mjs';
+import {
+  isContentArray,
+  toContentParts,
+  contentToText,
+  describeAttachments,
+  serializeContent
+} from '../src/core/content.mjs';
+import { FakeProvider } from '../src/testing/index.mjs';
+import { createMockAI, readStream } from './mocks/ai.mjs';
+
+// The test globals replace Blob, so build real ones from node:buffer
+const png = (bytes = [137, 80, 78, 71]) => new Blob([new Uint8Array(bytes)], { type: 'image/png' });
+const wav = () => new Blob([new Uint8Array([82, 73, 70, 70])], { type: 'audio/wav' });
+
+// Describe native multimodal input the way the mock model sees it
+const describe = (input) => (typeof input === 'string'
+  ? input
+  : input[0].content.map(part => (part.type === 'text' ? part.value : `<${part.type}>`)).join(''));
+
+// Sessions created without fallbacks so errors surface immediately
+const noFallback = { fallback: { fallbackStrategies: ['alternate'] } };
+
+test('Multimodal content', async (t) => {
+  await t.test('content arrays', async (t) => {
+    await t.test('should tell content arrays from template arrays', () => {
+      assert.ok(isContentArray(['Describe this image', png()]));
+      assert.ok(isContentArray([{ type: 'audio', value: new Uint8Array(4) }]));
+      assert.ok(!isContentArray(['template_name', { name: 'Ada' }]));
+      assert.ok(!isContentArray(['template_name']));
+      assert.ok(!isContentArray([]));
+    });
+
+    await t.test('should convert items to content parts', () => {
+      const image = png();
+      const audio = wav();
+      assert.deepEqual(toContentParts(['Look:', image, audio]), [
+        { type: 'text', value: 'Look:' },
+        { type: 'image', value: image },
+        { type: 'audio', value: audio }
+      ]);
+      assert.throws(() => toContentParts([new Uint8Array(4)]), /Unsupported prompt content/);
+    });
+
+    await t.test('should render text and describe attachments', () => {
+      const parts = toContentParts(['Compare ', png(), ' with ', { type: 'audio', value: new ArrayBuffer(8) }]);
+      assert.equal(contentToText(parts), 'Compare [image] with [audio]');
+      assert.deepEqual(describeAttachments(parts), [
+        { type: 'image', mimeType: 'image/png', size: 4 },
+        { type: 'audio', size: 8 }
+      ]);
+    });
+
+    await t.test('should serialize binary content by hash', async () => {
+      const a = await serializeContent(['Describe', png([1, 2, 3])]);
+      assert.equal(a, await serializeContent(['Describe', png([1, 2, 3])]));
+      assert.notEqual(a, await serializeContent(['Describe', png([1, 2, 4])]));
+      assert.equal(await serializeContent(['Describe', { type: 'image', value: {} }]), undefined);
+      assert.equal(await serializeContent('plain text'), 'plain text');
+    });
+  });
+
+  await t.test('Session', async (t) => {
+    await t.test('should send images and audio to window.ai', async () => {
+      const ai = createMockAI({ respond: input => `Saw ${describe(input)}` });
+      const session = await Session.create({ expectedInputs: [{ type: 'image' }, { type: 'audio' }] }, ai);
+
+      const response = await session.prompt(['What is in ', png(), ' and ', wav(), '?']);
+      assert.equal(response, 'Saw What is in <image> and <audio>?');
+      assert.deepEqual(ai.created[0].options.expectedInputs, [{ type: 'image' }, { type: 'audio' }]);
+      assert.equal(ai.created[0].prompts[0][0].role, 'user');
+
+      const [user] = session.history;
+      assert.equal(user.content, 'What is in [image] and [audio]?');
+      assert.deepEqual(user.attachments, [
+        { type: 'image', mimeType: 'image/png', size: 4 },
+        { type: 'audio', mimeType: 'audio/wav', size: 4 }
+      ]);
+
+      assert.equal(await readStream(await session.promptStreaming([png(), 'Caption this'])), 'Saw <image>Caption this');
+      assert.equal(session.history.length, 4);
+      await session.destroy();
+    });
+
+    await t.test('should keep accepting media after compaction and in forks', async () => {
+      const ai = createMockAI({
+        maxTokens: 40,
+        respond: (input, model) => {
+          if (typeof input !== 'string' && !model.options.expectedInputs?.some(({ type }) => type === 'image')) {
+            throw new Error('The session was not created to accept images');
+          }
+          return 'ok';
+        }
+      });
+      const session = await Session.create({
+        expectedInputs: [{ type: 'image' }],
+        context: { strategy: 'keep-last', keepLast: 1, threshold: 0.5 }
+      }, ai);
+
+      for (let i = 0; i < 4; i++) {
+        await session.prompt(`question number ${i}`);
+      }
+      assert.ok(session.getAnalytics().context_compaction.count > 0);
+      assert.equal(await session.prompt(['What is in ', png(), '?']), 'ok');
+
+      const forked = await session.fork(1);
+      assert.equal(await forked.prompt([png(), 'Caption this']), 'ok');
+      assert.ok(ai.created.every(({ options }) => options.expectedInputs?.[0].type === 'image'));
+      await forked.destroy();
+      await session.destroy();
+    });
+
+    await t.test('should fill media template variables', async () => {
+      const ai = createMockAI({ respond: input => describe(input) });
+      const session = await Session.create({}, ai);
+      session.registerTemplate('describe_screenshot', 'Describe {screenshot} for {audience}.');
+
+      const response = await session.prompt(['describe_screenshot', { screenshot: png(), audience: 'a bug report' }]);
+      assert.equal(response, 'Describe <image> for a bug report.');
+      assert.equal(await session.prompt(['describe_screenshot', { screenshot: 'the login page', audience: 'QA' }]),
+        'Describe the login page for QA.');
+      await session.destroy();
+    });
+
+    await t.test('should cache by the bytes of the media', async () => {
+      const ai = createMockAI({ respond: input => describe(input) });
+      const session = await Session.create({ cache: { enabled: true } }, ai);
+
+      await session.prompt(['Describe', png([1, 2, 3])]);
+      await session.prompt(['Describe', png([1, 2, 3])]);
+      await session.prompt(['Describe', png([9, 9, 9])]);
+      assert.equal(ai.created[0].prompts.length, 2);
+
+      // Media that can't be read can't be told apart, so it is never cached
+      await session.prompt(['Describe', { type: 'image', value: { width: 1 } }]);
+      await session.prompt(['Describe', { type: 'image', value: { width: 1 } }]);
+      assert.equal(ai.created[0].prompts.length, 4);
+      assert.equal(session.getCacheStats().analytics.hits.count, 1);
+      await session.destroy();
+    });
+
+    await t.test('should show placeholders to text-only providers', async () => {
+      const fake = new FakeProvider({ defaultResponse: input => input });
+      const session = await Session.create({}, fake);
+      assert.equal(await session.prompt(['Read ', png()]), 'Read [image]');
+      await session.destroy();
+
+      const openai = new OpenAIProvider({ model: 'gpt', fetch: () => assert.fail('should not be called') });
+      const http = await Session.create(noFallback, openai);
+      await assert.rejects(http.prompt(['Read ', png()]), /openai does not support image input/);
+      await http.destroy();
+    });
+  });
+
+  await t.test('TemplateSystem', async (t) => {
+    await t.test('should produce content parts when a variable holds media', async () => {
+      const templates = new TemplateSystem({});
+      templates.register('compare', 'Compare {before} and {after}: {notes}');
+      const before = png([1]);
+      const after = png([2]);
+
+      assert.deepEqual(await templates.apply('compare', { before, after, notes: 'spacing' }), [
+        { type: 'text', value: 'Compare ' },
+        { type: 'image', value: before },
+        { type: 'text', value: ' and ' },
+        { type: 'image', value: after },
+        { type: 'text', value: ': spacing' }
+      ]);
+    });
+
+    await t.test('should inline content arrays', async () => {
+      const templates = new TemplateSystem({});
+      templates.register('wrap', '{input}\n\nAnswer briefly.');
+      const image = png();
+
+      assert.deepEqual(await templates.apply('wrap', { input: ['What is this? ', image] }), [
+        { type: 'text', value: 'What is this? ' },
+        { type: 'image', value: image },
+        { type: 'text', value: '\n\nAnswer briefly.' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+import assert from 'node:assert';
+import test from 'node:test';
+import { Session, createAICaptain } from '../src/index.mjs';
+import { ContextManager } from '../src/core/context.mjs';
+import { createMockAI } from './mocks/ai.mjs';
+
+// Build a conversation of n user/assistant turns
+function conversation(n, system = 'Be brief.') {
+  const messages = [{ role: 'system', content: system, tokens: 2 }];
+  for (let i = 0; i < n; i++) {
+    messages.push({ role: 'user', content: `question ${i}`, tokens: 10 });
+    messages.push({ role: 'assistant', content: `answer ${i}`, tokens: 10 });
+  }
+  return messages;
+}
+
+test('ContextManager', async (t) => {
+  // Threshold tests
+  await t.test('threshold detection', async (t) => {
+    await t.test('should be disabled without a strategy', () => {
+      const manager = new ContextManager();
+      assert.equal(manager.enabled, false);
+      assert.equal(manager.needsCompaction({ tokensSoFar: 100, maxTokens: 100 }), false);
+    });
+
+    await t.test('should trigger at the configured threshold', () => {
+      const manager = new ContextManager({ strategy: 'keep-last', threshold: 0.5 });
+      assert.equal(manager.needsCompaction({ tokensSoFar: 40, maxTokens: 100 }), false);
+      assert.equal(manager.needsCompaction({ tokensSoFar: 40, maxTokens: 100 }, 10), true);
+    });
+  });
+
+  // Strategy tests
+  await t.test('strategies', async (t) => {
+    await t.test('drop-oldest should trim to the target budget', async () => {
+      const manager = new ContextManager({ strategy: 'drop-oldest', target: 0.5 });
+      const result = await manager.compact(conversation(5), { maxTokens: 100 });
+      assert.equal(result[0].role, 'system');
+      assert.equal(result[1].content, 'question 3');
+      assert.equal(result.length, 5);
+    });
+
+    await t.test('keep-last should keep the system prompt and last turns', async () => {
+      const manager = new ContextManager({ strategy: 'keep-last', keepLast: 2 });
+      const result = await manager.compact(conversation(5), { maxTokens: 100 });
+      assert.deepEqual(result.map(m => m.content), [
+        'Be brief.', 'question 3', 'answer 3', 'question 4', 'answer 4'
+      ]);
+    });
+
+    await t.test('summarize should fold earlier turns into the system prompt', async () => {
+      const manager = new ContextManager({ strategy: 'summarize', keepLast: 1 });
+      let summarized;
+      const result = await manager.compact(conversation(3), {
+        maxTokens: 100,
+        summarize: async (messages) => {
+          summarized = messages;
+          return 'They asked two questions.';
+        }
+      });
+      assert.equal(summarized.length, 4);
+      assert.equal(result.length, 3);
+      assert.equal(result[0].role, 'system');
+      assert.match(result[0].content, /^Be brief\.\n\nSummary of the earlier conversation:\nThey asked two questions\.$/);
+    });
+
+    await t.test('should reject unknown strategies', async () => {
+      const manager = new ContextManager({ strategy: 'forget-everything' });
+      await assert.rejects(manager.compact([], { maxTokens: 100 }), /Unknown context strategy/);
+    });
+  });
+
+  // Session integration tests
+  await t.test('session integration', async (t) => {
+    await t.test('should recreate the session once the threshold is crossed', async () => {
+      const ai = createMockAI({ maxTokens: 40 });
+      const session = await Session.create({
+        systemPrompt: 'Be brief.',
+        context: { strategy: 'keep-last', keepLast: 1, threshold: 0.5 }
+      }, ai);
+
+      for (let i = 0; i < 4; i++) {
+        await session.prompt(`question number ${i}`);
+      }
+
+      assert.ok(ai.created.length > 1);
+      const native = ai.created[ai.created.length - 1];
+      assert.equal(native.options.initialPrompts[0].content, 'Be brief.');
+      assert.ok(ai.created[0].destroyed);
+      assert.equal(session.history[0].role, 'system');
+      assert.equal(session.history[session.history.length - 2].content, 'question number 3');
+      assert.ok(session.getAnalytics().context_compaction.count > 0);
+      await session.destroy();
+    });
+
+    await t.test('should key cached responses by the compacted conversation', async () => {
+      const ai = createMockAI({ maxTokens: 40 });
+      const session = await Session.create({
+        initialPrompts: [
+          { role: 'system', content: 'Be brief.' },
+          { role: 'user', content: 'Example question' },
+          { role: 'assistant', content: 'Example answer' }
+        ],
+        context: { strategy: 'keep-last', keepLast: 1, threshold: 0.5 },
+        cache: { enabled: true }
+      }, ai);
+
+      for (let i = 0; session.getAnalytics().context_compaction === undefined; i++) {
+        await session.prompt(`question number ${i}`);
+      }
+      const last = session.history.at(-2).content;
+
+      // A session starting where the compaction left off, having the same turn since
+      const native = ai.created.at(-1);
+      const reference = await Session.create({ initialPrompts: native.options.initialPrompts, cache: { enabled: true } }, ai);
+      await reference.prompt(last);
+
+      assert.equal(await session.keyFor('next question'), await reference.keyFor('next question'));
+      await session.destroy();
+      await reference.destroy();
+    });
+
+    await t.test('should not replace the session while a prompt is generating', async () => {
+      const ai = createMockAI({
+        maxTokens: 40,
+        delay: 10,
+        respond: (input, model) => {
+          if (model.destroyed) {
+            throw new Error('Session was destroyed');
+          }
+          return 'ok';
+        }
+      });
+      const session = await Session.create({
+        context: { strategy: 'keep-last', keepLast: 1, threshold: 0.5 },
+        fallback: { fallbackStrategies: ['alternate'] }
+      }, ai);
+
+      await session.prompt('question number 0');
+      await session.prompt('question number 1');
+      const responses = await Promise.all([
+        session.prompt('question number 2'),
+        session.prompt('question number 3'),
+        session.prompt('question number 4')
+      ]);
+      assert.deepEqual(responses, ['ok', 'ok', 'ok']);
+      assert.ok(session.getAnalytics().context_compaction.count > 0);
+      await session.destroy();
+    });
+
+    await t.test('should summarize with a separate model session', async () => {
+      const ai = createMockAI({
+        maxTokens: 40,
+        respond: input => input.startsWith('Summarize') ? 'A summary.' : 'ok'
+      });
+      const session = await Session.create({
+        context: { strategy: 'summarize', keepLast: 1, threshold: 0.5 }
+      }, ai);
+
+      for (let i = 0; i < 6; i++) {
+        await session.prompt(`question number ${i}`);
+      }
+
+      assert.match(session.history[0].content, /Summary of the earlier conversation:\nA summary\./);
+      await session.destroy();
+    });
+
+    await t.test('should summarize when created through createAICaptain', async () => {
+      const ai = createMockAI({
+        maxTokens: 40,
+        respond: input => input.startsWith('Summarize') ? 'A summary.' : 'ok'
+      });
+      const captain = await createAICaptain({
+        session: { context: { strategy: 'summarize', keepLast: 1, threshold: 0.5 } }
+      }, ai);
+
+      for (let i = 0; i < 6; i++) {
+        await captain.session.prompt(`question number ${i}`);
+      }
+
+      assert.match(captain.session.history[0].content, /Summary of the earlier conversation:\nA summary\./);
+      await captain.destroy();
+    });
+  });
+});
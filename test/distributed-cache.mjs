@@ -1,6 +1,7 @@
 import assert from 'node:assert';
 import test from 'node:test';
-import { DistributedCache } from '../src/index.mjs';
+import { DistributedCache, Session } from '../src/index.mjs';
+import { createMockAI } from './mocks/ai.mjs';
 
 test('DistributedCache', async (t) => {
   let cache;
@@ -83,6 +84,129 @@ test('DistributedCache', async (t) => {
     });
   });
 
+  // Size limits and eviction tests
+  await t.test('eviction', async (t) => {
+    await t.test('should evict the least recently used entry by default', async () => {
+      const evicted = [];
+      cache = new DistributedCache({ maxEntries: 2, onEvict: (key, value, reason) => evicted.push([key, value, reason]) });
+
+      await cache.set('a', 1);
+      await cache.set('b', 2);
+      await cache.get('a');
+      await cache.set('c', 3);
+
+      assert.deepEqual(evicted, [['b', 2, 'capacity']]);
+      assert.equal(await cache.get('a'), 1);
+      assert.equal(await cache.get('b'), undefined);
+      assert.equal(cache.getStats().size, 2);
+    });
+
+    await t.test('should evict the least frequently used entry', async () => {
+      cache = new DistributedCache({ maxEntries: 2, eviction: 'lfu' });
+
+      await cache.set('a', 1);
+      await cache.set('b', 2);
+      await cache.get('a');
+      await cache.get('a');
+      await cache.get('b');
+      await cache.set('c', 3);
+
+      assert.equal(await cache.get('b'), undefined);
+      assert.equal(await cache.get('a'), 1);
+    });
+
+    await t.test('should evict the oldest entry first in FIFO mode', async () => {
+      cache = new DistributedCache({ maxEntries: 2, eviction: 'fifo' });
+
+      await cache.set('a', 1);
+      await cache.set('b', 2);
+      await cache.get('a');
+      await cache.set('c', 3);
+
+      assert.equal(await cache.get('a'), undefined);
+      assert.equal(await cache.get('b'), 2);
+    });
+
+    await t.test('should keep within a byte budget', async () => {
+      cache = new DistributedCache({ maxBytes: 25 });
+
+      await cache.set('a', 'x'.repeat(8));  // 10 bytes as JSON
+      await cache.set('b', 'é'.repeat(4));  // 10 bytes as UTF-8 JSON
+      assert.equal(cache.getStats().bytes, 20);
+
+      await cache.set('c', 'x'.repeat(8));
+      assert.deepEqual(await Promise.all(['a', 'b', 'c'].map(key => cache.get(key))), [undefined, 'éééé', 'xxxxxxxx']);
+
+      // Too big to ever fit, so it is not stored
+      await cache.set('d', 'x'.repeat(30));
+      assert.equal(await cache.get('d'), undefined);
+      assert.equal(cache.getStats().bytes, 20);
+    });
+
+    await t.test('should drop expired entries before live ones', async () => {
+      const evicted = [];
+      cache = new DistributedCache({ maxEntries: 2, onEvict: (key, value, reason) => evicted.push([key, reason]) });
+
+      await cache.set('old', 1, 10);
+      await cache.set('live', 2);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      await cache.set('new', 3);
+
+      assert.deepEqual(evicted, [['old', 'expired']]);
+      assert.equal(await cache.get('live'), 2);
+    });
+
+    await t.test('should sweep expired entries periodically', async () => {
+      const evicted = [];
+      cache = new DistributedCache({ sweepInterval: 10, onEvict: key => evicted.push(key) });
+
+      await cache.set('short', 1, 5);
+      await cache.set('long', 2);
+      await new Promise(resolve => setTimeout(resolve, 40));
+
+      assert.deepEqual(evicted, ['short']);
+      assert.equal(cache.getStats().size, 1);
+      cache.destroy();
+    });
+
+    await t.test('should count evictions in the stats', async () => {
+      cache = new DistributedCache({ maxEntries: 1 });
+
+      await cache.set('a', 1, 5);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      assert.equal(await cache.get('a'), undefined);
+      await cache.set('b', 2);
+      await cache.set('c', 3);
+
+      const stats = cache.getStats();
+      assert.deepEqual(stats.evictions, { capacity: 1, expired: 1, total: 2 });
+      assert.equal(stats.maxEntries, 1);
+      assert.equal(stats.eviction, 'lru');
+    });
+
+    await t.test('should bound the cache of a session', async () => {
+      const ai = createMockAI();
+      const session = await Session.create({ cache: { enabled: true, maxEntries: 2, sweepInterval: 1000 } }, ai);
+
+      for (const input of ['a', 'b', 'c', 'a']) {
+        await session.prompt(input);
+      }
+      const stats = session.getCacheStats();
+      assert.equal(stats.size, 2);
+      assert.equal(stats.evictions.capacity, 2);
+      assert.equal(ai.created[0].prompts.length, 4);
+
+      const cloned = await session.clone();
+      assert.equal(cloned.getCacheStats().maxEntries, 2);
+      await cloned.destroy();
+      await session.destroy();
+    });
+
+    await t.test('should reject unknown policies', () => {
+      assert.throws(() => new DistributedCache({ eviction: 'random' }), /Unknown eviction policy: random/);
+    });
+  });
+
   // Concurrency tests
   await t.test('concurrent operations', async (t) => {
     await t.test('should handle multiple concurrent operations', async () => {
@@ -0,0 +1,107 @@
+import assert from 'node:assert';
+import test from 'node:test';
+import { Session, Capabilities, DownloadMonitor, isAbortError } from '../src/index.mjs';
+import { normalizeProgress } from '../src/core/download.mjs';
+import { createMockAI } from './mocks/ai.mjs';
+
+test('Model download', async (t) => {
+  // Progress normalization tests
+  await t.test('progress', async (t) => {
+    await t.test('should normalize byte and fraction progress', () => {
+      assert.deepEqual(normalizeProgress({ loaded: 50, total: 200 }), { loaded: 50, total: 200, percent: 25 });
+      assert.deepEqual(normalizeProgress({ loaded: 0.5, total: 1 }), { loaded: 0.5, total: 1, percent: 50 });
+      assert.deepEqual(normalizeProgress({ loaded: 0.25 }), { loaded: 0.25, total: 1, percent: 25 });
+      assert.deepEqual(normalizeProgress({ loaded: 300 }), { loaded: 300, total: undefined, percent: undefined });
+    });
+
+    await t.test('should relay native events and state changes', () => {
+      const monitor = new DownloadMonitor();
+      const native = new EventTarget();
+      const events = [];
+      monitor.addEventListener('statechange', e => events.push(`${e.previous}->${e.state}`));
+      monitor.addEventListener('downloadprogress', e => events.push(e.percent));
+      monitor.attach(native);
+
+      native.dispatchEvent(Object.assign(new Event('downloadprogress'), { loaded: 10, total: 40 }));
+      native.dispatchEvent(Object.assign(new Event('downloadprogress'), { loaded: 40, total: 40 }));
+      monitor.setState('ready');
+
+      assert.deepEqual(events, ['downloadable->downloading', 25, 100, 'downloading->ready']);
+    });
+  });
+
+  // Capabilities.waitUntilReady tests
+  await t.test('waitUntilReady', async (t) => {
+    await t.test('should download the model and report progress', async () => {
+      const ai = createMockAI({ download: { total: 1000, steps: 4 } });
+      const capabilities = await Capabilities.get(ai);
+      assert.ok(capabilities.needsDownload());
+
+      const progress = [];
+      const states = [];
+      const result = await capabilities.waitUntilReady({
+        onProgress: p => progress.push(p),
+        onStateChange: (state, previous) => states.push([previous, state])
+      });
+
+      assert.equal(result, capabilities);
+      assert.ok(capabilities.isReady());
+      assert.deepEqual(progress.map(p => p.percent), [25, 50, 75, 100]);
+      assert.deepEqual(progress[0], { loaded: 250, total: 1000, percent: 25 });
+      assert.deepEqual(states, [['downloadable', 'downloading'], ['downloading', 'ready']]);
+      assert.ok(ai.created[0].destroyed);
+    });
+
+    await t.test('should resolve immediately when ready', async () => {
+      const ai = createMockAI();
+      const capabilities = await Capabilities.get(ai);
+      await capabilities.waitUntilReady();
+      assert.equal(ai.created.length, 0);
+    });
+
+    await t.test('should reject when the model is unavailable', async () => {
+      const capabilities = new Capabilities({ available: 'no' });
+      await assert.rejects(capabilities.waitUntilReady(), /not available on this device/);
+    });
+
+    await t.test('should time out', async () => {
+      const ai = createMockAI({ download: { total: 100, steps: 10, delay: 20 } });
+      const capabilities = await Capabilities.get(ai);
+      await assert.rejects(capabilities.waitUntilReady({ timeout: 30 }), /not ready within 30ms/);
+      assert.ok(capabilities.needsDownload());
+    });
+
+    await t.test('should stop waiting when the signal aborts', async () => {
+      const ai = createMockAI({ download: { total: 100, steps: 10, delay: 20 } });
+      const capabilities = await Capabilities.get(ai);
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 10);
+      await assert.rejects(capabilities.waitUntilReady({ signal: controller.signal }), isAbortError);
+    });
+  });
+
+  // Session.create monitor option tests
+  await t.test('Session.create monitor', async (t) => {
+    await t.test('should pass download events to the monitor', async () => {
+      const ai = createMockAI({ download: { total: 1, steps: 2 } });
+      const events = [];
+      const session = await Session.create({
+        monitor(m) {
+          m.addEventListener('downloadprogress', e => events.push(e.loaded / e.total));
+          m.addEventListener('statechange', e => events.push(e.state));
+        }
+      }, ai);
+
+      assert.deepEqual(events, ['downloading', 0.5, 1, 'ready']);
+      assert.equal(await session.prompt('Hi'), 'Echo: Hi');
+      await session.destroy();
+    });
+
+    await t.test('should report a model that is already available as ready', async () => {
+      let monitor;
+      const session = await Session.create({ monitor: m => { monitor = m; } }, createMockAI());
+      assert.equal(monitor.state, 'ready');
+      await session.destroy();
+    });
+  });
+});
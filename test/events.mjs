@@ -0,0 +1,160 @@
+import assert from 'node:assert';
+import test from 'node:test';
+import { Session, SessionEvent } from '../src/index.mjs';
+import { createMockAI, readStream } from './mocks/ai.mjs';
+
+// Collect events of the given types from a session
+function collect(session, types) {
+  const events = [];
+  for (const type of types) {
+    session.addEventListener(type, event => events.push(event));
+  }
+  return events;
+}
+
+test('Session events', async (t) => {
+  let ai;
+  let session;
+
+  t.beforeEach(() => {
+    ai = createMockAI();
+  });
+
+  t.afterEach(async () => {
+    if (session) {
+      await session.destroy();
+      session = null;
+    }
+  });
+
+  // Observation tests
+  await t.test('observation', async (t) => {
+    await t.test('should emit beforePrompt and afterPrompt with details', async () => {
+      session = await Session.create({}, ai);
+      const events = collect(session, ['beforePrompt', 'afterPrompt']);
+
+      await session.prompt('Hello', { temperature: 0.5 });
+
+      assert.deepEqual(events.map(e => e.type), ['beforePrompt', 'afterPrompt']);
+      assert.ok(events[0] instanceof SessionEvent);
+      assert.equal(events[0].input, 'Hello');
+      assert.equal(events[0].options.temperature, 0.5);
+      assert.equal(events[1].response, 'Echo: Hello');
+      assert.equal(events[1].cached, false);
+      assert.equal(events[1].source, 'model');
+      assert.equal(typeof events[1].latency, 'number');
+    });
+
+    await t.test('should emit cacheHit for cached responses', async () => {
+      session = await Session.create({ cache: { enabled: true } }, ai);
+      await session.prompt('Hello');
+      const events = collect(session, ['cacheHit', 'afterPrompt']);
+
+      await session.prompt('Hello');
+      assert.deepEqual(events.map(e => e.type), ['cacheHit', 'afterPrompt']);
+      assert.equal(events[0].response, 'Echo: Hello');
+      assert.equal(events[1].cached, true);
+    });
+
+    await t.test('should emit chunk events and afterPrompt for streams', async () => {
+      session = await Session.create({}, ai);
+      const events = collect(session, ['chunk', 'afterPrompt']);
+
+      const text = await readStream(await session.promptStreaming('Hello'));
+      const chunks = events.filter(e => e.type === 'chunk').map(e => e.chunk);
+      assert.equal(chunks.join(''), text);
+      assert.equal(events[events.length - 1].type, 'afterPrompt');
+      assert.equal(events[events.length - 1].response, text);
+    });
+
+    await t.test('should emit fallback and error events', async () => {
+      ai = createMockAI({ respond: () => { throw new Error('Model crashed'); } });
+      session = await Session.create({ fallback: { fallbackStrategies: ['alternate'] } }, ai);
+      const events = collect(session, ['fallback', 'error']);
+
+      await assert.rejects(session.prompt('Hello'), /Model crashed/);
+      assert.deepEqual(events.map(e => e.type), ['fallback', 'error']);
+      assert.equal(events[0].strategy, 'alternate');
+      assert.equal(events[1].error.message, 'Model crashed');
+      assert.equal(session.getFallbackStats().analytics.alternate.count, 1);
+    });
+
+    await t.test('should emit error events for invalid parameters and unknown templates', async () => {
+      session = await Session.create({ params: { mode: 'strict' } }, ai);
+      const events = collect(session, ['beforePrompt', 'error']);
+
+      await assert.rejects(session.prompt('Hello', { temperature: -1 }), { name: 'InvalidParamsError' });
+      await assert.rejects(session.promptStreaming(['missing', {}]), /missing/);
+
+      assert.deepEqual(events.map(e => e.type), ['error', 'error']);
+      assert.equal(events[0].input, 'Hello');
+      assert.equal(events[0].error.name, 'InvalidParamsError');
+      assert.deepEqual(events[1].input, ['missing', {}]);
+      assert.equal(session.getAnalytics().error.count, 2);
+    });
+
+    await t.test('should emit prompt events once when a fallback answers', async () => {
+      let calls = 0;
+      ai = createMockAI({
+        respond: (input) => {
+          if (calls++ === 0) {
+            throw new Error('Model busy');
+          }
+          return `Echo: ${input}`;
+        }
+      });
+      session = await Session.create({ fallback: { fallbackStrategies: ['retry'] } }, ai);
+      const events = collect(session, ['beforePrompt', 'afterPrompt', 'fallback']);
+      let rewrites = 0;
+      session.addEventListener('beforePrompt', (event) => {
+        rewrites++;
+        event.input = `${event.input}!`;
+      });
+
+      assert.equal(await session.prompt('Hello'), 'Echo: Hello!');
+      assert.deepEqual(events.map(e => e.type), ['beforePrompt', 'fallback', 'afterPrompt']);
+      assert.equal(rewrites, 1);
+    });
+
+    await t.test('should not emit prompt events for health checks', async () => {
+      session = await Session.create({ fallback: { healthCheckInterval: 10 } }, ai);
+      const events = collect(session, ['beforePrompt', 'afterPrompt']);
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      assert.ok(session.getFallbackStats().health.primary.healthy);
+      assert.deepEqual(events, []);
+    });
+  });
+
+  // Interception tests
+  await t.test('interception', async (t) => {
+    await t.test('should let beforePrompt rewrite the input', async () => {
+      session = await Session.create({}, ai);
+      session.addEventListener('beforePrompt', (event) => {
+        event.input = Promise.resolve(event.input.replace(/\d{4}-\d{4}/g, '[redacted]'));
+      });
+
+      const response = await session.prompt('My card is 1234-5678');
+      assert.equal(response, 'Echo: My card is [redacted]');
+      assert.equal(session.history[0].content, 'My card is [redacted]');
+    });
+
+    await t.test('should let beforePrompt short-circuit the model', async () => {
+      session = await Session.create({}, ai);
+      const events = collect(session, ['afterPrompt']);
+      session.addEventListener('beforePrompt', (event) => {
+        if (event.input === 'ping') event.respondWith('pong');
+      });
+
+      assert.equal(await session.prompt('ping'), 'pong');
+      assert.equal(await readStream(await session.promptStreaming('ping')), 'pong');
+      assert.equal(ai.created[0].prompts.length, 0);
+      assert.equal(events[0].source, 'interceptor');
+    });
+
+    await t.test('should only allow respondWith on beforePrompt', () => {
+      const event = new SessionEvent('afterPrompt');
+      assert.throws(() => event.respondWith('x'), /only available on beforePrompt/);
+    });
+  });
+});
@@ -66,6 +66,11 @@ test('FallbackSystem', async (t) => {
       assert.deepEqual(fallbackSystem.options.fallbackStrategies, ['retry', 'alternate']);
       assert.equal(fallbackSystem.options.healthCheckInterval, 30000);
     });
+
+    await t.test('should not check health when disabled', async () => {
+      fallbackSystem = new FallbackSystem(primarySession, { healthCheck: false });
+      assert.equal(fallbackSystem.healthCheckInterval, null);
+    });
   });
 
   // Session management tests
@@ -0,0 +1,125 @@
+import assert from 'node:assert';
+import test from 'node:test';
+import { ConversationHistory, Session } from '../src/index.mjs';
+import { createMockAI, readStream } from './mocks/ai.mjs';
+
+test('ConversationHistory', async (t) => {
+  let ai;
+  let session;
+
+  t.beforeEach(() => {
+    ai = createMockAI();
+    session = null;
+  });
+
+  t.afterEach(async () => {
+    if (session) {
+      await session.destroy();
+      session = null;
+    }
+  });
+
+  // Core functionality tests
+  await t.test('message tracking', async (t) => {
+    await t.test('should record system, user and assistant turns', async () => {
+      session = await Session.create({ systemPrompt: 'Be brief.' }, ai);
+      await session.prompt('Hello');
+
+      const history = session.history;
+      assert.deepEqual(history.map(m => m.role), ['system', 'user', 'assistant']);
+      assert.equal(history[1].content, 'Hello');
+      assert.equal(history[2].content, 'Echo: Hello');
+      assert.equal(typeof history[1].timestamp, 'number');
+      assert.equal(history[1].tokens, 2);
+    });
+
+    await t.test('should record rendered templates and streamed responses', async () => {
+      session = await Session.create({}, ai);
+      session.registerTemplate('greeting', 'Hi {name}');
+
+      const stream = await session.promptStreaming(['greeting', { name: 'Ada' }]);
+      assert.equal(await readStream(stream), 'Echo: Hi Ada');
+
+      const history = session.history;
+      assert.equal(history.length, 2);
+      assert.equal(history[0].content, 'Hi Ada');
+      assert.equal(history[1].content, 'Echo: Hi Ada');
+    });
+
+    await t.test('should record a prompt once when a fallback answers it', async () => {
+      let calls = 0;
+      ai = createMockAI({
+        respond: (input) => {
+          if (calls++ === 0) {
+            throw new Error('Model busy');
+          }
+          return `Echo: ${input}`;
+        }
+      });
+      session = await Session.create({ fallback: { fallbackStrategies: ['retry'] } }, ai);
+
+      assert.equal(await session.prompt('Hello'), 'Echo: Hello');
+      assert.deepEqual(session.history.map(m => m.content), ['Hello', 'Echo: Hello']);
+      assert.deepEqual(session.exportTranscript().messages.map(m => m.role), ['user', 'assistant']);
+    });
+
+    await t.test('should keep health checks out of the history', async () => {
+      session = await Session.create({ fallback: { healthCheckInterval: 10 } }, ai);
+      await session.prompt('Hello');
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      assert.ok(session.getFallbackStats().health.primary.healthy);
+      assert.equal(session.history.length, 2);
+    });
+
+    await t.test('should reject unknown roles', () => {
+      const history = new ConversationHistory();
+      assert.throws(() => history.add('tool', 'x'), /Unsupported message role: tool/);
+    });
+  });
+
+  // Transcript tests
+  await t.test('transcripts', async (t) => {
+    await t.test('should export and restore a conversation', async () => {
+      session = await Session.create({ systemPrompt: 'Be brief.', temperature: 0.5 }, ai);
+      await session.prompt('Hello');
+
+      const transcript = JSON.parse(JSON.stringify(session.exportTranscript()));
+      assert.equal(transcript.version, 1);
+      assert.deepEqual(transcript.options, { temperature: 0.5 });
+
+      const restored = await Session.fromTranscript(transcript, {}, ai);
+      const native = ai.created[ai.created.length - 1];
+      assert.deepEqual(native.options.initialPrompts, [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hello' },
+        { role: 'assistant', content: 'Echo: Hello' }
+      ]);
+      assert.equal(native.options.temperature, 0.5);
+      assert.deepEqual(restored.history, session.history);
+      await restored.destroy();
+    });
+
+    await t.test('should reject malformed transcripts', async () => {
+      await assert.rejects(
+        Session.fromTranscript({ version: 1 }, {}, ai),
+        /messages array is required/
+      );
+      await assert.rejects(
+        Session.fromTranscript({ version: 99, messages: [] }, {}, ai),
+        /Unsupported transcript version: 99/
+      );
+    });
+
+    await t.test('should carry history into clones', async () => {
+      session = await Session.create({}, ai);
+      await session.prompt('Hello');
+
+      const cloned = await session.clone();
+      await cloned.prompt('Again');
+      assert.equal(session.history.length, 2);
+      assert.equal(cloned.history.length, 4);
+      await cloned.destroy();
+    });
+  });
+});
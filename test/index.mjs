@@ -8,11 +8,33 @@ for(const [key, value] of Object.entries(w)) {
 import "./session.mjs";           // Core session management
 import "./validation.mjs";        // Core validation system
 import "./capabilities.mjs";      // Core capabilities detection
+import "./download.mjs";          // Model download and readiness
+import "./params.mjs";            // Model parameter checks
+import "./capability-matrix.mjs"; // Built-in AI API detection
 
 // Feature-specific tests
 import "./template-system.mjs";   // Template handling
 import "./distributed-cache.mjs"; // Caching system
+import "./cache-stores.mjs";      // Cache storage backends
+import "./semantic-cache.mjs";    // Semantic caching
+import "./cache-broadcast.mjs";   // Cross-tab cache sharing
+import "./cache-keys.mjs";        // Cache keys and namespaces
+import "./cache-invalidation.mjs"; // Tags, prefixes and versions
+import "./cache-coalescing.mjs";  // Single-flight and stale-while-revalidate
+import "./cache-warming.mjs";     // Warming from manifests
 import "./performance-analytics.mjs"; // Performance monitoring
+import "./history.mjs";           // Conversation history
+import "./content.mjs";           // Multimodal content
+import "./branches.mjs";          // Conversation branching
+import "./context.mjs";           // Context window management
+import "./structured.mjs";        // Structured output
+import "./tools.mjs";             // Tool calling
+import "./scheduler.mjs";         // Request queue
+import "./events.mjs";            // Lifecycle events
+import "./stream.mjs";            // Streaming responses
+import "./providers.mjs";         // Model providers
+import "./testing.mjs";           // Fake and replay providers
+import "./tasks.mjs";             // Task-specific built-in APIs
 
 // Integration tests
 import "./composition-chains.mjs";   // Chain composition
@@ -21,3 +43,4 @@ import "./create-ai.captain.mjs";  // AI Captain creation
 // Enhancement tests
 import "./cache-compression.mjs";    // Cache compression features
 import "./fallback.mjs";            // Fallback behavior
+import "./abort.mjs";               // Cancellation
@@ -0,0 +1,128 @@
+// Mock window.ai language model session
+export class MockLanguageModel {
+  constructor(options = {}) {
+    this.options = options;
+    this.prompts = [];
+    this.tokensSoFar = (options.initialPrompts || [])
+      .reduce((sum, p) => sum + Math.ceil(p.content.length / 4), 0);
+    this.maxTokens = options.maxTokens ?? 4096;
+    this.destroyed = false;
+    this.respond = options.respond || (input => `Echo: ${input}`);
+  }
+
+  get tokensLeft() {
+    return this.maxTokens - this.tokensSoFar;
+  }
+
+  async countPromptTokens(input) {
+    return Math.ceil(String(input).length / 4);
+  }
+
+  async prompt(input, options = {}) {
+    this.prompts.push(input);
+    if (this.options.delay) {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, this.options.delay);
+        options.signal?.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(options.signal.reason);
+        }, { once: true });
+      });
+    }
+    const response = await this.respond(input, this);
+    this.tokensSoFar += await this.countPromptTokens(input) + await this.countPromptTokens(response);
+    return response;
+  }
+
+  async promptStreaming(input) {
+    const response = await this.prompt(input);
+    const chunks = response.match(/.{1,4}/gs) || [];
+    const mock = this;
+    return new ReadableStream({
+      async pull(controller) {
+        if (mock.options.chunkDelay) {
+          await new Promise(resolve => setTimeout(resolve, mock.options.chunkDelay));
+        }
+        if (chunks.length === 0) {
+          controller.close();
+          return;
+        }
+        controller.enqueue(chunks.shift());
+      },
+      cancel() {
+        mock.cancelled = true;
+      }
+    });
+  }
+
+  async clone() {
+    const cloned = new MockLanguageModel(this.options);
+    cloned.prompts = [...this.prompts];
+    cloned.tokensSoFar = this.tokensSoFar;
+    return cloned;
+  }
+
+  destroy() {
+    this.destroyed = true;
+  }
+}
+
+// Simulate a model download, dispatching downloadprogress events to the monitor
+async function simulateDownload(download, options) {
+  const target = new EventTarget();
+  options.monitor?.(target);
+  for (let step = 1; step <= download.steps; step++) {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, download.delay ?? 5);
+      options.signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(options.signal.reason);
+      }, { once: true });
+    });
+    const event = new Event('downloadprogress');
+    Object.assign(event, { loaded: (download.total / download.steps) * step, total: download.total });
+    target.dispatchEvent(event);
+  }
+}
+
+// Mock window.ai. Pass `download: { total, steps, delay }` to start with a model
+// that has to be downloaded by the first create()
+export function createMockAI(defaults = {}) {
+  const { download, ...sessionDefaults } = defaults;
+  const ai = {
+    created: [],
+    downloaded: !download,
+    languageModel: {
+      async capabilities() {
+        return {
+          available: ai.downloaded ? 'readily' : 'after-download',
+          defaultTopK: 3,
+          maxTopK: 8,
+          defaultTemperature: 1
+        };
+      },
+      async create(options = {}) {
+        if (!ai.downloaded) {
+          await simulateDownload(download, options);
+          ai.downloaded = true;
+        }
+        const session = new MockLanguageModel({ ...sessionDefaults, ...options });
+        ai.created.push(session);
+        return session;
+      }
+    }
+  };
+  return ai;
+}
+
+// Read a stream into a string
+export async function readStream(stream) {
+  const reader = stream.getReader();
+  let result = '';
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    result += value;
+  }
+  return result;
+}
@@ -0,0 +1,86 @@
+import http from 'node:http';
+
+// Split a reply into stream chunks
+const chunk = text => text.match(/.{1,4}/gs) || [];
+
+// Read a JSON request body
+async function readBody(req) {
+  let body = '';
+  for await (const part of req) {
+    body += part;
+  }
+  return body ? JSON.parse(body) : undefined;
+}
+
+// Local stub of an OpenAI-compatible server and an Ollama server.
+// Replies echo the last user message; the model "broken" fails and the
+// message "slow" waits before answering.
+export async function startStubServer() {
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const body = await readBody(req);
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+    const json = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    if (req.method === 'GET' && req.url === '/v1/models') {
+      return json(200, { data: [{ id: 'stub-model' }] });
+    }
+    if (req.method === 'GET' && req.url === '/api/tags') {
+      return json(200, { models: [{ name: 'stub-model:latest' }] });
+    }
+
+    if (body?.model === 'broken') {
+      return json(500, { error: 'model crashed' });
+    }
+
+    const input = body.messages.filter(m => m.role === 'user').at(-1).content;
+    const reply = `Echo: ${input}`;
+    if (input === 'slow') {
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    if (req.url === '/v1/chat/completions') {
+      const usage = { total_tokens: body.messages.length * 10 };
+      if (!body.stream) {
+        return json(200, { choices: [{ message: { role: 'assistant', content: reply } }], usage });
+      }
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      for (const content of chunk(reply)) {
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+      }
+      res.write(`data: ${JSON.stringify({ choices: [], usage })}\n\n`);
+      return res.end('data: [DONE]\n\n');
+    }
+
+    if (req.url === '/api/chat') {
+      const counts = { prompt_eval_count: body.messages.length * 10, eval_count: 5 };
+      if (!body.stream) {
+        return json(200, { message: { role: 'assistant', content: reply }, done: true, ...counts });
+      }
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      for (const content of chunk(reply)) {
+        res.write(JSON.stringify({ message: { role: 'assistant', content }, done: false }) + '\n');
+      }
+      return res.end(JSON.stringify({ message: { role: 'assistant', content: '' }, done: true, ...counts }) + '\n');
+    }
+
+    json(404, { error: 'not found' });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,102 @@
+// Mock Web Storage (localStorage / sessionStorage). Like browsers, it throws a
+// QuotaExceededError once the keys and values would take more than `quota` characters.
+export class MemoryStorage {
+  #items = new Map();
+
+  constructor(quota = Infinity) {
+    this.quota = quota;
+  }
+
+  get length() {
+    return this.#items.size;
+  }
+
+  key(index) {
+    return [...this.#items.keys()][index] ?? null;
+  }
+
+  getItem(key) {
+    return this.#items.has(key) ? this.#items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    value = String(value);
+    let used = key.length + value.length;
+    for (const [other, item] of this.#items) {
+      if (other !== key) {
+        used += other.length + item.length;
+      }
+    }
+    if (used > this.quota) {
+      throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+    }
+    this.#items.set(key, value);
+  }
+
+  removeItem(key) {
+    this.#items.delete(key);
+  }
+
+  clear() {
+    this.#items.clear();
+  }
+}
+
+// Mock IndexedDB with just what IndexedDBStore uses. Requests succeed on the
+// next tick; values are structured-cloned like the real thing.
+export function createMockIndexedDB() {
+  const databases = new Map();
+  const later = (callback) => setTimeout(callback, 0);
+
+  function openDatabase(stores) {
+    return {
+      closed: false,
+      createObjectStore(name) {
+        stores.set(name, new Map());
+      },
+      transaction(name) {
+        const data = stores.get(name);
+        const request = (run) => ({ result: run() });
+        const transaction = {
+          error: null,
+          objectStore: () => ({
+            get: key => request(() => structuredClone(data.get(key))),
+            put: (value, key) => request(() => {
+              data.set(key, structuredClone(value));
+              return key;
+            }),
+            delete: key => request(() => {
+              data.delete(key);
+            }),
+            clear: () => request(() => data.clear()),
+            getAllKeys: () => request(() => [...data.keys()])
+          })
+        };
+        later(() => transaction.oncomplete?.());
+        return transaction;
+      },
+      close() {
+        this.closed = true;
+      }
+    };
+  }
+
+  return {
+    databases,
+    open(name) {
+      const request = {};
+      later(() => {
+        const upgrade = !databases.has(name);
+        if (upgrade) {
+          databases.set(name, new Map());
+        }
+        request.result = openDatabase(databases.get(name));
+        if (upgrade) {
+          request.onupgradeneeded?.();
+        }
+        request.onsuccess?.();
+      });
+      return request;
+    }
+  };
+}
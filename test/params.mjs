@@ -0,0 +1,122 @@
+import assert from 'node:assert';
+import test from 'node:test';
+import { Session, Capabilities, InvalidParamsError } from '../src/index.mjs';
+import { FakeProvider } from '../src/testing/index.mjs';
+import { createMockAI } from './mocks/ai.mjs';
+
+test('Model parameter checks', async (t) => {
+  await t.test('Capabilities.adjustParams', async (t) => {
+    const capabilities = new Capabilities({ available: 'readily', defaultTopK: 3, maxTopK: 8, defaultTemperature: 1 });
+
+    await t.test('should leave valid values alone', () => {
+      const { config, adjustments } = capabilities.adjustParams({ temperature: 0.7, topK: 5, cache: false });
+      assert.deepEqual(config, { temperature: 0.7, topK: 5, cache: false });
+      assert.deepEqual(adjustments, []);
+    });
+
+    await t.test('should clamp values into range', () => {
+      const { config, adjustments } = capabilities.adjustParams({ temperature: 3, topK: 20 });
+      assert.deepEqual(config, { temperature: 2, topK: 8 });
+      assert.deepEqual(adjustments.map(({ param, value, adjusted }) => [param, value, adjusted]), [
+        ['temperature', 3, 2],
+        ['topK', 20, 8]
+      ]);
+      assert.equal(adjustments[1].reason, 'topK value 20 exceeds maximum 8');
+
+      assert.deepEqual(capabilities.adjustParams({ temperature: -1, topK: 2.4 }).config, { temperature: 0, topK: 2 });
+      assert.deepEqual(capabilities.adjustParams({ topK: 0 }).config, { topK: 1 });
+    });
+
+    await t.test('should replace values that are not numbers with the recommended ones', () => {
+      const { config, adjustments } = capabilities.adjustParams({ temperature: 'hot', topK: NaN });
+      assert.deepEqual(config, { temperature: 1, topK: 3 });
+      assert.deepEqual(adjustments.map(({ adjusted }) => adjusted), [1, 3]);
+
+      // Without a recommended value, the model's own default is used
+      assert.deepEqual(new Capabilities({ available: 'readily' }).adjustParams({ topK: 'many' }).config, {});
+    });
+
+    await t.test('should report the issues validateConfig finds', () => {
+      const { config, adjustments } = capabilities.adjustParams({ temperature: 3, topK: 0 });
+      assert.deepEqual(adjustments.map(({ reason }) => reason), capabilities.validateConfig({ temperature: 3, topK: 0 }).issues);
+      assert.deepEqual(config, { temperature: 2, topK: 1 });
+    });
+
+    await t.test('should use the maximum temperature the model reports', () => {
+      const wide = new Capabilities({ available: 'readily', maxTopK: 8, maxTemperature: 3 });
+      assert.deepEqual(wide.adjustParams({ temperature: 2.5 }).adjustments, []);
+    });
+
+    await t.test('should throw in strict mode and skip checks in pass mode', () => {
+      assert.throws(() => capabilities.adjustParams({ topK: 20 }, 'strict'), (error) => {
+        assert.ok(error instanceof InvalidParamsError);
+        assert.equal(error.issues[0].param, 'topK');
+        assert.match(error.message, /topK value 20 exceeds maximum 8/);
+        return true;
+      });
+      assert.deepEqual(capabilities.adjustParams({ topK: 20 }, 'pass').config, { topK: 20 });
+    });
+  });
+
+  await t.test('Session', async (t) => {
+    await t.test('should clamp creation options and record the adjustments', async () => {
+      const ai = createMockAI();
+      const adjusted = [];
+      const session = await Session.create({
+        temperature: 5,
+        topK: 50,
+        params: { mode: 'clamp', onAdjust: adjustment => adjusted.push(adjustment.param) }
+      }, ai);
+
+      assert.equal(ai.created[0].options.temperature, 2);
+      assert.equal(ai.created[0].options.topK, 8);
+      assert.deepEqual(adjusted, ['temperature', 'topK']);
+      assert.deepEqual(session.exportTranscript().options, { temperature: 2, topK: 8 });
+
+      const analytics = session.getAnalytics();
+      assert.equal(analytics.params_adjusted.count, 2);
+      assert.equal(analytics.params_adjusted_topK.count, 1);
+      await session.destroy();
+    });
+
+    await t.test('should reject invalid creation options in strict mode', async () => {
+      const ai = createMockAI();
+      await assert.rejects(Session.create({ topK: 50, params: { mode: 'strict' } }, ai), InvalidParamsError);
+      assert.equal(ai.created.length, 0);
+    });
+
+    await t.test('should check prompt options', async () => {
+      const fake = new FakeProvider({ defaultResponse: 'ok' });
+      const adjusted = [];
+      const session = await Session.create({ params: { mode: 'clamp', onAdjust: ({ value }) => adjusted.push(value) } }, fake);
+
+      await session.prompt('Hello', { temperature: 9 });
+      assert.deepEqual(adjusted, [9]);
+      assert.equal(session.getAnalytics().params_adjusted_temperature.count, 1);
+      await session.destroy();
+
+      const strict = await Session.create({ params: { mode: 'strict' } }, fake);
+      await assert.rejects(strict.prompt('Hello', { temperature: -1 }), InvalidParamsError);
+      await assert.rejects(strict.promptStreaming('Hello', { topK: 'many' }), InvalidParamsError);
+      await strict.destroy();
+    });
+
+    await t.test('should send values unchecked by default', async () => {
+      const ai = createMockAI();
+      const session = await Session.create({ topK: 50 }, ai);
+      assert.equal(ai.created[0].options.topK, 50);
+      await session.prompt('Hello', { temperature: 9 });
+      assert.equal(session.getAnalytics().params_adjusted, undefined);
+      await session.destroy();
+    });
+
+    await t.test('should carry the mode into clones', async () => {
+      const ai = createMockAI();
+      const session = await Session.create({ params: { mode: 'strict' } }, ai);
+      const cloned = await session.clone();
+      await assert.rejects(cloned.prompt('Hi', { topK: 99 }), InvalidParamsError);
+      await cloned.destroy();
+      await session.destroy();
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import assert from 'node:assert';
+import test from 'node:test';
+import {
+  Session,
+  Capabilities,
+  WindowAIProvider,
+  OpenAIProvider,
+  OllamaProvider,
+  isAbortError
+} from '../src/index.mjs';
+import { createMockAI, readStream } from './mocks/ai.mjs';
+import { startStubServer } from './mocks/server.mjs';
+
+test('Providers', async (t) => {
+  const server = await startStubServer();
+  t.after(() => server.close());
+
+  const backends = [
+    ['OpenAIProvider', (options = {}) => new OpenAIProvider({ baseURL: `${server.url}/v1`, model: 'stub-model', ...options })],
+    ['OllamaProvider', (options = {}) => new OllamaProvider({ baseURL: server.url, model: 'stub-model', ...options })]
+  ];
+
+  for (const [name, createProvider] of backends) {
+    await t.test(name, async (t) => {
+      await t.test('should report capabilities', async () => {
+        const capabilities = await Capabilities.get(createProvider({ temperature: 0.7 }));
+        assert.ok(capabilities.isReady());
+        assert.equal(capabilities.defaultTemperature, 0.7);
+
+        const missing = await Capabilities.get(createProvider({ model: 'missing' }));
+        assert.ok(missing.isUnavailable());
+      });
+
+      await t.test('should prompt and keep the conversation', async () => {
+        const session = await Session.create({ systemPrompt: 'Be brief.', temperature: 0.2 }, createProvider());
+
+        assert.equal(await session.prompt('Hello'), 'Echo: Hello');
+        assert.equal(await session.prompt('Again'), 'Echo: Again');
+
+        const { body } = server.requests.at(-1);
+        assert.deepEqual(body.messages.map(m => m.role), ['system', 'user', 'assistant', 'user']);
+        assert.equal(body.messages[2].content, 'Echo: Hello');
+        assert.equal(body.stream, false);
+        assert.ok(session.tokensSoFar > 0);
+        assert.equal(session.maxTokens, 4096);
+        await session.destroy();
+      });
+
+      await t.test('should stream deltas', async () => {
+        const session = await Session.create({}, createProvider());
+        const stream = await session.promptStreaming('Tell me a story');
+
+        assert.equal(await stream.text(), 'Echo: Tell me a story');
+        assert.equal(server.requests.at(-1).body.stream, true);
+        assert.equal(await session.prompt('Next'), 'Echo: Next');
+        assert.equal(server.requests.at(-1).body.messages.length, 3);
+        await session.destroy();
+      });
+
+      await t.test('should clone the conversation', async () => {
+        const session = await Session.create({}, createProvider());
+        await session.prompt('First');
+
+        const cloned = await session.clone();
+        await cloned.prompt('Branch');
+        assert.equal(server.requests.at(-1).body.messages.length, 3);
+
+        await session.prompt('Main');
+        assert.equal(server.requests.at(-1).body.messages.at(-1).content, 'Main');
+        assert.equal(server.requests.at(-1).body.messages.length, 3);
+        await Promise.all([session.destroy(), cloned.destroy()]);
+      });
+
+      await t.test('should cancel requests', async () => {
+        const session = await Session.create({}, createProvider());
+        const controller = new AbortController();
+        const pending = session.prompt('slow', { signal: controller.signal });
+        setTimeout(() => controller.abort(), 20);
+
+        await assert.rejects(pending, isAbortError);
+        await session.destroy();
+      });
+
+      await t.test('should surface server errors', async () => {
+        const session = await Session.create(
+          { fallback: { fallbackStrategies: ['alternate'] } },
+          createProvider({ model: 'broken' })
+        );
+        await assert.rejects(session.prompt('Hello'), /status 500/);
+        await session.destroy();
+      });
+    });
+  }
+
+  await t.test('request options', async (t) => {
+    await t.test('should send the API key and OpenAI parameters', async () => {
+      const session = await Session.create({ temperature: 0.3 }, new OpenAIProvider({
+        baseURL: `${server.url}/v1/`,
+        model: 'stub-model',
+        apiKey: 'secret'
+      }));
+      await session.prompt('Hi');
+
+      const { url, headers, body } = server.requests.at(-1);
+      assert.equal(url, '/v1/chat/completions');
+      assert.equal(headers.authorization, 'Bearer secret');
+      assert.equal(body.temperature, 0.3);
+      await session.destroy();
+    });
+
+    await t.test('should send Ollama model options', async () => {
+      const session = await Session.create({ temperature: 0.3, topK: 5 }, new OllamaProvider({
+        baseURL: server.url,
+        model: 'stub-model',
+        contextWindow: 8192
+      }));
+      await session.prompt('Hi');
+
+      assert.deepEqual(server.requests.at(-1).body.options, { num_ctx: 8192, temperature: 0.3, top_k: 5 });
+      assert.equal(session.maxTokens, 8192);
+      await session.destroy();
+    });
+
+    await t.test('should require a model', () => {
+      assert.throws(() => new OpenAIProvider({ baseURL: server.url }), /model name is required/);
+    });
+  });
+
+  await t.test('WindowAIProvider', async (t) => {
+    await t.test('should adapt window.ai sessions', async () => {
+      const ai = createMockAI();
+      const provider = new WindowAIProvider(ai);
+      assert.ok((await Capabilities.get(provider)).isReady());
+
+      const session = await Session.create({}, provider);
+      assert.equal(await session.prompt('Hello'), 'Echo: Hello');
+      assert.equal(await readStream(await session.promptStreaming('World')), 'Echo: World');
+      assert.deepEqual(ai.created[0].prompts, ['Hello', 'World']);
+
+      await session.destroy();
+      assert.ok(ai.created[0].destroyed);
+    });
+
+    await t.test('should wrap a plain window.ai object automatically', async () => {
+      const ai = createMockAI();
+      const session = await Session.create({}, ai);
+      const cloned = await session.clone();
+
+      assert.equal(await cloned.prompt('Hello'), 'Echo: Hello');
+      assert.equal(ai.created.length, 1);
+      await Promise.all([session.destroy(), cloned.destroy()]);
+    });
+
+    await t.test('should report a missing window.ai', async () => {
+      await assert.rejects(new WindowAIProvider({}).create(), /window.ai API not available/);
+    });
+  });
+});
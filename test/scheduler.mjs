@@ -0,0 +1,121 @@
+import assert from 'node:assert';
+import test from 'node:test';
+import { Session, PerformanceAnalytics, isAbortError } from '../src/index.mjs';
+import { PromptScheduler } from '../src/core/scheduler.mjs';
+import { createMockAI, readStream } from './mocks/ai.mjs';
+
+// Resolve on the next macrotask
+const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('PromptScheduler', async (t) => {
+  // Ordering tests
+  await t.test('ordering', async (t) => {
+    await t.test('should limit concurrency', async () => {
+      const scheduler = new PromptScheduler({ maxConcurrency: 2 });
+      const releases = await Promise.all([scheduler.acquire(), scheduler.acquire()]);
+      const third = scheduler.acquire();
+
+      assert.deepEqual(scheduler.getStats(), { pending: 1, running: 2, maxConcurrency: 2 });
+      releases[0]();
+      releases[0](); // Releasing twice frees only one slot
+      (await third)();
+      assert.equal(scheduler.running, 1);
+    });
+
+    await t.test('should run interactive before background, FIFO within a level', async () => {
+      const scheduler = new PromptScheduler();
+      const order = [];
+      const hold = await scheduler.acquire();
+
+      const tasks = [
+        scheduler.run(() => order.push('background 1'), { priority: 'background' }),
+        scheduler.run(() => order.push('interactive 1')),
+        scheduler.run(() => order.push('background 2'), { priority: 'background' }),
+        scheduler.run(() => order.push('interactive 2'), { priority: 'interactive' })
+      ];
+      hold();
+      await Promise.all(tasks);
+
+      assert.deepEqual(order, ['interactive 1', 'interactive 2', 'background 1', 'background 2']);
+    });
+
+    await t.test('should reject unknown priorities', async () => {
+      const scheduler = new PromptScheduler();
+      await assert.rejects(scheduler.acquire({ priority: 'urgent' }), /Unknown priority: urgent/);
+    });
+  });
+
+  // Removal tests
+  await t.test('removal', async (t) => {
+    await t.test('should remove a queued request when its signal aborts', async () => {
+      const analytics = new PerformanceAnalytics();
+      const scheduler = new PromptScheduler({ analytics });
+      const hold = await scheduler.acquire();
+      const controller = new AbortController();
+
+      const queued = scheduler.acquire({ signal: controller.signal });
+      controller.abort();
+      await assert.rejects(queued, error => isAbortError(error));
+      assert.equal(scheduler.pending, 0);
+      hold();
+
+      assert.equal(analytics.getStats('queue_removed').count, 1);
+      assert.equal(analytics.getStats('queue_length').count, 2);
+      assert.equal(analytics.getStats('queue_wait').count, 1);
+    });
+
+    await t.test('should clear every queued request', async () => {
+      const scheduler = new PromptScheduler();
+      const hold = await scheduler.acquire();
+      const queued = [scheduler.acquire(), scheduler.acquire()];
+
+      assert.equal(scheduler.clear(), 2);
+      for (const request of queued) {
+        await assert.rejects(request, error => isAbortError(error));
+      }
+      hold();
+    });
+  });
+
+  // Session tests
+  await t.test('session integration', async (t) => {
+    await t.test('should serialize generations on a session', async () => {
+      const ai = createMockAI({ delay: 20 });
+      const session = await Session.create({}, ai);
+      let running = 0;
+      let maxRunning = 0;
+      ai.created[0].respond = async (input) => {
+        maxRunning = Math.max(maxRunning, ++running);
+        await tick();
+        running--;
+        return input;
+      };
+
+      const results = await Promise.all([
+        session.prompt('one', { priority: 'background' }),
+        session.prompt('two'),
+        session.prompt('three')
+      ]);
+
+      assert.deepEqual(results, ['one', 'two', 'three']);
+      assert.equal(maxRunning, 1);
+      assert.deepEqual(ai.created[0].prompts, ['one', 'two', 'three']);
+      assert.equal(session.getQueueStats().analytics.wait.count, 3);
+      await session.destroy();
+    });
+
+    await t.test('should hold the slot until a stream is read', async () => {
+      const ai = createMockAI();
+      const session = await Session.create({}, ai);
+
+      const stream = await session.promptStreaming('first');
+      const second = session.prompt('second');
+      await tick();
+      assert.equal(session.getQueueStats().pending, 1);
+
+      assert.equal(await readStream(stream), 'Echo: first');
+      assert.equal(await second, 'Echo: second');
+      await session.destroy();
+    });
+  });
+});
@@ -0,0 +1,247 @@
+import assert from 'node:assert';
+import test from 'node:test';
+import { SemanticCache, HashingEmbedder, Session } from '../src/index.mjs';
+import { cosineSimilarity, tokenize } from '../src/caching/semantic.mjs';
+import { createMockAI, readStream } from './mocks/ai.mjs';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('Semantic cache', async (t) => {
+  await t.test('HashingEmbedder', async (t) => {
+    await t.test('should drop case, accents, stop words and plurals', () => {
+      assert.deepEqual(tokenize('What\'s the Capital of Frånce?'), ['capital', 'france']);
+      assert.deepEqual(tokenize('Reverse lists, not arrays'), ['reverse', 'list', 'not', 'array']);
+    });
+
+    await t.test('should embed paraphrases close together and other questions apart', async () => {
+      const embedder = new HashingEmbedder();
+      const question = await embedder.embed('What\'s the capital of France?');
+
+      assert.equal(question.length, 1024);
+      assert.ok(Math.abs(Math.hypot(...question) - 1) < 1e-6);
+      assert.ok(cosineSimilarity(question, await embedder.embed('capital of France?')) > 0.99);
+      assert.ok(cosineSimilarity(question, await embedder.embed('What is the capital of Germany?')) < 0.7);
+      assert.ok(cosineSimilarity(question, await embedder.embed('Write a haiku about autumn')) < 0.2);
+    });
+
+    await t.test('should keep prompts with the same words in another order apart', async () => {
+      const embedder = new HashingEmbedder();
+      const similarity = async (a, b) => cosineSimilarity(await embedder.embed(a), await embedder.embed(b));
+      assert.ok(await similarity('Convert 100 USD to EUR', 'Convert 100 EUR to USD') < 0.85);
+      assert.ok(await similarity('Translate English to French', 'Translate French to English') < 0.85);
+      assert.ok(await similarity('sort ascending', 'sort descending') < 0.85);
+      assert.ok(await similarity('Reverse a list in Python', 'How do I reverse a list in Python?') > 0.99);
+    });
+
+    await t.test('should tolerate typos through character trigrams', async () => {
+      const embedder = new HashingEmbedder();
+      const score = cosineSimilarity(
+        await embedder.embed('summarize this article'),
+        await embedder.embed('sumarize this articel')
+      );
+      assert.ok(score > 0.2 && score < 1);
+    });
+
+    await t.test('should weight rare words above common ones once it has learned', async () => {
+      const embedder = new HashingEmbedder();
+      for (let i = 0; i < 5; i++) {
+        embedder.learn(`translate sentence number ${i}`);
+      }
+      const query = await embedder.embed('translate poem');
+      // Sharing the rare word counts for more than sharing the common one
+      assert.ok(
+        cosineSimilarity(query, await embedder.embed('poem')) >
+        cosineSimilarity(query, await embedder.embed('translate'))
+      );
+    });
+
+    await t.test('should embed text without words as zeros', async () => {
+      const vector = await new HashingEmbedder({ dimensions: 16 }).embed('?!');
+      assert.deepEqual([...vector], new Array(16).fill(0));
+      assert.equal(cosineSimilarity(vector, vector), 0);
+    });
+  });
+
+  await t.test('SemanticCache', async (t) => {
+    await t.test('should return the best match above the threshold with its score', async () => {
+      const cache = new SemanticCache();
+      await cache.set('What\'s the capital of France?', 'Paris');
+      await cache.set('What is the capital of Italy?', 'Rome');
+
+      const match = await cache.get('capital of France');
+      assert.equal(match.value, 'Paris');
+      assert.equal(match.text, 'What\'s the capital of France?');
+      assert.ok(match.score >= 0.85);
+
+      assert.equal(await cache.get('How tall is Mont Blanc?'), undefined);
+      assert.equal(await cache.get('capital of Spain'), undefined);
+
+      await cache.set('Convert 100 USD to EUR', '92 EUR');
+      await cache.set('Sort the numbers in ascending order', '1, 2, 3');
+      assert.equal(await cache.get('Convert 100 EUR to USD'), undefined);
+      assert.equal(await cache.get('Sort the numbers in descending order'), undefined);
+      assert.equal((await cache.get('convert 100 usd to eur')).value, '92 EUR');
+    });
+
+    await t.test('should honor the threshold', async () => {
+      const cache = new SemanticCache({ threshold: 0.5 });
+      await cache.set('capital of France', 'Paris');
+      assert.equal((await cache.get('capital of France today')).value, 'Paris');
+      assert.equal(await cache.get('capital of France today', { threshold: 0.95 }), undefined);
+    });
+
+    await t.test('should only match within a scope', async () => {
+      const cache = new SemanticCache();
+      await cache.set('capital of France', 'Paris', { scope: 'geography' });
+      assert.equal(await cache.get('capital of France'), undefined);
+      assert.equal(await cache.get('capital of France', { scope: 'quiz' }), undefined);
+      assert.equal((await cache.get('capital of France', { scope: 'geography' })).value, 'Paris');
+    });
+
+    await t.test('should expire entries and evict the least recently used', async () => {
+      const cache = new SemanticCache({ maxEntries: 2 });
+      await cache.set('first question', 1);
+      await cache.set('second question', 2);
+      await cache.get('first question');
+      await cache.set('third question', 3);
+
+      assert.equal(cache.getStats().size, 2);
+      assert.equal(await cache.get('second question', { threshold: 0.99 }), undefined);
+      assert.equal((await cache.get('first question')).value, 1);
+
+      await cache.set('short lived', 4, { ttl: 10 });
+      await sleep(20);
+      assert.equal(await cache.get('short lived', { threshold: 0.99 }), undefined);
+    });
+
+    await t.test('should compare stored texts with the weights learned since', async () => {
+      const cache = new SemanticCache();
+      await cache.set('translate this poem', 'Poem');
+      for (let i = 0; i < 5; i++) {
+        await cache.set(`translate sentence number ${i}`, i);
+      }
+      assert.ok((await cache.get('translate this poem')).score > 0.9999);
+    });
+
+    await t.test('should accept an embedding function or object', async () => {
+      // Embeds by length, so texts of the same length are identical
+      const byLength = async text => [text.length, 1];
+      const cache = new SemanticCache({ embedder: byLength, threshold: 0.9999 });
+      await cache.set('abc', 'three');
+      assert.equal((await cache.get('xyz')).value, 'three');
+      assert.equal(await cache.get('a much longer text'), undefined);
+
+      const learned = [];
+      const objectCache = new SemanticCache({
+        embedder: { embed: byLength, learn: text => learned.push(text) }
+      });
+      await objectCache.set('abc', 'three');
+      assert.deepEqual(learned, ['abc']);
+      assert.equal((await objectCache.get('xyz')).score, 1);
+    });
+  });
+
+  await t.test('Session', async (t) => {
+    const createSession = (semantic = true) => {
+      const ai = createMockAI();
+      return Session.create({ cache: { enabled: true, semantic } }, ai).then(session => ({ ai, session }));
+    };
+
+    await t.test('should answer paraphrased prompts from the cache', async () => {
+      const { ai, session } = await createSession();
+      const hits = [];
+      session.addEventListener('cacheHit', event => hits.push(event));
+
+      await session.warm('What\'s the capital of France?');
+      assert.equal(await session.prompt('capital of France?'), 'Echo: What\'s the capital of France?');
+      assert.equal(await session.prompt('What is the capital of Germany?'), 'Echo: What is the capital of Germany?');
+      assert.equal(ai.created[0].prompts.length, 1);
+
+      assert.equal(hits.length, 1);
+      assert.equal(hits[0].match, 'What\'s the capital of France?');
+      assert.ok(hits[0].score >= 0.85);
+
+      const analytics = session.getAnalytics();
+      assert.equal(analytics.semantic_hit.count, 1);
+      assert.equal(analytics.semantic_miss.count, 1);
+      assert.equal(analytics.semantic_score.count, 1);
+
+      const stats = session.getCacheStats().semantic;
+      assert.equal(stats.size, 2);
+      assert.equal(stats.threshold, 0.85);
+      assert.equal(stats.hits.count, 1);
+      await session.destroy();
+    });
+
+    await t.test('should only match prompts continuing the same conversation', async () => {
+      const { ai, session } = await createSession();
+      await session.prompt('What\'s the capital of France?');
+      // The answer to the same question could differ now that the conversation has started
+      assert.equal(await session.prompt('capital of France?'), 'Echo: capital of France?');
+      assert.equal(ai.created[0].prompts.length, 2);
+      assert.equal(session.getAnalytics().semantic_hit, undefined);
+      await session.destroy();
+    });
+
+    await t.test('should stream paraphrased prompts from the cache', async () => {
+      const { ai, session } = await createSession({ threshold: 0.9 });
+      await session.warm('Reverse a list in Python');
+      const stream = await session.promptStreaming('How do I reverse a list in Python?');
+      assert.equal(await readStream(stream), 'Echo: Reverse a list in Python');
+      assert.equal(ai.created[0].prompts.length, 0);
+      await session.destroy();
+    });
+
+    await t.test('should scope matches by template and options', async () => {
+      // Only a session's first prompt continues the conversation the warmed prompts start
+      const hits = async (input, options) => {
+        const { session } = await createSession();
+        session.registerTemplate('quiz', 'Question: {question}');
+        session.registerTemplate('trivia', 'Question: {question}');
+        await session.warm(['quiz', { question: 'capital of France' }]);
+        await session.warm('capital of France', { temperature: 0.5 });
+        await session.prompt(input, options);
+        const hit = session.getAnalytics().semantic_hit !== undefined;
+        await session.destroy();
+        return hit;
+      };
+
+      assert.equal(await hits(['quiz', { question: 'the capital of France' }]), true);
+      assert.equal(await hits(['trivia', { question: 'capital of France?' }]), false);
+      assert.equal(await hits('The capital of France', { temperature: 0.5 }), true);
+      assert.equal(await hits('The capital of France'), false);
+    });
+
+    await t.test('should skip the semantic cache when caching is off for a prompt', async () => {
+      const { ai, session } = await createSession();
+      await session.warm('capital of France');
+      await session.prompt('The capital of France?', { cache: false });
+      assert.equal(ai.created[0].prompts.length, 1);
+      assert.equal(session.getAnalytics().semantic_hit, undefined);
+      await session.destroy();
+    });
+
+    await t.test('should use a custom embedder', async () => {
+      const embedded = [];
+      const { ai, session } = await createSession({
+        embedder: async text => {
+          embedded.push(text);
+          return [1, 0];
+        }
+      });
+      await session.warm('anything');
+      assert.equal(await session.prompt('something else entirely'), 'Echo: anything');
+      assert.deepEqual(embedded, ['anything', 'something else entirely']);
+      assert.equal(ai.created[0].prompts.length, 0);
+      await session.destroy();
+    });
+
+    await t.test('should not create a semantic cache unless asked', async () => {
+      const { session } = await createSession(false);
+      await session.prompt('capital of France');
+      await session.prompt('The capital of France?');
+      assert.equal(session.getCacheStats().semantic, undefined);
+      await session.destroy();
+    });
+  });
+});
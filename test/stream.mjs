@@ -0,0 +1,121 @@
+import assert from 'node:assert';
+import test from 'node:test';
+import { Session, ResponseStream } from '../src/index.mjs';
+import { createDeltaNormalizer } from '../src/core/stream.mjs';
+import { createMockAI, readStream } from './mocks/ai.mjs';
+
+// Create a stream from a list of chunks
+function streamOf(chunks) {
+  return new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) {
+        controller.enqueue(chunk);
+      }
+      controller.close();
+    }
+  });
+}
+
+// Collect the chunks of a stream
+async function chunksOf(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+test('Streaming', async (t) => {
+  // Normalization tests
+  await t.test('delta normalization', async (t) => {
+    await t.test('should convert cumulative chunks into deltas', async () => {
+      const stream = new ResponseStream(streamOf(['Hel', 'Hello', 'Hello, wor', 'Hello, world']).pipeThrough(createDeltaNormalizer()));
+      assert.deepEqual(await chunksOf(stream), ['Hel', 'lo', ', wor', 'ld']);
+    });
+
+    await t.test('should pass deltas through unchanged', async () => {
+      const stream = new ResponseStream(streamOf(['Hel', 'lo', ', world']).pipeThrough(createDeltaNormalizer()));
+      assert.deepEqual(await chunksOf(stream), ['Hel', 'lo', ', world']);
+    });
+
+    await t.test('should keep repeated deltas', async () => {
+      const repeated = new ResponseStream(streamOf(['Ha', 'Ha', 'Ha!']).pipeThrough(createDeltaNormalizer()));
+      assert.deepEqual(await chunksOf(repeated), ['Ha', 'Ha', 'Ha!']);
+
+      // A delta that happens to start with the first one is only cumulative if the next one agrees
+      const growing = new ResponseStream(streamOf(['Ha', 'Haha', '!']).pipeThrough(createDeltaNormalizer()));
+      assert.deepEqual(await chunksOf(growing), ['Ha', 'Haha', '!']);
+    });
+
+    await t.test('should treat two growing chunks as cumulative', async () => {
+      const stream = new ResponseStream(streamOf(['Hel', 'Hello']).pipeThrough(createDeltaNormalizer()));
+      assert.deepEqual(await chunksOf(stream), ['Hel', 'lo']);
+    });
+
+    await t.test('should normalize cumulative output from the session before caching', async () => {
+      const ai = createMockAI();
+      const session = await Session.create({ cache: { enabled: true } }, ai);
+      ai.created[0].promptStreaming = async () => streamOf(['One', 'One two', 'One two three']);
+
+      assert.equal(await (await session.promptStreaming('Count')).text(), 'One two three');
+      assert.equal(await session.prompt('Count'), 'One two three');
+      assert.equal(session.history[1].content, 'One two three');
+      await session.destroy();
+    });
+  });
+
+  // ResponseStream tests
+  await t.test('ResponseStream', async (t) => {
+    await t.test('should be readable as a stream and as text', async () => {
+      const stream = new ResponseStream(streamOf(['a', 'b']));
+      assert.ok(stream instanceof ReadableStream);
+      assert.equal(await stream.text(), 'ab');
+      assert.equal(await readStream(new ResponseStream(streamOf(['c', 'd']))), 'cd');
+    });
+
+    await t.test('should tee into two response streams', async () => {
+      const [left, right] = new ResponseStream(streamOf(['x', 'y'])).tee();
+      assert.ok(left instanceof ResponseStream);
+      assert.deepEqual(await Promise.all([left.text(), right.text()]), ['xy', 'xy']);
+    });
+
+    await t.test('should cancel the source when iteration stops early', async () => {
+      let cancelled = false;
+      const source = new ReadableStream({
+        pull(controller) {
+          controller.enqueue('chunk');
+        },
+        cancel() {
+          cancelled = true;
+        }
+      });
+
+      for await (const chunk of new ResponseStream(source)) {
+        assert.equal(chunk, 'chunk');
+        break;
+      }
+      assert.ok(cancelled);
+    });
+
+    await t.test('should report first-token latency and throughput', async () => {
+      const ai = createMockAI({ chunkDelay: 5 });
+      const session = await Session.create({}, ai);
+      const stream = await session.promptStreaming('Tell me something');
+      const events = [];
+      stream.addEventListener('firsttoken', e => events.push(e));
+      stream.addEventListener('end', e => events.push(e));
+
+      await stream.text();
+      assert.deepEqual(events.map(e => e.type), ['firsttoken', 'end']);
+      assert.equal(typeof events[0].latency, 'number');
+      assert.ok(events[1].tokens > 0);
+      assert.ok(events[1].tokensPerSecond > 0);
+      assert.equal(stream.stats.tokens, events[1].tokens);
+
+      const analytics = session.getAnalytics();
+      assert.equal(analytics.first_token_latency.count, 1);
+      assert.equal(analytics.tokens_per_second.count, 1);
+      await session.destroy();
+    });
+  });
+});
@@ -0,0 +1,132 @@
+import assert from 'node:assert';
+import test from 'node:test';
+import { Session, StructuredOutputError, TemplateValidator, createAICaptain } from '../src/index.mjs';
+import { extractJSON, validateStructure } from '../src/core/structured.mjs';
+import { createMockAI } from './mocks/ai.mjs';
+
+test('Structured output', async (t) => {
+  let session;
+
+  t.afterEach(async () => {
+    if (session) {
+      await session.destroy();
+      session = null;
+    }
+  });
+
+  // Parsing tests
+  await t.test('JSON extraction', async (t) => {
+    await t.test('should parse plain, fenced and embedded JSON', () => {
+      assert.deepEqual(extractJSON('{"a": 1}'), { a: 1 });
+      assert.deepEqual(extractJSON('Here you go:\n```json\n{"a": [1, 2]}\n```'), { a: [1, 2] });
+      assert.deepEqual(extractJSON('Sure! {"text": "a } inside"} Hope that helps.'), { text: 'a } inside' });
+    });
+
+    await t.test('should reject responses without JSON', () => {
+      assert.throws(() => extractJSON('I cannot do that.'), /does not contain valid JSON/);
+    });
+  });
+
+  // Validation tests
+  await t.test('schema validation', async (t) => {
+    const validator = new TemplateValidator();
+
+    await t.test('should report every failure with its path', () => {
+      const errors = validateStructure({ name: 5, tags: ['ok', 3] }, {
+        name: { string: true },
+        age: { number: true },
+        nickname: { string: true, optional: true },
+        tags: { array: true, items: { string: true } }
+      }, validator);
+
+      assert.deepEqual(errors, [
+        '$.name: Must be a string',
+        '$.age: Is required',
+        '$.tags[1]: Must be a string'
+      ]);
+    });
+
+    await t.test('should validate nested objects', () => {
+      const errors = validateStructure({ address: { city: '' } }, {
+        address: { object: true, properties: { city: { minLength: 1 } } }
+      }, validator);
+      assert.deepEqual(errors, ['$.address.city: Must be at least 1 characters long']);
+    });
+  });
+
+  // Session tests
+  await t.test('session', async (t) => {
+    const schema = {
+      city: { string: true },
+      population: { number: true, min: 0 }
+    };
+
+    await t.test('should return the validated object', async () => {
+      const ai = createMockAI({ respond: () => '```json\n{"city": "Paris", "population": 2100000}\n```' });
+      session = await Session.create({}, ai);
+
+      const result = await session.promptStructured('Largest city in France?', schema);
+      assert.deepEqual(result, { city: 'Paris', population: 2100000 });
+      assert.match(ai.created[0].prompts[0], /^Largest city in France\?\n\nRespond only with JSON/);
+    });
+
+    await t.test('should feed validation errors back to the model', async () => {
+      const responses = ['{"city": "Paris", "population": "many"}', '{"city": "Paris", "population": 2}'];
+      const ai = createMockAI({ respond: () => responses.shift() });
+      session = await Session.create({}, ai);
+
+      const result = await session.promptStructured('Largest city in France?', schema);
+      assert.deepEqual(result, { city: 'Paris', population: 2 });
+      assert.match(ai.created[0].prompts[1], /- \$\.population: Must be a number/);
+    });
+
+    await t.test('should only cache responses that pass validation', async () => {
+      const responses = ['{"city": "Paris", "population": "many"}', '{"city": "Paris", "population": 2}'];
+      const ai = createMockAI({ respond: () => responses.shift() ?? '{"city": "Lyon", "population": 1}' });
+      session = await Session.create({ cache: { enabled: true } }, ai);
+
+      assert.deepEqual(await session.promptStructured('Largest city in France?', schema), { city: 'Paris', population: 2 });
+      assert.equal(session.getCacheStats().size, 0);
+
+      // A fresh conversation asks the model again rather than replaying the invalid response
+      const fresh = await Session.create({ cache: { enabled: true, store: session.cache.store } }, ai);
+      try {
+        assert.deepEqual(await fresh.promptStructured('Largest city in France?', schema), { city: 'Lyon', population: 1 });
+        assert.equal(fresh.getCacheStats().size, 1);
+        assert.deepEqual(await fresh.promptStructured('Largest city in France?', schema), { city: 'Lyon', population: 1 });
+        assert.equal(ai.created[1].prompts.length, 1);
+      } finally {
+        await fresh.destroy();
+      }
+    });
+
+    await t.test('should throw a detailed error when retries run out', async () => {
+      const ai = createMockAI({ respond: () => '{"population": -1}' });
+      session = await Session.create({}, ai);
+
+      await assert.rejects(
+        session.promptStructured('Largest city in France?', schema, { maxRetries: 1 }),
+        (error) => {
+          assert.ok(error instanceof StructuredOutputError);
+          assert.deepEqual(error.errors, ['$.city: Is required', '$.population: Must be at least 0']);
+          assert.equal(error.attempts, 2);
+          assert.equal(error.response, '{"population": -1}');
+          return true;
+        }
+      );
+      assert.equal(ai.created[0].prompts.length, 2);
+    });
+
+    await t.test('should keep its templates when created through createAICaptain', async () => {
+      const ai = createMockAI({ respond: () => '{"city": "Paris", "population": 2100000}' });
+      const captain = await createAICaptain({}, ai);
+      try {
+        assert.strictEqual(captain.session.templates, captain.templates);
+        const result = await captain.session.promptStructured('Largest city in France?', schema);
+        assert.deepEqual(result, { city: 'Paris', population: 2100000 });
+      } finally {
+        await captain.destroy();
+      }
+    });
+  });
+});
@@ -0,0 +1,310 @@
+import assert from 'node:assert';
+import test from 'node:test';
+import {
+  Session,
+  Summarizer,
+  Writer,
+  Rewriter,
+  Translator,
+  CompositionChains,
+  isAbortError
+} from '../src/index.mjs';
+import { FakeProvider } from '../src/testing/index.mjs';
+import { createMockAI, readStream } from './mocks/ai.mjs';
+
+// Answer a capabilities method from a list of supported values
+const answers = (supported) => (value) => (supported.includes(value) ? 'readily' : 'no');
+
+// Mock a built-in task API whose instances answer with `respond(text, options, createOptions)`
+function mockTaskAPI(method, capabilities, respond) {
+  const api = {
+    created: [],
+    calls: [],
+    fail: false,
+    async capabilities() {
+      return { available: 'readily', ...capabilities };
+    },
+    async create(options = {}) {
+      const createOptions = { ...options };
+      delete createOptions.signal;
+      delete createOptions.monitor;
+      const instance = {
+        options: createOptions,
+        destroyed: false,
+        async [method](text, callOptions = {}) {
+          api.calls.push({ text, options: { ...callOptions } });
+          if (api.fail) {
+            throw new Error('Built-in API failed');
+          }
+          if (api.delay) {
+            await new Promise((resolve, reject) => {
+              const timer = setTimeout(resolve, api.delay);
+              callOptions.signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(callOptions.signal.reason);
+              }, { once: true });
+            });
+          }
+          return respond(text, callOptions, createOptions);
+        },
+        [`${method}Streaming`](text, callOptions = {}) {
+          api.calls.push({ text, options: { ...callOptions }, stream: true });
+          if (api.fail) {
+            throw new Error('Built-in API failed');
+          }
+          // Chrome streams the result so far, not deltas
+          const result = respond(text, callOptions, createOptions);
+          const chunks = [];
+          for (let i = 4; i < result.length + 4; i += 4) {
+            chunks.push(result.slice(0, i));
+          }
+          return new ReadableStream({
+            pull(controller) {
+              if (chunks.length === 0) {
+                controller.close();
+              } else {
+                controller.enqueue(chunks.shift());
+              }
+            }
+          });
+        },
+        destroy() {
+          this.destroyed = true;
+        }
+      };
+      api.created.push(instance);
+      return instance;
+    }
+  };
+  return api;
+}
+
+// Mock window.ai with a language model and the built-in task APIs
+function createTaskAI() {
+  const ai = createMockAI();
+  ai.summarizer = mockTaskAPI('summarize', {
+    supportsType: answers(['tl;dr', 'key-points']),
+    supportsLength: answers(['short', 'medium'])
+  }, (text, options, { type }) => `Summary (${type}) of ${text}`);
+  ai.writer = mockTaskAPI('write', {}, (text, options, { tone }) => `Written (${tone}): ${text}`);
+  ai.rewriter = mockTaskAPI('rewrite', {}, text => `Rewritten: ${text}`);
+  ai.translator = mockTaskAPI('translate', {
+    languagePairAvailable: (source, target) => (source === 'en' && target === 'es' ? 'readily' : 'no')
+  }, text => `ES: ${text}`);
+  return ai;
+}
+
+// Answer every prompt with the prompt itself
+const echo = () => new FakeProvider({ defaultResponse: input => input });
+
+test('Task APIs', async (t) => {
+  await t.test('built-in APIs', async (t) => {
+    await t.test('should use the built-in API when it supports the options', async () => {
+      const ai = createTaskAI();
+      const summarizer = await Summarizer.create({ type: 'tl;dr', length: 'short', sharedContext: 'News' }, ai);
+
+      assert.equal(summarizer.mode, 'native');
+      assert.equal(await summarizer.summarize('the article', { context: 'Front page' }), 'Summary (tl;dr) of the article');
+      assert.deepEqual(ai.summarizer.created[0].options, { type: 'tl;dr', length: 'short', sharedContext: 'News' });
+      assert.equal(ai.summarizer.calls[0].options.context, 'Front page');
+      assert.ok(ai.summarizer.calls[0].options.signal instanceof AbortSignal);
+      assert.equal(ai.created.length, 0);
+
+      await summarizer.destroy();
+      assert.ok(ai.summarizer.created[0].destroyed);
+    });
+
+    await t.test('should stream deltas from cumulative chunks', async () => {
+      const ai = createTaskAI();
+      const writer = await Writer.create({ tone: 'casual' }, ai);
+
+      const chunks = [];
+      for await (const chunk of await writer.writeStreaming('a note')) {
+        chunks.push(chunk);
+      }
+      assert.equal(chunks.join(''), 'Written (casual): a note');
+      assert.equal(chunks[0], 'Writ');
+      assert.equal(writer.getAnalytics().task_latency.count, 1);
+      await writer.destroy();
+    });
+
+    await t.test('should key results by options, context and namespace', async () => {
+      const ai = createTaskAI();
+      const docs = await Rewriter.create({ cache: { enabled: true, namespace: 'docs' } }, ai);
+      const formal = await Rewriter.create({ tone: 'more-formal' }, ai);
+
+      const key = await docs.keyFor('Hello');
+      assert.match(key, /^docs:rewriter_[0-9a-f]{64}$/);
+      assert.equal(await docs.keyFor('Hello'), key);
+      assert.notEqual(await docs.keyFor('Hello', { context: 'An email' }), key);
+      assert.match(await formal.keyFor('Hello'), /^default:rewriter_/);
+      assert.notEqual((await formal.keyFor('Hello')).split(':')[1], key.split(':')[1]);
+
+      await docs.rewrite('Hello');
+      assert.equal(docs.getCacheStats().size, 1);
+      await docs.destroy();
+      await formal.destroy();
+    });
+
+    await t.test('should cache results', async () => {
+      const ai = createTaskAI();
+      const rewriter = await Rewriter.create({ cache: { enabled: true } }, ai);
+
+      assert.equal(await rewriter.rewrite('Hello'), 'Rewritten: Hello');
+      assert.equal(await rewriter.rewrite('Hello'), 'Rewritten: Hello');
+      assert.equal(await readStream(await rewriter.rewriteStreaming('Hello')), 'Rewritten: Hello');
+      assert.equal(await rewriter.rewrite('Hello', { context: 'Other' }), 'Rewritten: Hello');
+      assert.equal(ai.rewriter.calls.length, 2);
+      assert.equal(rewriter.getCacheStats().analytics.hits.count, 2);
+      await rewriter.destroy();
+    });
+
+    await t.test('should honor cancellation', async () => {
+      const ai = createTaskAI();
+      ai.summarizer.delay = 1000;
+      const summarizer = await Summarizer.create({}, ai);
+
+      const controller = new AbortController();
+      const pending = summarizer.summarize('text', { signal: controller.signal });
+      controller.abort();
+      await assert.rejects(pending, isAbortError);
+      assert.equal(ai.created.length, 0);
+      await summarizer.destroy();
+    });
+
+    await t.test('should report download progress', async () => {
+      const ai = createTaskAI();
+      const states = [];
+      const summarizer = await Summarizer.create({
+        monitor: monitor => monitor.addEventListener('statechange', ({ state }) => states.push(state))
+      }, ai);
+      assert.deepEqual(states, []);
+      await summarizer.destroy();
+
+      ai.summarizer.capabilities = async () => ({ available: 'after-download' });
+      const downloaded = await Summarizer.create({
+        monitor: monitor => monitor.addEventListener('statechange', ({ state }) => states.push(state))
+      }, ai);
+      assert.deepEqual(states, ['ready']);
+      await downloaded.destroy();
+    });
+
+    await t.test('should not call the built-in API to check its health', async () => {
+      const ai = createTaskAI();
+      const summarizer = await Summarizer.create({ fallback: { healthCheckInterval: 10 } }, ai);
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      assert.deepEqual(ai.summarizer.calls, []);
+      await summarizer.destroy();
+    });
+  });
+
+  await t.test('prompt fallback', async (t) => {
+    await t.test('should prompt the language model when the built-in API is missing', async () => {
+      const ai = echo();
+      const summarizer = await Summarizer.create({ type: 'headline', format: 'plain-text' }, ai);
+
+      assert.equal(summarizer.mode, 'prompt');
+      const summary = await summarizer.summarize('the article', { context: 'Front page' });
+      assert.equal(summary, 'Summarize the following text as a single headline. Length: short. ' +
+        'Format: plain text. Reply with only the summary.\n\nContext: Front page\n\nthe article');
+      assert.equal(summarizer.getAnalytics().task_prompted.count, 1);
+      await summarizer.destroy();
+    });
+
+    await t.test('should prompt when the built-in API does not support the options', async () => {
+      const ai = createTaskAI();
+      const summarizer = await Summarizer.create({ type: 'headline' }, ai);
+
+      assert.equal(summarizer.mode, 'prompt');
+      const summary = await summarizer.summarize('the article');
+      assert.match(summary, /^Echo: Summarize the following text as a single headline/);
+      assert.equal(ai.summarizer.created.length, 0);
+      await summarizer.destroy();
+    });
+
+    await t.test('should degrade to the language model when the built-in API fails', async () => {
+      const ai = createTaskAI();
+      ai.rewriter.fail = true;
+      const rewriter = await Rewriter.create({ tone: 'more-formal', length: 'shorter' }, ai);
+
+      assert.equal(rewriter.mode, 'native');
+      const text = await rewriter.rewrite('hey there');
+      assert.match(text, /^Echo: Rewrite the following text\. Tone: more formal\. Length: shorter\. Format: keep the original format\./);
+      assert.match(await readStream(await rewriter.rewriteStreaming('hey there')), /^Echo: Rewrite/);
+
+      const analytics = rewriter.getAnalytics();
+      assert.equal(analytics.fallback_degrade.count, 2);
+      assert.equal(analytics.task_prompted.count, 2);
+      await rewriter.destroy();
+    });
+
+    await t.test('should run each prompt in a fresh copy of the session', async () => {
+      const ai = echo();
+      const session = await Session.create({}, ai);
+      const writer = await Writer.create({ session, tone: 'formal', length: 'long' }, ai);
+
+      assert.match(await writer.write('a letter'), /Tone: formal\. Length: long\. Format: Markdown\./);
+      assert.match(await readStream(await writer.writeStreaming('a poem')), /\n\na poem$/);
+      assert.equal(session.history.length, 0);
+      assert.ok(ai.sessions.slice(1).every(s => s.destroyed));
+
+      // The session is not the writer's to destroy
+      await writer.destroy();
+      assert.equal(ai.sessions[0].destroyed, false);
+      await session.destroy();
+    });
+
+    await t.test('should use templates registered on the session', async () => {
+      const ai = echo();
+      const session = await Session.create({}, ai);
+      session.registerTemplate('task_translate', '{sourceLanguage} -> {targetLanguage}: {input}');
+      const translator = await Translator.create({ sourceLanguage: 'en', targetLanguage: 'ja', session }, ai);
+
+      assert.equal(await translator.translate('Hello'), 'English -> Japanese: Hello');
+      await translator.destroy();
+      await session.destroy();
+    });
+
+    await t.test('should fail when nothing can perform the task', async () => {
+      await assert.rejects(Summarizer.create({ mode: 'native' }, echo()), /The summarizer API is not available/);
+      await assert.rejects(Summarizer.create({}, {}), /window.ai API not available/);
+    });
+  });
+
+  await t.test('Translator', async (t) => {
+    await t.test('should require both languages', async () => {
+      await assert.rejects(Translator.create({ targetLanguage: 'es' }, createTaskAI()), /requires sourceLanguage and targetLanguage/);
+    });
+
+    await t.test('should use the built-in API for supported pairs only', async () => {
+      const ai = createTaskAI();
+      const spanish = await Translator.create({ sourceLanguage: 'en', targetLanguage: 'es' }, ai);
+      const french = await Translator.create({ sourceLanguage: 'en', targetLanguage: 'fr' }, ai);
+
+      assert.equal(spanish.mode, 'native');
+      assert.equal(await spanish.translate('Hello', { context: 'ignored' }), 'ES: Hello');
+      assert.equal(ai.translator.calls[0].options.context, undefined);
+
+      assert.equal(french.mode, 'prompt');
+      assert.match(await french.translate('Hello'), /^Echo: Translate the following text from English to French\./);
+      await spanish.destroy();
+      await french.destroy();
+    });
+
+    await t.test('should back the translate step of chains', async () => {
+      const ai = createTaskAI();
+      const session = await Session.create({}, ai);
+      const chain = new CompositionChains(session).create({ ai })
+        .addStep('translate', { from: 'en', to: 'es' })
+        .addStep('translate', { from: 'es', to: 'en' });
+
+      assert.match(await chain.execute('Hello'), /^Echo: Translate the following text from Spanish to English\.[\s\S]*ES: Hello$/);
+      await chain.execute('Bye');
+      assert.equal(ai.translator.created.length, 1);
+      await chain.destroy();
+      assert.ok(ai.translator.created[0].destroyed);
+      await session.destroy();
+    });
+  });
+});
@@ -0,0 +1,191 @@
+import assert from 'node:assert';
+import test from 'node:test';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Session, Capabilities, CompositionBuilder, CompositionChains, isAbortError } from '../src/index.mjs';
+import {
+  FakeProvider,
+  Cassette,
+  RecordingProvider,
+  ReplayProvider,
+  saveCassette,
+  loadCassette
+} from '../src/testing/index.mjs';
+import { readStream } from './mocks/ai.mjs';
+
+// Sessions created without fallbacks so errors surface immediately
+const noFallback = { fallback: { fallbackStrategies: ['alternate'] } };
+
+test('Testing utilities', async (t) => {
+  // FakeProvider tests
+  await t.test('FakeProvider', async (t) => {
+    await t.test('should answer from the script in order', async () => {
+      const ai = new FakeProvider({ script: ['First', 'Second'], defaultResponse: 'Default' });
+      const session = await Session.create({}, ai);
+
+      assert.equal(await session.prompt('a'), 'First');
+      assert.equal(await session.prompt('b'), 'Second');
+      assert.equal(await session.prompt('c'), 'Default');
+      assert.deepEqual(ai.calls.map(c => c.input), ['a', 'b', 'c']);
+      await session.destroy();
+    });
+
+    await t.test('should match inputs with rules', async () => {
+      const ai = new FakeProvider()
+        .when(/weather in (\w+)/i, (input, { match }) => `Sunny in ${match[1]}`)
+        .when('hello', 'Hi there');
+      const session = await Session.create(noFallback, ai);
+
+      assert.equal(await session.prompt('What is the weather in Paris?'), 'Sunny in Paris');
+      assert.equal(await session.prompt('Say hello'), 'Hi there');
+      await assert.rejects(session.prompt('Unknown'), /no response for: Unknown/);
+      await session.destroy();
+    });
+
+    await t.test('should throw scripted errors', async () => {
+      const ai = new FakeProvider({ script: [new Error('Model crashed'), { error: 'Overloaded' }] });
+      const session = await Session.create(noFallback, ai);
+
+      await assert.rejects(session.prompt('a'), /Model crashed/);
+      await assert.rejects(session.prompt('b'), /Overloaded/);
+      assert.equal(ai.calls[1].error, 'Overloaded');
+      await session.destroy();
+    });
+
+    await t.test('should simulate latency and honor cancellation', async () => {
+      const ai = new FakeProvider({ defaultResponse: 'Done', latency: 30 });
+      const session = await Session.create({}, ai);
+
+      const start = Date.now();
+      assert.equal(await session.prompt('a'), 'Done');
+      assert.ok(Date.now() - start >= 25);
+
+      const controller = new AbortController();
+      const pending = session.prompt('b', { signal: controller.signal });
+      controller.abort();
+      await assert.rejects(pending, isAbortError);
+      await session.destroy();
+    });
+
+    await t.test('should stream responses in chunks', async () => {
+      const ai = new FakeProvider({ script: ['Hello world', { chunks: ['Hel', 'lo'] }], chunkSize: 5 });
+      const session = await Session.create({}, ai);
+
+      const chunks = [];
+      for await (const chunk of await session.promptStreaming('a')) {
+        chunks.push(chunk);
+      }
+      assert.deepEqual(chunks, ['Hello', ' worl', 'd']);
+      assert.equal(await readStream(await session.promptStreaming('b')), 'Hello');
+      assert.equal(session.history.length, 4);
+      await session.destroy();
+    });
+
+    await t.test('should report configurable capabilities', async () => {
+      const capabilities = await Capabilities.get(new FakeProvider({ capabilities: { available: 'after-download' } }));
+      assert.ok(capabilities.needsDownload());
+    });
+
+    await t.test('should drive CompositionBuilder and Chain', async () => {
+      const ai = new FakeProvider()
+        .when(/from English to Spanish\.[\s\S]*\n\n(.+)$/, (input, { match }) => `ES(${match[1]})`)
+        .when(/^Summarize: /, input => input.slice(11).toUpperCase());
+      const session = await Session.create({}, ai);
+
+      const composed = new CompositionBuilder(session)
+        .pipe(input => session.prompt(`Summarize: ${input}`))
+        .build();
+      assert.equal(await composed('short story'), 'SHORT STORY');
+
+      const chain = new CompositionChains(session).create()
+        .addStep('translate', { from: 'English', to: 'Spanish' });
+      assert.equal(await chain.execute('Hello'), 'ES(Hello)');
+      await chain.destroy();
+      await session.destroy();
+    });
+  });
+
+  // Record and replay tests
+  await t.test('record and replay', async (t) => {
+    const record = async () => {
+      const real = new FakeProvider()
+        .when('fail', new Error('Recorded failure'))
+        .when(/.*/, input => `Answer to ${input}`);
+      const recorder = new RecordingProvider(real);
+      await Capabilities.get(recorder);
+
+      const session = await Session.create({ systemPrompt: 'Be brief.', temperature: 0.5, ...noFallback }, recorder);
+      await session.prompt('Question');
+      await readStream(await session.promptStreaming('Story'));
+      await session.prompt('Question');
+      await assert.rejects(session.prompt('fail'));
+      await session.destroy();
+      return recorder.cassette;
+    };
+
+    await t.test('should record prompts, streams and errors', async () => {
+      const cassette = await record();
+
+      assert.equal(cassette.length, 4);
+      assert.deepEqual(cassette.entries[0], {
+        input: 'Question',
+        system: 'Be brief.',
+        temperature: 0.5,
+        response: 'Answer to Question'
+      });
+      assert.ok(cassette.entries[1].stream);
+      assert.equal(cassette.entries[1].chunks.join(''), 'Answer to Story');
+      assert.equal(cassette.entries[3].error, 'Recorded failure');
+      assert.equal(cassette.capabilities.available, 'readily');
+    });
+
+    await t.test('should replay from JSON and NDJSON', async () => {
+      const cassette = await record();
+
+      for (const text of [JSON.stringify(cassette), cassette.toNDJSON()]) {
+        const ai = new ReplayProvider(text);
+        const session = await Session.create({ systemPrompt: 'Be brief.', temperature: 0.5, ...noFallback }, ai);
+
+        assert.equal(await session.prompt('Question'), 'Answer to Question');
+        const chunks = [];
+        for await (const chunk of await session.promptStreaming('Story')) {
+          chunks.push(chunk);
+        }
+        assert.deepEqual(chunks, cassette.entries[1].chunks);
+        assert.equal(await session.prompt('Question'), 'Answer to Question');
+        await assert.rejects(session.prompt('fail'), /Recorded failure/);
+        assert.equal(ai.remaining, 0);
+        await session.destroy();
+      }
+    });
+
+    await t.test('should reject prompts that were not recorded', async () => {
+      const ai = new ReplayProvider(await record());
+
+      const other = await Session.create({ systemPrompt: 'Be verbose.', temperature: 0.5, ...noFallback }, ai);
+      await assert.rejects(other.prompt('Question'), /No recorded response for prompt/);
+      await other.destroy();
+    });
+
+    await t.test('should save and load cassettes', async (t) => {
+      const dir = await mkdtemp(join(tmpdir(), 'ai-captain-'));
+      t.after(() => rm(dir, { recursive: true, force: true }));
+      const cassette = await record();
+
+      for (const file of ['cassette.json', 'cassette.ndjson']) {
+        const path = join(dir, file);
+        await saveCassette(path, cassette);
+        const loaded = await loadCassette(path);
+        assert.ok(loaded instanceof Cassette);
+        assert.deepEqual(loaded.entries, cassette.entries);
+        assert.deepEqual(loaded.capabilities, cassette.capabilities);
+      }
+    });
+
+    await t.test('should reject invalid cassettes', () => {
+      assert.throws(() => Cassette.from({}), /entries must be an array/);
+      assert.throws(() => Cassette.from({ version: 99, entries: [] }), /Unsupported cassette version/);
+    });
+  });
+});
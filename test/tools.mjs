@@ -0,0 +1,124 @@
+import assert from 'node:assert';
+import test from 'node:test';
+import { Session, createAICaptain } from '../src/index.mjs';
+import { ToolRegistry } from '../src/core/tools.mjs';
+import { createMockAI } from './mocks/ai.mjs';
+
+// Build a tool-call block
+function toolCall(name, args) {
+  return '```tool\n' + JSON.stringify({ name, arguments: args }) + '\n```';
+}
+
+test('Tool calling', async (t) => {
+  let session;
+
+  t.afterEach(async () => {
+    if (session) {
+      await session.destroy();
+      session = null;
+    }
+  });
+
+  // Registry tests
+  await t.test('registry', async (t) => {
+    await t.test('should parse tool-call blocks', () => {
+      const registry = new ToolRegistry();
+      const calls = registry.parseCalls(`Let me check.\n${toolCall('weather', { city: 'Oslo' })}\n\`\`\`tool\nnot json\n\`\`\``);
+      assert.deepEqual(calls[0], { name: 'weather', arguments: { city: 'Oslo' } });
+      assert.equal(calls[1].error, 'Tool call is not valid JSON');
+      assert.deepEqual(registry.parseCalls('The answer is 4.'), []);
+    });
+
+    await t.test('should mark bodies that are not objects as invalid calls', () => {
+      const registry = new ToolRegistry();
+      const blocks = ['null', '42', '"add"', '[1, 2]'].map(body => '```tool\n' + body + '\n```');
+      const calls = registry.parseCalls(blocks.join('\n'));
+      assert.equal(calls.length, 4);
+      calls.forEach(call => assert.deepEqual(call, { name: undefined, arguments: {}, error: 'Tool call is not a JSON object' }));
+    });
+
+    await t.test('should reject invalid registrations', () => {
+      const registry = new ToolRegistry();
+      assert.throws(() => registry.register('bad name', '', {}, () => {}), /Invalid tool name/);
+      assert.throws(() => registry.register('ok', '', {}), /requires a handler function/);
+    });
+  });
+
+  // Session tests
+  await t.test('session', async (t) => {
+    await t.test('should run tools until the model answers', async () => {
+      const responses = [toolCall('add', { a: 2, b: 3 }), 'The sum is 5.'];
+      const ai = createMockAI({ respond: () => responses.shift() });
+      session = await Session.create({}, ai);
+      session.registerTool('add', 'Add two numbers', {
+        a: { number: true },
+        b: { number: true }
+      }, async ({ a, b }) => a + b);
+
+      const answer = await session.runWithTools('What is 2 + 3?');
+      assert.equal(answer, 'The sum is 5.');
+
+      const [first, second] = ai.created[0].prompts;
+      assert.match(first, /- add: Add two numbers/);
+      assert.match(first, /What is 2 \+ 3\?$/);
+      assert.equal(second, 'Tool results:\nadd: 5');
+
+      const history = session.history;
+      assert.deepEqual(history[1].toolCalls, [{ name: 'add', arguments: { a: 2, b: 3 } }]);
+      assert.deepEqual(history[2].toolResults, [{ name: 'add', result: 5 }]);
+      assert.equal(session.getAnalytics().tool_call.count, 1);
+    });
+
+    await t.test('should report invalid arguments and handler errors to the model', async () => {
+      const responses = [
+        toolCall('add', { a: 'two', b: 3 }) + toolCall('fail', {}) + toolCall('missing', {}),
+        'Done.'
+      ];
+      const ai = createMockAI({ respond: () => responses.shift() });
+      session = await Session.create({}, ai);
+      session.registerTool('add', 'Add two numbers', { a: { number: true }, b: { number: true } }, ({ a, b }) => a + b);
+      session.registerTool('fail', 'Always fails', {}, () => {
+        throw new Error('Service down');
+      });
+
+      await session.runWithTools('Go');
+      assert.equal(ai.created[0].prompts[1], [
+        'Tool results:',
+        'add: Error: Invalid arguments: $.a: Must be a number',
+        'fail: Error: Service down',
+        'missing: Error: Unknown tool: missing'
+      ].join('\n'));
+      assert.equal(session.getAnalytics().tool_error.count, 3);
+    });
+
+    await t.test('should stop at the step limit', async () => {
+      const ai = createMockAI({ respond: () => toolCall('noop', {}) });
+      session = await Session.create({}, ai);
+      session.registerTool('noop', 'Does nothing', {}, () => null);
+
+      await assert.rejects(
+        session.runWithTools('Loop forever', { maxSteps: 3 }),
+        /did not finish within 3 steps/
+      );
+      assert.equal(ai.created[0].prompts.length, 3);
+    });
+
+    await t.test('should run tools through createAICaptain', async () => {
+      const responses = ['```tool\nnull\n```', toolCall('add', { a: 2, b: 3 }), 'The sum is 5.'];
+      const ai = createMockAI({ respond: () => responses.shift() });
+      const captain = await createAICaptain({}, ai);
+      try {
+        captain.session.registerTool('add', 'Add two numbers', { a: { number: true }, b: { number: true } }, ({ a, b }) => a + b);
+        assert.equal(await captain.session.runWithTools('What is 2 + 3?'), 'The sum is 5.');
+        assert.equal(ai.created[0].prompts[1], 'Tool results:\nundefined: Error: Tool call is not a JSON object');
+      } finally {
+        await captain.destroy();
+      }
+    });
+
+    await t.test('should require registered tools', async () => {
+      session = await Session.create({}, createMockAI());
+      await assert.rejects(session.runWithTools('Hello'), /No tools registered/);
+    });
+  });
+});